@@ -12,6 +12,10 @@ const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobsRoutes = require("./routes/jobs");
+const searchRoutes = require("./routes/search");
+const exchangeRatesRoutes = require("./routes/exchangeRates");
+const skillsRoutes = require("./routes/skills");
+const uploadsRoutes = require("./routes/uploads");
 
 const morgan = require("morgan");
 
@@ -26,6 +30,10 @@ app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobsRoutes);
+app.use("/search", searchRoutes);
+app.use("/exchange-rates", exchangeRatesRoutes);
+app.use("/skills", skillsRoutes);
+app.use("/uploads", uploadsRoutes);
 
 /** Handle 404 errors -- this matches everything */
 app.use(function (req, res, next) {
@@ -4,11 +4,49 @@
 
 require("dotenv").config();
 require("colors");
+const os = require("os");
+const path = require("path");
 
 const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
 const PORT = +process.env.PORT || 3001;
 
+// Access tokens are short-lived; clients trade a refresh token for a new one
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = +process.env.REFRESH_TOKEN_TTL_DAYS || 30;
+
+const PASSWORD_RESET_TTL_MINUTES =
+    +process.env.PASSWORD_RESET_TTL_MINUTES || 60;
+
+// Outgoing mail is written to this directory unless another transport is set
+function getMailOutboxDir() {
+  if (process.env.MAIL_OUTBOX_DIR) return process.env.MAIL_OUTBOX_DIR;
+  return (process.env.NODE_ENV === "test")
+      ? path.join(os.tmpdir(), "jobly-test-outbox")
+      : path.join(__dirname, "..", "outbox");
+}
+
+// Uploaded files are stored in this directory unless another storage is set
+function getUploadsDir() {
+  if (process.env.UPLOADS_DIR) return process.env.UPLOADS_DIR;
+  return (process.env.NODE_ENV === "test")
+      ? path.join(os.tmpdir(), "jobly-test-uploads")
+      : path.join(__dirname, "..", "uploads");
+}
+
+// The largest resume and company logo that can be uploaded, in bytes
+const RESUME_MAX_BYTES = +process.env.RESUME_MAX_BYTES || 5 * 1024 * 1024;
+const LOGO_MAX_BYTES = +process.env.LOGO_MAX_BYTES || 1024 * 1024;
+
+const MAIL_FROM = process.env.MAIL_FROM || "Jobly <no-reply@jobly.test>";
+
+// How often the worker looks for new jobs matching saved searches
+const ALERTS_INTERVAL_MINUTES = +process.env.ALERTS_INTERVAL_MINUTES || 60;
+
+// How often the worker publishes scheduled jobs and expires old ones
+const JOB_SCHEDULE_INTERVAL_MINUTES =
+    +process.env.JOB_SCHEDULE_INTERVAL_MINUTES || 1;
+
 // Use dev database, testing database, or via env var, production database
 function getDatabaseUri() {
   return (process.env.NODE_ENV === "test")
@@ -16,6 +54,9 @@ function getDatabaseUri() {
       : process.env.DATABASE_URL || "jobly";
 }
 
+// How many connections the database pool may open at once
+const DB_POOL_SIZE = +process.env.DB_POOL_SIZE || 10;
+
 // Speed up bcrypt during tests, since the algorithm safety isn't being tested
 //
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
@@ -24,13 +65,28 @@ const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 console.log("Jobly Config:".green);
 console.log("SECRET_KEY:".yellow, SECRET_KEY);
 console.log("PORT:".yellow, PORT.toString());
+console.log("ACCESS_TOKEN_EXPIRES_IN:".yellow, ACCESS_TOKEN_EXPIRES_IN);
 console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
 console.log("Database:".yellow, getDatabaseUri());
+console.log("DB_POOL_SIZE:".yellow, DB_POOL_SIZE);
+console.log("Mail outbox:".yellow, getMailOutboxDir());
+console.log("Uploads:".yellow, getUploadsDir());
 console.log("---");
 
 module.exports = {
   SECRET_KEY,
   PORT,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  PASSWORD_RESET_TTL_MINUTES,
+  MAIL_FROM,
+  ALERTS_INTERVAL_MINUTES,
+  JOB_SCHEDULE_INTERVAL_MINUTES,
   BCRYPT_WORK_FACTOR,
+  DB_POOL_SIZE,
   getDatabaseUri,
+  RESUME_MAX_BYTES,
+  LOGO_MAX_BYTES,
+  getMailOutboxDir,
+  getUploadsDir,
 };
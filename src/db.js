@@ -1,23 +1,129 @@
 "use strict";
-/** Database setup for jobly. */
-const { Client } = require("pg");
-const { getDatabaseUri } = require("./config");
+/** Database setup for jobly.
+ *
+ * Queries go through a pool of connections. db.query runs a query on any free
+ * connection, unless it's made inside db.withTransaction, in which case it
+ * runs in that transaction; so models can call each other inside a
+ * transaction without passing a client around.
+ */
+const { AsyncLocalStorage } = require("async_hooks");
+const { Pool } = require("pg");
+const { getDatabaseUri, DB_POOL_SIZE } = require("./config");
 
-let db;
+let pool;
 
 if (process.env.NODE_ENV === "production") {
-  db = new Client({
+  pool = new Pool({
     connectionString: getDatabaseUri(),
+    max: DB_POOL_SIZE,
     ssl: {
       rejectUnauthorized: false
     }
   });
 } else {
-  db = new Client({
-    connectionString: getDatabaseUri()
+  pool = new Pool({
+    connectionString: getDatabaseUri(),
+    max: DB_POOL_SIZE
   });
 }
 
-db.connect();
+// an idle connection dropping shouldn't take the server down with it
+pool.on("error", function (err) {
+  console.error("Idle database connection error:", err.message);
+});
+
+// The transaction queries in the current async context belong to, if any:
+// { client, depth }, where depth counts the nested withTransaction calls
+const transactions = new AsyncLocalStorage();
+
+// Set by the test harness: a transaction every query joins until it's rolled
+// back
+let testTransaction = null;
+
+function currentTransaction() {
+  return transactions.getStore() || testTransaction;
+}
+
+/** Run a query, in the current transaction if there is one. */
+
+function query(...args) {
+  const transaction = currentTransaction();
+  return (transaction ? transaction.client : pool).query(...args);
+}
+
+/** Run async fn(client) in a transaction, and return what it returns.
+ *
+ * Commits if fn resolves, and rolls back (and rethrows) if it throws. Calls
+ * nested inside another transaction use a savepoint, so only their own work
+ * is rolled back.
+ */
+
+async function withTransaction(fn) {
+  const outer = currentTransaction();
+
+  if (outer) {
+    const depth = outer.depth + 1;
+    const savepoint = `jobly_savepoint_${depth}`;
+    await outer.client.query(`SAVEPOINT ${savepoint}`);
+    try {
+      const result = await transactions.run(
+        { client: outer.client, depth },
+        () => fn(outer.client)
+      );
+      await outer.client.query(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (err) {
+      await outer.client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      throw err;
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await transactions.run({ client, depth: 0 }, () =>
+      fn(client)
+    );
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/** For tests: start a transaction that every query joins, until
+ * rollbackTestTransaction undoes it all.
+ */
+
+async function beginTestTransaction() {
+  const client = await pool.connect();
+  await client.query("BEGIN");
+  testTransaction = { client, depth: 0 };
+}
+
+async function rollbackTestTransaction() {
+  const { client } = testTransaction;
+  testTransaction = null;
+  try {
+    await client.query("ROLLBACK");
+  } finally {
+    client.release();
+  }
+}
+
+/** Close every connection in the pool. */
+
+function end() {
+  return pool.end();
+}
 
-module.exports = db;
\ No newline at end of file
+module.exports = {
+  query,
+  withTransaction,
+  beginTestTransaction,
+  rollbackTestTransaction,
+  end,
+};
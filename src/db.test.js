@@ -0,0 +1,104 @@
+"use strict";
+
+const db = require("./db");
+
+// These tests manage their own transactions, so they use their own table
+// rather than the per-test transaction in _testCommon.
+
+beforeAll(async function () {
+  await db.query("DROP TABLE IF EXISTS db_test_things");
+  await db.query("CREATE TABLE db_test_things (name TEXT PRIMARY KEY)");
+});
+
+beforeEach(async function () {
+  await db.query("DELETE FROM db_test_things");
+});
+
+afterAll(async function () {
+  await db.query("DROP TABLE db_test_things");
+  await db.end();
+});
+
+async function thingNames() {
+  const result = await db.query(
+    "SELECT name FROM db_test_things ORDER BY name"
+  );
+  return result.rows.map((r) => r.name);
+}
+
+describe("withTransaction", function () {
+  test("commits when fn succeeds", async function () {
+    const result = await db.withTransaction(async () => {
+      await db.query("INSERT INTO db_test_things VALUES ('a')");
+      return "done";
+    });
+    expect(result).toEqual("done");
+    expect(await thingNames()).toEqual(["a"]);
+  });
+
+  test("rolls back when fn throws", async function () {
+    await expect(
+      db.withTransaction(async () => {
+        await db.query("INSERT INTO db_test_things VALUES ('a')");
+        throw new Error("oops");
+      })
+    ).rejects.toThrow("oops");
+    expect(await thingNames()).toEqual([]);
+  });
+
+  test("runs queries made inside it on its connection", async function () {
+    await db.withTransaction(async (client) => {
+      const inside = await db.query("SELECT pg_backend_pid() AS pid");
+      const direct = await client.query("SELECT pg_backend_pid() AS pid");
+      expect(inside.rows[0].pid).toEqual(direct.rows[0].pid);
+    });
+  });
+
+  test("isn't seen by other connections until it commits", async function () {
+    let inserted, finish;
+    const insertedP = new Promise((resolve) => (inserted = resolve));
+    const finishP = new Promise((resolve) => (finish = resolve));
+
+    const transaction = db.withTransaction(async () => {
+      await db.query("INSERT INTO db_test_things VALUES ('a')");
+      inserted();
+      await finishP;
+    });
+
+    await insertedP;
+    expect(await thingNames()).toEqual([]);
+    finish();
+    await transaction;
+    expect(await thingNames()).toEqual(["a"]);
+  });
+
+  test("rolls back only a nested transaction that fails", async function () {
+    await db.withTransaction(async () => {
+      await db.query("INSERT INTO db_test_things VALUES ('a')");
+      await expect(
+        db.withTransaction(async () => {
+          await db.query("INSERT INTO db_test_things VALUES ('b')");
+          throw new Error("oops");
+        })
+      ).rejects.toThrow("oops");
+      await db.withTransaction(async () => {
+        await db.query("INSERT INTO db_test_things VALUES ('c')");
+      });
+    });
+    expect(await thingNames()).toEqual(["a", "c"]);
+  });
+});
+
+describe("test transactions", function () {
+  test("roll back everything, even transactions inside", async function () {
+    await db.beginTestTransaction();
+    await db.query("INSERT INTO db_test_things VALUES ('a')");
+    await db.withTransaction(async () => {
+      await db.query("INSERT INTO db_test_things VALUES ('b')");
+    });
+    expect(await thingNames()).toEqual(["a", "b"]);
+    await db.rollbackTestTransaction();
+
+    expect(await thingNames()).toEqual([]);
+  });
+});
@@ -0,0 +1,74 @@
+"use strict";
+
+/** Searching near a place.
+ *
+ * List routes take ?near=lat,lng and ?radiusKm= alongside their filters, and
+ * only return results within radiusKm of that point, nearest first. Places
+ * are put on the map with the cities table (see the cities migration), so
+ * this works without a geocoding service.
+ */
+
+const { BadRequestError } = require("../expressError");
+
+const DEFAULT_RADIUS_KM = 25;
+// about half way round the earth, which is as far as anywhere can be
+const MAX_RADIUS_KM = 20000;
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/** Parse the near and radiusKm query values.
+ *
+ * Returns { lat, lng, radiusKm }; radiusKm defaults to DEFAULT_RADIUS_KM.
+ *
+ * Throws BadRequestError if near isn't "lat,lng" with a latitude and
+ * longitude in range, or radiusKm isn't a positive number up to
+ * MAX_RADIUS_KM.
+ **/
+
+function parseNear(near, radiusKm) {
+  const [lat, lng, ...rest] = String(near).split(",").map((s) => s.trim());
+  if (
+    rest.length > 0 ||
+    !NUMBER_PATTERN.test(lat) ||
+    !NUMBER_PATTERN.test(lng) ||
+    Math.abs(Number(lat)) > 90 ||
+    Math.abs(Number(lng)) > 180
+  ) {
+    throw new BadRequestError("near must be lat,lng");
+  }
+
+  let radius = DEFAULT_RADIUS_KM;
+  if (radiusKm !== undefined) {
+    radius = Number(radiusKm);
+    if (
+      !NUMBER_PATTERN.test(String(radiusKm)) ||
+      radius <= 0 ||
+      radius > MAX_RADIUS_KM
+    ) {
+      throw new BadRequestError(
+        `radiusKm must be a number greater than 0 and at most ${MAX_RADIUS_KM}`
+      );
+    }
+  }
+
+  return { lat: Number(lat), lng: Number(lng), radiusKm: radius };
+}
+
+/** Return page options (see sqlForPage) that also allow sorting on distance,
+ * the sql expression for how far away a result is, and sort on it by default.
+ */
+
+function pageOptionsNear(pageOptions, distance) {
+  return {
+    ...pageOptions,
+    columns: { ...pageOptions.columns, distance },
+    defaultSort: "distance",
+  };
+}
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  parseNear,
+  pageOptionsNear,
+};
@@ -0,0 +1,44 @@
+const { parseNear, pageOptionsNear } = require("./geo");
+const { BadRequestError } = require("../expressError");
+
+describe("when parsing near", function () {
+  test("should default the radius", function () {
+    expect(parseNear("30.2672,-97.7431")).toEqual({
+      lat: 30.2672,
+      lng: -97.7431,
+      radiusKm: 25,
+    });
+  });
+  test("should take a radius", function () {
+    expect(parseNear("51.5, -0.12", "2.5")).toEqual({
+      lat: 51.5,
+      lng: -0.12,
+      radiusKm: 2.5,
+    });
+  });
+  test("should fail for invalid values", function () {
+    for (const [near, radiusKm] of [
+      ["austin", undefined],
+      ["30.2", undefined],
+      ["30.2,-97.7,1", undefined],
+      ["91,0", undefined],
+      ["0,181", undefined],
+      ["0,0", "0"],
+      ["0,0", "-5"],
+      ["0,0", "far"],
+      ["0,0", "20001"],
+    ]) {
+      expect(() => parseNear(near, radiusKm)).toThrow(BadRequestError);
+    }
+  });
+});
+
+describe("when sorting by distance", function () {
+  test("should add distance as the default sort", function () {
+    const options = { columns: { name: "name" }, defaultSort: "name" };
+    expect(pageOptionsNear(options, "d")).toEqual({
+      columns: { name: "name", distance: "d" },
+      defaultSort: "distance",
+    });
+  });
+});
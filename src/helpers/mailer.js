@@ -0,0 +1,93 @@
+"use strict";
+
+/** Outgoing mail for jobly.
+ *
+ * Mail is handed to a transport: any object with an async send(message).
+ * The default transport writes each message as a JSON file to a local outbox
+ * directory, which is what dev and the tests use; a real deployment swaps in
+ * its own transport with setTransport.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { MAIL_FROM, getMailOutboxDir } = require("../config");
+
+/** Transport that writes messages to files in an outbox directory. */
+
+class OutboxTransport {
+  constructor(dir) {
+    this.dir = dir;
+    this.sequence = 0;
+  }
+
+  /** Write message to the outbox; returns the message as stored. */
+
+  async send(message) {
+    const sent = { ...message, sentAt: new Date().toISOString() };
+    // the sequence keeps messages sent within the same millisecond in order
+    const sequence = String(this.sequence++).padStart(6, "0");
+    const random = crypto.randomBytes(4).toString("hex");
+    const filename = `${Date.now()}-${sequence}-${random}.json`;
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(this.dir, filename),
+      JSON.stringify(sent, null, 2)
+    );
+
+    return sent;
+  }
+
+  /** Return all messages in the outbox, oldest first. */
+
+  async list() {
+    let filenames;
+    try {
+      filenames = await fs.promises.readdir(this.dir);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+
+    const messages = [];
+    for (const filename of filenames.filter((f) => f.endsWith(".json")).sort()) {
+      const contents = await fs.promises.readFile(path.join(this.dir, filename));
+      messages.push(JSON.parse(contents));
+    }
+    return messages;
+  }
+
+  /** Remove every message from the outbox. */
+
+  async clear() {
+    await fs.promises.rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+let transport = new OutboxTransport(getMailOutboxDir());
+
+/** Return the transport mail is currently sent through. */
+
+function getTransport() {
+  return transport;
+}
+
+/** Send all further mail through newTransport. */
+
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/** Send a message: { to, subject, text }. */
+
+async function sendMail({ to, subject, text }) {
+  return await transport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  OutboxTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+};
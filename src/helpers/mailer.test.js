@@ -0,0 +1,51 @@
+const os = require("os");
+const path = require("path");
+const {
+  OutboxTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+} = require("./mailer");
+
+const outbox = new OutboxTransport(
+  path.join(os.tmpdir(), `jobly-mailer-test-${process.pid}`)
+);
+
+afterAll(async function () {
+  await outbox.clear();
+});
+
+describe("when using the outbox transport", function () {
+  beforeEach(async function () {
+    await outbox.clear();
+  });
+
+  test("should store sent messages", async function () {
+    await outbox.send({ to: "a@a.com", subject: "first", text: "1" });
+    await outbox.send({ to: "b@b.com", subject: "second", text: "2" });
+    const messages = await outbox.list();
+    expect(messages).toEqual([
+      { to: "a@a.com", subject: "first", text: "1", sentAt: expect.any(String) },
+      { to: "b@b.com", subject: "second", text: "2", sentAt: expect.any(String) },
+    ]);
+  });
+
+  test("should be empty before anything is sent", async function () {
+    expect(await outbox.list()).toEqual([]);
+  });
+});
+
+describe("when sending mail", function () {
+  test("should go through the current transport", async function () {
+    const original = getTransport();
+    const sent = [];
+    setTransport({ send: async (message) => sent.push(message) });
+
+    await sendMail({ to: "a@a.com", subject: "hi", text: "hello" });
+    setTransport(original);
+
+    expect(sent).toEqual([
+      { from: expect.any(String), to: "a@a.com", subject: "hi", text: "hello" },
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+"use strict";
+
+/** Paging through list endpoints.
+ *
+ * List routes take ?page=, ?limit= and ?sort= alongside their filters, and
+ * respond with one page of results plus a pagination object:
+ *   { page, limit, total, next, prev }
+ * where next and prev are links to the neighbouring pages (or null).
+ */
+
+const { BadRequestError } = require("../expressError");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/** Parse a whole number >= 1 from a query string value, or use fallback. */
+
+function parsePositiveInt(name, value, fallback) {
+  if (value === undefined) return fallback;
+  if (!/^[1-9]\d*$/.test(String(value))) {
+    throw new BadRequestError(`${name} must be a positive integer`);
+  }
+  return Number(value);
+}
+
+/** Split the paging parameters off a request's query.
+ *
+ * Returns { filters, page }
+ *   where filters is the rest of the query
+ *   and page is { page, limit, offset, sort }
+ *
+ * Throws BadRequestError if page or limit isn't valid; sort is checked by the
+ * model, which knows what it can sort on.
+ **/
+
+function parsePageQuery(query) {
+  const { page, limit, sort, ...filters } = query;
+
+  const pageNum = parsePositiveInt("page", page, 1);
+  const limitNum = parsePositiveInt("limit", limit, DEFAULT_LIMIT);
+  if (limitNum > MAX_LIMIT) {
+    throw new BadRequestError(`limit cannot be greater than ${MAX_LIMIT}`);
+  }
+  if (sort !== undefined && typeof sort !== "string") {
+    throw new BadRequestError("sort must be a single field");
+  }
+
+  return {
+    filters,
+    page: {
+      page: pageNum,
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum,
+      sort,
+    },
+  };
+}
+
+/** Describe the page of results being sent back for req.
+ *
+ * Returns { page, limit, total, next, prev }
+ *   where next and prev are the URLs of the neighbouring pages, keeping the
+ *   request's filters and sort, or null if there's no such page
+ **/
+
+function pageInfo(req, { page, limit }, total) {
+  const path = req.baseUrl + (req.path === "/" ? "" : req.path);
+
+  function linkTo(pageNum) {
+    const params = new URLSearchParams({
+      ...req.query,
+      page: String(pageNum),
+      limit: String(limit),
+    });
+    return `${path}?${params}`;
+  }
+
+  const lastPage = Math.max(1, Math.ceil(total / limit));
+
+  return {
+    page,
+    limit,
+    total,
+    next: page < lastPage ? linkTo(page + 1) : null,
+    prev: page > 1 ? linkTo(Math.min(page - 1, lastPage)) : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePageQuery,
+  pageInfo,
+};
@@ -0,0 +1,56 @@
+const { parsePageQuery, pageInfo } = require("./pagination");
+const { BadRequestError } = require("../expressError");
+
+describe("when parsing a page query", function () {
+  test("should use defaults", function () {
+    expect(parsePageQuery({ name: "c" })).toEqual({
+      filters: { name: "c" },
+      page: { page: 1, limit: 20, offset: 0, sort: undefined },
+    });
+  });
+  test("should work out the offset", function () {
+    expect(parsePageQuery({ page: "3", limit: "5", sort: "-name" })).toEqual({
+      filters: {},
+      page: { page: 3, limit: 5, offset: 10, sort: "-name" },
+    });
+  });
+  test("should fail for invalid values", function () {
+    for (const query of [
+      { page: "0" },
+      { page: "1.5" },
+      { limit: "-1" },
+      { limit: "101" },
+      { sort: ["name", "handle"] },
+    ]) {
+      expect(() => parsePageQuery(query)).toThrow(BadRequestError);
+    }
+  });
+});
+
+describe("when describing a page", function () {
+  const req = {
+    baseUrl: "/jobs",
+    path: "/",
+    query: { title: "dev", page: "2", limit: "10" },
+  };
+
+  test("should link to both neighbours", function () {
+    expect(pageInfo(req, { page: 2, limit: 10 }, 25)).toEqual({
+      page: 2,
+      limit: 10,
+      total: 25,
+      next: "/jobs?title=dev&page=3&limit=10",
+      prev: "/jobs?title=dev&page=1&limit=10",
+    });
+  });
+  test("should stop at the ends", function () {
+    const first = pageInfo(req, { page: 1, limit: 10 }, 5);
+    expect(first.next).toEqual(null);
+    expect(first.prev).toEqual(null);
+  });
+  test("should point back to the last page when past it", function () {
+    const info = pageInfo(req, { page: 9, limit: 10 }, 25);
+    expect(info.next).toEqual(null);
+    expect(info.prev).toEqual("/jobs?title=dev&page=3&limit=10");
+  });
+});
@@ -19,4 +19,31 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
   };
 }
 
-module.exports = { sqlForPartialUpdate };
+// Based on a page of results wanted, return the ORDER BY, LIMIT and OFFSET
+// clauses for it.
+//
+// page is { limit, offset, sort }; all are optional. sort is a field name, or
+// "-" then a field name to sort descending. columns maps the field names that
+// may be sorted on to their sql expressions; tiebreaker is a unique column
+// added last so rows don't move between pages.
+function sqlForPage(page, { columns, defaultSort, tiebreaker }) {
+  const sort = page.sort || defaultSort;
+  const descending = sort.startsWith("-");
+  const field = descending ? sort.slice(1) : sort;
+
+  if (!columns.hasOwnProperty(field)) {
+    throw new BadRequestError(`Invalid sort: ${sort}`);
+  }
+
+  const direction = descending ? "DESC" : "ASC";
+  let clause =
+    `ORDER BY ${columns[field]} ${direction}, ${tiebreaker} ${direction}`;
+
+  // limit and offset are validated integers, so they're safe to inline
+  if (page.limit !== undefined) clause += ` LIMIT ${Number(page.limit)}`;
+  if (page.offset !== undefined) clause += ` OFFSET ${Number(page.offset)}`;
+
+  return clause;
+}
+
+module.exports = { sqlForPartialUpdate, sqlForPage };
@@ -1,4 +1,4 @@
-const { sqlForPartialUpdate } = require("./sql");
+const { sqlForPartialUpdate, sqlForPage } = require("./sql");
 const { BadRequestError } = require("../expressError");
 
 describe("when creating an sql partial update object", function () {
@@ -38,3 +38,25 @@ describe("when creating an sql partial update object", function () {
     expect(() => sqlForPartialUpdate(data, jsToSql)).toThrow(BadRequestError);
   });
 });
+
+describe("when creating sql for a page of results", function () {
+  const options = {
+    columns: { name: "name", numEmployees: "num_employees" },
+    defaultSort: "name",
+    tiebreaker: "handle",
+  };
+
+  test("should sort by the default", function () {
+    expect(sqlForPage({}, options)).toEqual("ORDER BY name ASC, handle ASC");
+  });
+  test("should sort descending and limit", function () {
+    expect(
+      sqlForPage({ sort: "-numEmployees", limit: 10, offset: 20 }, options)
+    ).toEqual("ORDER BY num_employees DESC, handle DESC LIMIT 10 OFFSET 20");
+  });
+  test("should fail for an unknown sort", function () {
+    expect(() => sqlForPage({ sort: "handle; DROP" }, options)).toThrow(
+      BadRequestError
+    );
+  });
+});
@@ -0,0 +1,90 @@
+"use strict";
+
+/** File storage for jobly.
+ *
+ * Uploaded files are kept in a storage: any object with async put(key,
+ * data), get(key) and remove(key), where key is a path like "ab/abcd..." and
+ * data is a Buffer. The default storage writes files under a local directory,
+ * which is what dev and the tests use; a real deployment swaps in its own
+ * storage (e.g. an object store) with setStorage.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { getUploadsDir } = require("../config");
+
+// Keys are made by the app, never taken from a request, but are checked
+// anyway so a bad one can't reach outside the storage directory
+const KEY_PATTERN = /^[a-z0-9]+(\/[a-z0-9]+)*(\.[a-z0-9]+)?$/;
+
+/** Storage that keeps files in a local directory. */
+
+class LocalDiskStorage {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /** Return the path of key's file; throws if key isn't a valid key. */
+
+  pathFor(key) {
+    if (!KEY_PATTERN.test(key)) throw new Error(`Invalid storage key: ${key}`);
+    return path.join(this.dir, ...key.split("/"));
+  }
+
+  /** Store data under key, replacing anything already there. */
+
+  async put(key, data) {
+    const filePath = this.pathFor(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // written to a temporary file first, so a reader never sees half a file
+    const random = crypto.randomBytes(4).toString("hex");
+    const tmpPath = `${filePath}.${random}.tmp`;
+    await fs.promises.writeFile(tmpPath, data);
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  /** Return the data stored under key, or null if there's none. */
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.pathFor(key));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  /** Remove the data stored under key, if any. */
+
+  async remove(key) {
+    await fs.promises.rm(this.pathFor(key), { force: true });
+  }
+
+  /** Remove everything in the storage. */
+
+  async clear() {
+    await fs.promises.rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+let storage = new LocalDiskStorage(getUploadsDir());
+
+/** Return the storage files are currently kept in. */
+
+function getStorage() {
+  return storage;
+}
+
+/** Keep all further files in newStorage. */
+
+function setStorage(newStorage) {
+  storage = newStorage;
+}
+
+module.exports = {
+  LocalDiskStorage,
+  getStorage,
+  setStorage,
+};
@@ -0,0 +1,61 @@
+const os = require("os");
+const path = require("path");
+const { LocalDiskStorage, getStorage, setStorage } = require("./storage");
+
+const disk = new LocalDiskStorage(
+  path.join(os.tmpdir(), `jobly-storage-test-${process.pid}`)
+);
+
+afterAll(async function () {
+  await disk.clear();
+});
+
+describe("when using the local disk storage", function () {
+  beforeEach(async function () {
+    await disk.clear();
+  });
+
+  test("should store and get back files", async function () {
+    await disk.put("resumes/ab/abc", Buffer.from("first"));
+    await disk.put("logos/cd/cde", Buffer.from("second"));
+    expect((await disk.get("resumes/ab/abc")).toString()).toEqual("first");
+    expect((await disk.get("logos/cd/cde")).toString()).toEqual("second");
+  });
+
+  test("should replace a file stored under the same key", async function () {
+    await disk.put("resumes/ab/abc", Buffer.from("first"));
+    await disk.put("resumes/ab/abc", Buffer.from("second"));
+    expect((await disk.get("resumes/ab/abc")).toString()).toEqual("second");
+  });
+
+  test("should give null for a missing file", async function () {
+    expect(await disk.get("resumes/ab/abc")).toBe(null);
+  });
+
+  test("should remove files", async function () {
+    await disk.put("resumes/ab/abc", Buffer.from("first"));
+    await disk.remove("resumes/ab/abc");
+    expect(await disk.get("resumes/ab/abc")).toBe(null);
+    // removing it again is fine
+    await disk.remove("resumes/ab/abc");
+  });
+
+  test("should refuse keys outside its directory", async function () {
+    for (const key of ["../abc", "/etc/passwd", "ab//cd", "AB", ""]) {
+      await expect(disk.put(key, Buffer.from("x"))).rejects.toThrow(
+        "Invalid storage key"
+      );
+    }
+  });
+});
+
+describe("when swapping the storage", function () {
+  test("should use the storage set", async function () {
+    const original = getStorage();
+    const other = { put: async () => {} };
+    setStorage(other);
+    expect(getStorage()).toBe(other);
+    setStorage(original);
+    expect(getStorage()).toBe(original);
+  });
+});
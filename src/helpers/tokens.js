@@ -1,7 +1,12 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_EXPIRES_IN } = require("../config");
 
-/** return signed JWT from user data. */
+/** return signed, expiring JWT from user data.
+ *
+ * Each token gets a unique id (jti) so it can be revoked on its own, and
+ * carries the user's tokenVersion so all of them can be revoked at once.
+ */
 
 function createToken(user) {
   console.assert(user.isAdmin !== undefined,
@@ -10,9 +15,25 @@ function createToken(user) {
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    tokenVersion: user.tokenVersion || 0,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    jwtid: crypto.randomBytes(16).toString("hex"),
+  });
 }
 
-module.exports = { createToken };
+/** return a new random opaque token (for refresh tokens, etc). */
+
+function createOpaqueToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/** return the hash we store in place of an opaque token. */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = { createToken, createOpaqueToken, hashToken };
@@ -1,5 +1,5 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const { createToken, createOpaqueToken, hashToken } = require("./tokens");
 const { SECRET_KEY } = require("../config");
 
 describe("when creating a token", function () {
@@ -8,6 +8,9 @@ describe("when creating a token", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      tokenVersion: 0,
       username: "test",
       isAdmin: false,
     }).toEqual(payload);
@@ -18,6 +21,9 @@ describe("when creating a token", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      tokenVersion: 0,
       username: "test",
       isAdmin: true,
     }).toEqual(payload);
@@ -29,8 +35,36 @@ describe("when creating a token", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      tokenVersion: 0,
       username: "test",
       isAdmin: false,
     }).toEqual(payload);
   });
+
+  test("should carry the token version", function () {
+    const token = createToken({ username: "test", isAdmin: false, tokenVersion: 3 });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.tokenVersion).toEqual(3);
+  });
+
+  test("should expire", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.exp).toBeGreaterThan(payload.iat);
+  });
+});
+
+describe("when creating an opaque token", function () {
+  test("should be random", function () {
+    expect(createOpaqueToken()).toMatch(/^[0-9a-f]{64}$/);
+    expect(createOpaqueToken()).not.toEqual(createOpaqueToken());
+  });
+
+  test("should hash consistently", function () {
+    const token = createOpaqueToken();
+    expect(hashToken(token)).toEqual(hashToken(token));
+    expect(hashToken(token)).not.toEqual(token);
+  });
 });
@@ -0,0 +1,168 @@
+"use strict";
+
+/** Reading uploaded files from requests.
+ *
+ * Files are uploaded as multipart/form-data. Each kind of upload has its own
+ * form field, content types and size limit (see UPLOAD_KINDS). The content
+ * must look like the content type it's sent as, and then goes through every
+ * scan hook (e.g. a virus scanner) before it's accepted.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const formidable = require("formidable");
+const { BadRequestError } = require("../expressError");
+const { RESUME_MAX_BYTES, LOGO_MAX_BYTES } = require("../config");
+
+const DOCX =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// { kind: { field, maxBytes, contentTypes }, ... }
+const UPLOAD_KINDS = {
+  resume: {
+    field: "resume",
+    maxBytes: RESUME_MAX_BYTES,
+    contentTypes: ["application/pdf", "application/msword", DOCX],
+  },
+  logo: {
+    field: "logo",
+    maxBytes: LOGO_MAX_BYTES,
+    contentTypes: ["image/png", "image/jpeg", "image/gif"],
+  },
+};
+
+// The bytes each content type's files start with
+const SIGNATURES = {
+  "application/pdf": Buffer.from("%PDF-"),
+  "application/msword": Buffer.from([0xd0, 0xcf, 0x11, 0xe0]),
+  [DOCX]: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+  "image/png": Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  "image/jpeg": Buffer.from([0xff, 0xd8, 0xff]),
+  "image/gif": Buffer.from("GIF8"),
+};
+
+const scanHooks = [];
+
+/** Add hook to the scans every upload goes through.
+ *
+ * hook is an async function given the upload, { kind, filename, contentType,
+ * size, checksum, data }; it returns the reason to reject the upload, e.g.
+ * "Virus found: Eicar-Test-Signature", or nothing to let it through. If a hook
+ * throws, the upload fails rather than going through unscanned.
+ *
+ * Returns a function that removes the hook again.
+ */
+
+function addScanHook(hook) {
+  scanHooks.push(hook);
+  return () => {
+    const idx = scanHooks.indexOf(hook);
+    if (idx !== -1) scanHooks.splice(idx, 1);
+  };
+}
+
+/** Remove the temporary files of files, [{ field, file }, ...]. */
+
+async function removeTempFiles(files) {
+  await Promise.all(
+    files.map(({ file }) => fs.promises.rm(file.path, { force: true }))
+  );
+}
+
+/** Parse req's multipart form, with files up to maxBytes in all.
+ *
+ * Returns [{ field, file }, ...] for the files, which are left in temporary
+ * files for the caller to remove. If the form can't be parsed, whatever was
+ * written of its files is removed before the error is thrown.
+ */
+
+function parseForm(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const form = new formidable.IncomingForm();
+    form.maxFileSize = maxBytes;
+
+    // every file is known from when formidable starts writing it
+    const files = [];
+    form.on("fileBegin", (field, file) => files.push({ field, file }));
+    form.parse(req, (err) => {
+      if (!err) return resolve(files);
+      removeTempFiles(files).then(() => reject(err), reject);
+    });
+  });
+}
+
+/** Read the kind of upload ("resume" or "logo") from req.
+ *
+ * Returns { kind, filename, contentType, size, checksum, data }
+ *   where checksum is the SHA-256 of data in hex
+ *
+ * Throws BadRequestError if there's no file, it's too big, isn't one of the
+ * content types allowed or doesn't look like the one it's sent as, or a scan
+ * hook rejects it.
+ */
+
+async function readUpload(req, kind) {
+  const { field, maxBytes, contentTypes } = UPLOAD_KINDS[kind];
+  if (!req.is("multipart/form-data")) {
+    throw new BadRequestError("Expected a multipart/form-data upload");
+  }
+
+  let files;
+  try {
+    files = await parseForm(req, maxBytes);
+  } catch (err) {
+    if (err.message.startsWith("maxFileSize exceeded")) {
+      throw new BadRequestError(
+        `File too large: a ${kind} can be at most ${maxBytes} bytes`
+      );
+    }
+    throw new BadRequestError(`Invalid upload: ${err.message}`);
+  }
+
+  let upload;
+  try {
+    const uploaded = files.find((f) => f.field === field);
+    if (!uploaded) throw new BadRequestError(`No ${field} file uploaded`);
+    const { file } = uploaded;
+
+    const contentType = (file.type || "").split(";")[0].trim().toLowerCase();
+    if (!contentTypes.includes(contentType)) {
+      throw new BadRequestError(
+        `Invalid content type: ${contentType || "none"}; ` +
+          `a ${kind} must be one of ${contentTypes.join(", ")}`
+      );
+    }
+
+    const data = await fs.promises.readFile(file.path);
+    if (data.length === 0) throw new BadRequestError("The file is empty");
+    const signature = SIGNATURES[contentType];
+    if (!data.subarray(0, signature.length).equals(signature)) {
+      throw new BadRequestError(`The file isn't ${contentType}`);
+    }
+
+    upload = {
+      kind,
+      filename: path.basename(file.name || "").slice(0, 255) || field,
+      contentType,
+      size: data.length,
+      checksum: crypto.createHash("sha256").update(data).digest("hex"),
+      data,
+    };
+  } finally {
+    await removeTempFiles(files);
+  }
+
+  for (const hook of scanHooks) {
+    const reason = await hook(upload);
+    if (reason) throw new BadRequestError(`Upload rejected: ${reason}`);
+  }
+
+  return upload;
+}
+
+module.exports = {
+  UPLOAD_KINDS,
+  addScanHook,
+  readUpload,
+};
@@ -0,0 +1,218 @@
+const fs = require("fs");
+const os = require("os");
+const express = require("express");
+const request = require("supertest");
+const { readUpload, addScanHook } = require("./uploads");
+const { LOGO_MAX_BYTES } = require("../config");
+
+const pdf = Buffer.from("%PDF-1.4\nresume\n%%EOF\n");
+const png = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.from("logo"),
+]);
+
+// An app that reads a kind of upload and sends back what it read
+const app = express();
+app.post("/:kind", async function (req, res, next) {
+  try {
+    const { data, ...upload } = await readUpload(req, req.params.kind);
+    return res.json({ upload, data: data.toString() });
+  } catch (err) {
+    return next(err);
+  }
+});
+app.use(function (err, req, res, next) {
+  return res.status(err.status || 500).json({ error: err.message });
+});
+
+describe("when reading an upload", function () {
+  test("should read the file", async function () {
+    const resp = await request(app)
+      .post("/resume")
+      .attach("resume", pdf, {
+        filename: "cv.pdf",
+        contentType: "application/pdf",
+      });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      upload: {
+        kind: "resume",
+        filename: "cv.pdf",
+        contentType: "application/pdf",
+        size: pdf.length,
+        checksum: expect.stringMatching(/^[0-9a-f]{64}$/),
+      },
+      data: pdf.toString(),
+    });
+  });
+
+  test("should give the same checksum for the same file", async function () {
+    const upload = async (filename) =>
+      await request(app)
+        .post("/logo")
+        .attach("logo", png, { filename, contentType: "image/png" });
+    const first = await upload("a.png");
+    const second = await upload("b.png");
+    expect(first.body.upload.checksum).toEqual(second.body.upload.checksum);
+  });
+
+  test("should fail without a multipart form", async function () {
+    const resp = await request(app).post("/resume").send({ resume: "x" });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toEqual("Expected a multipart/form-data upload");
+  });
+
+  test("should fail without the file", async function () {
+    const resp = await request(app)
+      .post("/resume")
+      .attach("cv", pdf, {
+        filename: "cv.pdf",
+        contentType: "application/pdf",
+      });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toEqual("No resume file uploaded");
+  });
+
+  test("should fail for a content type not allowed", async function () {
+    const resp = await request(app)
+      .post("/logo")
+      .attach("logo", pdf, {
+        filename: "cv.pdf",
+        contentType: "application/pdf",
+      });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toMatch(/^Invalid content type: application\/pdf;/);
+  });
+
+  test("should fail for content that isn't its type", async function () {
+    const resp = await request(app)
+      .post("/logo")
+      .attach("logo", pdf, { filename: "logo.png", contentType: "image/png" });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toEqual("The file isn't image/png");
+  });
+
+  test("should fail for an empty file", async function () {
+    const resp = await request(app)
+      .post("/logo")
+      .attach("logo", Buffer.alloc(0), {
+        filename: "logo.png",
+        contentType: "image/png",
+      });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toEqual("The file is empty");
+  });
+
+  test("should fail for a file too large", async function () {
+    const big = Buffer.concat([png, Buffer.alloc(LOGO_MAX_BYTES)]);
+    const resp = await request(app)
+      .post("/logo")
+      .attach("logo", big, { filename: "logo.png", contentType: "image/png" });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toEqual(
+      `File too large: a logo can be at most ${LOGO_MAX_BYTES} bytes`
+    );
+  });
+});
+
+describe("when an upload fails", function () {
+  // the temporary files formidable writes uploads to
+  const tempFiles = () =>
+    fs.readdirSync(os.tmpdir()).filter((f) => f.startsWith("upload_"));
+
+  test("should leave no temporary files behind", async function () {
+    const before = tempFiles();
+
+    const big = Buffer.concat([png, Buffer.alloc(LOGO_MAX_BYTES)]);
+    const tooBig = await request(app)
+      .post("/logo")
+      .attach("logo", big, { filename: "logo.png", contentType: "image/png" });
+    expect(tooBig.statusCode).toEqual(400);
+
+    // a form cut off part way through its file
+    const truncated = await request(app)
+      .post("/logo")
+      .set("content-type", "multipart/form-data; boundary=xyz")
+      .send(
+        Buffer.concat([
+          Buffer.from(
+            "--xyz\r\n" +
+              'Content-Disposition: form-data; name="logo"; ' +
+              'filename="logo.png"\r\n' +
+              "Content-Type: image/png\r\n\r\n"
+          ),
+          png,
+        ])
+      );
+    expect(truncated.statusCode).toEqual(400);
+    expect(truncated.body.error).toMatch(/^Invalid upload: /);
+
+    expect(tempFiles()).toEqual(before);
+  });
+});
+
+describe("when scanning uploads", function () {
+  let removeHooks = [];
+
+  afterEach(function () {
+    for (const remove of removeHooks) remove();
+    removeHooks = [];
+  });
+
+  test("should give each hook the upload", async function () {
+    const scanned = [];
+    // a hook returning nothing lets the upload through
+    removeHooks.push(
+      addScanHook(async (upload) => {
+        scanned.push(upload);
+      })
+    );
+
+    const resp = await request(app)
+      .post("/logo")
+      .attach("logo", png, { filename: "logo.png", contentType: "image/png" });
+    expect(resp.statusCode).toEqual(200);
+    expect(scanned).toEqual([
+      expect.objectContaining({ kind: "logo", size: png.length, data: png }),
+    ]);
+  });
+
+  test("should reject uploads a hook rejects", async function () {
+    removeHooks.push(
+      addScanHook(async ({ data }) =>
+        data.includes("logo") ? "Virus found: Test-Signature" : undefined
+      )
+    );
+
+    const resp = await request(app)
+      .post("/logo")
+      .attach("logo", png, { filename: "logo.png", contentType: "image/png" });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toEqual(
+      "Upload rejected: Virus found: Test-Signature"
+    );
+  });
+
+  test("should fail if a hook fails", async function () {
+    removeHooks.push(
+      addScanHook(async () => {
+        throw new Error("Scanner down");
+      })
+    );
+
+    const resp = await request(app)
+      .post("/logo")
+      .attach("logo", png, { filename: "logo.png", contentType: "image/png" });
+    expect(resp.statusCode).toEqual(500);
+  });
+
+  test("should stop using removed hooks", async function () {
+    const remove = addScanHook(async () => "Rejected");
+    remove();
+
+    const resp = await request(app)
+      .post("/logo")
+      .attach("logo", png, { filename: "logo.png", contentType: "image/png" });
+    expect(resp.statusCode).toEqual(200);
+  });
+});
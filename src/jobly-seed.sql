@@ -14,6 +14,9 @@ VALUES ('testuser',
         'joel@joelburton.com',
         TRUE);
 
+INSERT INTO user_roles (username, role)
+VALUES ('testuser', 'candidate');
+
 INSERT INTO companies (handle,
                        name,
                        num_employees,
@@ -161,210 +164,232 @@ VALUES ('bauer-gallagher', 'Bauer-Gallagher', 862,
        ('weber-hernandez', 'Weber-Hernandez', 681,
         'Contain product south picture scientist.', '/logos/logo4.png');
 
-INSERT INTO jobs (title, salary, equity, company_handle)
-VALUES ('Conservator, furniture', 110000, 0, 'watson-davis'),
-       ('Information officer', 200000, 0, 'hall-mills'),
-       ('Consulting civil engineer', 60000, 0, 'sellers-bryant'),
-       ('Early years teacher', 55000, 0, 'perez-miller'),
-       ('Intelligence analyst', 77000, 0, 'garner-michael'),
-       ('Surveyor, building', 144000, 0, 'russo-gillespie-conrad'),
-       ('Technical brewer', 157000, 0, 'anderson-arias-morrow'),
-       ('Control and instrumentation engineer', 171000, 0, 'salas-group'),
-       ('Photographer', 198000, 0, 'davis-davis'),
-       ('Multimedia programmer', 192000, 0, 'graham-herring-lane'),
-       ('English as a foreign language teacher', 111000, 0,
+INSERT INTO jobs (title, salary_min, salary_max, equity, company_handle)
+VALUES ('Conservator, furniture', 110000, 110000, 0, 'watson-davis'),
+       ('Information officer', 200000, 200000, 0, 'hall-mills'),
+       ('Consulting civil engineer', 60000, 60000, 0, 'sellers-bryant'),
+       ('Early years teacher', 55000, 55000, 0, 'perez-miller'),
+       ('Intelligence analyst', 77000, 77000, 0, 'garner-michael'),
+       ('Surveyor, building', 144000, 144000, 0, 'russo-gillespie-conrad'),
+       ('Technical brewer', 157000, 157000, 0, 'anderson-arias-morrow'),
+       ('Control and instrumentation engineer', 171000, 171000, 0,
+        'salas-group'),
+       ('Photographer', 198000, 198000, 0, 'davis-davis'),
+       ('Multimedia programmer', 192000, 192000, 0, 'graham-herring-lane'),
+       ('English as a foreign language teacher', 111000, 111000, 0,
         'russo-gillespie-conrad'),
-       ('Passenger transport manager', 70000, 0, 'rivas-llc'),
-       ('Psychologist, clinical', 172000, 0, 'hudson-inc'),
-       ('Financial planner', 115000, 0, 'taylor-yu-lee'),
-       ('Scientist, forensic', 50000, 0, 'foster-rice'),
-       ('Occupational therapist', 183000, 0, 'garcia-ray'),
-       ('Ophthalmologist', 135000, 0, 'hall-mills'),
-       ('Embryologist, clinical', 138000, 0, 'anderson-arias-morrow'),
-       ('Marine scientist', 54000, 0, 'scott-smith'),
-       ('Tourist information centre manager', 88000, 0, 'foster-rice'),
-       ('Interior and spatial designer', 177000, 0, 'gillespie-smith'),
-       ('Surveyor, rural practice', 193000, 0, 'weber-hernandez'),
-       ('Colour technologist', 81000, 0, 'burton-ltd'),
-       ('Technical brewer', 77000, 0, 'thomas-sons'),
-       ('Pharmacist, hospital', 194000, 0, 'boyd-evans'),
-       ('Medical sales representative', 125000, 0, 'jackson-davila-conley'),
-       ('Energy engineer', 62000, 0, 'norman-harvey'),
-       ('Research officer, government', 167000, 0, 'mejia-scott-ryan'),
-       ('Barrister', 130000, 0, 'stone-stewart'),
-       ('Loss adjuster, chartered', 76000, 0, 'bauer-gallagher'),
-       ('Database administrator', 79000, 0, 'willis-henson-miller'),
-       ('IT consultant', 59000, 0, 'gillespie-smith'),
-       ('Museum/gallery conservator', 82000, 0, 'mejia-scott-ryan'),
-       ('Engineering geologist', 170000, 0, 'garcia-ray'),
-       ('Television production assistant', 125000, 0, 'logan-miller'),
-       ('Accountant, chartered certified', 175000, 0, 'stone-stewart'),
-       ('Merchant navy officer', 106000, 0, 'mitchell-brown'),
-       ('Medical physicist', 84000, 0, 'perez-miller'),
-       ('Podiatrist', 68000, NULL, 'reynolds-greene'),
-       ('Nurse, children''s', 162000, NULL, 'humphrey-llc'),
-       ('Teacher, music', 127000, NULL, 'ingram-ferguson-rubio'),
-       ('Occupational hygienist', 79000, NULL, 'reynolds-greene'),
-       ('Research officer, political party', 134000, NULL, 'garner-michael'),
-       ('Therapist, occupational', 82000, NULL, 'mejia-scott-ryan'),
-       ('Teacher, secondary school', 127000, NULL, 'sellers-bryant'),
-       ('Scientist, product/process development', 106000, NULL, 'scott-smith'),
-       ('Astronomer', 143000, NULL, 'watson-davis'),
-       ('Counsellor', NULL, 0, 'owen-newton'),
-       ('Financial controller', NULL, 0, 'sellers-bryant'),
-       ('Advertising account executive', NULL, 0, 'thomas-sons'),
-       ('Buyer, industrial', NULL, NULL, 'reynolds-greene'),
-       ('Interpreter', 55000, 0, 'hudson-inc'),
-       ('Best boy', NULL, 0, 'jackson-sons'),
-       ('Freight forwarder', 183000, 0, 'hudson-inc'),
-       ('Designer, jewellery', NULL, 0, 'weber-hernandez'),
-       ('Tree surgeon', NULL, 0.001, 'hall-davis'),
-       ('Management consultant', 183000, 0, 'edwards-lee-reese'),
-       ('Ergonomist', 160000, 0, 'bauer-gallagher'),
-       ('Psychologist, forensic', 176000, 0, 'boyd-evans'),
-       ('Architectural technologist', 57000, 0, 'owen-newton'),
-       ('Patent attorney', 143000, 0, 'foster-rice'),
-       ('Art gallery manager', NULL, 0.085, 'anderson-arias-morrow'),
-       ('Engineer, chemical', 81000, 0, 'russo-gillespie-conrad'),
-       ('Speech and language therapist', 159000, 0, 'gillespie-smith'),
-       ('Orthoptist', 200000, 0, 'perez-miller'),
-       ('Camera operator', 130000, 0, 'arnold-berger-townsend'),
-       ('Field trials officer', 137000, 0, 'davis-davis'),
-       ('Transport planner', NULL, NULL, 'reynolds-greene'),
-       ('Bonds trader', NULL, NULL, 'mitchell-brown'),
-       ('Editor, magazine features', 118000, 0.002, 'foster-rice'),
-       ('Applications developer', 84000, 0.091, 'sellers-bryant'),
-       ('Clothing/textile technologist', 171000, 0.041, 'smith-llc'),
-       ('Secretary/administrator', 172000, 0.096, 'jackson-sons'),
-       ('Field seismologist', 62000, 0.064, 'martinez-daniels'),
-       ('Engineer, materials', 185000, 0.081, 'garner-michael'),
-       ('Race relations officer', 97000, 0.065, 'bauer-gallagher'),
-       ('Engineering geologist', 89000, 0.043, 'ayala-buchanan'),
-       ('Aeronautical engineer', 135000, 0.078, 'norman-harvey'),
-       ('Development worker, community', 192000, 0.047, 'weber-hernandez'),
-       ('Speech and language therapist', 154000, 0.014, 'humphrey-llc'),
-       ('Health promotion specialist', 72000, 0.010, 'burton-ltd'),
-       ('Careers adviser', 57000, 0.051, 'carr-wells-jones'),
-       ('Surveyor, minerals', 98000, 0.037, 'carr-wells-jones'),
-       ('Forest/woodland manager', 156000, 0.030, 'carr-wells-jones'),
-       ('Haematologist', 63000, 0.062, 'ayala-buchanan'),
-       ('Advertising account executive', 130000, 0.064, 'thomas-sons'),
-       ('Ship broker', 124000, 0.045, 'davis-davis'),
-       ('Fisheries officer', 67000, 0.062, 'hall-davis'),
-       ('Air cabin crew', 105000, 0.077, 'ingram-ferguson-rubio'),
-       ('Financial trader', 153000, 0.012, 'garner-michael'),
-       ('Paramedic', 122000, 0.047, 'baker-santos'),
-       ('Historic buildings inspector/conservation officer', 129000, 0.052,
+       ('Passenger transport manager', 70000, 70000, 0, 'rivas-llc'),
+       ('Psychologist, clinical', 172000, 172000, 0, 'hudson-inc'),
+       ('Financial planner', 115000, 115000, 0, 'taylor-yu-lee'),
+       ('Scientist, forensic', 50000, 50000, 0, 'foster-rice'),
+       ('Occupational therapist', 183000, 183000, 0, 'garcia-ray'),
+       ('Ophthalmologist', 135000, 135000, 0, 'hall-mills'),
+       ('Embryologist, clinical', 138000, 138000, 0, 'anderson-arias-morrow'),
+       ('Marine scientist', 54000, 54000, 0, 'scott-smith'),
+       ('Tourist information centre manager', 88000, 88000, 0, 'foster-rice'),
+       ('Interior and spatial designer', 177000, 177000, 0, 'gillespie-smith'),
+       ('Surveyor, rural practice', 193000, 193000, 0, 'weber-hernandez'),
+       ('Colour technologist', 81000, 81000, 0, 'burton-ltd'),
+       ('Technical brewer', 77000, 77000, 0, 'thomas-sons'),
+       ('Pharmacist, hospital', 194000, 194000, 0, 'boyd-evans'),
+       ('Medical sales representative', 125000, 125000, 0,
+        'jackson-davila-conley'),
+       ('Energy engineer', 62000, 62000, 0, 'norman-harvey'),
+       ('Research officer, government', 167000, 167000, 0, 'mejia-scott-ryan'),
+       ('Barrister', 130000, 130000, 0, 'stone-stewart'),
+       ('Loss adjuster, chartered', 76000, 76000, 0, 'bauer-gallagher'),
+       ('Database administrator', 79000, 79000, 0, 'willis-henson-miller'),
+       ('IT consultant', 59000, 59000, 0, 'gillespie-smith'),
+       ('Museum/gallery conservator', 82000, 82000, 0, 'mejia-scott-ryan'),
+       ('Engineering geologist', 170000, 170000, 0, 'garcia-ray'),
+       ('Television production assistant', 125000, 125000, 0, 'logan-miller'),
+       ('Accountant, chartered certified', 175000, 175000, 0, 'stone-stewart'),
+       ('Merchant navy officer', 106000, 106000, 0, 'mitchell-brown'),
+       ('Medical physicist', 84000, 84000, 0, 'perez-miller'),
+       ('Podiatrist', 68000, 68000, NULL, 'reynolds-greene'),
+       ('Nurse, children''s', 162000, 162000, NULL, 'humphrey-llc'),
+       ('Teacher, music', 127000, 127000, NULL, 'ingram-ferguson-rubio'),
+       ('Occupational hygienist', 79000, 79000, NULL, 'reynolds-greene'),
+       ('Research officer, political party', 134000, 134000, NULL,
+        'garner-michael'),
+       ('Therapist, occupational', 82000, 82000, NULL, 'mejia-scott-ryan'),
+       ('Teacher, secondary school', 127000, 127000, NULL, 'sellers-bryant'),
+       ('Scientist, product/process development', 106000, 106000, NULL,
+        'scott-smith'),
+       ('Astronomer', 143000, 143000, NULL, 'watson-davis'),
+       ('Counsellor', NULL, NULL, 0, 'owen-newton'),
+       ('Financial controller', NULL, NULL, 0, 'sellers-bryant'),
+       ('Advertising account executive', NULL, NULL, 0, 'thomas-sons'),
+       ('Buyer, industrial', NULL, NULL, NULL, 'reynolds-greene'),
+       ('Interpreter', 55000, 55000, 0, 'hudson-inc'),
+       ('Best boy', NULL, NULL, 0, 'jackson-sons'),
+       ('Freight forwarder', 183000, 183000, 0, 'hudson-inc'),
+       ('Designer, jewellery', NULL, NULL, 0, 'weber-hernandez'),
+       ('Tree surgeon', NULL, NULL, 0.001, 'hall-davis'),
+       ('Management consultant', 183000, 183000, 0, 'edwards-lee-reese'),
+       ('Ergonomist', 160000, 160000, 0, 'bauer-gallagher'),
+       ('Psychologist, forensic', 176000, 176000, 0, 'boyd-evans'),
+       ('Architectural technologist', 57000, 57000, 0, 'owen-newton'),
+       ('Patent attorney', 143000, 143000, 0, 'foster-rice'),
+       ('Art gallery manager', NULL, NULL, 0.085, 'anderson-arias-morrow'),
+       ('Engineer, chemical', 81000, 81000, 0, 'russo-gillespie-conrad'),
+       ('Speech and language therapist', 159000, 159000, 0, 'gillespie-smith'),
+       ('Orthoptist', 200000, 200000, 0, 'perez-miller'),
+       ('Camera operator', 130000, 130000, 0, 'arnold-berger-townsend'),
+       ('Field trials officer', 137000, 137000, 0, 'davis-davis'),
+       ('Transport planner', NULL, NULL, NULL, 'reynolds-greene'),
+       ('Bonds trader', NULL, NULL, NULL, 'mitchell-brown'),
+       ('Editor, magazine features', 118000, 118000, 0.002, 'foster-rice'),
+       ('Applications developer', 84000, 84000, 0.091, 'sellers-bryant'),
+       ('Clothing/textile technologist', 171000, 171000, 0.041, 'smith-llc'),
+       ('Secretary/administrator', 172000, 172000, 0.096, 'jackson-sons'),
+       ('Field seismologist', 62000, 62000, 0.064, 'martinez-daniels'),
+       ('Engineer, materials', 185000, 185000, 0.081, 'garner-michael'),
+       ('Race relations officer', 97000, 97000, 0.065, 'bauer-gallagher'),
+       ('Engineering geologist', 89000, 89000, 0.043, 'ayala-buchanan'),
+       ('Aeronautical engineer', 135000, 135000, 0.078, 'norman-harvey'),
+       ('Development worker, community', 192000, 192000, 0.047,
+        'weber-hernandez'),
+       ('Speech and language therapist', 154000, 154000, 0.014, 'humphrey-llc'),
+       ('Health promotion specialist', 72000, 72000, 0.010, 'burton-ltd'),
+       ('Careers adviser', 57000, 57000, 0.051, 'carr-wells-jones'),
+       ('Surveyor, minerals', 98000, 98000, 0.037, 'carr-wells-jones'),
+       ('Forest/woodland manager', 156000, 156000, 0.030, 'carr-wells-jones'),
+       ('Haematologist', 63000, 63000, 0.062, 'ayala-buchanan'),
+       ('Advertising account executive', 130000, 130000, 0.064, 'thomas-sons'),
+       ('Ship broker', 124000, 124000, 0.045, 'davis-davis'),
+       ('Fisheries officer', 67000, 67000, 0.062, 'hall-davis'),
+       ('Air cabin crew', 105000, 105000, 0.077, 'ingram-ferguson-rubio'),
+       ('Financial trader', 153000, 153000, 0.012, 'garner-michael'),
+       ('Paramedic', 122000, 122000, 0.047, 'baker-santos'),
+       ('Historic buildings inspector/conservation officer',
+        129000, 129000, 0.052,
         'watson-davis'),
-       ('Transport planner', 123000, 0.091, 'hudson-inc'),
-       ('Public librarian', 115000, 0.099, 'norman-harvey'),
-       ('Writer', 172000, 0.091, 'anderson-arias-morrow'),
-       ('Designer, fashion/clothing', 81000, 0.026, 'garcia-ray'),
-       ('Information systems manager', 123000, 0.100, 'arnold-berger-townsend'),
-       ('Art gallery manager', 73000, 0.054, 'perez-miller'),
-       ('Operational researcher', 167000, 0.020, 'ayala-buchanan'),
-       ('Solicitor', 131000, 0.034, 'wiggins-frederick-boyer'),
-       ('Intelligence analyst', 148000, 0, 'sellers-bryant'),
-       ('Naval architect', 126000, 0, 'scott-smith'),
-       ('Dealer', 175000, 0, 'hall-mills'),
-       ('Multimedia programmer', 154000, NULL, 'owen-newton'),
-       ('Psychologist, occupational', 190000, NULL, 'robbins-marsh-martin'),
-       ('Leisure centre manager', 135000, NULL, 'edwards-lee-reese'),
-       ('Television production assistant', 99000, NULL, 'edwards-lee-reese'),
-       ('Historic buildings inspector/conservation officer', 135000, NULL,
+       ('Transport planner', 123000, 123000, 0.091, 'hudson-inc'),
+       ('Public librarian', 115000, 115000, 0.099, 'norman-harvey'),
+       ('Writer', 172000, 172000, 0.091, 'anderson-arias-morrow'),
+       ('Designer, fashion/clothing', 81000, 81000, 0.026, 'garcia-ray'),
+       ('Information systems manager', 123000, 123000, 0.100,
+        'arnold-berger-townsend'),
+       ('Art gallery manager', 73000, 73000, 0.054, 'perez-miller'),
+       ('Operational researcher', 167000, 167000, 0.020, 'ayala-buchanan'),
+       ('Solicitor', 131000, 131000, 0.034, 'wiggins-frederick-boyer'),
+       ('Intelligence analyst', 148000, 148000, 0, 'sellers-bryant'),
+       ('Naval architect', 126000, 126000, 0, 'scott-smith'),
+       ('Dealer', 175000, 175000, 0, 'hall-mills'),
+       ('Multimedia programmer', 154000, 154000, NULL, 'owen-newton'),
+       ('Psychologist, occupational', 190000, 190000, NULL,
+        'robbins-marsh-martin'),
+       ('Leisure centre manager', 135000, 135000, NULL, 'edwards-lee-reese'),
+       ('Television production assistant', 99000, 99000, NULL,
+        'edwards-lee-reese'),
+       ('Historic buildings inspector/conservation officer',
+        135000, 135000, NULL,
         'rivas-llc'),
-       ('Sports development officer', 102000, NULL, 'scott-smith'),
-       ('Investment banker, corporate', 131000, NULL, 'ingram-ferguson-rubio'),
-       ('Conservation officer, historic buildings', 168000, NULL,
+       ('Sports development officer', 102000, 102000, NULL, 'scott-smith'),
+       ('Investment banker, corporate', 131000, 131000, NULL,
+        'ingram-ferguson-rubio'),
+       ('Conservation officer, historic buildings', 168000, 168000, NULL,
         'robbins-marsh-martin'),
-       ('Physicist, medical', 190000, NULL, 'humphrey-llc'),
-       ('Press sub', 100000, NULL, 'erickson-inc'),
-       ('Engineer, civil (contracting)', NULL, 0.018, 'moore-plc'),
-       ('Therapist, music', 103000, 0.087, 'reynolds-greene'),
-       ('Water engineer', NULL, 0.028, 'mejia-scott-ryan'),
-       ('Engineer, energy', NULL, 0.048, 'arnold-berger-townsend'),
-       ('Plant breeder/geneticist', NULL, 0.081, 'thomas-sons'),
-       ('Oceanographer', NULL, 0.097, 'anderson-arias-morrow'),
-       ('Clinical cytogeneticist', 152000, 0.027, 'mitchell-brown'),
-       ('Nature conservation officer', 82000, 0.093, 'watson-davis'),
-       ('Insurance underwriter', NULL, 0.008, 'hall-davis'),
-       ('Chief of Staff', 110000, 0.016, 'scott-smith'),
-       ('Surveyor, insurance', NULL, 0.066, 'foster-rice'),
-       ('Surveyor, building control', NULL, NULL, 'reynolds-greene'),
-       ('Trade mark attorney', NULL, NULL, 'mueller-moore'),
-       ('Glass blower/designer', 126000, 0.099, 'anderson-arias-morrow'),
-       ('Geochemist', 130000, 0.004, 'smith-llc'),
-       ('Scientist, research (physical sciences)', 117000, 0.090,
+       ('Physicist, medical', 190000, 190000, NULL, 'humphrey-llc'),
+       ('Press sub', 100000, 100000, NULL, 'erickson-inc'),
+       ('Engineer, civil (contracting)', NULL, NULL, 0.018, 'moore-plc'),
+       ('Therapist, music', 103000, 103000, 0.087, 'reynolds-greene'),
+       ('Water engineer', NULL, NULL, 0.028, 'mejia-scott-ryan'),
+       ('Engineer, energy', NULL, NULL, 0.048, 'arnold-berger-townsend'),
+       ('Plant breeder/geneticist', NULL, NULL, 0.081, 'thomas-sons'),
+       ('Oceanographer', NULL, NULL, 0.097, 'anderson-arias-morrow'),
+       ('Clinical cytogeneticist', 152000, 152000, 0.027, 'mitchell-brown'),
+       ('Nature conservation officer', 82000, 82000, 0.093, 'watson-davis'),
+       ('Insurance underwriter', NULL, NULL, 0.008, 'hall-davis'),
+       ('Chief of Staff', 110000, 110000, 0.016, 'scott-smith'),
+       ('Surveyor, insurance', NULL, NULL, 0.066, 'foster-rice'),
+       ('Surveyor, building control', NULL, NULL, NULL, 'reynolds-greene'),
+       ('Trade mark attorney', NULL, NULL, NULL, 'mueller-moore'),
+       ('Glass blower/designer', 126000, 126000, 0.099,
+        'anderson-arias-morrow'),
+       ('Geochemist', 130000, 130000, 0.004, 'smith-llc'),
+       ('Scientist, research (physical sciences)', 117000, 117000, 0.090,
         'ayala-buchanan'),
-       ('Historic buildings inspector/conservation officer', 65000, 0.075,
+       ('Historic buildings inspector/conservation officer',
+        65000, 65000, 0.075,
         'mejia-scott-ryan'),
-       ('Surveyor, insurance', 130000, 0.009, 'martinez-daniels'),
-       ('Contractor', 89000, 0.065, 'mueller-moore'),
-       ('Hydrologist', 50000, 0.097, 'wiggins-frederick-boyer'),
-       ('Aeronautical engineer', 156000, 0.055, 'perez-miller'),
-       ('Freight forwarder', 183000, 0.093, 'burton-ltd'),
-       ('Engineer, materials', 140000, 0.057, 'mitchell-brown'),
-       ('Product designer', 184000, 0.090, 'gillespie-smith'),
-       ('Editor, film/video', 199000, 0.070, 'bauer-gallagher'),
-       ('Fashion designer', 131000, 0.080, 'taylor-yu-lee'),
-       ('Legal secretary', 155000, 0.080, 'pugh-ltd'),
-       ('Financial risk analyst', 72000, 0.001, 'scott-smith'),
-       ('Regulatory affairs officer', 96000, 0.061, 'logan-miller'),
-       ('Ranger/warden', 86000, 0.095, 'ayala-buchanan'),
-       ('Farm manager', 138000, 0.085, 'stone-stewart'),
-       ('Primary school teacher', 142000, 0.036, 'moore-plc'),
-       ('Quality manager', 138000, 0.002, 'russo-gillespie-conrad'),
-       ('Radio producer', 99000, 0.038, 'mitchell-brown'),
-       ('Music therapist', 100000, 0.058, 'taylor-yu-lee'),
-       ('Farm manager', 68000, 0.049, 'morgan-sullivan'),
-       ('Camera operator', 51000, 0.066, 'jackson-davila-conley'),
-       ('Engineer, technical sales', 167000, 0.077, 'ingram-ferguson-rubio'),
-       ('Ranger/warden', 145000, 0.046, 'jackson-davila-conley'),
-       ('Lawyer', 162000, 0.072, 'hall-mills'),
-       ('Estate manager/land agent', 94000, 0.008, 'jackson-davila-conley'),
-       ('Orthoptist', 129000, 0.062, 'willis-henson-miller'),
-       ('Recycling officer', 57000, 0.098, 'carr-wells-jones'),
-       ('Scientist, research (life sciences)', 157000, 0.057, 'ayala-buchanan'),
-       ('Armed forces technical officer', 136000, 0.012, 'scott-smith'),
-       ('Public relations officer', 112000, 0.087, 'weber-hernandez'),
-       ('Set designer', 132000, 0.055, 'russo-gillespie-conrad'),
-       ('Accountant, chartered certified', 86000, 0.070, 'boyd-evans'),
-       ('Special effects artist', 101000, 0.023, 'willis-henson-miller'),
-       ('Glass blower/designer', 60000, 0.095, 'mueller-moore'),
-       ('Print production planner', 197000, 0.095, 'humphrey-llc'),
-       ('Psychologist, counselling', 180000, 0.008, 'perez-miller'),
-       ('Meteorologist', 81000, 0.037, 'sellers-bryant'),
-       ('Therapist, drama', 200000, 0.095, 'hall-mills'),
-       ('Engineer, technical sales', 157000, 0.083, 'baker-santos'),
-       ('Scientist, audiological', 61000, 0.095, 'foster-rice'),
-       ('Dietitian', 198000, 0, 'ayala-buchanan'),
-       ('Electrical engineer', 157000, NULL, 'jackson-davila-conley'),
-       ('Agricultural consultant', 67000, NULL, 'moore-plc'),
-       ('Geochemist', 104000, NULL, 'hudson-inc'),
-       ('Geologist, engineering', 116000, NULL, 'jackson-davila-conley'),
-       ('Clinical biochemist', 92000, NULL, 'norman-harvey'),
-       ('Probation officer', 128000, NULL, 'foster-rice'),
-       ('Chief Executive Officer', 83000, NULL, 'miller-woods-hernandez'),
-       ('Surveyor, building', 144000, 0.007, 'salas-group'),
-       ('Engineer, water', 165000, 0.010, 'ingram-ferguson-rubio'),
-       ('Psychologist, counselling', 111000, 0.059, 'taylor-yu-lee'),
-       ('Astronomer', 55000, 0.074, 'martinez-daniels'),
-       ('Medical physicist', 110000, 0.015, 'mitchell-brown'),
-       ('Chief Technology Officer', 64000, 0.067, 'robbins-marsh-martin'),
-       ('Arboriculturist', 191000, 0.062, 'salas-group'),
-       ('Conservation officer, nature', 108000, 0.006, 'jackson-davila-conley'),
-       ('Psychologist, sport and exercise', 172000, 0.061, 'ayala-buchanan'),
-       ('Designer, furniture', 149000, 0.041, 'mueller-moore'),
-       ('Chartered loss adjuster', 72000, 0.084, 'davis-davis'),
-       ('Producer, radio', 168000, 0.010, 'salas-group'),
-       ('Operational investment banker', 200000, 0.022, 'smith-llc'),
-       ('Surveyor, quantity', 72000, 0.071, 'mejia-scott-ryan'),
-       ('Ship broker', 177000, 0, 'hall-davis'),
-       ('Bookseller', 164000, 0, 'reynolds-greene'),
-       ('Medical sales representative', 196000, 0, 'hall-mills'),
-       ('Copy', 103000, 0, 'foster-rice'),
-       ('Engineer, broadcasting (operations)', 86000, 0, 'baker-santos'),
-       ('Fashion designer', 137000, 0, 'reynolds-greene'),
-       ('Learning disability nurse', 66000, NULL, 'ayala-buchanan'),
-       ('Research scientist (medical)', 175000, NULL, 'norman-harvey'),
-       ('Accommodation manager', 126000, NULL, 'mejia-scott-ryan');
+       ('Surveyor, insurance', 130000, 130000, 0.009, 'martinez-daniels'),
+       ('Contractor', 89000, 89000, 0.065, 'mueller-moore'),
+       ('Hydrologist', 50000, 50000, 0.097, 'wiggins-frederick-boyer'),
+       ('Aeronautical engineer', 156000, 156000, 0.055, 'perez-miller'),
+       ('Freight forwarder', 183000, 183000, 0.093, 'burton-ltd'),
+       ('Engineer, materials', 140000, 140000, 0.057, 'mitchell-brown'),
+       ('Product designer', 184000, 184000, 0.090, 'gillespie-smith'),
+       ('Editor, film/video', 199000, 199000, 0.070, 'bauer-gallagher'),
+       ('Fashion designer', 131000, 131000, 0.080, 'taylor-yu-lee'),
+       ('Legal secretary', 155000, 155000, 0.080, 'pugh-ltd'),
+       ('Financial risk analyst', 72000, 72000, 0.001, 'scott-smith'),
+       ('Regulatory affairs officer', 96000, 96000, 0.061, 'logan-miller'),
+       ('Ranger/warden', 86000, 86000, 0.095, 'ayala-buchanan'),
+       ('Farm manager', 138000, 138000, 0.085, 'stone-stewart'),
+       ('Primary school teacher', 142000, 142000, 0.036, 'moore-plc'),
+       ('Quality manager', 138000, 138000, 0.002, 'russo-gillespie-conrad'),
+       ('Radio producer', 99000, 99000, 0.038, 'mitchell-brown'),
+       ('Music therapist', 100000, 100000, 0.058, 'taylor-yu-lee'),
+       ('Farm manager', 68000, 68000, 0.049, 'morgan-sullivan'),
+       ('Camera operator', 51000, 51000, 0.066, 'jackson-davila-conley'),
+       ('Engineer, technical sales', 167000, 167000, 0.077,
+        'ingram-ferguson-rubio'),
+       ('Ranger/warden', 145000, 145000, 0.046, 'jackson-davila-conley'),
+       ('Lawyer', 162000, 162000, 0.072, 'hall-mills'),
+       ('Estate manager/land agent', 94000, 94000, 0.008,
+        'jackson-davila-conley'),
+       ('Orthoptist', 129000, 129000, 0.062, 'willis-henson-miller'),
+       ('Recycling officer', 57000, 57000, 0.098, 'carr-wells-jones'),
+       ('Scientist, research (life sciences)', 157000, 157000, 0.057,
+        'ayala-buchanan'),
+       ('Armed forces technical officer', 136000, 136000, 0.012, 'scott-smith'),
+       ('Public relations officer', 112000, 112000, 0.087, 'weber-hernandez'),
+       ('Set designer', 132000, 132000, 0.055, 'russo-gillespie-conrad'),
+       ('Accountant, chartered certified', 86000, 86000, 0.070, 'boyd-evans'),
+       ('Special effects artist', 101000, 101000, 0.023,
+        'willis-henson-miller'),
+       ('Glass blower/designer', 60000, 60000, 0.095, 'mueller-moore'),
+       ('Print production planner', 197000, 197000, 0.095, 'humphrey-llc'),
+       ('Psychologist, counselling', 180000, 180000, 0.008, 'perez-miller'),
+       ('Meteorologist', 81000, 81000, 0.037, 'sellers-bryant'),
+       ('Therapist, drama', 200000, 200000, 0.095, 'hall-mills'),
+       ('Engineer, technical sales', 157000, 157000, 0.083, 'baker-santos'),
+       ('Scientist, audiological', 61000, 61000, 0.095, 'foster-rice'),
+       ('Dietitian', 198000, 198000, 0, 'ayala-buchanan'),
+       ('Electrical engineer', 157000, 157000, NULL, 'jackson-davila-conley'),
+       ('Agricultural consultant', 67000, 67000, NULL, 'moore-plc'),
+       ('Geochemist', 104000, 104000, NULL, 'hudson-inc'),
+       ('Geologist, engineering', 116000, 116000, NULL,
+        'jackson-davila-conley'),
+       ('Clinical biochemist', 92000, 92000, NULL, 'norman-harvey'),
+       ('Probation officer', 128000, 128000, NULL, 'foster-rice'),
+       ('Chief Executive Officer', 83000, 83000, NULL,
+        'miller-woods-hernandez'),
+       ('Surveyor, building', 144000, 144000, 0.007, 'salas-group'),
+       ('Engineer, water', 165000, 165000, 0.010, 'ingram-ferguson-rubio'),
+       ('Psychologist, counselling', 111000, 111000, 0.059, 'taylor-yu-lee'),
+       ('Astronomer', 55000, 55000, 0.074, 'martinez-daniels'),
+       ('Medical physicist', 110000, 110000, 0.015, 'mitchell-brown'),
+       ('Chief Technology Officer', 64000, 64000, 0.067,
+        'robbins-marsh-martin'),
+       ('Arboriculturist', 191000, 191000, 0.062, 'salas-group'),
+       ('Conservation officer, nature', 108000, 108000, 0.006,
+        'jackson-davila-conley'),
+       ('Psychologist, sport and exercise', 172000, 172000, 0.061,
+        'ayala-buchanan'),
+       ('Designer, furniture', 149000, 149000, 0.041, 'mueller-moore'),
+       ('Chartered loss adjuster', 72000, 72000, 0.084, 'davis-davis'),
+       ('Producer, radio', 168000, 168000, 0.010, 'salas-group'),
+       ('Operational investment banker', 200000, 200000, 0.022, 'smith-llc'),
+       ('Surveyor, quantity', 72000, 72000, 0.071, 'mejia-scott-ryan'),
+       ('Ship broker', 177000, 177000, 0, 'hall-davis'),
+       ('Bookseller', 164000, 164000, 0, 'reynolds-greene'),
+       ('Medical sales representative', 196000, 196000, 0, 'hall-mills'),
+       ('Copy', 103000, 103000, 0, 'foster-rice'),
+       ('Engineer, broadcasting (operations)', 86000, 86000, 0, 'baker-santos'),
+       ('Fashion designer', 137000, 137000, 0, 'reynolds-greene'),
+       ('Learning disability nurse', 66000, 66000, NULL, 'ayala-buchanan'),
+       ('Research scientist (medical)', 175000, 175000, NULL, 'norman-harvey'),
+       ('Accommodation manager', 126000, 126000, NULL, 'mejia-scott-ryan');
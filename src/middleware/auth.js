@@ -5,21 +5,30 @@
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
 const { UnauthorizedError } = require("../expressError");
+const TokenRevocation = require("../models/tokenRevocation");
+const Role = require("../models/role");
 
 /** Middleware: Authenticate user.
  *
- * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * If a token was provided, verify it, and, if valid and not revoked, store the
+ * token payload on res.locals (this will include the username and isAdmin
+ * field), along with the user's current roles and permissions.
  *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
   try {
     const authHeader = req.headers && req.headers.authorization;
     if (authHeader) {
       const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+      const payload = jwt.verify(token, SECRET_KEY);
+      if (!(await TokenRevocation.isRevoked(payload))) {
+        const { roles, permissions, companyPermissions } = await Role.forUser(
+          payload.username
+        );
+        res.locals.user = { ...payload, roles, permissions, companyPermissions };
+      }
     }
     return next();
   } catch (err) {
@@ -41,43 +50,114 @@ function ensureLoggedIn(req, res, next) {
   }
 }
 
-/** Middleware to use when they must be an admin.
+/** Return whether user has permission, either everywhere or (if a company
+ * handle is given) within that company.
+ */
+
+function hasPermission(user, permission, companyHandle) {
+  if (!user) return false;
+  if (user.permissions.includes(permission)) return true;
+
+  const companyPermissions =
+    companyHandle !== undefined && user.companyPermissions[companyHandle];
+  return !!companyPermissions && companyPermissions.includes(permission);
+}
+
+/** Middleware factory: user must have the given permission.
  *
  * If not, raises Unauthorized.
  */
 
-function ensureAdmin(req, res, next) {
-  try {
-    const user = res.locals.user;
-    console.log("USER", user);
-    if (!res.locals.user.isAdmin || !res.locals.user)
-      throw new UnauthorizedError("Not an admin");
-    return next();
-  } catch (err) {
-    return next(err);
-  }
+function ensurePermission(permission) {
+  return function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!(user && user.permissions.includes(permission))) {
+        throw new UnauthorizedError(`Missing permission: ${permission}`);
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
 }
 
-/** Middleware to use when user must be admin and match username in the route param
+/** Middleware factory: user must match username in the route param, or have
+ * the given permission.
  *
- *  If not, raises Unauthorized.
+ * If not, raises Unauthorized.
  */
 
-function ensureValidUserOrAdmin(req, res, next) {
-  try {
-    const user = res.locals.user;
-    if (!(user && (user.isAdmin || user.username === req.params.username))) {
-      throw new UnauthorizedError("Not a valid user or admin");
+function ensureSelfOrPermission(permission) {
+  return function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (
+        !(
+          user &&
+          (user.username === req.params.username ||
+            user.permissions.includes(permission))
+        )
+      ) {
+        throw new UnauthorizedError("Not a valid user or missing permission");
+      }
+      return next();
+    } catch (err) {
+      return next(err);
     }
-    return next();
-  } catch (err) {
-    return next(err);
-  }
+  };
+}
+
+/** Middleware factory: user must have the given permission, everywhere or
+ * within the company the request is about.
+ *
+ * findCompanyHandle(req) returns (or resolves to) that company's handle; it's
+ * only called for users without the permission everywhere.
+ *
+ * If not, raises Unauthorized.
+ */
+
+function ensureCompanyPermission(permission, findCompanyHandle) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError("Not logged in");
+      if (
+        !user.permissions.includes(permission) &&
+        !hasPermission(user, permission, await findCompanyHandle(req))
+      ) {
+        throw new UnauthorizedError(`Missing permission: ${permission}`);
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Middleware factory: user must match username in the route param, or have
+ * the given permission everywhere or within the company the request is about
+ * (see ensureCompanyPermission).
+ *
+ * If not, raises Unauthorized.
+ */
+
+function ensureSelfOrCompanyPermission(permission, findCompanyHandle) {
+  const ensureCompany = ensureCompanyPermission(permission, findCompanyHandle);
+
+  return function (req, res, next) {
+    const user = res.locals.user;
+    if (user && user.username === req.params.username) return next();
+    return ensureCompany(req, res, next);
+  };
 }
 
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
-  ensureAdmin,
-  ensureValidUserOrAdmin,
+  hasPermission,
+  ensurePermission,
+  ensureSelfOrPermission,
+  ensureCompanyPermission,
+  ensureSelfOrCompanyPermission,
 };
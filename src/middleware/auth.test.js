@@ -1,50 +1,131 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
+const db = require("../db.js");
 const { UnauthorizedError } = require("../expressError");
-const { authenticateJWT, ensureLoggedIn } = require("./auth");
+const {
+  authenticateJWT,
+  ensureLoggedIn,
+  hasPermission,
+  ensurePermission,
+  ensureSelfOrPermission,
+  ensureCompanyPermission,
+  ensureSelfOrCompanyPermission,
+} = require("./auth");
+const TokenRevocation = require("../models/tokenRevocation");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
 
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
-const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const testPayload = { username: "u1", isAdmin: false, tokenVersion: 0 };
+const testJwt = jwt.sign(testPayload, SECRET_KEY, { jwtid: "test-jti" });
+const badJwt = jwt.sign(testPayload, "wrong");
+const expiredJwt = jwt.sign(
+  { ...testPayload, exp: Math.floor(Date.now() / 1000) - 60 },
+  SECRET_KEY
+);
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
 
 describe("when authenticating with JWT", function () {
-  test("should work via the header", function () {
+  test("should work via the header", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${testJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect({
       user: {
         iat: expect.any(Number),
-        username: "test",
+        jti: "test-jti",
+        username: "u1",
         isAdmin: false,
+        tokenVersion: 0,
+        roles: [],
+        permissions: [],
+        companyPermissions: {},
       },
     }).toEqual(res.locals);
   });
 
-  test("should work without the header", function () {
+  test("should work without the header", async function () {
     expect.assertions(2);
     const req = {};
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect({}).toEqual(res.locals);
   });
 
-  test("should not work with an invalid token", function () {
+  test("should not work with an invalid token", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect({}).toEqual(res.locals);
+  });
+
+  test("should not work with an expired token", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect({}).toEqual(res.locals);
+  });
+
+  test("should not work with a revoked token", async function () {
+    expect.assertions(2);
+    await TokenRevocation.revoke({
+      jti: "test-jti",
+      exp: Math.floor(Date.now() / 1000) + 60,
+    });
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect({}).toEqual(res.locals);
+  });
+
+  test("should not work with an outdated token version", async function () {
+    expect.assertions(2);
+    await TokenRevocation.revokeAll("u1");
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect({}).toEqual(res.locals);
+  });
+
+  test("should not work for a user that no longer exists", async function () {
+    expect.assertions(2);
+    await db.query("DELETE FROM users WHERE username = 'u1'");
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
     expect({}).toEqual(res.locals);
   });
 });
@@ -70,3 +151,149 @@ describe("when verifying login with ensureLoggedIn", function () {
     ensureLoggedIn(req, res, next);
   });
 });
+
+describe("when checking permissions with ensurePermission", function () {
+  test("should allow users with the permission", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = {
+      locals: { user: { username: "test", permissions: ["jobs:write"] } },
+    };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensurePermission("jobs:write")(req, res, next);
+  });
+
+  test("should reject users without the permission", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = {
+      locals: { user: { username: "test", permissions: ["users:read"] } },
+    };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensurePermission("jobs:write")(req, res, next);
+  });
+
+  test("should reject anon", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensurePermission("jobs:write")(req, res, next);
+  });
+});
+
+describe("when checking with ensureSelfOrPermission", function () {
+  test("should allow the same user", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", permissions: [] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureSelfOrPermission("users:read")(req, res, next);
+  });
+
+  test("should allow other users with the permission", function () {
+    expect.assertions(1);
+    const req = { params: { username: "other" } };
+    const res = {
+      locals: { user: { username: "test", permissions: ["users:read"] } },
+    };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureSelfOrPermission("users:read")(req, res, next);
+  });
+
+  test("should reject other users without the permission", function () {
+    expect.assertions(1);
+    const req = { params: { username: "other" } };
+    const res = { locals: { user: { username: "test", permissions: [] } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureSelfOrPermission("users:read")(req, res, next);
+  });
+});
+
+describe("when checking company permissions", function () {
+  const recruiter = {
+    username: "test",
+    permissions: [],
+    companyPermissions: { c1: ["jobs:write"] },
+  };
+  const findC1 = async () => "c1";
+  const findC2 = async () => "c2";
+
+  test("hasPermission should check everywhere and within the company",
+    function () {
+      const admin = { permissions: ["jobs:write"], companyPermissions: {} };
+      expect(hasPermission(admin, "jobs:write", "c2")).toEqual(true);
+      expect(hasPermission(recruiter, "jobs:write", "c1")).toEqual(true);
+      expect(hasPermission(recruiter, "jobs:write", "c2")).toEqual(false);
+      expect(hasPermission(recruiter, "jobs:write")).toEqual(false);
+      expect(hasPermission(undefined, "jobs:write", "c1")).toEqual(false);
+    });
+
+  test("should allow members with the permission", async function () {
+    expect.assertions(1);
+    const res = { locals: { user: recruiter } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await ensureCompanyPermission("jobs:write", findC1)({}, res, next);
+  });
+
+  test("should reject other companies", async function () {
+    expect.assertions(1);
+    const res = { locals: { user: recruiter } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await ensureCompanyPermission("jobs:write", findC2)({}, res, next);
+  });
+
+  test("should reject anon without looking up the company",
+    async function () {
+      expect.assertions(2);
+      const findCompany = jest.fn(findC1);
+      const next = function (err) {
+        expect(err instanceof UnauthorizedError).toBeTruthy();
+      };
+      await ensureCompanyPermission("jobs:write", findCompany)(
+        {}, { locals: {} }, next
+      );
+      expect(findCompany).not.toHaveBeenCalled();
+    });
+
+  test("should pass on errors finding the company", async function () {
+    expect.assertions(1);
+    const res = { locals: { user: recruiter } };
+    const failure = new Error("nope");
+    const next = function (err) {
+      expect(err).toBe(failure);
+    };
+    await ensureCompanyPermission("jobs:write", async () => {
+      throw failure;
+    })({}, res, next);
+  });
+
+  test("ensureSelfOrCompanyPermission should allow the same user",
+    async function () {
+      expect.assertions(1);
+      const req = { params: { username: "test" } };
+      const res = { locals: { user: recruiter } };
+      const next = function (err) {
+        expect(err).toBeFalsy();
+      };
+      await ensureSelfOrCompanyPermission("applications:read", findC2)(
+        req, res, next
+      );
+    });
+});
@@ -0,0 +1,266 @@
+"use strict";
+
+/** Schema migrations for jobly.
+ *
+ * Each migration is a pair of files in src/migrations:
+ *   0002_add_widgets.up.sql    applies the change
+ *   0002_add_widgets.down.sql  undoes it
+ * and is identified by its number, its version. The versions applied to a
+ * database are recorded in its schema_migrations table.
+ *
+ * From the command line:
+ *   node src/migrate.js up [version]     apply pending migrations (up to
+ *                                        version, if given)
+ *   node src/migrate.js down [steps]     undo the latest migration (or the
+ *                                        latest steps of them)
+ *   node src/migrate.js status           list migrations and whether each
+ *                                        has been applied
+ *   node src/migrate.js baseline version record migrations up to version as
+ *                                        applied without running them, for a
+ *                                        database made before migrations
+ */
+
+const fs = require("fs");
+const path = require("path");
+const db = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATIONS_TABLE = "schema_migrations";
+
+const FILENAME_PATTERN = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+// Only one process migrates a database at a time
+const LOCK_ID = 31337;
+
+/** Read the migrations in dir.
+ *
+ * Returns [{ version, name, up, down }, ...] in version order, where up and
+ * down are the SQL to run.
+ *
+ * Throws an error if a migration is missing its up or down file, or two share
+ * a version.
+ */
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const filename of fs.readdirSync(dir)) {
+    const match = FILENAME_PATTERN.exec(filename);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Two migrations numbered ${version}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, filename), "utf8");
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort(
+    (a, b) => Number(a.version) - Number(b.version)
+  );
+  for (const migration of migrations) {
+    if (migration.up === undefined || migration.down === undefined) {
+      throw new Error(
+        `Migration ${migration.version}_${migration.name} needs both an ` +
+          `up and a down file`
+      );
+    }
+  }
+  return migrations;
+}
+
+/** Run fn(applied) in a transaction, holding the migration lock, where
+ * applied is a Map of version => appliedAt for the migrations already run.
+ */
+
+async function withMigrationLock(table, fn) {
+  return await db.withTransaction(async () => {
+    await db.query(`SELECT pg_advisory_xact_lock(${LOCK_ID})`);
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS ${table} (
+         version TEXT PRIMARY KEY,
+         name TEXT NOT NULL,
+         applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+       )`
+    );
+
+    const result = await db.query(
+      `SELECT version, applied_at AS "appliedAt" FROM ${table}`
+    );
+    const applied = new Map(result.rows.map((r) => [r.version, r.appliedAt]));
+
+    return await fn(applied);
+  });
+}
+
+/** Apply every pending migration, oldest first, or only those up to version.
+ *
+ * Migrations run in one transaction: if any fails, none are applied.
+ *
+ * Returns [{ version, name }, ...] for the migrations applied.
+ */
+
+async function up({
+  to,
+  dir = MIGRATIONS_DIR,
+  table = MIGRATIONS_TABLE,
+} = {}) {
+  const migrations = loadMigrations(dir);
+
+  return await withMigrationLock(table, async (applied) => {
+    const pending = migrations.filter(
+      (m) =>
+        !applied.has(m.version) &&
+        (to === undefined || Number(m.version) <= Number(to))
+    );
+
+    for (const migration of pending) {
+      await db.query(migration.up);
+      await db.query(`INSERT INTO ${table} (version, name) VALUES ($1, $2)`, [
+        migration.version,
+        migration.name,
+      ]);
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/** Undo the latest applied migrations: the last one, or the last steps.
+ *
+ * Returns [{ version, name }, ...] for the migrations undone, newest first.
+ *
+ * Throws an error if an applied migration's files are missing.
+ */
+
+async function down({
+  steps = 1,
+  dir = MIGRATIONS_DIR,
+  table = MIGRATIONS_TABLE,
+} = {}) {
+  const migrations = loadMigrations(dir);
+
+  return await withMigrationLock(table, async (applied) => {
+    const latest = [...applied.keys()]
+      .sort((a, b) => Number(b) - Number(a))
+      .slice(0, steps);
+
+    const undone = [];
+    for (const version of latest) {
+      const migration = migrations.find((m) => m.version === version);
+      if (!migration) throw new Error(`No files for migration ${version}`);
+
+      await db.query(migration.down);
+      await db.query(`DELETE FROM ${table} WHERE version = $1`, [version]);
+      undone.push({ version, name: migration.name });
+    }
+
+    return undone;
+  });
+}
+
+/** Return every migration and whether it's been applied.
+ *
+ * Returns [{ version, name, appliedAt }, ...]
+ *   where appliedAt is null for pending migrations
+ */
+
+async function status({
+  dir = MIGRATIONS_DIR,
+  table = MIGRATIONS_TABLE,
+} = {}) {
+  const migrations = loadMigrations(dir);
+
+  return await withMigrationLock(table, async (applied) =>
+    migrations.map(({ version, name }) => ({
+      version,
+      name,
+      appliedAt: applied.get(version) || null,
+    }))
+  );
+}
+
+/** Record the migrations up to version as applied, without running them.
+ *
+ * Returns [{ version, name }, ...] for the migrations recorded.
+ */
+
+async function baseline({
+  to,
+  dir = MIGRATIONS_DIR,
+  table = MIGRATIONS_TABLE,
+} = {}) {
+  if (to === undefined) throw new Error("baseline needs a version");
+  const migrations = loadMigrations(dir);
+
+  return await withMigrationLock(table, async (applied) => {
+    const recorded = migrations.filter(
+      (m) => !applied.has(m.version) && Number(m.version) <= Number(to)
+    );
+    for (const { version, name } of recorded) {
+      await db.query(`INSERT INTO ${table} (version, name) VALUES ($1, $2)`, [
+        version,
+        name,
+      ]);
+    }
+    return recorded.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/** Parse a whole number command line argument, or use fallback. */
+
+function parseNumberArg(arg, fallback) {
+  if (arg === undefined) return fallback;
+  if (!/^\d+$/.test(arg)) throw new Error(`Not a number: ${arg}`);
+  return Number(arg);
+}
+
+/** Run a migrate command from the command line. */
+
+async function main([command, arg]) {
+  const describe = ({ version, name }) => `${version}_${name}`;
+
+  if (command === "up") {
+    const applied = await up({ to: parseNumberArg(arg) });
+    console.log(applied.length ? "Applied:" : "Nothing to apply.");
+    for (const m of applied) console.log(`  ${describe(m)}`);
+  } else if (command === "down") {
+    const undone = await down({ steps: parseNumberArg(arg, 1) });
+    console.log(undone.length ? "Undid:" : "Nothing to undo.");
+    for (const m of undone) console.log(`  ${describe(m)}`);
+  } else if (command === "status") {
+    for (const m of await status()) {
+      const when = m.appliedAt ? m.appliedAt.toISOString() : "pending";
+      console.log(`  ${describe(m)}  ${when}`);
+    }
+  } else if (command === "baseline") {
+    const recorded = await baseline({ to: parseNumberArg(arg) });
+    console.log(`Recorded ${recorded.length} migration(s) as applied.`);
+  } else {
+    throw new Error(
+      "Usage: migrate.js up [version] | down [steps] | status | " +
+        "baseline version"
+    );
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => db.end())
+    .catch(async (err) => {
+      console.error(err.message);
+      await db.end();
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  up,
+  down,
+  status,
+  baseline,
+};
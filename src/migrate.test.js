@@ -0,0 +1,171 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const db = require("./db");
+const {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  up,
+  down,
+  status,
+  baseline,
+} = require("./migrate");
+
+// These tests migrate their own tables, tracked in their own table, from
+// migrations in a temporary directory; the real schema is left alone.
+
+const table = "migrate_test_migrations";
+let dir;
+
+function writeMigration(version, name, upSql, downSql) {
+  fs.writeFileSync(path.join(dir, `${version}_${name}.up.sql`), upSql);
+  fs.writeFileSync(path.join(dir, `${version}_${name}.down.sql`), downSql);
+}
+
+async function tableExists(name) {
+  const result = await db.query(`SELECT to_regclass($1) AS "table"`, [name]);
+  return result.rows[0].table !== null;
+}
+
+beforeEach(async function () {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-migrate-test-"));
+  writeMigration(
+    "0001",
+    "add_widgets",
+    "CREATE TABLE migrate_test_widgets (id SERIAL PRIMARY KEY);",
+    "DROP TABLE migrate_test_widgets;"
+  );
+  writeMigration(
+    "0002",
+    "add_gadgets",
+    "CREATE TABLE migrate_test_gadgets (id SERIAL PRIMARY KEY);",
+    "DROP TABLE migrate_test_gadgets;"
+  );
+});
+
+afterEach(async function () {
+  fs.rmSync(dir, { recursive: true, force: true });
+  await db.query("DROP TABLE IF EXISTS migrate_test_gadgets");
+  await db.query("DROP TABLE IF EXISTS migrate_test_widgets");
+  await db.query(`DROP TABLE IF EXISTS ${table}`);
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+/************************************** loadMigrations */
+
+describe("loadMigrations", function () {
+  test("works", function () {
+    fs.writeFileSync(path.join(dir, "notes.txt"), "ignored");
+    expect(loadMigrations(dir)).toEqual([
+      {
+        version: "0001",
+        name: "add_widgets",
+        up: expect.stringContaining("CREATE TABLE"),
+        down: expect.stringContaining("DROP TABLE"),
+      },
+      {
+        version: "0002",
+        name: "add_gadgets",
+        up: expect.stringContaining("CREATE TABLE"),
+        down: expect.stringContaining("DROP TABLE"),
+      },
+    ]);
+  });
+
+  test("works: the real migrations are complete", function () {
+    const migrations = loadMigrations(MIGRATIONS_DIR);
+    expect(migrations[0].version).toEqual("0001");
+  });
+
+  test("fails without a down file", function () {
+    fs.writeFileSync(path.join(dir, "0003_half.up.sql"), "SELECT 1;");
+    expect(() => loadMigrations(dir)).toThrow(/needs both/);
+  });
+
+  test("fails with a repeated version", function () {
+    writeMigration("0002", "other", "SELECT 1;", "SELECT 1;");
+    expect(() => loadMigrations(dir)).toThrow(/Two migrations numbered 0002/);
+  });
+});
+
+/************************************** up */
+
+describe("up", function () {
+  test("works", async function () {
+    const applied = await up({ dir, table });
+    expect(applied).toEqual([
+      { version: "0001", name: "add_widgets" },
+      { version: "0002", name: "add_gadgets" },
+    ]);
+    expect(await tableExists("migrate_test_widgets")).toBeTruthy();
+    expect(await tableExists("migrate_test_gadgets")).toBeTruthy();
+
+    expect(await up({ dir, table })).toEqual([]);
+  });
+
+  test("works: up to a version", async function () {
+    const applied = await up({ to: 1, dir, table });
+    expect(applied).toEqual([{ version: "0001", name: "add_widgets" }]);
+    expect(await tableExists("migrate_test_gadgets")).toBeFalsy();
+  });
+
+  test("applies nothing if a migration fails", async function () {
+    writeMigration("0003", "broken", "SELECT nope;", "SELECT 1;");
+    await expect(up({ dir, table })).rejects.toThrow();
+    expect(await tableExists("migrate_test_widgets")).toBeFalsy();
+    expect(await tableExists(table)).toBeFalsy();
+  });
+});
+
+/************************************** down */
+
+describe("down", function () {
+  test("works", async function () {
+    await up({ dir, table });
+    const undone = await down({ dir, table });
+    expect(undone).toEqual([{ version: "0002", name: "add_gadgets" }]);
+    expect(await tableExists("migrate_test_gadgets")).toBeFalsy();
+    expect(await tableExists("migrate_test_widgets")).toBeTruthy();
+  });
+
+  test("works: several steps", async function () {
+    await up({ dir, table });
+    const undone = await down({ steps: 5, dir, table });
+    expect(undone.map((m) => m.version)).toEqual(["0002", "0001"]);
+    expect(await tableExists("migrate_test_widgets")).toBeFalsy();
+  });
+
+  test("works: nothing applied", async function () {
+    expect(await down({ dir, table })).toEqual([]);
+  });
+});
+
+/************************************** status */
+
+describe("status", function () {
+  test("works", async function () {
+    await up({ to: 1, dir, table });
+    expect(await status({ dir, table })).toEqual([
+      { version: "0001", name: "add_widgets", appliedAt: expect.any(Date) },
+      { version: "0002", name: "add_gadgets", appliedAt: null },
+    ]);
+  });
+});
+
+/************************************** baseline */
+
+describe("baseline", function () {
+  test("works", async function () {
+    const recorded = await baseline({ to: 1, dir, table });
+    expect(recorded).toEqual([{ version: "0001", name: "add_widgets" }]);
+    expect(await tableExists("migrate_test_widgets")).toBeFalsy();
+
+    await up({ dir, table });
+    expect(await tableExists("migrate_test_gadgets")).toBeTruthy();
+  });
+});
@@ -0,0 +1,13 @@
+"use strict";
+
+/** Jest global setup: bring the test database's schema up to date before any
+ * tests run.
+ */
+
+const db = require("./db");
+const { up } = require("./migrate");
+
+module.exports = async function migrateTestDb() {
+  await up();
+  await db.end();
+};
@@ -0,0 +1,4 @@
+DROP TABLE applications;
+DROP TABLE jobs;
+DROP TABLE users;
+DROP TABLE companies;
@@ -0,0 +1,6 @@
+DROP TABLE application_history;
+
+ALTER TABLE applications
+  DROP COLUMN state,
+  DROP COLUMN created_at,
+  DROP COLUMN updated_at;
@@ -0,0 +1,20 @@
+-- Where each application is in the hiring workflow
+ALTER TABLE applications
+  ADD COLUMN state TEXT NOT NULL DEFAULT 'applied'
+    CHECK (state IN ('interested', 'applied', 'interviewing', 'offered',
+                     'accepted', 'rejected', 'withdrawn')),
+  ADD COLUMN created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- Every change of an application's state, and who made it
+CREATE TABLE application_history (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  from_state TEXT,
+  to_state TEXT NOT NULL,
+  changed_by VARCHAR(25),
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
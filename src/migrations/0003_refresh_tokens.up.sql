@@ -0,0 +1,16 @@
+-- Refresh tokens, kept as hashes; each one used is replaced by a new one in
+-- the same family
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT UNIQUE NOT NULL,
+  family_id TEXT NOT NULL,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  replaced_by INTEGER
+    REFERENCES refresh_tokens ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX refresh_tokens_family_id_idx ON refresh_tokens (family_id);
@@ -0,0 +1,9 @@
+-- Bumped to revoke every access token a user has (logout-all)
+ALTER TABLE users
+  ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
+
+-- Access tokens revoked before they expire, by their jti (logout)
+CREATE TABLE revoked_tokens (
+  jti TEXT PRIMARY KEY,
+  expires_at TIMESTAMPTZ NOT NULL
+);
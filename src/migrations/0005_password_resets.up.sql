@@ -0,0 +1,10 @@
+-- Single-use password reset tokens, kept as hashes
+CREATE TABLE password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT UNIQUE NOT NULL,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
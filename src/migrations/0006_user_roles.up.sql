@@ -0,0 +1,8 @@
+-- admins are users.is_admin; this holds every other role
+CREATE TABLE user_roles (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL
+    CHECK (role IN ('recruiter', 'candidate', 'auditor')),
+  PRIMARY KEY (username, role)
+);
@@ -0,0 +1,8 @@
+-- The companies a user (e.g. a recruiter) acts for
+CREATE TABLE company_members (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  PRIMARY KEY (username, company_handle)
+);
@@ -0,0 +1,7 @@
+DROP INDEX jobs_search_idx;
+ALTER TABLE jobs
+  DROP COLUMN search_vector;
+
+DROP INDEX companies_search_idx;
+ALTER TABLE companies
+  DROP COLUMN search_vector;
@@ -0,0 +1,10 @@
+DROP INDEX companies_hq_country_idx;
+DROP INDEX companies_industry_idx;
+
+ALTER TABLE companies
+  DROP COLUMN social_links,
+  DROP COLUMN founded_year,
+  DROP COLUMN hq_country,
+  DROP COLUMN hq_city,
+  DROP COLUMN website,
+  DROP COLUMN industry;
@@ -0,0 +1,14 @@
+ALTER TABLE companies
+  ADD COLUMN industry TEXT,
+  ADD COLUMN website TEXT,
+  ADD COLUMN hq_city TEXT,
+  -- ISO 3166-1 alpha-2 code, e.g. 'US'
+  ADD COLUMN hq_country CHAR(2)
+    CHECK (hq_country = upper(hq_country)),
+  ADD COLUMN founded_year INTEGER
+    CHECK (founded_year > 0),
+  -- { network: url }, e.g. { "linkedin": "https://linkedin.com/company/x" }
+  ADD COLUMN social_links JSONB NOT NULL DEFAULT '{}';
+
+CREATE INDEX companies_industry_idx ON companies (lower(industry));
+CREATE INDEX companies_hq_country_idx ON companies (hq_country);
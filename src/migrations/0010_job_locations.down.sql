@@ -0,0 +1,7 @@
+DROP TABLE job_locations;
+DROP TABLE locations;
+
+DROP INDEX jobs_work_mode_idx;
+
+ALTER TABLE jobs
+  DROP COLUMN work_mode;
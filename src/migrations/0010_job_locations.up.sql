@@ -0,0 +1,28 @@
+ALTER TABLE jobs
+  ADD COLUMN work_mode TEXT NOT NULL DEFAULT 'onsite'
+    CHECK (work_mode IN ('remote', 'hybrid', 'onsite'));
+
+CREATE INDEX jobs_work_mode_idx ON jobs (work_mode);
+
+-- A place jobs can be in; shared by every job there
+CREATE TABLE locations (
+  id SERIAL PRIMARY KEY,
+  city TEXT NOT NULL,
+  region TEXT,
+  -- ISO 3166-1 alpha-2 code, e.g. 'US'
+  country CHAR(2) NOT NULL
+    CHECK (country = upper(country))
+);
+
+CREATE UNIQUE INDEX locations_place_idx
+  ON locations (lower(city), lower(coalesce(region, '')), country);
+
+CREATE TABLE job_locations (
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  location_id INTEGER
+    REFERENCES locations ON DELETE CASCADE,
+  PRIMARY KEY (job_id, location_id)
+);
+
+CREATE INDEX job_locations_location_id_idx ON job_locations (location_id);
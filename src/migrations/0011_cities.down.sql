@@ -0,0 +1,4 @@
+DROP FUNCTION distance_km(point, point);
+DROP FUNCTION city_point(TEXT, TEXT, TEXT);
+
+DROP TABLE cities;
@@ -0,0 +1,186 @@
+-- Coordinates of cities, for finding jobs and companies near a place without
+-- calling out to a geocoding service. Where a name is shared, the most
+-- populous city is the one meant unless a region says otherwise.
+CREATE TABLE cities (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  -- state or province code in the US, Canada and Australia; nation in the UK
+  region TEXT,
+  -- ISO 3166-1 alpha-2 code, e.g. 'US'
+  country CHAR(2) NOT NULL
+    CHECK (country = upper(country)),
+  latitude DOUBLE PRECISION NOT NULL
+    CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION NOT NULL
+    CHECK (longitude BETWEEN -180 AND 180),
+  population INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX cities_name_idx ON cities (lower(name), country);
+
+-- The coordinates, as point(longitude, latitude), of a city; NULL if it isn't
+-- in the cities table. region may be NULL.
+CREATE FUNCTION city_point(city TEXT, region TEXT, country TEXT)
+  RETURNS point
+  LANGUAGE sql STABLE
+AS $$
+  SELECT point(c.longitude, c.latitude)
+  FROM cities AS c
+  WHERE lower(c.name) = lower(city_point.city)
+    AND c.country = upper(city_point.country)
+    AND (city_point.region IS NULL
+         OR c.region IS NULL
+         OR lower(c.region) = lower(city_point.region))
+  ORDER BY c.population DESC
+  LIMIT 1
+$$;
+
+-- Great-circle distance in kilometres between two point(longitude, latitude)s
+CREATE FUNCTION distance_km(a point, b point)
+  RETURNS DOUBLE PRECISION
+  LANGUAGE sql IMMUTABLE STRICT
+AS $$
+  SELECT 2 * 6371 * asin(least(1, sqrt(
+    sin(radians(b[1] - a[1]) / 2) ^ 2
+    + cos(radians(a[1])) * cos(radians(b[1]))
+      * sin(radians(b[0] - a[0]) / 2) ^ 2)))
+$$;
+
+INSERT INTO cities (name, region, country, latitude, longitude, population)
+VALUES
+  ('New York', 'NY', 'US', 40.7128, -74.0060, 8336817),
+  ('Los Angeles', 'CA', 'US', 34.0522, -118.2437, 3898747),
+  ('Chicago', 'IL', 'US', 41.8781, -87.6298, 2746388),
+  ('Houston', 'TX', 'US', 29.7604, -95.3698, 2304580),
+  ('Phoenix', 'AZ', 'US', 33.4484, -112.0740, 1608139),
+  ('Philadelphia', 'PA', 'US', 39.9526, -75.1652, 1603797),
+  ('San Antonio', 'TX', 'US', 29.4241, -98.4936, 1434625),
+  ('San Diego', 'CA', 'US', 32.7157, -117.1611, 1386932),
+  ('Dallas', 'TX', 'US', 32.7767, -96.7970, 1304379),
+  ('San Jose', 'CA', 'US', 37.3382, -121.8863, 1013240),
+  ('Austin', 'TX', 'US', 30.2672, -97.7431, 961855),
+  ('Jacksonville', 'FL', 'US', 30.3322, -81.6557, 949611),
+  ('Fort Worth', 'TX', 'US', 32.7555, -97.3308, 918915),
+  ('Columbus', 'OH', 'US', 39.9612, -82.9988, 905748),
+  ('Indianapolis', 'IN', 'US', 39.7684, -86.1581, 887642),
+  ('Charlotte', 'NC', 'US', 35.2271, -80.8431, 874579),
+  ('San Francisco', 'CA', 'US', 37.7749, -122.4194, 873965),
+  ('Seattle', 'WA', 'US', 47.6062, -122.3321, 737015),
+  ('Denver', 'CO', 'US', 39.7392, -104.9903, 715522),
+  ('Washington', 'DC', 'US', 38.9072, -77.0369, 689545),
+  ('Nashville', 'TN', 'US', 36.1627, -86.7816, 689447),
+  ('Boston', 'MA', 'US', 42.3601, -71.0589, 675647),
+  ('Portland', 'OR', 'US', 45.5152, -122.6784, 652503),
+  ('Las Vegas', 'NV', 'US', 36.1699, -115.1398, 641903),
+  ('Detroit', 'MI', 'US', 42.3314, -83.0458, 639111),
+  ('Baltimore', 'MD', 'US', 39.2904, -76.6122, 585708),
+  ('Sacramento', 'CA', 'US', 38.5816, -121.4944, 524943),
+  ('Kansas City', 'MO', 'US', 39.0997, -94.5786, 508090),
+  ('Atlanta', 'GA', 'US', 33.7490, -84.3880, 498715),
+  ('Raleigh', 'NC', 'US', 35.7796, -78.6382, 467665),
+  ('Miami', 'FL', 'US', 25.7617, -80.1918, 442241),
+  ('Oakland', 'CA', 'US', 37.8044, -122.2712, 440646),
+  ('Minneapolis', 'MN', 'US', 44.9778, -93.2650, 429954),
+  ('Tampa', 'FL', 'US', 27.9506, -82.4572, 384959),
+  ('New Orleans', 'LA', 'US', 29.9511, -90.0715, 383997),
+  ('Cleveland', 'OH', 'US', 41.4993, -81.6944, 372624),
+  ('Honolulu', 'HI', 'US', 21.3069, -157.8583, 350964),
+  ('Cincinnati', 'OH', 'US', 39.1031, -84.5120, 309317),
+  ('Orlando', 'FL', 'US', 28.5383, -81.3792, 307573),
+  ('Pittsburgh', 'PA', 'US', 40.4406, -79.9959, 302971),
+  ('St. Louis', 'MO', 'US', 38.6270, -90.1994, 301578),
+  ('Anchorage', 'AK', 'US', 61.2181, -149.9003, 291247),
+  ('Madison', 'WI', 'US', 43.0731, -89.4012, 269840),
+  ('Salt Lake City', 'UT', 'US', 40.7608, -111.8910, 200133),
+  ('Round Rock', 'TX', 'US', 30.5083, -97.6789, 119468),
+  ('Cambridge', 'MA', 'US', 42.3736, -71.1097, 118403),
+  ('Boulder', 'CO', 'US', 40.0150, -105.2705, 108250),
+  ('Mountain View', 'CA', 'US', 37.3861, -122.0839, 82376),
+  ('Palo Alto', 'CA', 'US', 37.4419, -122.1430, 68572),
+  ('Portland', 'ME', 'US', 43.6591, -70.2568, 68408),
+  ('Toronto', 'ON', 'CA', 43.6532, -79.3832, 2794356),
+  ('Montreal', 'QC', 'CA', 45.5017, -73.5673, 1762949),
+  ('Calgary', 'AB', 'CA', 51.0447, -114.0719, 1306784),
+  ('Ottawa', 'ON', 'CA', 45.4215, -75.6972, 1017449),
+  ('Edmonton', 'AB', 'CA', 53.5461, -113.4938, 1010899),
+  ('Vancouver', 'BC', 'CA', 49.2827, -123.1207, 662248),
+  ('Waterloo', 'ON', 'CA', 43.4643, -80.5204, 121436),
+  ('Mexico City', NULL, 'MX', 19.4326, -99.1332, 9209944),
+  ('Guadalajara', NULL, 'MX', 20.6597, -103.3496, 1385629),
+  ('Sao Paulo', NULL, 'BR', -23.5505, -46.6333, 12325232),
+  ('Rio de Janeiro', NULL, 'BR', -22.9068, -43.1729, 6747815),
+  ('Bogota', NULL, 'CO', 4.7110, -74.0721, 7412566),
+  ('Santiago', NULL, 'CL', -33.4489, -70.6693, 6257516),
+  ('Buenos Aires', NULL, 'AR', -34.6037, -58.3816, 3075646),
+  ('London', 'England', 'GB', 51.5074, -0.1278, 8799800),
+  ('Birmingham', 'England', 'GB', 52.4862, -1.8904, 1144900),
+  ('Glasgow', 'Scotland', 'GB', 55.8642, -4.2518, 635130),
+  ('Manchester', 'England', 'GB', 53.4808, -2.2426, 552000),
+  ('Leeds', 'England', 'GB', 53.8008, -1.5491, 536280),
+  ('Edinburgh', 'Scotland', 'GB', 55.9533, -3.1883, 506520),
+  ('Liverpool', 'England', 'GB', 53.4084, -2.9916, 486100),
+  ('Bristol', 'England', 'GB', 51.4545, -2.5879, 472400),
+  ('Cardiff', 'Wales', 'GB', 51.4816, -3.1791, 362400),
+  ('Belfast', 'Northern Ireland', 'GB', 54.5973, -5.9301, 345418),
+  ('Oxford', 'England', 'GB', 51.7520, -1.2577, 162100),
+  ('Cambridge', 'England', 'GB', 52.2053, 0.1218, 145700),
+  ('Dublin', NULL, 'IE', 53.3498, -6.2603, 592713),
+  ('Cork', NULL, 'IE', 51.8985, -8.4756, 224004),
+  ('Paris', NULL, 'FR', 48.8566, 2.3522, 2102650),
+  ('Marseille', NULL, 'FR', 43.2965, 5.3698, 873076),
+  ('Lyon', NULL, 'FR', 45.7640, 4.8357, 522969),
+  ('Toulouse', NULL, 'FR', 43.6047, 1.4442, 504078),
+  ('Brussels', NULL, 'BE', 50.8503, 4.3517, 1222637),
+  ('Amsterdam', NULL, 'NL', 52.3676, 4.9041, 921402),
+  ('Rotterdam', NULL, 'NL', 51.9244, 4.4777, 655468),
+  ('Utrecht', NULL, 'NL', 52.0907, 5.1214, 361924),
+  ('Berlin', NULL, 'DE', 52.5200, 13.4050, 3677472),
+  ('Hamburg', NULL, 'DE', 53.5511, 9.9937, 1853935),
+  ('Munich', NULL, 'DE', 48.1351, 11.5820, 1487708),
+  ('Cologne', NULL, 'DE', 50.9375, 6.9603, 1073096),
+  ('Frankfurt', NULL, 'DE', 50.1109, 8.6821, 773068),
+  ('Stuttgart', NULL, 'DE', 48.7758, 9.1829, 632865),
+  ('Zurich', NULL, 'CH', 47.3769, 8.5417, 421878),
+  ('Geneva', NULL, 'CH', 46.2044, 6.1432, 203856),
+  ('Vienna', NULL, 'AT', 48.2082, 16.3738, 1982097),
+  ('Prague', NULL, 'CZ', 50.0755, 14.4378, 1357326),
+  ('Warsaw', NULL, 'PL', 52.2297, 21.0122, 1861975),
+  ('Krakow', NULL, 'PL', 50.0647, 19.9450, 804237),
+  ('Madrid', NULL, 'ES', 40.4168, -3.7038, 3305408),
+  ('Barcelona', NULL, 'ES', 41.3874, 2.1686, 1636193),
+  ('Lisbon', NULL, 'PT', 38.7223, -9.1393, 545796),
+  ('Porto', NULL, 'PT', 41.1579, -8.6291, 231962),
+  ('Rome', NULL, 'IT', 41.9028, 12.4964, 2749031),
+  ('Milan', NULL, 'IT', 45.4642, 9.1900, 1371498),
+  ('Copenhagen', NULL, 'DK', 55.6761, 12.5683, 653664),
+  ('Stockholm', NULL, 'SE', 59.3293, 18.0686, 984748),
+  ('Oslo', NULL, 'NO', 59.9139, 10.7522, 709037),
+  ('Helsinki', NULL, 'FI', 60.1699, 24.9384, 658457),
+  ('Tallinn', NULL, 'EE', 59.4370, 24.7536, 454532),
+  ('Tel Aviv', NULL, 'IL', 32.0853, 34.7818, 467875),
+  ('Dubai', NULL, 'AE', 25.2048, 55.2708, 3604000),
+  ('Cairo', NULL, 'EG', 30.0444, 31.2357, 10230350),
+  ('Lagos', NULL, 'NG', 6.5244, 3.3792, 15388000),
+  ('Nairobi', NULL, 'KE', -1.2921, 36.8219, 4397073),
+  ('Johannesburg', NULL, 'ZA', -26.2041, 28.0473, 5635127),
+  ('Cape Town', NULL, 'ZA', -33.9249, 18.4241, 4618000),
+  ('Mumbai', NULL, 'IN', 19.0760, 72.8777, 12478447),
+  ('Delhi', NULL, 'IN', 28.7041, 77.1025, 11034555),
+  ('Bengaluru', NULL, 'IN', 12.9716, 77.5946, 8443675),
+  ('Hyderabad', NULL, 'IN', 17.3850, 78.4867, 6993262),
+  ('Pune', NULL, 'IN', 18.5204, 73.8567, 3124458),
+  ('Singapore', NULL, 'SG', 1.3521, 103.8198, 5453600),
+  ('Hong Kong', NULL, 'HK', 22.3193, 114.1694, 7413070),
+  ('Shanghai', NULL, 'CN', 31.2304, 121.4737, 24870895),
+  ('Beijing', NULL, 'CN', 39.9042, 116.4074, 21893095),
+  ('Shenzhen', NULL, 'CN', 22.5431, 114.0579, 17560000),
+  ('Taipei', NULL, 'TW', 25.0330, 121.5654, 2602418),
+  ('Seoul', NULL, 'KR', 37.5665, 126.9780, 9586195),
+  ('Tokyo', NULL, 'JP', 35.6762, 139.6503, 13960000),
+  ('Osaka', NULL, 'JP', 34.6937, 135.5023, 2753862),
+  ('Sydney', 'NSW', 'AU', -33.8688, 151.2093, 5312163),
+  ('Melbourne', 'VIC', 'AU', -37.8136, 144.9631, 5078193),
+  ('Brisbane', 'QLD', 'AU', -27.4698, 153.0251, 2560720),
+  ('Perth', 'WA', 'AU', -31.9505, 115.8605, 2125114),
+  ('Auckland', NULL, 'NZ', -36.8485, 174.7633, 1463000),
+  ('Wellington', NULL, 'NZ', -41.2866, 174.7756, 215400);
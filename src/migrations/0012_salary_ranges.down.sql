@@ -0,0 +1,16 @@
+ALTER TABLE jobs
+  ADD COLUMN salary INTEGER
+    CHECK (salary >= 0);
+
+-- only a single yearly amount can be kept
+UPDATE jobs SET salary = least(salary_annual_max, 2147483647);
+
+DROP INDEX jobs_salary_annual_max_idx;
+
+ALTER TABLE jobs
+  DROP COLUMN salary_annual_max,
+  DROP CONSTRAINT jobs_salary_range_check,
+  DROP COLUMN salary_period,
+  DROP COLUMN salary_currency,
+  DROP COLUMN salary_max,
+  DROP COLUMN salary_min;
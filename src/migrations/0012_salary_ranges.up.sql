@@ -0,0 +1,33 @@
+ALTER TABLE jobs
+  ADD COLUMN salary_min INTEGER
+    CHECK (salary_min >= 0),
+  ADD COLUMN salary_max INTEGER
+    CHECK (salary_max >= 0),
+  -- ISO 4217 code, e.g. 'USD'
+  ADD COLUMN salary_currency CHAR(3) NOT NULL DEFAULT 'USD'
+    CHECK (salary_currency = upper(salary_currency)),
+  ADD COLUMN salary_period TEXT NOT NULL DEFAULT 'year'
+    CHECK (salary_period IN ('hour', 'day', 'month', 'year')),
+  ADD CONSTRAINT jobs_salary_range_check
+    CHECK (salary_min <= salary_max);
+
+-- salary was an exact yearly amount, in US dollars
+UPDATE jobs SET salary_min = salary, salary_max = salary;
+
+ALTER TABLE jobs
+  DROP COLUMN salary;
+
+-- The most a job pays in a year, for comparing jobs paid by different
+-- periods: a year is 52 weeks of 5 days of 8 hours
+ALTER TABLE jobs
+  ADD COLUMN salary_annual_max BIGINT GENERATED ALWAYS AS (
+    coalesce(salary_max, salary_min)::BIGINT
+      * CASE salary_period
+          WHEN 'hour' THEN 2080
+          WHEN 'day' THEN 260
+          WHEN 'month' THEN 12
+          ELSE 1
+        END
+  ) STORED;
+
+CREATE INDEX jobs_salary_annual_max_idx ON jobs (salary_annual_max);
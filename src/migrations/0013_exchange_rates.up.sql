@@ -0,0 +1,13 @@
+-- How much of each currency one US dollar buys, kept up to date by admins;
+-- salaries in different currencies are compared through these rates
+CREATE TABLE exchange_rates (
+  -- ISO 4217 code, e.g. 'EUR'
+  currency CHAR(3) PRIMARY KEY
+    CHECK (currency = upper(currency)),
+  per_usd NUMERIC NOT NULL
+    CHECK (per_usd > 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (currency <> 'USD' OR per_usd = 1)
+);
+
+INSERT INTO exchange_rates (currency, per_usd) VALUES ('USD', 1);
@@ -0,0 +1,4 @@
+DROP TABLE user_skills;
+DROP TABLE job_skills;
+DROP TABLE skill_aliases;
+DROP TABLE skills;
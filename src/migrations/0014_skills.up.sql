@@ -0,0 +1,43 @@
+-- The skills catalogue, kept by admins; a skill is known by its slug, e.g.
+-- 'javascript', and can go by other names too
+CREATE TABLE skills (
+  slug TEXT PRIMARY KEY
+    CHECK (slug ~ '^[a-z0-9][a-z0-9+#.-]*$'),
+  name TEXT NOT NULL
+);
+
+-- Other names for a skill, e.g. 'js' for 'javascript'; lower-case, and never
+-- the slug of another skill
+CREATE TABLE skill_aliases (
+  alias TEXT PRIMARY KEY
+    CHECK (alias = lower(alias)),
+  skill_slug TEXT NOT NULL
+    REFERENCES skills ON DELETE CASCADE
+);
+
+CREATE INDEX skill_aliases_skill_slug_idx ON skill_aliases (skill_slug);
+
+-- The skills a job asks for; those not required are nice to have
+CREATE TABLE job_skills (
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  skill_slug TEXT
+    REFERENCES skills ON DELETE CASCADE,
+  required BOOLEAN NOT NULL DEFAULT TRUE,
+  PRIMARY KEY (job_id, skill_slug)
+);
+
+CREATE INDEX job_skills_skill_slug_idx ON job_skills (skill_slug);
+
+-- The skills on a user's profile, and how good they are at each
+CREATE TABLE user_skills (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  skill_slug TEXT
+    REFERENCES skills ON DELETE CASCADE,
+  proficiency TEXT NOT NULL
+    CHECK (proficiency IN ('beginner', 'intermediate', 'advanced', 'expert')),
+  PRIMARY KEY (username, skill_slug)
+);
+
+CREATE INDEX user_skills_skill_slug_idx ON user_skills (skill_slug);
@@ -0,0 +1,20 @@
+-- What a user is looking for in a job, used to recommend jobs to them; a user
+-- without a row here hasn't said
+CREATE TABLE user_preferences (
+  username VARCHAR(25) PRIMARY KEY
+    REFERENCES users ON DELETE CASCADE,
+  -- the least they'd take in a year, in desired_currency
+  desired_salary INTEGER
+    CHECK (desired_salary >= 0),
+  desired_currency CHAR(3) NOT NULL DEFAULT 'USD'
+    CHECK (desired_currency = upper(desired_currency)),
+  work_modes TEXT[] NOT NULL DEFAULT '{}'
+    CHECK (work_modes <@ ARRAY['remote', 'hybrid', 'onsite']),
+  home_city TEXT,
+  home_region TEXT,
+  home_country CHAR(2)
+    CHECK (home_country = upper(home_country)),
+  -- how far from home they'd go for jobs that aren't remote
+  max_distance_km NUMERIC NOT NULL DEFAULT 50
+    CHECK (max_distance_km > 0)
+);
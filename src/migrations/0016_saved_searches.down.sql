@@ -0,0 +1,5 @@
+DROP TABLE job_alerts;
+DROP TABLE saved_searches;
+
+ALTER TABLE jobs
+  DROP COLUMN created_at;
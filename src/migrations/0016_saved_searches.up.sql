@@ -0,0 +1,37 @@
+-- When each job was posted, so saved searches can tell which jobs are new
+ALTER TABLE jobs
+  ADD COLUMN created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- A job search a user saved under a name; query is the filters it was made
+-- with, as for GET /jobs
+CREATE TABLE saved_searches (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  query JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- when the alert matcher last looked for new jobs for it
+  last_run_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX saved_searches_username_name_idx
+  ON saved_searches (username, lower(name));
+
+-- A new job found for a saved search: the user's alerts inbox, and the
+-- outbox of alerts still to be emailed to them
+CREATE TABLE job_alerts (
+  id SERIAL PRIMARY KEY,
+  saved_search_id INTEGER NOT NULL
+    REFERENCES saved_searches ON DELETE CASCADE,
+  job_id INTEGER NOT NULL
+    REFERENCES jobs ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  read_at TIMESTAMPTZ,
+  emailed_at TIMESTAMPTZ,
+  UNIQUE (saved_search_id, job_id)
+);
+
+CREATE INDEX job_alerts_job_id_idx ON job_alerts (job_id);
+CREATE INDEX job_alerts_unemailed_idx
+  ON job_alerts (saved_search_id) WHERE emailed_at IS NULL;
@@ -0,0 +1,11 @@
+-- Jobs users have saved for later, short of applying to them
+CREATE TABLE saved_jobs (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  saved_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (username, job_id)
+);
+
+CREATE INDEX saved_jobs_job_id_idx ON saved_jobs (job_id);
@@ -0,0 +1,7 @@
+DROP FUNCTION job_status(TEXT, TIMESTAMPTZ);
+
+ALTER TABLE jobs
+  DROP COLUMN status,
+  DROP COLUMN published_at,
+  DROP COLUMN closed_at,
+  DROP COLUMN expires_at;
@@ -0,0 +1,25 @@
+-- Where each job is in its life: drafts aren't shown to job seekers yet,
+-- published jobs take applications until they're closed or expire
+ALTER TABLE jobs
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'published'
+    CHECK (status IN ('draft', 'published', 'closed', 'expired')),
+  ADD COLUMN published_at TIMESTAMPTZ DEFAULT NOW(),
+  ADD COLUMN closed_at TIMESTAMPTZ,
+  ADD COLUMN expires_at TIMESTAMPTZ;
+
+-- jobs posted before now were published as they were posted
+UPDATE jobs SET published_at = created_at;
+
+CREATE INDEX jobs_status_idx ON jobs (status);
+
+-- A job's status as of now: a published job whose expiry date has passed is
+-- expired, whether or not its status has been updated yet
+CREATE FUNCTION job_status(status TEXT, expires_at TIMESTAMPTZ)
+  RETURNS TEXT
+  LANGUAGE sql STABLE
+AS $$
+  SELECT CASE
+           WHEN status = 'published' AND expires_at <= NOW() THEN 'expired'
+           ELSE status
+         END
+$$;
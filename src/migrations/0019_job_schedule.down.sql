@@ -0,0 +1,5 @@
+DROP INDEX jobs_expires_at_idx;
+DROP INDEX jobs_publish_at_idx;
+
+ALTER TABLE jobs
+  DROP COLUMN publish_at;
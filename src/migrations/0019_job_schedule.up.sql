@@ -0,0 +1,9 @@
+-- When a draft job is to be published; the worker publishes it then
+ALTER TABLE jobs
+  ADD COLUMN publish_at TIMESTAMPTZ;
+
+-- what the worker looks for: drafts due to be published, and published jobs
+-- due to expire
+CREATE INDEX jobs_publish_at_idx ON jobs (publish_at) WHERE status = 'draft';
+CREATE INDEX jobs_expires_at_idx ON jobs (expires_at)
+  WHERE status = 'published';
@@ -0,0 +1,7 @@
+ALTER TABLE applications
+  DROP COLUMN cover_letter,
+  DROP COLUMN resume_ref,
+  DROP COLUMN answers;
+
+ALTER TABLE jobs
+  DROP COLUMN screening_questions;
@@ -0,0 +1,11 @@
+-- Questions applicants to a job are asked: [{ key, question, type, choices,
+-- required }, ...] (see Job.create)
+ALTER TABLE jobs
+  ADD COLUMN screening_questions JSONB NOT NULL DEFAULT '[]';
+
+-- What applicants send with an application; answers is { key: answer } for
+-- the job's screening questions
+ALTER TABLE applications
+  ADD COLUMN cover_letter TEXT,
+  ADD COLUMN resume_ref TEXT,
+  ADD COLUMN answers JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,5 @@
+ALTER TABLE applications
+  DROP COLUMN resume_id;
+
+DROP TABLE resumes;
+DROP TABLE uploads;
@@ -0,0 +1,34 @@
+-- Uploaded files, kept once per checksum however often they're uploaded;
+-- the content itself is in file storage under storage_key (see Upload)
+CREATE TABLE uploads (
+  id SERIAL PRIMARY KEY,
+  checksum TEXT NOT NULL UNIQUE
+    CHECK (checksum ~ '^[0-9a-f]{64}$'),
+  kind TEXT NOT NULL
+    CHECK (kind IN ('resume', 'logo')),
+  content_type TEXT NOT NULL,
+  size INTEGER NOT NULL CHECK (size > 0),
+  storage_key TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Resumes users have uploaded; uploading the same file again gives back the
+-- same resume
+CREATE TABLE resumes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  upload_id INTEGER NOT NULL
+    REFERENCES uploads,
+  filename TEXT NOT NULL,
+  uploaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (username, upload_id)
+);
+
+CREATE INDEX resumes_upload_id_idx ON resumes (upload_id);
+
+-- The resume an application was made with, one of the applicant's (see
+-- User.apply); resume_ref, where applications made before said the
+-- applicant's resume was, is kept as it was
+ALTER TABLE applications
+  ADD COLUMN resume_id INTEGER REFERENCES resumes ON DELETE SET NULL;
@@ -4,25 +4,59 @@ const db = require("../db.js");
 const { BCRYPT_WORK_FACTOR } = require("../config");
 const Job = require("./job");
 
+const testJobIds = [];
+
 async function commonBeforeAll() {
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM companies");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
   // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM uploads");
+  // noinspection SqlWithoutWhere
   await db.query("DELETE FROM jobs");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM locations");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM skills");
 
   await db.query(`
-    INSERT INTO companies(handle, name, num_employees, description, logo_url)
-    VALUES ('c1', 'C1', 1, 'Desc1', 'http://c1.img'),
-           ('c2', 'C2', 2, 'Desc2', 'http://c2.img'),
-           ('c3', 'C3', 3, 'Desc3', 'http://c3.img')`);
+    INSERT INTO companies(handle, name, num_employees, description, logo_url,
+                          industry, website, hq_city, hq_country,
+                          founded_year, social_links)
+    VALUES ('c1', 'C1', 1, 'Desc1', 'http://c1.img',
+            'Software', 'http://c1.com', 'Austin', 'US',
+            2001, '{"linkedin": "http://linkedin.com/company/c1"}'),
+           ('c2', 'C2', 2, 'Desc2', 'http://c2.img',
+            'Finance', NULL, 'London', 'GB', 1990, '{}'),
+           ('c3', 'C3', 3, 'Desc3', 'http://c3.img',
+            NULL, NULL, NULL, NULL, NULL, '{}')`);
+
+  const resultsJobs = await db.query(`
+    INSERT INTO jobs(title, salary_min, salary_max, equity, company_handle,
+                     work_mode)
+    VALUES ('title1', 100, 100, 0.0, 'c1', 'onsite'),
+          ('title2', 200, 200, 0.2, 'c2', 'hybrid'),
+          ('title3', 300, 300, 0.3, 'c3', 'remote')
+    RETURNING id`);
+  testJobIds.splice(0, testJobIds.length, ...resultsJobs.rows.map((r) => r.id));
+
+  const resultsLocations = await db.query(`
+    INSERT INTO locations(city, region, country)
+    VALUES ('Austin', 'TX', 'US'),
+           ('London', NULL, 'GB')
+    RETURNING id`);
+  await db.query(
+    `INSERT INTO job_locations(job_id, location_id)
+     VALUES ($1, $3), ($2, $4)`,
+    [testJobIds[0], testJobIds[1], ...resultsLocations.rows.map((r) => r.id)]
+  );
 
+  await db.query("DELETE FROM exchange_rates WHERE currency <> 'USD'");
   await db.query(`
-    INSERT INTO jobs(title, salary, equity, company_handle)
-    VALUES ('title1', 100, 0.0, 'c1'),
-          ('title2', 200, 0.2, 'c2'),
-          ('title3', 300, 0.3, 'c3')`);
+    INSERT INTO exchange_rates(currency, per_usd)
+    VALUES ('EUR', 0.5),
+           ('GBP', 0.8)`);
 
   await db.query(
     `
@@ -39,14 +73,36 @@ async function commonBeforeAll() {
       await bcrypt.hash("password2", BCRYPT_WORK_FACTOR),
     ]
   );
+
+  await db.query(`
+    INSERT INTO skills(slug, name)
+    VALUES ('javascript', 'JavaScript'),
+           ('python', 'Python'),
+           ('sql', 'SQL')`);
+  await db.query(`
+    INSERT INTO skill_aliases(alias, skill_slug)
+    VALUES ('js', 'javascript'),
+           ('ecmascript', 'javascript'),
+           ('py', 'python')`);
+  await db.query(
+    `INSERT INTO job_skills(job_id, skill_slug, required)
+     VALUES ($1, 'javascript', TRUE),
+            ($1, 'sql', FALSE),
+            ($2, 'python', TRUE),
+            ($2, 'sql', TRUE)`,
+    [testJobIds[0], testJobIds[1]]
+  );
+  await db.query(`
+    INSERT INTO user_skills(username, skill_slug, proficiency)
+    VALUES ('u1', 'javascript', 'expert')`);
 }
 
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  await db.beginTestTransaction();
 }
 
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
+  await db.rollbackTestTransaction();
 }
 
 async function commonAfterAll() {
@@ -58,4 +114,5 @@ module.exports = {
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
 };
@@ -0,0 +1,171 @@
+"use strict";
+
+const db = require("../db");
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const Job = require("./job");
+
+/** Related functions for job applications. */
+
+const STATES = [
+  "interested",
+  "applied",
+  "interviewing",
+  "offered",
+  "accepted",
+  "rejected",
+  "withdrawn",
+];
+
+// Legal moves out of each state; accepted, rejected and withdrawn are final
+const TRANSITIONS = {
+  interested: ["applied", "withdrawn"],
+  applied: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["accepted", "rejected", "withdrawn"],
+  accepted: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+// Every column of an application, as returned by the model; resumeId is the
+// resume applied with, resumeRef where applications made before resumes were
+// uploaded said the resume was, and answers is { key: answer } for the job's
+// screening questions
+const APPLICATION_COLUMNS = `username,
+       job_id AS "jobId",
+       state,
+       cover_letter AS "coverLetter",
+       resume_id AS "resumeId",
+       resume_ref AS "resumeRef",
+       answers,
+       created_at AS "createdAt",
+       updated_at AS "updatedAt"`;
+
+// States a candidate may move their own application into; the rest are
+// decisions made by the hiring side
+const CANDIDATE_STATES = ["applied", "accepted", "withdrawn"];
+
+class Application {
+  /** Given a username and job id, return the application.
+   *
+   * Returns { username, jobId, state, coverLetter, resumeId, resumeRef,
+   *   answers, createdAt, updatedAt, history }
+   *   where history is [{ fromState, toState, changedBy, changedAt }, ...]
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(username, jobId) {
+    const applicationRes = await db.query(
+      `SELECT ${APPLICATION_COLUMNS}
+       FROM applications
+       WHERE username = $1 AND job_id = $2`,
+      [username, jobId]
+    );
+
+    const application = applicationRes.rows[0];
+    if (!application) {
+      throw new NotFoundError(`No application: ${username}, ${jobId}`);
+    }
+
+    const historyRes = await db.query(
+      `SELECT from_state AS "fromState",
+              to_state AS "toState",
+              changed_by AS "changedBy",
+              changed_at AS "changedAt"
+       FROM application_history
+       WHERE username = $1 AND job_id = $2
+       ORDER BY changed_at, id`,
+      [username, jobId]
+    );
+
+    application.history = historyRes.rows;
+
+    return application;
+  }
+
+  /** Given a job id, return everyone's applications to it.
+   *
+   * Returns [{ username, jobId, state, coverLetter, resumeId, resumeRef,
+   *   answers, createdAt, updatedAt }, ...]
+   **/
+
+  static async findForJob(jobId) {
+    const result = await db.query(
+      `SELECT ${APPLICATION_COLUMNS}
+       FROM applications
+       WHERE job_id = $1
+       ORDER BY created_at, username`,
+      [jobId]
+    );
+    return result.rows;
+  }
+
+  /** Move an application to a new state and record it in the history.
+   *
+   * changedBy is the username making the change; unless canManage is set,
+   * they may only move into the candidate states (applied, accepted,
+   * withdrawn).
+   *
+   * Returns { username, jobId, state, coverLetter, resumeId, resumeRef,
+   *   answers, createdAt, updatedAt, history }
+   *
+   * Throws NotFoundError if not found, BadRequestError on an unknown state, an
+   * illegal transition or applying to a job that isn't open or without the
+   * answers its screening questions need (see Job.checkAnswers), and
+   * UnauthorizedError if the move is reserved for the hiring side.
+   **/
+
+  static async transition(username, jobId, state, { changedBy, canManage }) {
+    if (!STATES.includes(state)) {
+      throw new BadRequestError(`Invalid application state: ${state}`);
+    }
+
+    return await db.withTransaction(async () => {
+      // lock the application so concurrent moves happen one after the other
+      await db.query(
+        `SELECT state
+         FROM applications
+         WHERE username = $1 AND job_id = $2
+         FOR UPDATE`,
+        [username, jobId]
+      );
+      const current = await Application.get(username, jobId);
+
+      if (!TRANSITIONS[current.state].includes(state)) {
+        throw new BadRequestError(
+          `Cannot move application from ${current.state} to ${state}`
+        );
+      }
+      if (!canManage && !CANDIDATE_STATES.includes(state)) {
+        throw new UnauthorizedError(`Not allowed to move to ${state}`);
+      }
+      if (state === "applied") {
+        // questions may have been added since the user showed interest
+        await Job.checkOpen(jobId);
+        await Job.checkAnswers(jobId, current.answers);
+      }
+
+      await db.query(
+        `UPDATE applications
+         SET state = $1, updated_at = NOW()
+         WHERE username = $2 AND job_id = $3`,
+        [state, username, jobId]
+      );
+      await db.query(
+        `INSERT INTO application_history
+             (username, job_id, from_state, to_state, changed_by)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [username, jobId, current.state, state, changedBy]
+      );
+
+      return await Application.get(username, jobId);
+    });
+  }
+}
+
+module.exports = Application;
@@ -0,0 +1,231 @@
+"use strict";
+
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const db = require("../db.js");
+const Application = require("./application.js");
+const User = require("./user.js");
+const Job = require("./job.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const application = await Application.get("u1", testJobIds[0]);
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobIds[0],
+      state: "applied",
+      coverLetter: null,
+      resumeId: null,
+      resumeRef: null,
+      answers: {},
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+      history: [
+        {
+          fromState: null,
+          toState: "applied",
+          changedBy: "u1",
+          changedAt: expect.any(Date),
+        },
+      ],
+    });
+  });
+
+  test("works: with a resumeRef from before uploads", async function () {
+    await User.apply("u1", testJobIds[0]);
+    await db.query(
+      `UPDATE applications SET resume_ref = 'https://example.com/u1.pdf'
+       WHERE username = 'u1' AND job_id = $1`,
+      [testJobIds[0]]
+    );
+    const application = await Application.get("u1", testJobIds[0]);
+    expect(application.resumeRef).toEqual("https://example.com/u1.pdf");
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.get("u1", testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForJob */
+
+describe("findForJob", function () {
+  test("works", async function () {
+    await User.apply("u1", testJobIds[0]);
+    await User.apply("u2", testJobIds[0]);
+    await User.apply("u2", testJobIds[1]);
+    const applications = await Application.findForJob(testJobIds[0]);
+    expect(applications.map((a) => a.username)).toEqual(["u1", "u2"]);
+    expect(applications[0]).toEqual({
+      username: "u1",
+      jobId: testJobIds[0],
+      state: "applied",
+      coverLetter: null,
+      resumeId: null,
+      resumeRef: null,
+      answers: {},
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    });
+  });
+
+  test("works: none", async function () {
+    expect(await Application.findForJob(testJobIds[0])).toEqual([]);
+  });
+});
+
+/************************************** transition */
+
+describe("transition", function () {
+  test("works for admin", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const application = await Application.transition(
+      "u1",
+      testJobIds[0],
+      "interviewing",
+      { changedBy: "admin", canManage: true }
+    );
+    expect(application.state).toEqual("interviewing");
+    expect(application.history.map((h) => [h.fromState, h.toState])).toEqual([
+      [null, "applied"],
+      ["applied", "interviewing"],
+    ]);
+    expect(application.history[1].changedBy).toEqual("admin");
+
+    const found = await db.query(
+      `SELECT state FROM applications WHERE username = 'u1' AND job_id = $1`,
+      [testJobIds[0]]
+    );
+    expect(found.rows[0].state).toEqual("interviewing");
+  });
+
+  test("works for candidate: interested to applied", async function () {
+    await User.apply("u1", testJobIds[0], { state: "interested" });
+    const application = await Application.transition(
+      "u1",
+      testJobIds[0],
+      "applied",
+      { changedBy: "u1", canManage: false }
+    );
+    expect(application.state).toEqual("applied");
+  });
+
+  test("bad request applying once the job has expired", async function () {
+    await User.apply("u1", testJobIds[0], { state: "interested" });
+    await db.query(`UPDATE jobs SET expires_at = NOW() WHERE id = $1`, [
+      testJobIds[0],
+    ]);
+    await expect(
+      Application.transition("u1", testJobIds[0], "applied", {
+        changedBy: "u1",
+        canManage: false,
+      })
+    ).rejects.toThrowError(`Job ${testJobIds[0]} is not open: it's expired`);
+  });
+
+  test("bad request applying without required answers", async function () {
+    await User.apply("u1", testJobIds[0], { state: "interested" });
+    await Job.update(testJobIds[0], {
+      screeningQuestions: [
+        { key: "years", question: "Years of experience?", type: "number" },
+      ],
+    });
+    await expect(
+      Application.transition("u1", testJobIds[0], "applied", {
+        changedBy: "u1",
+        canManage: false,
+      })
+    ).rejects.toThrowError(BadRequestError);
+    const application = await Application.get("u1", testJobIds[0]);
+    expect(application.state).toEqual("interested");
+  });
+
+  test("works for candidate: withdraw", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const application = await Application.transition(
+      "u1",
+      testJobIds[0],
+      "withdrawn",
+      { changedBy: "u1", canManage: false }
+    );
+    expect(application.state).toEqual("withdrawn");
+  });
+
+  test("unauth for candidate moving to admin-only state", async function () {
+    await User.apply("u1", testJobIds[0]);
+    try {
+      await Application.transition("u1", testJobIds[0], "interviewing", {
+        changedBy: "u1",
+        canManage: false,
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("bad request on illegal transition", async function () {
+    await User.apply("u1", testJobIds[0]);
+    await Application.transition("u1", testJobIds[0], "rejected", {
+      changedBy: "admin",
+      canManage: true,
+    });
+    try {
+      await Application.transition("u1", testJobIds[0], "applied", {
+        changedBy: "admin",
+        canManage: true,
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request on unknown state", async function () {
+    await User.apply("u1", testJobIds[0]);
+    try {
+      await Application.transition("u1", testJobIds[0], "hired", {
+        changedBy: "admin",
+        canManage: true,
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.transition("u1", testJobIds[0], "withdrawn", {
+        changedBy: "admin",
+        canManage: true,
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
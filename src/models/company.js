@@ -2,26 +2,182 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlForPage } = require("../helpers/sql");
+const { parseNear, pageOptionsNear } = require("../helpers/geo");
+const Upload = require("./upload");
 
 /** Related functions for companies. */
 
+// Every column of a company, as returned by the model
+const COMPANY_COLUMNS = `handle,
+       name,
+       description,
+       num_employees AS "numEmployees",
+       logo_url AS "logoUrl",
+       industry,
+       website,
+       hq_city AS "hqCity",
+       hq_country AS "hqCountry",
+       founded_year AS "foundedYear",
+       social_links AS "socialLinks"`;
+
+const JS_TO_SQL = {
+  numEmployees: "num_employees",
+  logoUrl: "logo_url",
+  hqCity: "hq_city",
+  hqCountry: "hq_country",
+  foundedYear: "founded_year",
+  socialLinks: "social_links",
+};
+
+const PAGE_OPTIONS = {
+  columns: {
+    name: "name",
+    handle: "handle",
+    numEmployees: "num_employees",
+    foundedYear: "founded_year",
+  },
+  defaultSort: "name",
+  tiebreaker: "handle",
+};
+
 const selectQuery = async (from, where, fields) => {
   const whereClause = where.map((col, i) => `${col} = $${i + 1}`).join(" AND ");
   return await db.query(`SELECT * FROM ${from} WHERE ${whereClause}`, fields);
 };
 
+/** Check and tidy profile fields of company data before it's saved.
+ *
+ * Returns the data with hqCountry upper-cased.
+ * Throws BadRequestError if foundedYear is in the future.
+ */
+
+function cleanProfile(data) {
+  if (data.foundedYear > new Date().getFullYear()) {
+    throw new BadRequestError("foundedYear cannot be in the future");
+  }
+  if (typeof data.hqCountry === "string") {
+    return { ...data, hqCountry: data.hqCountry.toUpperCase() };
+  }
+  return data;
+}
+
+/** Build the WHERE clause for company filters in query.
+ *
+ * Returns { where, values, distance }; where is empty if there are no
+ * filters, and distance is the sql for how far a company's headquarters are
+ * from near, if given.
+ * Throws BadRequestError if a filter is invalid.
+ */
+
+function filterClause(query) {
+  // Throw error if query parameter includes an invalid filter
+  const validFilters = [
+    "name",
+    "minEmployees",
+    "maxEmployees",
+    "industry",
+    "country",
+    "near",
+    "radiusKm",
+  ];
+  for (const key of Object.keys(query)) {
+    if (validFilters.includes(key) === false) {
+      throw new BadRequestError(`Invalid filter`);
+    }
+  }
+
+  // Throw error if minEmployees > maxEmployees
+  if (
+    Object.keys(query).includes("minEmployees") &&
+    Object.keys(query).includes("maxEmployees") &&
+    Number(query["minEmployees"]) > Number(query["maxEmployees"])
+  ) {
+    throw new BadRequestError(
+      `minEmployees cannot be greater than maxEmployees`
+    );
+  }
+
+  // Store SQL clause for each filter and its values
+  const filters = [];
+  const filtersValues = [];
+
+  if (query.hasOwnProperty("name")) {
+    const queryPortion = `name ILIKE $${filters.length + 1}`;
+    filters.push(queryPortion);
+    filtersValues.push("%" + query["name"] + "%");
+  }
+  if (query.hasOwnProperty("minEmployees")) {
+    const queryPortion = `num_employees >= $${filters.length + 1}`;
+    filters.push(queryPortion);
+    filtersValues.push(query["minEmployees"]);
+  }
+  if (query.hasOwnProperty("maxEmployees")) {
+    const queryPortion = `num_employees <= $${filters.length + 1}`;
+    filters.push(queryPortion);
+    filtersValues.push(query["maxEmployees"]);
+  }
+  if (query.hasOwnProperty("industry")) {
+    const queryPortion = `lower(industry) = lower($${filters.length + 1})`;
+    filters.push(queryPortion);
+    filtersValues.push(query["industry"]);
+  }
+  if (query.hasOwnProperty("country")) {
+    const queryPortion = `hq_country = upper($${filters.length + 1})`;
+    filters.push(queryPortion);
+    filtersValues.push(query["country"]);
+  }
+  let distance;
+  if (query.hasOwnProperty("near") || query.hasOwnProperty("radiusKm")) {
+    if (!query.hasOwnProperty("near")) {
+      throw new BadRequestError("radiusKm needs near");
+    }
+    const { lat, lng, radiusKm } = parseNear(query["near"], query["radiusKm"]);
+    const latIdx = filtersValues.length + 1;
+    distance = `distance_km(city_point(hq_city, NULL, hq_country),
+                            point($${latIdx + 1}, $${latIdx}))`;
+    filters.push(`${distance} <= $${latIdx + 2}`);
+    filtersValues.push(lat, lng, radiusKm);
+  }
+
+  // Join SQL clauses with "AND" if there are more than one
+  const where = filters.length > 0 ? `WHERE ${filters.join(" AND ")}` : "";
+
+  return { where, values: filtersValues, distance };
+}
+
 class Company {
   /** Create a company (from data), update db, return new company data.
    *
-   * data should be { handle, name, description, numEmployees, logoUrl }
+   * data should be { handle, name, description, numEmployees, logoUrl,
+   *                  industry, website, hqCity, hqCountry, foundedYear,
+   *                  socialLinks }
+   *   where hqCountry is an ISO 3166-1 alpha-2 code like "US"
+   *   and socialLinks is { network: url, ... }; only handle, name and
+   *   description are required
    *
-   * Returns { handle, name, description, numEmployees, logoUrl }
+   * Returns { handle, name, description, numEmployees, logoUrl, industry,
+   *           website, hqCity, hqCountry, foundedYear, socialLinks }
    *
-   * Throws BadRequestError if company already in database.
+   * Throws BadRequestError if company already in database, or foundedYear is
+   * in the future.
    * */
 
-  static async create({ handle, name, description, numEmployees, logoUrl }) {
+  static async create(data) {
+    const {
+      handle,
+      name,
+      description,
+      numEmployees,
+      logoUrl,
+      industry,
+      website,
+      hqCity,
+      hqCountry,
+      foundedYear,
+      socialLinks = {},
+    } = cleanProfile(data);
+
     const duplicateCheck = await selectQuery("companies", ["handle"], [handle]);
 
     if (duplicateCheck.rows[0])
@@ -29,114 +185,154 @@ class Company {
 
     const result = await db.query(
       `INSERT INTO companies
-           (handle, name, description, num_employees, logo_url)
-           VALUES ($1, $2, $3, $4, $5)
-           RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
-      [handle, name, description, numEmployees, logoUrl]
+           (handle, name, description, num_employees, logo_url, industry,
+            website, hq_city, hq_country, founded_year, social_links)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           RETURNING ${COMPANY_COLUMNS}`,
+      [
+        handle,
+        name,
+        description,
+        numEmployees,
+        logoUrl,
+        industry,
+        website,
+        hqCity,
+        hqCountry,
+        foundedYear,
+        socialLinks,
+      ]
     );
     const company = result.rows[0];
 
     return company;
   }
 
-  /** Find all companies - up to 100 companies.
+  /** Find all companies, a page at a time.
+   *
+   * page is { limit, offset, sort } (see sqlForPage); companies can be sorted
+   * by name, handle, numEmployees or foundedYear, and are sorted by name by
+   * default.
    *
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * Returns [{ handle, name, description, numEmployees, logoUrl, industry,
+   *            website, hqCity, hqCountry, foundedYear, socialLinks }, ...]
+   * Throws BadRequestError if sort is invalid.
    * */
 
-  static async findAll() {
+  static async findAll(page = {}) {
     const companiesRes = await db.query(
-      `SELECT handle,
-                  name,
-                  description,
-                  num_employees AS "numEmployees",
-                  logo_url AS "logoUrl"
+      `SELECT ${COMPANY_COLUMNS}
            FROM companies
-           ORDER BY name
-           LIMIT 100`
+           ${sqlForPage(page, PAGE_OPTIONS)}`
     );
     return companiesRes.rows;
   }
 
-  /** Filter companies based on query parameters
+  /** Filter companies based on query parameters, a page at a time (see
+   * findAll).
    *
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
-   * Throws BadRequestError if filter is invalid.
+   * industry matches case-insensitively; country is an ISO country code.
+   *
+   * near is "lat,lng": only companies headquartered within radiusKm (default
+   * 25) of it are returned, nearest first, each with its distanceKm. They can
+   * be sorted by distance, too.
+   *
+   * Returns [{ handle, name, description, numEmployees, logoUrl, industry,
+   *            website, hqCity, hqCountry, foundedYear, socialLinks }, ...],
+   *   with distanceKm if near is given
+   * Throws BadRequestError if filter or sort is invalid.
    *
    * */
 
-  static async filter(query) {
-    // Throw error if query parameter includes an invalid filter
-    const validFilters = ["name", "minEmployees", "maxEmployees"];
-    for (const key of Object.keys(query)) {
-      if (validFilters.includes(key) === false) {
-        throw new BadRequestError(`Invalid filter`);
-      }
-    }
+  static async filter(query, page = {}) {
+    const { where, values, distance } = filterClause(query);
 
-    // Throw error if minEmployees > maxEmployees
-    if (
-      Object.keys(query).includes("minEmployees") &&
-      Object.keys(query).includes("maxEmployees") &&
-      Number(query["minEmployees"]) > Number(query["maxEmployees"])
-    ) {
-      throw new BadRequestError(
-        `minEmployees cannot be greater than maxEmployees`
-      );
+    let columns = COMPANY_COLUMNS;
+    let pageOptions = PAGE_OPTIONS;
+    if (distance !== undefined) {
+      columns += `,
+       round(${distance}::numeric, 1)::float8 AS "distanceKm"`;
+      pageOptions = pageOptionsNear(PAGE_OPTIONS, distance);
     }
 
-    // Store SQL clause for each filter and its values
-    const filters = [];
-    const filtersValues = [];
-
-    if (query.hasOwnProperty("name")) {
-      const queryPortion = `name ILIKE $${filters.length + 1}`;
-      filters.push(queryPortion);
-      filtersValues.push("%" + query["name"] + "%");
-    }
-    if (query.hasOwnProperty("minEmployees")) {
-      const queryPortion = `num_employees >= $${filters.length + 1}`;
-      filters.push(queryPortion);
-      filtersValues.push(query["minEmployees"]);
-    }
-    if (query.hasOwnProperty("maxEmployees")) {
-      const queryPortion = `num_employees <= $${filters.length + 1}`;
-      filters.push(queryPortion);
-      filtersValues.push(query["maxEmployees"]);
-    }
-
-    // Join SQL clauses with "AND" if there are more than one
-    const filtersQuery =
-      filters.length > 1 ? filters.join(" AND ") : filters[0];
-
     const sqlQuery = `
-        SELECT *
+        SELECT ${columns}
         FROM companies
-        WHERE ${filtersQuery}
-        ORDER BY name
+        ${where}
+        ${sqlForPage(page, pageOptions)}
       `;
 
-    const companiesRes = await db.query(sqlQuery, filtersValues);
+    const companiesRes = await db.query(sqlQuery, values);
     return companiesRes.rows;
   }
 
+  /** Count the companies matching query parameters (all, if there are none).
+   *
+   * Throws BadRequestError if filter is invalid.
+   * */
+
+  static async count(query = {}) {
+    const { where, values } = filterClause(query);
+
+    const countRes = await db.query(
+      `SELECT COUNT(*)::int AS "count"
+       FROM companies
+       ${where}`,
+      values
+    );
+    return countRes.rows[0].count;
+  }
+
   /** Given a company handle, return data about company.
    *
-   * Returns { handle, name, description, numEmployees, logoUrl, jobs }
-   *   where jobs is [{ id, title, salary, equity, companyHandle }, ...]
+   * Returns { handle, name, description, num_employees, logo_url, industry,
+   *           website, hqCity, hqCountry, foundedYear, socialLinks, jobs }
+   *   where jobs is its live jobs: [{ id, title, salaryMin, salaryMax,
+   *                    salaryCurrency, salaryPeriod, equity, company_handle },
+   *                    ...]
    *
    * Throws NotFoundError if not found.
    **/
 
   static async get(handle) {
-    const companyRes = await selectQuery("companies", ["handle"], [handle]);
+    // num_employees and logo_url keep the names they've always had here
+    const companyRes = await db.query(
+      `SELECT handle,
+              name,
+              description,
+              num_employees,
+              logo_url,
+              industry,
+              website,
+              hq_city AS "hqCity",
+              hq_country AS "hqCountry",
+              founded_year AS "foundedYear",
+              social_links AS "socialLinks"
+       FROM companies
+       WHERE handle = $1`,
+      [handle]
+    );
 
     const company = companyRes.rows[0];
     if (!company) throw new NotFoundError(`No company: ${handle}`);
 
-    const job = await selectQuery("jobs", ["company_handle"], [handle]);
+    const jobsRes = await db.query(
+      `SELECT id,
+              title,
+              salary_min AS "salaryMin",
+              salary_max AS "salaryMax",
+              salary_currency AS "salaryCurrency",
+              salary_period AS "salaryPeriod",
+              equity,
+              company_handle
+       FROM jobs
+       WHERE company_handle = $1
+         AND job_status(status, expires_at) = 'published'
+       ORDER BY id`,
+      [handle]
+    );
 
-    company.jobs = job.rows;
+    company.jobs = jobsRes.rows;
 
     return company;
   }
@@ -146,28 +342,27 @@ class Company {
    * This is a "partial update" --- it's fine if data doesn't contain all the
    * fields; this only changes provided ones.
    *
-   * Data can include: {name, description, numEmployees, logoUrl}
+   * Data can include: {name, description, numEmployees, logoUrl, industry,
+   *                    website, hqCity, hqCountry, foundedYear, socialLinks}
    *
-   * Returns {handle, name, description, numEmployees, logoUrl}
+   * Returns {handle, name, description, numEmployees, logoUrl, industry,
+   *          website, hqCity, hqCountry, foundedYear, socialLinks}
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found, BadRequestError if foundedYear is in
+   * the future.
    */
 
   static async update(handle, data) {
-    const { setCols, values } = sqlForPartialUpdate(data, {
-      numEmployees: "num_employees",
-      logoUrl: "logo_url",
-    });
+    const { setCols, values } = sqlForPartialUpdate(
+      cleanProfile(data),
+      JS_TO_SQL
+    );
     const handleVarIdx = "$" + (values.length + 1);
 
     const querySql = `UPDATE companies
                       SET ${setCols}
                       WHERE handle = ${handleVarIdx}
-                      RETURNING handle,
-                                name,
-                                description,
-                                num_employees AS "numEmployees",
-                                logo_url AS "logoUrl"`;
+                      RETURNING ${COMPANY_COLUMNS}`;
     const result = await db.query(querySql, [...values, handle]);
     const company = result.rows[0];
 
@@ -176,7 +371,35 @@ class Company {
     return company;
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Make a logo read from a request (see helpers/uploads) the company's
+   * logo: logoUrl becomes the url the logo is served at. The logo it replaces
+   * is removed, unless another company has it too.
+   *
+   * upload should be { kind, contentType, size, checksum, data }
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl, industry,
+   *           website, hqCity, hqCountry, foundedYear, socialLinks }
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async setLogo(handle, upload) {
+    const companyRes = await db.query(
+      `SELECT logo_url AS "logoUrl" FROM companies WHERE handle = $1`,
+      [handle]
+    );
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+    const previousId = await Upload.idForUrl(companyRes.rows[0].logoUrl);
+
+    const company = await Upload.store(upload, async ({ checksum }) =>
+      await Company.update(handle, { logoUrl: Upload.urlFor(checksum) })
+    );
+    if (previousId !== null) await Upload.removeIfUnused(previousId);
+    return company;
+  }
+
+  /** Delete given company from database, and its logo unless another
+   * company has it too; returns undefined.
    *
    * Throws NotFoundError if company not found.
    **/
@@ -186,12 +409,81 @@ class Company {
       `DELETE
            FROM companies
            WHERE handle = $1
-           RETURNING handle`,
+           RETURNING handle, logo_url AS "logoUrl"`,
       [handle]
     );
     const company = result.rows[0];
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
+
+    const logoId = await Upload.idForUrl(company.logoUrl);
+    if (logoId !== null) await Upload.removeIfUnused(logoId);
+  }
+
+  /** Given a company handle, return the users who are members of it.
+   *
+   * Returns [{ username, firstName, lastName, email }, ...]
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async getMembers(handle) {
+    const companyRes = await selectQuery("companies", ["handle"], [handle]);
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const membersRes = await db.query(
+      `SELECT u.username,
+              u.first_name AS "firstName",
+              u.last_name AS "lastName",
+              u.email
+       FROM company_members AS m
+         JOIN users AS u ON u.username = m.username
+       WHERE m.company_handle = $1
+       ORDER BY u.username`,
+      [handle]
+    );
+    return membersRes.rows;
+  }
+
+  /** Make a user a member of a company; returns { username, companyHandle }.
+   *
+   * Throws NotFoundError if company or user not found.
+   **/
+
+  static async addMember(handle, username) {
+    const companyRes = await selectQuery("companies", ["handle"], [handle]);
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const userRes = await selectQuery("users", ["username"], [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    await db.query(
+      `INSERT INTO company_members (username, company_handle)
+       VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [username, handle]
+    );
+
+    return { username, companyHandle: handle };
+  }
+
+  /** Remove a user from a company; returns undefined.
+   *
+   * Throws NotFoundError if they weren't a member.
+   **/
+
+  static async removeMember(handle, username) {
+    const result = await db.query(
+      `DELETE
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2
+           RETURNING username`,
+      [handle, username]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No member of ${handle}: ${username}`);
+    }
   }
 }
 
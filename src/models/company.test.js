@@ -1,8 +1,10 @@
 "use strict";
 
+const crypto = require("crypto");
 const db = require("../db.js");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const Company = require("./company.js");
+const { getStorage } = require("../helpers/storage");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -13,7 +15,10 @@ const {
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
-afterAll(commonAfterAll);
+afterAll(async function () {
+  await getStorage().clear();
+  await commonAfterAll();
+});
 
 /************************************** create */
 
@@ -24,6 +29,12 @@ describe("create", function () {
     description: "New Description",
     numEmployees: 1,
     logoUrl: "http://new.img",
+    industry: "Retail",
+    website: "http://new.com",
+    hqCity: "Lagos",
+    hqCountry: "NG",
+    foundedYear: 2015,
+    socialLinks: { twitter: "http://twitter.com/new" },
   };
 
   test("works", async function () {
@@ -46,6 +57,44 @@ describe("create", function () {
     ]);
   });
 
+  test("works: only required fields", async function () {
+    const company = await Company.create({
+      handle: "new",
+      name: "New",
+      description: "New Description",
+    });
+    expect(company).toEqual({
+      handle: "new",
+      name: "New",
+      description: "New Description",
+      numEmployees: null,
+      logoUrl: null,
+      industry: null,
+      website: null,
+      hqCity: null,
+      hqCountry: null,
+      foundedYear: null,
+      socialLinks: {},
+    });
+  });
+
+  test("works: upper-cases the country", async function () {
+    const company = await Company.create({ ...newCompany, hqCountry: "ng" });
+    expect(company.hqCountry).toEqual("NG");
+  });
+
+  test("bad request if founded in the future", async function () {
+    try {
+      await Company.create({
+        ...newCompany,
+        foundedYear: new Date().getFullYear() + 1,
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("bad request with dupe", async function () {
     try {
       await Company.create(newCompany);
@@ -69,6 +118,12 @@ describe("findAll", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        industry: "Software",
+        website: "http://c1.com",
+        hqCity: "Austin",
+        hqCountry: "US",
+        foundedYear: 2001,
+        socialLinks: { linkedin: "http://linkedin.com/company/c1" },
       },
       {
         handle: "c2",
@@ -76,6 +131,12 @@ describe("findAll", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        industry: "Finance",
+        website: null,
+        hqCity: "London",
+        hqCountry: "GB",
+        foundedYear: 1990,
+        socialLinks: {},
       },
       {
         handle: "c3",
@@ -83,6 +144,12 @@ describe("findAll", function () {
         description: "Desc3",
         numEmployees: 3,
         logoUrl: "http://c3.img",
+        industry: null,
+        website: null,
+        hqCity: null,
+        hqCountry: null,
+        foundedYear: null,
+        socialLinks: {},
       },
     ]);
   });
@@ -98,6 +165,12 @@ describe("findAll", function () {
       description: "Desc1",
       numEmployees: 1,
       logoUrl: "http://c1.img",
+      industry: "Software",
+      website: "http://c1.com",
+      hqCity: "Austin",
+      hqCountry: "US",
+      foundedYear: 2001,
+      socialLinks: { linkedin: "http://linkedin.com/company/c1" },
     });
   });
   test("filter works: by minEmployees", async function () {
@@ -110,6 +183,12 @@ describe("findAll", function () {
         description: "Desc3",
         handle: "c3",
         logoUrl: "http://c3.img",
+        industry: null,
+        website: null,
+        hqCity: null,
+        hqCountry: null,
+        foundedYear: null,
+        socialLinks: {},
         name: "C3",
         numEmployees: 3,
       },
@@ -125,11 +204,72 @@ describe("findAll", function () {
         description: "Desc1",
         handle: "c1",
         logoUrl: "http://c1.img",
+        industry: "Software",
+        website: "http://c1.com",
+        hqCity: "Austin",
+        hqCountry: "US",
+        foundedYear: 2001,
+        socialLinks: { linkedin: "http://linkedin.com/company/c1" },
         name: "C1",
         numEmployees: 1,
       },
     ]);
   });
+  test("filter works: by industry, ignoring case", async function () {
+    const companies = await Company.filter({ industry: "finance" });
+    expect(companies.map((c) => c.handle)).toEqual(["c2"]);
+  });
+  test("filter works: by country", async function () {
+    const companies = await Company.filter({ country: "us" });
+    expect(companies.map((c) => c.handle)).toEqual(["c1"]);
+  });
+  test("filter works: by industry and country", async function () {
+    const companies = await Company.filter({
+      industry: "Software",
+      country: "GB",
+    });
+    expect(companies).toEqual([]);
+  });
+  test("works: sorted by foundedYear", async function () {
+    const companies = await Company.filter(
+      { minEmployees: 1 },
+      { sort: "foundedYear" }
+    );
+    expect(companies.map((c) => c.handle)).toEqual(["c2", "c1", "c3"]);
+  });
+  test("filter works: near, with the distance", async function () {
+    // Round Rock, TX, just north of c1's Austin headquarters
+    const companies = await Company.filter({
+      near: "30.5083,-97.6789",
+      radiusKm: "30",
+    });
+    expect(companies.map((c) => [c.handle, c.distanceKm])).toEqual([
+      ["c1", 27.5],
+    ]);
+    expect(
+      await Company.filter({ near: "30.5083,-97.6789", radiusKm: "20" })
+    ).toEqual([]);
+  });
+  test("filter works: near, nearest first", async function () {
+    const near = { near: "30.2672,-97.7431", radiusKm: "10000" };
+    const companies = await Company.filter(near);
+    expect(companies.map((c) => c.handle)).toEqual(["c1", "c2"]);
+    expect(companies[0].distanceKm).toEqual(0);
+
+    const farthest = await Company.filter(near, { sort: "-distance" });
+    expect(farthest.map((c) => c.handle)).toEqual(["c2", "c1"]);
+    expect(await Company.count(near)).toEqual(2);
+  });
+  test("throws error with radiusKm but no near", async function () {
+    await expect(Company.filter({ radiusKm: "5" })).rejects.toThrowError(
+      "radiusKm needs near"
+    );
+  });
+  test("throws error sorting by distance without near", async function () {
+    await expect(
+      Company.filter({ name: "c" }, { sort: "distance" })
+    ).rejects.toThrowError("Invalid sort: distance");
+  });
   test("throws error with invalid filter", async function () {
     const filterData = {
       my: "filter",
@@ -148,6 +288,38 @@ describe("findAll", function () {
       async () => await Company.filter(filterData)
     ).rejects.toThrowError("minEmployees cannot be greater than maxEmployees");
   });
+  test("works: a page at a time", async function () {
+    const companies = await Company.findAll({ limit: 2, offset: 1 });
+    expect(companies.map((c) => c.handle)).toEqual(["c2", "c3"]);
+  });
+  test("works: sorted descending", async function () {
+    const companies = await Company.filter(
+      { maxEmployees: 2 },
+      { sort: "-numEmployees" }
+    );
+    expect(companies.map((c) => c.handle)).toEqual(["c2", "c1"]);
+  });
+  test("throws error with invalid sort", async function () {
+    await expect(
+      async () => await Company.findAll({ sort: "description" })
+    ).rejects.toThrowError("Invalid sort: description");
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works: no filter", async function () {
+    expect(await Company.count()).toEqual(3);
+  });
+  test("works: with filter", async function () {
+    expect(await Company.count({ minEmployees: 2 })).toEqual(2);
+  });
+  test("throws error with invalid filter", async function () {
+    await expect(
+      async () => await Company.count({ nope: 1 })
+    ).rejects.toThrowError("Invalid filter");
+  });
 });
 
 /************************************** get */
@@ -159,12 +331,26 @@ describe("get", function () {
       handle: "c1",
       name: "C1",
       description: "Desc1",
-      numEmployees: 1,
-      logoUrl: "http://c1.img",
+      num_employees: 1,
+      logo_url: "http://c1.img",
+      industry: "Software",
+      website: "http://c1.com",
+      hqCity: "Austin",
+      hqCountry: "US",
+      foundedYear: 2001,
+      socialLinks: { linkedin: "http://linkedin.com/company/c1" },
       jobs: expect.any(Array),
     });
   });
 
+  test("works: only live jobs", async function () {
+    await db.query(
+      `UPDATE jobs SET status = 'draft' WHERE company_handle = 'c1'`
+    );
+    const company = await Company.get("c1");
+    expect(company.jobs).toEqual([]);
+  });
+
   test("not found if no such company", async function () {
     try {
       await Company.get("nope");
@@ -189,6 +375,12 @@ describe("update", function () {
     let company = await Company.update("c1", updateData);
     expect(company).toEqual({
       handle: "c1",
+      industry: "Software",
+      website: "http://c1.com",
+      hqCity: "Austin",
+      hqCountry: "US",
+      foundedYear: 2001,
+      socialLinks: { linkedin: "http://linkedin.com/company/c1" },
       ...updateData,
     });
 
@@ -219,6 +411,12 @@ describe("update", function () {
     let company = await Company.update("c1", updateDataSetNulls);
     expect(company).toEqual({
       handle: "c1",
+      industry: "Software",
+      website: "http://c1.com",
+      hqCity: "Austin",
+      hqCountry: "US",
+      foundedYear: 2001,
+      socialLinks: { linkedin: "http://linkedin.com/company/c1" },
       ...updateDataSetNulls,
     });
 
@@ -238,6 +436,38 @@ describe("update", function () {
     ]);
   });
 
+  test("works: profile fields", async function () {
+    const company = await Company.update("c1", {
+      industry: "Hardware",
+      hqCountry: "ca",
+      hqCity: "Toronto",
+      website: null,
+      socialLinks: { github: "http://github.com/c1" },
+    });
+    expect(company).toEqual({
+      handle: "c1",
+      name: "C1",
+      description: "Desc1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+      industry: "Hardware",
+      website: null,
+      hqCity: "Toronto",
+      hqCountry: "CA",
+      foundedYear: 2001,
+      socialLinks: { github: "http://github.com/c1" },
+    });
+  });
+
+  test("bad request if founded in the future", async function () {
+    try {
+      await Company.update("c1", { foundedYear: 3000 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("not found if no such company", async function () {
     try {
       await Company.update("nope", updateData);
@@ -257,6 +487,74 @@ describe("update", function () {
   });
 });
 
+/************************************** setLogo */
+
+function testLogo(content) {
+  const data = Buffer.from(content);
+  return {
+    kind: "logo",
+    filename: "logo.png",
+    contentType: "image/png",
+    size: data.length,
+    checksum: crypto.createHash("sha256").update(data).digest("hex"),
+    data,
+  };
+}
+
+const logoChecksums = async () =>
+  (await db.query(`SELECT checksum FROM uploads ORDER BY id`)).rows.map(
+    (r) => r.checksum
+  );
+
+describe("setLogo", function () {
+  const logo = testLogo("\x89PNG logo");
+
+  test("works", async function () {
+    const company = await Company.setLogo("c1", logo);
+    expect(company.logoUrl).toEqual(`/uploads/${logo.checksum}`);
+
+    const result = await db.query(
+      `SELECT kind, content_type AS "contentType" FROM uploads`
+    );
+    expect(result.rows).toEqual([{ kind: "logo", contentType: "image/png" }]);
+  });
+
+  test("not found if no such company", async function () {
+    await expect(Company.setLogo("nope", logo)).rejects.toThrowError(
+      NotFoundError
+    );
+    const result = await db.query(`SELECT id FROM uploads`);
+    expect(result.rows).toEqual([]);
+  });
+
+  test("removes the logo it replaces", async function () {
+    await Company.setLogo("c1", logo);
+    const { storageKey } = (
+      await db.query(`SELECT storage_key AS "storageKey" FROM uploads`)
+    ).rows[0];
+    const other = testLogo("\x89PNG other");
+    await Company.setLogo("c1", other);
+
+    expect(await logoChecksums()).toEqual([other.checksum]);
+    expect(await getStorage().get(storageKey)).toBeNull();
+  });
+
+  test("keeps the logo it replaces if another has it", async function () {
+    await Company.setLogo("c1", logo);
+    await Company.setLogo("c2", logo);
+    await Company.setLogo("c1", testLogo("\x89PNG other"));
+
+    expect(await logoChecksums()).toContain(logo.checksum);
+  });
+
+  test("keeps the logo when setting it again", async function () {
+    await Company.setLogo("c1", logo);
+    await Company.setLogo("c1", logo);
+
+    expect(await logoChecksums()).toEqual([logo.checksum]);
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
@@ -268,6 +566,12 @@ describe("remove", function () {
     expect(res.rows.length).toEqual(0);
   });
 
+  test("works: removes its logo", async function () {
+    await Company.setLogo("c1", testLogo("\x89PNG logo"));
+    await Company.remove("c1");
+    expect(await logoChecksums()).toEqual([]);
+  });
+
   test("not found if no such company", async function () {
     try {
       await Company.remove("nope");
@@ -277,3 +581,57 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** members */
+
+describe("members", function () {
+  test("works", async function () {
+    const member = await Company.addMember("c1", "u1");
+    expect(member).toEqual({ username: "u1", companyHandle: "c1" });
+    const members = await Company.getMembers("c1");
+    expect(members).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+      },
+    ]);
+
+    await Company.removeMember("c1", "u1");
+    expect(await Company.getMembers("c1")).toEqual([]);
+  });
+
+  test("works: adding twice", async function () {
+    await Company.addMember("c1", "u1");
+    await Company.addMember("c1", "u1");
+    expect((await Company.getMembers("c1")).length).toEqual(1);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Company.addMember("nope", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Company.addMember("c1", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found removing a non-member", async function () {
+    try {
+      await Company.removeMember("c1", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
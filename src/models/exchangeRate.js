@@ -0,0 +1,118 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+
+/** Related functions for exchange rates.
+ *
+ * Each rate is how much of a currency one US dollar buys; USD itself is
+ * always 1. Admins upload new rates as they change, and salaries in different
+ * currencies are compared by converting through them.
+ */
+
+const BASE_CURRENCY = "USD";
+
+class ExchangeRate {
+  /** Return every exchange rate.
+   *
+   * Returns [{ currency, perUsd, updatedAt }, ...], by currency
+   **/
+
+  static async findAll() {
+    const result = await db.query(
+      `SELECT currency,
+              per_usd::float8 AS "perUsd",
+              updated_at AS "updatedAt"
+       FROM exchange_rates
+       ORDER BY currency`
+    );
+    return result.rows;
+  }
+
+  /** Given a currency code, return its exchange rate.
+   *
+   * Returns { currency, perUsd, updatedAt }
+   *
+   * Throws NotFoundError if there's no rate for it.
+   **/
+
+  static async get(currency) {
+    const result = await db.query(
+      `SELECT currency,
+              per_usd::float8 AS "perUsd",
+              updated_at AS "updatedAt"
+       FROM exchange_rates
+       WHERE currency = upper($1)`,
+      [currency]
+    );
+    const rate = result.rows[0];
+
+    if (!rate) throw new NotFoundError(`No exchange rate: ${currency}`);
+
+    return rate;
+  }
+
+  /** Save the exchange rates in rates: { currency: perUsd, ... }.
+   *
+   * Rates for currencies not in rates are left as they are.
+   *
+   * Returns every exchange rate: [{ currency, perUsd, updatedAt }, ...]
+   *
+   * Throws BadRequestError if a rate isn't greater than 0, or rates would
+   * change the USD rate from 1.
+   **/
+
+  static async upload(rates) {
+    const entries = Object.entries(rates).map(([currency, perUsd]) => [
+      currency.toUpperCase(),
+      perUsd,
+    ]);
+    for (const [currency, perUsd] of entries) {
+      if (!(perUsd > 0)) {
+        throw new BadRequestError(`Invalid exchange rate for ${currency}`);
+      }
+      if (currency === BASE_CURRENCY && perUsd !== 1) {
+        throw new BadRequestError(`The ${BASE_CURRENCY} rate is always 1`);
+      }
+    }
+
+    await db.withTransaction(async () => {
+      for (const [currency, perUsd] of entries) {
+        await db.query(
+          `INSERT INTO exchange_rates (currency, per_usd)
+           VALUES ($1, $2)
+           ON CONFLICT (currency)
+             DO UPDATE SET per_usd = EXCLUDED.per_usd, updated_at = NOW()`,
+          [currency, perUsd]
+        );
+      }
+    });
+
+    return await ExchangeRate.findAll();
+  }
+
+  /** Delete the exchange rate for currency; returns undefined.
+   *
+   * Throws NotFoundError if there's no rate for it, BadRequestError for USD.
+   **/
+
+  static async remove(currency) {
+    if (currency.toUpperCase() === BASE_CURRENCY) {
+      throw new BadRequestError(`The ${BASE_CURRENCY} rate can't be removed`);
+    }
+
+    const result = await db.query(
+      `DELETE
+       FROM exchange_rates
+       WHERE currency = upper($1)
+       RETURNING currency`,
+      [currency]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No exchange rate: ${currency}`);
+    }
+  }
+}
+
+module.exports = ExchangeRate;
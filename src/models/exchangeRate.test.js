@@ -0,0 +1,111 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const ExchangeRate = require("./exchangeRate");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const rates = await ExchangeRate.findAll();
+    expect(rates).toEqual([
+      { currency: "EUR", perUsd: 0.5, updatedAt: expect.any(Date) },
+      { currency: "GBP", perUsd: 0.8, updatedAt: expect.any(Date) },
+      { currency: "USD", perUsd: 1, updatedAt: expect.any(Date) },
+    ]);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works, ignoring case", async function () {
+    const rate = await ExchangeRate.get("eur");
+    expect(rate).toEqual({
+      currency: "EUR",
+      perUsd: 0.5,
+      updatedAt: expect.any(Date),
+    });
+  });
+
+  test("not found if no such rate", async function () {
+    try {
+      await ExchangeRate.get("JPY");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** upload */
+
+describe("upload", function () {
+  test("works: adds and updates rates, keeping the rest", async function () {
+    const rates = await ExchangeRate.upload({ eur: 0.9, JPY: 150, USD: 1 });
+    expect(rates.map((r) => [r.currency, r.perUsd])).toEqual([
+      ["EUR", 0.9],
+      ["GBP", 0.8],
+      ["JPY", 150],
+      ["USD", 1],
+    ]);
+  });
+
+  test("bad request if a rate isn't positive", async function () {
+    try {
+      await ExchangeRate.upload({ EUR: 0 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if USD isn't 1", async function () {
+    try {
+      await ExchangeRate.upload({ EUR: 0.9, USD: 2 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect((await ExchangeRate.get("EUR")).perUsd).toEqual(0.5);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await ExchangeRate.remove("gbp");
+    const rates = await ExchangeRate.findAll();
+    expect(rates.map((r) => r.currency)).toEqual(["EUR", "USD"]);
+  });
+
+  test("not found if no such rate", async function () {
+    try {
+      await ExchangeRate.remove("JPY");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request for USD", async function () {
+    try {
+      await ExchangeRate.remove("USD");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -1,150 +1,1030 @@
 "use strict";
 
+const jsonschema = require("jsonschema");
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlForPage } = require("../helpers/sql");
+const { parseNear, pageOptionsNear } = require("../helpers/geo");
 
 /** Related functions for jobs. */
 
+const WORK_MODES = ["remote", "hybrid", "onsite"];
+
+// Drafts aren't shown to job seekers; published jobs take applications until
+// they're closed or their expiresAt passes, when they're expired
+const STATUSES = ["draft", "published", "closed", "expired"];
+
+// Only one process runs the publishing and expiry schedule at a time
+const SCHEDULE_LOCK_ID = 31339;
+
+// How a job's status can be changed, and the statuses it can be changed from
+const STATUS_CHANGES = {
+  publish: ["draft"],
+  close: ["published", "expired"],
+  reopen: ["closed", "expired"],
+};
+
+// Every column of a job, as returned by the model; the salary is paid per
+// salaryPeriod (hour, day, month or year) in salaryCurrency, locations is
+// [{ city, region, country }, ...] and status is as of now (see the job_status
+// sql function)
+const JOB_COLUMNS = `id,
+       title,
+       salary_min AS "salaryMin",
+       salary_max AS "salaryMax",
+       salary_currency AS "salaryCurrency",
+       salary_period AS "salaryPeriod",
+       equity,
+       company_handle,
+       work_mode AS "workMode",
+       COALESCE(
+         (SELECT json_agg(
+                   json_build_object('city', l.city,
+                                     'region', l.region,
+                                     'country', l.country)
+                   ORDER BY l.country, l.city, l.region)
+          FROM job_locations AS jl
+            JOIN locations AS l ON l.id = jl.location_id
+          WHERE jl.job_id = jobs.id),
+         '[]') AS locations,
+       job_status(status, expires_at) AS status,
+       expires_at AS "expiresAt"`;
+
+// Only jobs job seekers can see and apply to
+const LIVE_JOBS = `job_status(status, expires_at) = 'published'`;
+
+const JS_TO_SQL = {
+  salaryMin: "salary_min",
+  salaryMax: "salary_max",
+  salaryCurrency: "salary_currency",
+  salaryPeriod: "salary_period",
+  workMode: "work_mode",
+  expiresAt: "expires_at",
+  publishAt: "publish_at",
+  screeningQuestions: "screening_questions",
+};
+
+const PAGE_OPTIONS = {
+  columns: {
+    title: "title",
+    // the most the job pays in a year
+    salary: "salary_annual_max",
+    equity: "equity",
+    companyHandle: "company_handle",
+  },
+  defaultSort: "companyHandle",
+  tiebreaker: "id",
+};
+
+/** Select the job with id, or undefined if there's none. */
+
+async function selectJob(id) {
+  const result = await db.query(
+    `SELECT ${JOB_COLUMNS}
+     FROM jobs
+     WHERE id = $1`,
+    [id]
+  );
+  return result.rows[0];
+}
+
+/** Check and tidy the salary fields of job data before it's saved.
+ *
+ * current is the job's salary as saved so far, if it's being updated.
+ *
+ * Returns the data with salaryCurrency upper-cased.
+ * Throws BadRequestError if salaryMin is greater than salaryMax.
+ */
+
+function cleanSalary(data, current = {}) {
+  const { salaryMin, salaryMax } = { ...current, ...data };
+  if (salaryMin != null && salaryMax != null && salaryMin > salaryMax) {
+    throw new BadRequestError("salaryMin cannot be greater than salaryMax");
+  }
+  if (typeof data.salaryCurrency === "string") {
+    return { ...data, salaryCurrency: data.salaryCurrency.toUpperCase() };
+  }
+  return data;
+}
+
+/** Throw BadRequestError if data has a publishAt or expiresAt that has
+ * already passed, or expiresAt isn't after publishAt.
+ */
+
+function checkDates({ publishAt, expiresAt }) {
+  for (const [field, value] of [
+    ["publishAt", publishAt],
+    ["expiresAt", expiresAt],
+  ]) {
+    if (value != null && new Date(value) <= new Date()) {
+      throw new BadRequestError(`${field} has passed`);
+    }
+  }
+  if (
+    publishAt != null &&
+    expiresAt != null &&
+    new Date(expiresAt) <= new Date(publishAt)
+  ) {
+    throw new BadRequestError("expiresAt must be after publishAt");
+  }
+}
+
+/** Check and tidy screening questions before they're saved: keys must be
+ * unique, choice questions need choices and only they have them, and
+ * questions are required unless they say otherwise.
+ *
+ * Returns the questions as JSON, for the screening_questions column.
+ * Throws BadRequestError if a question is invalid.
+ */
+
+function cleanScreeningQuestions(questions) {
+  const keys = new Set();
+  const cleaned = questions.map(
+    ({ key, question, type, choices, required = true }) => {
+      if (keys.has(key)) {
+        throw new BadRequestError(`Duplicate screening question: ${key}`);
+      }
+      keys.add(key);
+      if ((type === "choice") !== (choices !== undefined)) {
+        throw new BadRequestError(
+          `Screening question ${key}: only choice questions have choices`
+        );
+      }
+      return type === "choice"
+        ? { key, question, type, choices, required }
+        : { key, question, type, required };
+    }
+  );
+  return JSON.stringify(cleaned);
+}
+
+/** Return the JSON schema answers to questions must match. */
+
+function answersSchema(questions) {
+  const properties = {};
+  for (const { key, type, choices, required } of questions) {
+    if (type === "choice") {
+      properties[key] = { type: "string", enum: choices };
+    } else if (type === "text") {
+      properties[key] = {
+        type: "string",
+        minLength: required ? 1 : 0,
+        maxLength: 5000,
+      };
+    } else {
+      properties[key] = { type };
+    }
+  }
+  return {
+    type: "object",
+    properties,
+    additionalProperties: false,
+    required: questions.filter((q) => q.required).map((q) => q.key),
+  };
+}
+
+/** Replace the locations of job id with locations: [{ city, region, country }].
+ *
+ * Locations are shared between jobs; ones not seen before are added.
+ */
+
+async function setLocations(id, locations) {
+  await db.query(`DELETE FROM job_locations WHERE job_id = $1`, [id]);
+
+  for (const { city, region = null, country } of locations) {
+    const locationRes = await db.query(
+      `INSERT INTO locations (city, region, country)
+       VALUES ($1, $2, upper($3))
+       ON CONFLICT (lower(city), lower(coalesce(region, '')), country)
+         DO UPDATE SET city = locations.city
+       RETURNING id`,
+      [city, region, country]
+    );
+    await db.query(
+      `INSERT INTO job_locations (job_id, location_id)
+       VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [id, locationRes.rows[0].id]
+    );
+  }
+}
+
+/** Return the sql for the exchange rate from a job's salary currency to the
+ * currency in parameter idx; it's NULL if either rate is missing.
+ */
+
+function sqlForRate(idx) {
+  return `((SELECT r.per_usd
+            FROM exchange_rates AS r
+            WHERE r.currency = $${idx}::text)
+           / (SELECT r.per_usd
+              FROM exchange_rates AS r
+              WHERE r.currency = jobs.salary_currency))`;
+}
+
+/** Return the sql for a job's salary converted to the currency in parameter
+ * idx, as convertedSalary: { salaryMin, salaryMax, salaryCurrency,
+ * salaryPeriod }, or NULL if it can't be converted.
+ */
+
+function sqlForConvertedSalary(idx) {
+  const rate = sqlForRate(idx);
+  return `CASE WHEN ${rate} IS NULL THEN NULL
+            ELSE json_build_object(
+                   'salaryMin', round(salary_min * ${rate}),
+                   'salaryMax', round(salary_max * ${rate}),
+                   'salaryCurrency', $${idx}::text,
+                   'salaryPeriod', salary_period)
+          END AS "convertedSalary"`;
+}
+
+/** Throw BadRequestError unless there's an exchange rate for currency. */
+
+async function checkCurrency(currency) {
+  const result = await db.query(
+    `SELECT currency
+     FROM exchange_rates
+     WHERE currency = $1`,
+    [currency]
+  );
+  if (!result.rows[0]) {
+    throw new BadRequestError(`No exchange rate for ${currency}`);
+  }
+}
+
+/** Build the WHERE clause for job filters in query, for the user with
+ * username, if there is one. Without a status filter, only live jobs match.
+ *
+ * Returns { where, values, distance, currency }; distance is the sql for how
+ * far a job is from near, if given, and currency is the upper-cased currency
+ * minSalary is in, if either is given.
+ * Throws BadRequestError if a filter is invalid.
+ */
+
+function filterClause(query, username, publishedSince) {
+  // Throw error if query parameter includes an invalid filter
+  const validFilters = [
+    "title",
+    "companyHandle",
+    "minSalary",
+    "currency",
+    "hasEquity",
+    "location",
+    "remote",
+    "workMode",
+    "skills",
+    "skillsMatch",
+    "saved",
+    "status",
+    "near",
+    "radiusKm",
+  ];
+  for (const key of Object.keys(query)) {
+    if (validFilters.includes(key) === false) {
+      throw new BadRequestError(`Invalid filter`);
+    }
+  }
+
+  // Store SQL clause for each filter and its values
+  const filters = [];
+  const filtersValues = [];
+
+  // minSalary is in currency, US dollars by default
+  let currency;
+  if ("currency" in query || "minSalary" in query) {
+    currency = "currency" in query ? String(query["currency"]) : "USD";
+    if (!/^[A-Za-z]{3}$/.test(currency)) {
+      throw new BadRequestError(`Invalid currency: ${currency}`);
+    }
+    currency = currency.toUpperCase();
+  }
+
+  if ("title" in query) {
+    const queryPortion = `title ILIKE $${filtersValues.length + 1}`;
+    filters.push(queryPortion);
+    filtersValues.push("%" + query["title"] + "%");
+  }
+  if ("companyHandle" in query) {
+    const queryPortion = `company_handle = $${filtersValues.length + 1}`;
+    filters.push(queryPortion);
+    filtersValues.push(String(query["companyHandle"]));
+  }
+  if ("minSalary" in query) {
+    // checked here too, as saved searches don't come through the route
+    const minSalary = Number(query["minSalary"]);
+    const blank = String(query["minSalary"]).trim() === "";
+    if (blank || !Number.isFinite(minSalary) || minSalary < 0) {
+      throw new BadRequestError("minSalary must be a non-negative number");
+    }
+    // compared with the most the job pays in a year, once converted
+    const rate = sqlForRate(filtersValues.length + 1);
+    const queryPortion =
+      `salary_annual_max * ${rate} >= $${filtersValues.length + 2}`;
+    filters.push(queryPortion);
+    filtersValues.push(currency, minSalary);
+  }
+  if ("hasEquity" in query && query["hasEquity"] === "true") {
+    const queryPortion = `equity > $${filtersValues.length + 1}`;
+    filters.push(queryPortion);
+    filtersValues.push(0);
+  }
+  if ("location" in query) {
+    // a city, region or country any of the job's locations is in
+    const idx = `$${filtersValues.length + 1}`;
+    const queryPortion = `EXISTS (SELECT 1
+      FROM job_locations AS jl
+        JOIN locations AS l ON l.id = jl.location_id
+      WHERE jl.job_id = jobs.id
+        AND (lower(l.city) = lower(${idx})
+             OR lower(l.region) = lower(${idx})
+             OR l.country = upper(${idx})))`;
+    filters.push(queryPortion);
+    filtersValues.push(query["location"]);
+  }
+  if ("remote" in query) {
+    if (query["remote"] !== "true" && query["remote"] !== "false") {
+      throw new BadRequestError("remote must be true or false");
+    }
+    const operator = query["remote"] === "true" ? "=" : "<>";
+    const queryPortion = `work_mode ${operator} $${filtersValues.length + 1}`;
+    filters.push(queryPortion);
+    filtersValues.push("remote");
+  }
+  if ("workMode" in query) {
+    // one work mode, or several separated by commas
+    const workModes = String(query["workMode"]).split(",");
+    for (const workMode of workModes) {
+      if (!WORK_MODES.includes(workMode)) {
+        throw new BadRequestError(`Invalid workMode: ${workMode}`);
+      }
+    }
+    const queryPortion = `work_mode = ANY($${filtersValues.length + 1})`;
+    filters.push(queryPortion);
+    filtersValues.push(workModes);
+  }
+  if ("skills" in query || "skillsMatch" in query) {
+    if (!("skills" in query)) {
+      throw new BadRequestError("skillsMatch needs skills");
+    }
+    const skillsMatch = query["skillsMatch"] || "any";
+    if (skillsMatch !== "any" && skillsMatch !== "all") {
+      throw new BadRequestError("skillsMatch must be any or all");
+    }
+    // skills named by slug or alias, separated by commas
+    const skills = String(query["skills"])
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter((s) => s !== "");
+    if (skills.length === 0) throw new BadRequestError("skills is empty");
+    const idx = `$${filtersValues.length + 1}::text[]`;
+    const hasSkill = (name) => `EXISTS (SELECT 1
+        FROM job_skills AS js
+        WHERE js.job_id = jobs.id
+          AND js.skill_slug IN (SELECT slug FROM skills WHERE slug = ${name}
+                                UNION
+                                SELECT skill_slug
+                                FROM skill_aliases
+                                WHERE alias = ${name}))`;
+    const queryPortion =
+      skillsMatch === "any"
+        ? hasSkill(`ANY(${idx})`)
+        : `NOT EXISTS (SELECT 1
+      FROM unnest(${idx}) AS wanted(name)
+      WHERE NOT ${hasSkill("wanted.name")})`;
+    filters.push(queryPortion);
+    filtersValues.push(skills);
+  }
+  if ("saved" in query) {
+    if (query["saved"] !== "true" && query["saved"] !== "false") {
+      throw new BadRequestError("saved must be true or false");
+    }
+    if (username === undefined) {
+      throw new BadRequestError("saved needs a logged in user");
+    }
+    const idx = `$${filtersValues.length + 1}`;
+    const queryPortion = `${query["saved"] === "true" ? "" : "NOT "}EXISTS (
+      SELECT 1
+      FROM saved_jobs AS sj
+      WHERE sj.job_id = jobs.id AND sj.username = ${idx})`;
+    filters.push(queryPortion);
+    filtersValues.push(username);
+  }
+  if ("status" in query) {
+    // one status, or several separated by commas
+    const statuses = String(query["status"]).split(",");
+    for (const status of statuses) {
+      if (!STATUSES.includes(status)) {
+        throw new BadRequestError(`Invalid status: ${status}`);
+      }
+    }
+    const queryPortion =
+      `job_status(status, expires_at) = ANY($${filtersValues.length + 1})`;
+    filters.push(queryPortion);
+    filtersValues.push(statuses);
+  } else {
+    filters.push(LIVE_JOBS);
+  }
+  if (publishedSince !== undefined) {
+    filters.push(`published_at >= $${filtersValues.length + 1}`);
+    filtersValues.push(publishedSince);
+  }
+  let distance;
+  if ("near" in query || "radiusKm" in query) {
+    if (!("near" in query)) throw new BadRequestError("radiusKm needs near");
+    const { lat, lng, radiusKm } = parseNear(query["near"], query["radiusKm"]);
+    // how far the nearest of the job's locations is
+    const latIdx = filtersValues.length + 1;
+    distance = `(SELECT min(distance_km(
+                          city_point(l.city, l.region, l.country),
+                          point($${latIdx + 1}, $${latIdx})))
+      FROM job_locations AS jl
+        JOIN locations AS l ON l.id = jl.location_id
+      WHERE jl.job_id = jobs.id)`;
+    filters.push(`${distance} <= $${latIdx + 2}`);
+    filtersValues.push(lat, lng, radiusKm);
+  }
+
+  // Join SQL clauses with "AND" if there are more than one
+  const where = `WHERE ${filters.join(" AND ")}`;
+
+  return { where, values: filtersValues, distance, currency };
+}
+
+/** Change the status of job id, by change: publish, close or reopen (see
+ * Job.publish); expiresAt, if given, replaces the job's expiry date.
+ *
+ * Returns the job, as for Job.get.
+ */
+
+async function changeStatus(id, change, { expiresAt } = {}) {
+  if (!Number.isInteger(Number(id))) throw new NotFoundError(`No job: ${id}`);
+  checkDates({ expiresAt });
+
+  return await db.withTransaction(async () => {
+    // lock the job so concurrent changes happen one after the other
+    const currentRes = await db.query(
+      `SELECT job_status(status, expires_at) AS status,
+              expires_at <= NOW() AS "hasExpired"
+       FROM jobs
+       WHERE id = $1
+       FOR UPDATE`,
+      [id]
+    );
+    const current = currentRes.rows[0];
+    if (!current) throw new NotFoundError(`No job: ${id}`);
+
+    if (!STATUS_CHANGES[change].includes(current.status)) {
+      throw new BadRequestError(`Cannot ${change} a ${current.status} job`);
+    }
+
+    if (change === "close") {
+      await db.query(
+        `UPDATE jobs
+         SET status = 'closed', closed_at = NOW()
+         WHERE id = $1`,
+        [id]
+      );
+    } else {
+      if (expiresAt === undefined && current.hasExpired) {
+        throw new BadRequestError("The job has expired; give a new expiresAt");
+      }
+      await db.query(
+        `UPDATE jobs
+         SET status = 'published',
+             published_at = COALESCE(published_at, NOW()),
+             publish_at = NULL,
+             closed_at = NULL,
+             expires_at = CASE WHEN $2 THEN $3::timestamptz
+                               ELSE expires_at END
+         WHERE id = $1`,
+        [id, expiresAt !== undefined, expiresAt]
+      );
+    }
+
+    return await Job.get(id);
+  });
+}
+
 class Job {
   /** Create a job (from data), update db, return new job data.
    *
-   * data should be { title, salary, equity, company_handle }
+   * data should be { title, salaryMin, salaryMax, salaryCurrency,
+   *   salaryPeriod, equity, company_handle, workMode, locations, status,
+   *   publishAt, expiresAt, screeningQuestions }
+   *   where salaryCurrency is an ISO 4217 code (default USD), salaryPeriod is
+   *   hour, day, month or year (the default), workMode is remote, hybrid or
+   *   onsite (the default), locations is [{ city, region, country }, ...],
+   *   status is draft or published (the default, unless there's a
+   *   publishAt), publishAt, if given, is when a draft is to be published
+   *   (see runSchedule), expiresAt, if given, is when the job stops taking
+   *   applications and screeningQuestions is what applicants are asked:
+   *   [{ key, question, type, choices, required }, ...], where type is text,
+   *   number, boolean or choice (with choices, the answers to pick from) and
+   *   questions are required unless required is false
    *
-   * Returns { id, title, salary, equity, company_handle }
+   * Returns { id, title, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+   *   equity, company_handle, workMode, locations, status, expiresAt }
    *
+   * Throws BadRequestError if salaryMin is greater than salaryMax, publishAt
+   * or expiresAt has passed, a published job is given a publishAt or a
+   * screening question is invalid.
    * */
 
-  static async create({ title, salary, equity, company_handle }) {
-    const result = await db.query(
-      `INSERT INTO jobs
-           (title, salary, equity, company_handle)
-           VALUES ($1, $2, $3, $4)
-           RETURNING id, title, salary, equity, company_handle`,
-      [title, salary, equity, company_handle]
-    );
-    const job = result.rows[0];
+  static async create(data) {
+    const {
+      title,
+      salaryMin,
+      salaryMax,
+      salaryCurrency = "USD",
+      salaryPeriod = "year",
+      equity,
+      company_handle,
+      workMode = "onsite",
+      locations = [],
+      publishAt = null,
+      status = publishAt === null ? "published" : "draft",
+      expiresAt = null,
+      screeningQuestions = [],
+    } = cleanSalary(data);
+    checkDates(data);
+    if (publishAt !== null && status !== "draft") {
+      throw new BadRequestError("publishAt is only for drafts");
+    }
 
-    return job;
+    return await db.withTransaction(async () => {
+      const result = await db.query(
+        `INSERT INTO jobs
+             (title, salary_min, salary_max, salary_currency, salary_period,
+              equity, company_handle, work_mode, status, expires_at,
+              publish_at, screening_questions, published_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+                     CASE WHEN $9 = 'published' THEN NOW() END)
+             RETURNING id`,
+        [
+          title,
+          salaryMin,
+          salaryMax,
+          salaryCurrency,
+          salaryPeriod,
+          equity,
+          company_handle,
+          workMode,
+          status,
+          expiresAt,
+          publishAt,
+          cleanScreeningQuestions(screeningQuestions),
+        ]
+      );
+      const { id } = result.rows[0];
+
+      await setLocations(id, locations);
+
+      return await selectJob(id);
+    });
   }
 
-  /** Find all jobs.
+  /** Find all live jobs (published and not expired), a page at a time.
+   *
+   * page is { limit, offset, sort } (see sqlForPage); jobs can be sorted by
+   * title, salary (the most they pay in a year), equity or companyHandle, and
+   * are sorted by companyHandle by default.
    *
-   * Returns [{ id, title, salary, equity, company_handle }, ...]
+   * Returns [{ id, title, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+   *   equity, company_handle, workMode, locations, status, expiresAt }, ...]
+   * Throws BadRequestError if sort is invalid.
    * */
 
-  static async findAll() {
+  static async findAll(page = {}) {
     const jobsRes = await db.query(
-      `SELECT id, title, salary, equity, company_handle
+      `SELECT ${JOB_COLUMNS}
            FROM jobs
-           ORDER BY company_handle`
+           WHERE ${LIVE_JOBS}
+           ${sqlForPage(page, PAGE_OPTIONS)}`
     );
     return jobsRes.rows;
   }
 
-  /** Filter jobs based on query parameters
+  /** Filter jobs based on query parameters, a page at a time (see findAll).
+   *
+   * title matches case-insensitively anywhere in the title, and returns every
+   * matching job. location matches jobs in that city, region or country;
+   * remote=true keeps only remote jobs and remote=false only the rest; workMode
+   * is one work mode or several separated by commas.
+   *
+   * skills is one skill or several separated by commas, each its slug or an
+   * alias; jobs listing any of them match, or with skillsMatch=all, only jobs
+   * listing every one, whether required or nice to have.
+   *
+   * saved=true keeps only the jobs the user with username has saved, and
+   * saved=false only the rest.
+   *
+   * Only live jobs match, unless status is given: one of draft, published,
+   * closed or expired, or several separated by commas.
+   *
+   * minSalary is compared with the most a job pays in a year, whatever its pay
+   * period, converted to currency (default USD) with the exchange rates; jobs
+   * paid in a currency without a rate don't match. Given a currency, each job
+   * has its convertedSalary too, and sorting by salary compares converted
+   * salaries.
+   *
+   * near is "lat,lng": only jobs with a location within radiusKm (default 25)
+   * of it are returned, nearest first, each with its distanceKm. They can be
+   * sorted by distance, too.
    *
-   * Returns [{ id, title, salary, equity, company_handle }, ...]
-   * Throws BadRequestError if filter is invalid.
+   * publishedSince, if given, keeps only the jobs published since that time.
+   *
+   * Returns [{ id, title, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+   *   equity, company_handle, workMode, locations, status, expiresAt }, ...]
+   *   with convertedSalary if currency is given (see get) and distanceKm if
+   *   near is given
+   * Throws BadRequestError if filter or sort is invalid, or there's no
+   * exchange rate for currency.
    *
    * */
 
-  static async filter(query) {
-    // Throw error if query parameter includes an invalid filter
-    const validFilters = ["title", "minSalary", "hasEquity"];
-    for (const key of Object.keys(query)) {
-      if (validFilters.includes(key) === false) {
-        throw new BadRequestError(`Invalid filter`);
-      }
-    }
-
-    // Store SQL clause for each filter and its values
-    const filters = [];
-    const filtersValues = [];
+  static async filter(query, page = {}, { username, publishedSince } = {}) {
+    const { where, values, distance, currency } = filterClause(
+      query,
+      username,
+      publishedSince
+    );
+    if (currency !== undefined) await checkCurrency(currency);
 
-    if ("title" in query) {
-      const queryPortion = `title ILIKE $${filters.length + 1}`;
-      filters.push(queryPortion);
-      filtersValues.push("%" + query["title"] + "%");
-    }
-    if ("minSalary" in query) {
-      const queryPortion = `salary >= $${filters.length + 1}`;
-      filters.push(queryPortion);
-      filtersValues.push(query["minSalary"]);
+    let columns = JOB_COLUMNS;
+    let pageOptions = PAGE_OPTIONS;
+    if ("currency" in query) {
+      values.push(currency);
+      columns += `,
+       ${sqlForConvertedSalary(values.length)}`;
+      pageOptions = {
+        ...PAGE_OPTIONS,
+        columns: {
+          ...PAGE_OPTIONS.columns,
+          salary: `salary_annual_max * ${sqlForRate(values.length)}`,
+        },
+      };
     }
-    if ("hasEquity" in query && query["hasEquity"] === "true") {
-      const queryPortion = `equity > $${filters.length + 1}`;
-      filters.push(queryPortion);
-      filtersValues.push(0);
+    if (distance !== undefined) {
+      columns += `,
+       round(${distance}::numeric, 1)::float8 AS "distanceKm"`;
+      pageOptions = pageOptionsNear(pageOptions, distance);
     }
 
-    // Join SQL clauses with "AND" if there are more than one
-    const filtersQuery =
-      filters.length > 1 ? filters.join(" AND ") : filters[0];
-
-    const sqlQuery = `SELECT id, title, salary, equity, company_handle
+    const sqlQuery = `SELECT ${columns}
       FROM jobs
-      WHERE ${filtersQuery}
-      ORDER BY company_handle`;
+      ${where}
+      ${sqlForPage(page, pageOptions)}`;
 
-    const jobsRes = await db.query(sqlQuery, filtersValues);
+    const jobsRes = await db.query(sqlQuery, values);
     return jobsRes.rows;
   }
 
+  /** Count the jobs matching query parameters (all live jobs, if there are
+   * none), for the user with username (see filter).
+   *
+   * Throws BadRequestError if filter is invalid, or there's no exchange rate
+   * for currency.
+   * */
+
+  static async count(query = {}, { username } = {}) {
+    const { where, values, currency } = filterClause(query, username);
+    if (currency !== undefined) await checkCurrency(currency);
+
+    const countRes = await db.query(
+      `SELECT COUNT(*)::int AS "count"
+       FROM jobs
+       ${where}`,
+      values
+    );
+    return countRes.rows[0].count;
+  }
+
   /** Given a job id, return data about job.
    *
-   * Returns { id, title, salary, equity, company_handle }
-   *  where company_handle is { handle, name, description, num_employees, logo_url }
+   * Given a currency, the job's salary is converted to it with the exchange
+   * rates as well.
    *
-   * Throws NotFoundError if not found.
+   * Returns { id, title, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+   *   equity, company_handle, workMode, locations, status, expiresAt,
+   *   publishAt, publishedAt, closedAt, screeningQuestions, company,
+   *   skills }
+   *   where screeningQuestions is [{ key, question, type, choices, required },
+   *   ...] (see create),
+   *   company is { handle, name, description, numEmployees, logoUrl },
+   *   skills is [{ slug, name, required }, ...], required ones first,
+   *   plus convertedSalary if currency is given: { salaryMin, salaryMax,
+   *   salaryCurrency, salaryPeriod }, or null if there's no rate for the
+   *   job's currency
+   *
+   * Throws NotFoundError if not found, BadRequestError if there's no exchange
+   * rate for currency.
    **/
 
-  static async get(title) {
+  static async get(id, { currency } = {}) {
+    if (!Number.isInteger(Number(id))) throw new NotFoundError(`No job: ${id}`);
+
     const jobRes = await db.query(
-      `SELECT id, title, salary, equity, company_handle
-           FROM jobs
-           WHERE title = $1`,
-      [title]
+      `SELECT ${JOB_COLUMNS},
+              publish_at AS "publishAt",
+              published_at AS "publishedAt",
+              closed_at AS "closedAt",
+              screening_questions AS "screeningQuestions"
+       FROM jobs
+       WHERE id = $1`,
+      [id]
     );
-
     const job = jobRes.rows[0];
-    if (!job) throw new NotFoundError(`No job: ${title}`);
+    if (!job) throw new NotFoundError(`No job: ${id}`);
 
-    const company = await db.query(
-      `SELECT handle, name, description, num_employees, logo_url
-      FROM companies
-      WHERE handle=$1`,
-      [jobRes.rows[0]["company_handle"]]
+    if (currency !== undefined) {
+      currency = String(currency).toUpperCase();
+      await checkCurrency(currency);
+      const convertedRes = await db.query(
+        `SELECT ${sqlForConvertedSalary(2)}
+         FROM jobs
+         WHERE id = $1`,
+        [id, currency]
+      );
+      job.convertedSalary = convertedRes.rows[0].convertedSalary;
+    }
+
+    const companyRes = await db.query(
+      `SELECT handle,
+              name,
+              description,
+              num_employees AS "numEmployees",
+              logo_url AS "logoUrl"
+       FROM companies
+       WHERE handle = $1`,
+      [job.company_handle]
     );
 
-    job.company_handle = company.rows[0];
+    job.company = companyRes.rows[0];
+
+    const skillsRes = await db.query(
+      `SELECT s.slug, s.name, js.required
+       FROM job_skills AS js
+         JOIN skills AS s ON s.slug = js.skill_slug
+       WHERE js.job_id = $1
+       ORDER BY js.required DESC, s.name, s.slug`,
+      [id]
+    );
+
+    job.skills = skillsRes.rows;
 
     return job;
   }
 
+  /** Given job ids, return those jobs, in the same order; ids with no job
+   * are left out.
+   *
+   * Returns [{ id, title, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+   *   equity, company_handle, workMode, locations, status, expiresAt }, ...]
+   **/
+
+  static async findByIds(ids) {
+    const result = await db.query(
+      `SELECT ${JOB_COLUMNS}
+       FROM jobs
+       WHERE id = ANY($1)
+       ORDER BY array_position($1, id)`,
+      [ids]
+    );
+    return result.rows;
+  }
+
+  /** Given a job id, return the handle of the company it belongs to.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async getCompanyHandle(id) {
+    if (!Number.isInteger(Number(id))) throw new NotFoundError(`No job: ${id}`);
+
+    const result = await db.query(
+      `SELECT company_handle
+           FROM jobs
+           WHERE id = $1`,
+      [id]
+    );
+    const job = result.rows[0];
+
+    if (!job) throw new NotFoundError(`No job: ${id}`);
+
+    return job.company_handle;
+  }
+
+  /** Check job id is taking applications: it's published and not expired.
+   *
+   * In a transaction, the job is then locked until it ends, so it can't be
+   * changed (e.g. closed, or given new screening questions) in the meantime.
+   *
+   * Throws NotFoundError if not found, BadRequestError if it's a draft, or
+   * closed or expired.
+   **/
+
+  static async checkOpen(id) {
+    if (!Number.isInteger(Number(id))) throw new NotFoundError(`No job: ${id}`);
+
+    const result = await db.query(
+      `SELECT job_status(status, expires_at) AS status
+       FROM jobs
+       WHERE id = $1
+       FOR SHARE`,
+      [id]
+    );
+    const job = result.rows[0];
+
+    if (!job) throw new NotFoundError(`No job: ${id}`);
+    if (job.status !== "published") {
+      throw new BadRequestError(`Job ${id} is not open: it's ${job.status}`);
+    }
+  }
+
   /** Update job data with `data`.
    *
-   * Data can include: {title, salary, equity}
+   * Data can include: {title, salaryMin, salaryMax, salaryCurrency,
+   *   salaryPeriod, equity, workMode, locations, publishAt, expiresAt,
+   *   screeningQuestions}
+   *   where locations replaces all of the job's locations, publishAt can only
+   *   be set on drafts and screeningQuestions replaces all of the job's
+   *   questions (see create); its status is changed with publish, close and
+   *   reopen
    *
-   * Returns {id, title, salary, equity, company_handle}
+   * Returns {id, title, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+   *   equity, company_handle, workMode, locations, status, expiresAt}
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found, BadRequestError if salaryMin would be
+   * greater than salaryMax, publishAt or expiresAt has passed, publishAt is
+   * set on a job that isn't a draft or expiresAt on one that has expired, or
+   * a screening question is invalid.
    */
 
   static async update(id, data) {
-    const { setCols, values } = sqlForPartialUpdate(data, {});
-    const idVarIdx = "$" + (values.length + 1);
-
-    const querySql = `UPDATE jobs
-                      SET ${setCols}
-                      WHERE id = ${idVarIdx}
-                      RETURNING id, title, salary, equity, company_handle`;
-    const result = await db.query(querySql, [...values, id]);
+    const { locations, ...columns } = data;
+    checkDates(columns);
+    if (columns.screeningQuestions !== undefined) {
+      columns.screeningQuestions = cleanScreeningQuestions(
+        columns.screeningQuestions
+      );
+    }
+
+    return await db.withTransaction(async () => {
+      if (locations === undefined || Object.keys(columns).length > 0) {
+        let current = {};
+        if (
+          ["salaryMin", "salaryMax", "publishAt", "expiresAt"].some(
+            (field) => field in columns
+          )
+        ) {
+          // the other end of the range has to stay on the right side of it,
+          // and the dates depend on the job's status
+          current = (await selectJob(id)) || {};
+        }
+        if (current.id !== undefined) {
+          if (columns.publishAt != null && current.status !== "draft") {
+            throw new BadRequestError("publishAt is only for drafts");
+          }
+          if ("expiresAt" in columns && current.status === "expired") {
+            throw new BadRequestError(
+              "The job has expired; reopen it with a new expiresAt"
+            );
+          }
+        }
+        const { setCols, values } = sqlForPartialUpdate(
+          cleanSalary(columns, current),
+          JS_TO_SQL
+        );
+        const idVarIdx = "$" + (values.length + 1);
+
+        const querySql = `UPDATE jobs
+                          SET ${setCols}
+                          WHERE id = ${idVarIdx}
+                          RETURNING id`;
+        const result = await db.query(querySql, [...values, id]);
+
+        if (!result.rows[0]) throw new NotFoundError(`No job: ${id}`);
+      } else {
+        // nothing but locations to change; check the job is there
+        await Job.getCompanyHandle(id);
+      }
+
+      if (locations !== undefined) await setLocations(id, locations);
+
+      return await selectJob(id);
+    });
+  }
+
+  /** Publish draft job id, so job seekers can see and apply to it; with
+   * expiresAt, it expires then.
+   *
+   * Returns { id, title, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+   *   equity, company_handle, workMode, locations, status, expiresAt,
+   *   publishedAt, closedAt, company, skills } (see get)
+   *
+   * Throws NotFoundError if not found, BadRequestError if it isn't a draft or
+   * expiresAt has passed.
+   **/
+
+  static async publish(id, { expiresAt } = {}) {
+    return await changeStatus(id, "publish", { expiresAt });
+  }
+
+  /** Close job id to applications, whether it's published or expired.
+   *
+   * Returns the job, as for publish.
+   *
+   * Throws NotFoundError if not found, BadRequestError if it's a draft or
+   * already closed.
+   **/
+
+  static async close(id) {
+    return await changeStatus(id, "close");
+  }
+
+  /** Publish closed or expired job id again; with expiresAt, it expires
+   * then, and an expired job needs one.
+   *
+   * Returns the job, as for publish.
+   *
+   * Throws NotFoundError if not found, BadRequestError if it isn't closed or
+   * expired, or would still be expired.
+   **/
+
+  static async reopen(id, { expiresAt } = {}) {
+    return await changeStatus(id, "reopen", { expiresAt });
+  }
+
+  /** Check answers to the screening questions of job id: every required
+   * question is answered, each answer is of the question's type (one of the
+   * choices, for choice questions) and there are no answers to questions the
+   * job doesn't ask.
+   *
+   * Throws NotFoundError if not found, BadRequestError listing what's wrong
+   * with the answers.
+   **/
+
+  static async checkAnswers(id, answers = {}) {
+    if (!Number.isInteger(Number(id))) throw new NotFoundError(`No job: ${id}`);
+
+    const result = await db.query(
+      `SELECT screening_questions AS "screeningQuestions"
+       FROM jobs
+       WHERE id = $1`,
+      [id]
+    );
     const job = result.rows[0];
+    if (!job) throw new NotFoundError(`No job: ${id}`);
 
-    if (!job) throw new NotFoundError(`No company: ${id}`);
+    const validator = jsonschema.validate(
+      answers,
+      answersSchema(job.screeningQuestions),
+      { propertyName: "answers" }
+    );
+    if (!validator.valid) {
+      const errs = validator.errors.map((e) => e.stack);
+      throw new BadRequestError(errs);
+    }
+  }
 
-    return job;
+  /** Publish the drafts whose publishAt has come, and mark the published
+   * jobs whose expiresAt has passed as expired, as of now (the current time
+   * by default).
+   *
+   * Running it again changes nothing more until more jobs come due, and
+   * processes running it at once wait their turn, so no job is published or
+   * expired twice.
+   *
+   * Returns { published, expired }, the ids of the jobs changed.
+   **/
+
+  static async runSchedule(now = new Date()) {
+    return await db.withTransaction(async () => {
+      await db.query(`SELECT pg_advisory_xact_lock(${SCHEDULE_LOCK_ID})`);
+
+      // published when they were due, however late this runs
+      const publishedRes = await db.query(
+        `UPDATE jobs
+         SET status = 'published',
+             published_at = publish_at,
+             publish_at = NULL
+         WHERE status = 'draft' AND publish_at <= $1
+         RETURNING id`,
+        [now]
+      );
+      const expiredRes = await db.query(
+        `UPDATE jobs
+         SET status = 'expired'
+         WHERE status = 'published' AND expires_at <= $1
+         RETURNING id`,
+        [now]
+      );
+
+      return {
+        published: publishedRes.rows.map((r) => r.id).sort((a, b) => a - b),
+        expired: expiredRes.rows.map((r) => r.id).sort((a, b) => a - b),
+      };
+    });
   }
 
   /** Delete given job from database; returns undefined.
@@ -3,11 +3,13 @@
 const db = require("../db.js");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const Job = require("./job");
+const SavedJob = require("./savedJob");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -21,7 +23,10 @@ describe("create", function () {
   test("works", async function () {
     const newJob = {
       title: "Rapper",
-      salary: 100,
+      salaryMin: 100,
+      salaryMax: 150,
+      salaryCurrency: "USD",
+      salaryPeriod: "year",
       equity: "0.1",
       company_handle: "c1",
     };
@@ -29,10 +34,17 @@ describe("create", function () {
     const job = await Job.create(newJob);
     const jobId = job["id"];
     delete job["id"];
-    expect(job).toEqual(newJob);
+    expect(job).toEqual({
+      ...newJob,
+      workMode: "onsite",
+      locations: [],
+      status: "published",
+      expiresAt: null,
+    });
 
     const result = await db.query(
-      `SELECT id, title, salary, equity, company_handle
+      `SELECT id, title, salary_min, salary_max, salary_currency,
+              salary_period, equity, company_handle
            FROM jobs
            WHERE id = ${jobId}`
     );
@@ -41,11 +53,133 @@ describe("create", function () {
         company_handle: "c1",
         equity: "0.1",
         id: expect.any(Number),
-        salary: 100,
+        salary_min: 100,
+        salary_max: 150,
+        salary_currency: "USD",
+        salary_period: "year",
         title: "Rapper",
       },
     ]);
   });
+
+  test("works: salary defaults and currency case", async function () {
+    const job = await Job.create({
+      title: "Rapper",
+      company_handle: "c1",
+      salaryMin: 40,
+      salaryCurrency: "eur",
+    });
+    expect(job).toEqual(
+      expect.objectContaining({
+        salaryMin: 40,
+        salaryMax: null,
+        salaryCurrency: "EUR",
+        salaryPeriod: "year",
+      })
+    );
+  });
+
+  test("bad request if salaryMin > salaryMax", async function () {
+    try {
+      await Job.create({
+        title: "Rapper",
+        company_handle: "c1",
+        salaryMin: 200,
+        salaryMax: 100,
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: with work mode and locations", async function () {
+    const job = await Job.create({
+      title: "Rapper",
+      company_handle: "c1",
+      workMode: "hybrid",
+      locations: [
+        { city: "austin", region: "tx", country: "us" },
+        { city: "Berlin", country: "DE" },
+      ],
+    });
+    expect(job.workMode).toEqual("hybrid");
+    expect(job.locations).toEqual([
+      { city: "Berlin", region: null, country: "DE" },
+      { city: "Austin", region: "TX", country: "US" },
+    ]);
+
+    // Austin was already known, so it's shared rather than added again
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS "count" FROM locations`
+    );
+    expect(result.rows[0].count).toEqual(3);
+  });
+});
+
+/************************************** create, with a status */
+
+describe("create, with a status", function () {
+  test("works: a draft with an expiry date", async function () {
+    const job = await Job.create({
+      title: "Later",
+      company_handle: "c1",
+      status: "draft",
+      expiresAt: "2099-01-01T00:00:00Z",
+    });
+    expect(job.status).toEqual("draft");
+    expect(job.expiresAt).toEqual(new Date("2099-01-01T00:00:00Z"));
+
+    const result = await db.query(
+      `SELECT published_at FROM jobs WHERE id = $1`,
+      [job.id]
+    );
+    expect(result.rows[0].published_at).toBeNull();
+  });
+
+  test("works: a draft scheduled to be published", async function () {
+    const job = await Job.create({
+      title: "Monday",
+      company_handle: "c1",
+      publishAt: "2099-01-05T09:00:00Z",
+    });
+    expect(job.status).toEqual("draft");
+    expect((await Job.get(job.id)).publishAt).toEqual(
+      new Date("2099-01-05T09:00:00Z")
+    );
+  });
+
+  test("bad request publishing on schedule if published", async function () {
+    await expect(
+      Job.create({
+        title: "Monday",
+        company_handle: "c1",
+        status: "published",
+        publishAt: "2099-01-05T09:00:00Z",
+      })
+    ).rejects.toThrowError("publishAt is only for drafts");
+  });
+
+  test("bad request if expiresAt isn't after publishAt", async function () {
+    await expect(
+      Job.create({
+        title: "Monday",
+        company_handle: "c1",
+        publishAt: "2099-01-05T09:00:00Z",
+        expiresAt: "2099-01-05T09:00:00Z",
+      })
+    ).rejects.toThrowError("expiresAt must be after publishAt");
+  });
+
+  test("bad request if expiresAt has passed", async function () {
+    await expect(
+      Job.create({
+        title: "Late",
+        company_handle: "c1",
+        expiresAt: "2000-01-01T00:00:00Z",
+      })
+    ).rejects.toThrowError("expiresAt has passed");
+  });
 });
 
 /************************************** findAll */
@@ -58,22 +192,43 @@ describe("findAll", function () {
         company_handle: "c1",
         equity: "0.0",
         id: expect.any(Number),
-        salary: 100,
+        salaryMin: 100,
+        salaryMax: 100,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
         title: "title1",
+        workMode: "onsite",
+        locations: [{ city: "Austin", region: "TX", country: "US" }],
+        status: "published",
+        expiresAt: null,
       },
       {
         company_handle: "c2",
         equity: "0.2",
         id: expect.any(Number),
-        salary: 200,
+        salaryMin: 200,
+        salaryMax: 200,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
         title: "title2",
+        workMode: "hybrid",
+        locations: [{ city: "London", region: null, country: "GB" }],
+        status: "published",
+        expiresAt: null,
       },
       {
         company_handle: "c3",
         equity: "0.3",
         id: expect.any(Number),
-        salary: 300,
+        salaryMin: 300,
+        salaryMax: 300,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
         title: "title3",
+        workMode: "remote",
+        locations: [],
+        status: "published",
+        expiresAt: null,
       },
     ]);
   });
@@ -86,10 +241,25 @@ describe("findAll", function () {
       company_handle: "c1",
       equity: "0.0",
       id: expect.any(Number),
-      salary: 100,
+      salaryMin: 100,
+      salaryMax: 100,
+      salaryCurrency: "USD",
+      salaryPeriod: "year",
       title: "title1",
+      workMode: "onsite",
+      locations: [{ city: "Austin", region: "TX", country: "US" }],
+      status: "published",
+      expiresAt: null,
     });
   });
+  test("filter works: by title, returning every match", async function () {
+    const jobs = await Job.filter({ title: "TITLE" });
+    expect(jobs.map((j) => j.title)).toEqual(["title1", "title2", "title3"]);
+  });
+  test("filter works: by companyHandle", async function () {
+    const jobs = await Job.filter({ companyHandle: "c2" });
+    expect(jobs.map((j) => j.title)).toEqual(["title2"]);
+  });
   test("filter works: by minSalary", async function () {
     const filterData = {
       minSalary: 200,
@@ -100,18 +270,129 @@ describe("findAll", function () {
         company_handle: "c2",
         equity: "0.2",
         id: expect.any(Number),
-        salary: 200,
+        salaryMin: 200,
+        salaryMax: 200,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
         title: "title2",
+        workMode: "hybrid",
+        locations: [{ city: "London", region: null, country: "GB" }],
+        status: "published",
+        expiresAt: null,
       },
       {
         company_handle: "c3",
         equity: "0.3",
         id: expect.any(Number),
-        salary: 300,
+        salaryMin: 300,
+        salaryMax: 300,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
         title: "title3",
+        workMode: "remote",
+        locations: [],
+        status: "published",
+        expiresAt: null,
       },
     ]);
   });
+  test("filter works: by minSalary, on yearly amounts", async function () {
+    // 10 to 15 an hour is 20800 to 31200 a year
+    await Job.create({
+      title: "hourly",
+      company_handle: "c1",
+      salaryMin: 10,
+      salaryMax: 15,
+      salaryPeriod: "hour",
+    });
+    const jobs = await Job.filter({ minSalary: 30000 });
+    expect(jobs.map((j) => j.title)).toEqual(["hourly"]);
+    expect(await Job.filter({ minSalary: 31201 })).toEqual([]);
+
+    const bySalary = await Job.findAll({ sort: "-salary" });
+    expect(bySalary.map((j) => j.title)).toEqual([
+      "hourly",
+      "title3",
+      "title2",
+      "title1",
+    ]);
+  });
+  test("bad request with invalid minSalary", async function () {
+    for (const minSalary of ["abc", "-5", " "]) {
+      await expect(Job.filter({ minSalary })).rejects.toThrowError(
+        BadRequestError
+      );
+    }
+  });
+
+  test("filter works: by minSalary, across currencies", async function () {
+    // a euro is 2 dollars; there's no rate for yen
+    await Job.create({
+      title: "euros",
+      company_handle: "c1",
+      salaryMin: 100,
+      salaryMax: 125,
+      salaryCurrency: "EUR",
+    });
+    await Job.create({
+      title: "yen",
+      company_handle: "c1",
+      salaryMin: 100000,
+      salaryCurrency: "JPY",
+    });
+
+    const inDollars = await Job.filter({ minSalary: 240 });
+    expect(inDollars.map((j) => j.title)).toEqual(["euros", "title3"]);
+
+    const inEuros = await Job.filter({ minSalary: 100, currency: "eur" });
+    expect(inEuros.map((j) => [j.title, j.convertedSalary])).toEqual([
+      [
+        "euros",
+        {
+          salaryMin: 100,
+          salaryMax: 125,
+          salaryCurrency: "EUR",
+          salaryPeriod: "year",
+        },
+      ],
+      ["title2", expect.objectContaining({ salaryMin: 100, salaryMax: 100 })],
+      ["title3", expect.objectContaining({ salaryMin: 150, salaryMax: 150 })],
+    ]);
+    expect(await Job.count({ minSalary: 100, currency: "EUR" })).toEqual(3);
+  });
+  test("filter works: converting salaries, sorted by salary", async function () {
+    await Job.create({
+      title: "yen",
+      company_handle: "c1",
+      salaryMin: 100000,
+      salaryCurrency: "JPY",
+    });
+    await Job.create({
+      title: "euros",
+      company_handle: "c1",
+      salaryMin: 250,
+      salaryCurrency: "EUR",
+    });
+    const jobs = await Job.filter({ currency: "GBP" }, { sort: "salary" });
+    expect(jobs.map((j) => [j.title, j.convertedSalary])).toEqual([
+      ["title1", expect.objectContaining({ salaryMin: 80 })],
+      ["title2", expect.objectContaining({ salaryMin: 160 })],
+      ["title3", expect.objectContaining({ salaryMin: 240 })],
+      ["euros", expect.objectContaining({ salaryMin: 400, salaryMax: null })],
+      ["yen", null],
+    ]);
+  });
+  test("throws error with an invalid or unknown currency", async function () {
+    await expect(
+      Job.filter({ minSalary: 1, currency: "dollars" })
+    ).rejects.toThrowError("Invalid currency: dollars");
+    await expect(Job.filter({ currency: "JPY" })).rejects.toThrowError(
+      "No exchange rate for JPY"
+    );
+    await expect(Job.count({ currency: "JPY" })).rejects.toThrow(
+      BadRequestError
+    );
+  });
   test("filter works: by hasEquity", async function () {
     const filterData = {
       hasEquity: "true",
@@ -122,18 +403,168 @@ describe("findAll", function () {
         company_handle: "c2",
         equity: "0.2",
         id: expect.any(Number),
-        salary: 200,
+        salaryMin: 200,
+        salaryMax: 200,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
         title: "title2",
+        workMode: "hybrid",
+        locations: [{ city: "London", region: null, country: "GB" }],
+        status: "published",
+        expiresAt: null,
       },
       {
         company_handle: "c3",
         equity: "0.3",
         id: expect.any(Number),
-        salary: 300,
+        salaryMin: 300,
+        salaryMax: 300,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
         title: "title3",
+        workMode: "remote",
+        locations: [],
+        status: "published",
+        expiresAt: null,
       },
     ]);
   });
+  test("filter works: by location city, region or country", async function () {
+    for (const location of ["austin", "TX", "us"]) {
+      const jobs = await Job.filter({ location });
+      expect(jobs.map((j) => j.title)).toEqual(["title1"]);
+    }
+    expect(await Job.filter({ location: "Paris" })).toEqual([]);
+  });
+  test("filter works: by remote", async function () {
+    const remote = await Job.filter({ remote: "true" });
+    expect(remote.map((j) => j.title)).toEqual(["title3"]);
+    const notRemote = await Job.filter({ remote: "false" });
+    expect(notRemote.map((j) => j.title)).toEqual(["title1", "title2"]);
+  });
+  test("filter works: by workMode", async function () {
+    const hybrid = await Job.filter({ workMode: "hybrid" });
+    expect(hybrid.map((j) => j.title)).toEqual(["title2"]);
+    const several = await Job.filter({ workMode: "onsite,remote" });
+    expect(several.map((j) => j.title)).toEqual(["title1", "title3"]);
+  });
+  test("filter works: by skills, any or all", async function () {
+    const any = await Job.filter({ skills: "js,python" });
+    expect(any.map((j) => j.title)).toEqual(["title1", "title2"]);
+    const all = await Job.filter({ skills: "SQL,js", skillsMatch: "all" });
+    expect(all.map((j) => j.title)).toEqual(["title1"]);
+    expect(await Job.count({ skills: "sql" })).toEqual(2);
+    // a skill no job lists can't be matched by all of them
+    expect(
+      await Job.filter({ skills: "sql,cobol", skillsMatch: "all" })
+    ).toEqual([]);
+  });
+  test("throws error with invalid skills or skillsMatch", async function () {
+    await expect(
+      Job.filter({ skills: "sql", skillsMatch: "most" })
+    ).rejects.toThrowError("skillsMatch must be any or all");
+    await expect(Job.filter({ skillsMatch: "all" })).rejects.toThrowError(
+      "skillsMatch needs skills"
+    );
+    await expect(Job.filter({ skills: "," })).rejects.toThrowError(
+      "skills is empty"
+    );
+  });
+  test("filter works: by saved, for a user", async function () {
+    await SavedJob.save("u1", testJobIds[1]);
+    const saved = await Job.filter({ saved: "true" }, {}, { username: "u1" });
+    expect(saved.map((j) => j.title)).toEqual(["title2"]);
+    const rest = await Job.filter({ saved: "false" }, {}, { username: "u1" });
+    expect(rest.map((j) => j.title)).toEqual(["title1", "title3"]);
+    expect(await Job.count({ saved: "true" }, { username: "u2" })).toEqual(0);
+  });
+  test("filter works: published since", async function () {
+    await db.query(
+      `UPDATE jobs SET published_at = NOW() - INTERVAL '2 days'
+       WHERE id <> $1`,
+      [testJobIds[1]]
+    );
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const jobs = await Job.filter({}, {}, { publishedSince: since });
+    expect(jobs.map((j) => j.title)).toEqual(["title2"]);
+  });
+  test("throws error with saved but no user", async function () {
+    await expect(Job.filter({ saved: "true" })).rejects.toThrowError(
+      "saved needs a logged in user"
+    );
+    await expect(
+      Job.filter({ saved: "yes" }, {}, { username: "u1" })
+    ).rejects.toThrowError("saved must be true or false");
+  });
+  test("filter works: near, nearest first with the distance", async function () {
+    await Job.create({
+      title: "title4",
+      company_handle: "c1",
+      locations: [
+        { city: "San Antonio", region: "TX", country: "US" },
+        { city: "Paris", country: "FR" },
+      ],
+    });
+
+    const near = { near: "30.2672,-97.7431", radiusKm: "200" };
+    const jobs = await Job.filter(near);
+    expect(jobs.map((j) => [j.title, j.distanceKm])).toEqual([
+      ["title1", 0],
+      ["title4", 118.4],
+    ]);
+    expect(await Job.count(near)).toEqual(2);
+
+    // the nearest of a job's locations is the one that counts
+    const paris = await Job.filter({ near: "48.8566,2.3522", remote: "false" });
+    expect(paris.map((j) => [j.title, j.distanceKm])).toEqual([
+      ["title4", 0],
+    ]);
+  });
+  test("filter works: near a location not in the cities table", async function () {
+    await Job.create({
+      title: "title4",
+      company_handle: "c1",
+      locations: [{ city: "Nowhere", country: "US" }],
+    });
+    const jobs = await Job.filter({ near: "0,0", radiusKm: "20000" });
+    expect(jobs.map((j) => j.title)).toEqual(["title2", "title1"]);
+  });
+  test("throws error with invalid near", async function () {
+    await expect(Job.filter({ near: "austin" })).rejects.toThrowError(
+      "near must be lat,lng"
+    );
+    await expect(Job.filter({ radiusKm: "5" })).rejects.toThrowError(
+      "radiusKm needs near"
+    );
+  });
+  test("throws error with invalid remote or workMode", async function () {
+    await expect(Job.filter({ remote: "yes" })).rejects.toThrowError(
+      "remote must be true or false"
+    );
+    await expect(Job.filter({ workMode: "hybrid,moon" })).rejects.toThrowError(
+      "Invalid workMode: moon"
+    );
+  });
+  test("filter works: only live jobs, unless by status", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = $1`, [
+      testJobIds[0],
+    ]);
+    await db.query(`UPDATE jobs SET expires_at = NOW() WHERE id = $1`, [
+      testJobIds[1],
+    ]);
+    expect((await Job.findAll()).map((j) => j.title)).toEqual(["title3"]);
+    expect((await Job.filter({ title: "title" })).length).toEqual(1);
+    expect(await Job.count()).toEqual(1);
+
+    const jobs = await Job.filter({ status: "draft,expired" });
+    expect(jobs.map((j) => [j.title, j.status])).toEqual([
+      ["title1", "draft"],
+      ["title2", "expired"],
+    ]);
+    await expect(Job.filter({ status: "open" })).rejects.toThrowError(
+      "Invalid status: open"
+    );
+  });
   test("throws error with invalid filter", async function () {
     const filterData = {
       my: "filter",
@@ -143,31 +574,237 @@ describe("findAll", function () {
       "Invalid filter"
     );
   });
+  test("works: a page at a time", async function () {
+    const jobs = await Job.findAll({ sort: "-salary", limit: 2 });
+    expect(jobs.map((j) => j.title)).toEqual(["title3", "title2"]);
+  });
+  test("throws error with invalid sort", async function () {
+    await expect(
+      async () => await Job.filter({ title: "t" }, { sort: "id" })
+    ).rejects.toThrowError("Invalid sort: id");
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await Job.count()).toEqual(3);
+    expect(await Job.count({ minSalary: 200 })).toEqual(2);
+    expect(await Job.count({ remote: "false", location: "GB" })).toEqual(1);
+  });
 });
 
 /************************************** get */
 
 describe("get", function () {
   test("works", async function () {
-    const job = await Job.get("title1");
+    const job = await Job.get(testJobIds[0]);
     expect(job).toEqual({
-      company_handle: {
+      company_handle: "c1",
+      company: {
         description: "Desc1",
         handle: "c1",
-        logo_url: "http://c1.img",
+        logoUrl: "http://c1.img",
         name: "C1",
-        num_employees: 1,
+        numEmployees: 1,
       },
       equity: "0.0",
-      id: expect.any(Number),
-      salary: 100,
+      id: testJobIds[0],
+      salaryMin: 100,
+      salaryMax: 100,
+      salaryCurrency: "USD",
+      salaryPeriod: "year",
       title: "title1",
+      workMode: "onsite",
+      locations: [{ city: "Austin", region: "TX", country: "US" }],
+      status: "published",
+      expiresAt: null,
+      publishAt: null,
+      publishedAt: expect.any(Date),
+      closedAt: null,
+      screeningQuestions: [],
+      skills: [
+        { slug: "javascript", name: "JavaScript", required: true },
+        { slug: "sql", name: "SQL", required: false },
+      ],
     });
   });
 
-  test("not found if no such company", async function () {
+  test("works: with the salary converted", async function () {
+    const job = await Job.get(testJobIds[0], { currency: "eur" });
+    expect(job.convertedSalary).toEqual({
+      salaryMin: 50,
+      salaryMax: 50,
+      salaryCurrency: "EUR",
+      salaryPeriod: "year",
+    });
+  });
+
+  test("bad request if no rate for the currency", async function () {
     try {
-      await Job.get("nope");
+      await Job.get(testJobIds[0], { currency: "JPY" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Job.get(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if id isn't a number", async function () {
+    try {
+      await Job.get("title1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** publish, close, reopen */
+
+describe("publish", function () {
+  test("works, with an expiry date", async function () {
+    const draft = await Job.create({
+      title: "Later",
+      company_handle: "c1",
+      status: "draft",
+    });
+    const job = await Job.publish(draft.id, {
+      expiresAt: "2099-01-01T00:00:00Z",
+    });
+    expect(job).toEqual(
+      expect.objectContaining({
+        status: "published",
+        expiresAt: new Date("2099-01-01T00:00:00Z"),
+        publishedAt: expect.any(Date),
+        closedAt: null,
+      })
+    );
+  });
+
+  test("bad request if not a draft", async function () {
+    await expect(Job.publish(testJobIds[0])).rejects.toThrowError(
+      "Cannot publish a published job"
+    );
+  });
+
+  test("not found if no such job", async function () {
+    await expect(Job.publish(0)).rejects.toThrowError(NotFoundError);
+  });
+});
+
+describe("close", function () {
+  test("works", async function () {
+    const job = await Job.close(testJobIds[0]);
+    expect(job.status).toEqual("closed");
+    expect(job.closedAt).toEqual(expect.any(Date));
+    expect(await Job.count()).toEqual(2);
+  });
+
+  test("works: expired job", async function () {
+    await db.query(`UPDATE jobs SET expires_at = NOW() WHERE id = $1`, [
+      testJobIds[0],
+    ]);
+    const job = await Job.close(testJobIds[0]);
+    expect(job.status).toEqual("closed");
+  });
+
+  test("bad request if already closed", async function () {
+    await Job.close(testJobIds[0]);
+    await expect(Job.close(testJobIds[0])).rejects.toThrowError(
+      "Cannot close a closed job"
+    );
+  });
+});
+
+describe("reopen", function () {
+  test("works", async function () {
+    await Job.close(testJobIds[0]);
+    const job = await Job.reopen(testJobIds[0]);
+    expect(job.status).toEqual("published");
+    expect(job.closedAt).toBeNull();
+  });
+
+  test("works: expired job, with a new expiry date", async function () {
+    await db.query(`UPDATE jobs SET expires_at = NOW() WHERE id = $1`, [
+      testJobIds[0],
+    ]);
+    const job = await Job.reopen(testJobIds[0], { expiresAt: null });
+    expect(job.status).toEqual("published");
+    expect(job.expiresAt).toBeNull();
+  });
+
+  test("bad request if expired with no new expiry date", async function () {
+    await db.query(`UPDATE jobs SET expires_at = NOW() WHERE id = $1`, [
+      testJobIds[0],
+    ]);
+    await expect(Job.reopen(testJobIds[0])).rejects.toThrowError(
+      "The job has expired; give a new expiresAt"
+    );
+  });
+
+  test("bad request if published", async function () {
+    await expect(Job.reopen(testJobIds[0])).rejects.toThrowError(
+      "Cannot reopen a published job"
+    );
+  });
+});
+
+/************************************** checkOpen */
+
+describe("checkOpen", function () {
+  test("works", async function () {
+    await Job.checkOpen(testJobIds[0]);
+  });
+
+  test("bad request if closed or expired", async function () {
+    await Job.close(testJobIds[0]);
+    await expect(Job.checkOpen(testJobIds[0])).rejects.toThrowError(
+      `Job ${testJobIds[0]} is not open: it's closed`
+    );
+    await db.query(`UPDATE jobs SET expires_at = NOW() WHERE id = $1`, [
+      testJobIds[1],
+    ]);
+    await expect(Job.checkOpen(testJobIds[1])).rejects.toThrowError(
+      BadRequestError
+    );
+  });
+
+  test("not found if no such job", async function () {
+    await expect(Job.checkOpen(0)).rejects.toThrowError(NotFoundError);
+  });
+});
+
+/************************************** findByIds */
+
+describe("findByIds", function () {
+  test("works, in the order given", async function () {
+    const jobs = await Job.findByIds([testJobIds[2], 0, testJobIds[0]]);
+    expect(jobs.map((j) => j.title)).toEqual(["title3", "title1"]);
+  });
+});
+
+/************************************** getCompanyHandle */
+
+describe("getCompanyHandle", function () {
+  test("works", async function () {
+    const result = await db.query(`SELECT id FROM jobs WHERE title = 'title2'`);
+    const handle = await Job.getCompanyHandle(result.rows[0].id);
+    expect(handle).toEqual("c2");
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Job.getCompanyHandle(0);
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
@@ -180,35 +817,89 @@ describe("get", function () {
 describe("update", function () {
   const updateData = {
     title: "newTitle",
-    salary: 900,
+    salaryMin: 900,
+    salaryMax: 1000,
+    salaryCurrency: "EUR",
+    salaryPeriod: "month",
     equity: 0.5,
   };
 
   test("works", async function () {
-    const targetJob = await Job.get("title1");
+    const targetJob = await Job.get(testJobIds[0]);
     let job = await Job.update(targetJob.id, updateData);
     expect(job).toEqual({
       id: targetJob.id,
       ...updateData,
       company_handle: "c1",
       equity: "0.5",
+      workMode: "onsite",
+      locations: [{ city: "Austin", region: "TX", country: "US" }],
+      status: "published",
+      expiresAt: null,
     });
 
     const result = await db.query(
-      `SELECT id, title, salary, equity, company_handle
+      `SELECT id, title, salary_min, salary_max, salary_currency,
+              salary_period, salary_annual_max, equity, company_handle
            FROM jobs
            WHERE id = ${targetJob.id}`
     );
     expect(result.rows).toEqual([
       {
         id: targetJob.id,
-        ...updateData,
+        title: "newTitle",
+        salary_min: 900,
+        salary_max: 1000,
+        salary_currency: "EUR",
+        salary_period: "month",
+        salary_annual_max: "12000",
         company_handle: "c1",
         equity: "0.5",
       },
     ]);
   });
 
+  test("bad request if salaryMin would be > salaryMax", async function () {
+    // title1 pays 100 to 100
+    try {
+      await Job.update(testJobIds[0], { salaryMin: 150 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    const job = await Job.update(testJobIds[0], { salaryMax: 150 });
+    expect([job.salaryMin, job.salaryMax]).toEqual([100, 150]);
+  });
+
+  test("works: work mode and locations", async function () {
+    const job = await Job.update(testJobIds[0], {
+      workMode: "remote",
+      locations: [{ city: "Berlin", country: "de" }],
+    });
+    expect(job.workMode).toEqual("remote");
+    expect(job.locations).toEqual([
+      { city: "Berlin", region: null, country: "DE" },
+    ]);
+  });
+
+  test("works: only locations", async function () {
+    const job = await Job.update(testJobIds[0], { locations: [] });
+    expect(job.title).toEqual("title1");
+    expect(job.locations).toEqual([]);
+  });
+
+  test("not found if no such job", async function () {
+    for (const data of [{ title: "x" }, { locations: [] }]) {
+      try {
+        await Job.update(0, data);
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+        expect(err.message).toEqual("No job: 0");
+      }
+    }
+  });
+
   test("bad request with no data", async function () {
     try {
       await Job.update("c1", {});
@@ -219,11 +910,193 @@ describe("update", function () {
   });
 });
 
+/************************************** screening questions */
+
+describe("screening questions", function () {
+  const questions = [
+    { key: "years", question: "Years of experience?", type: "number" },
+    {
+      key: "visa",
+      question: "Need a visa?",
+      type: "boolean",
+      required: false,
+    },
+    {
+      key: "start",
+      question: "When could you start?",
+      type: "choice",
+      choices: ["now", "next month", "later"],
+    },
+  ];
+
+  test("works: set on create, required by default", async function () {
+    const job = await Job.create({
+      title: "Asking",
+      company_handle: "c1",
+      screeningQuestions: questions,
+    });
+    expect((await Job.get(job.id)).screeningQuestions).toEqual([
+      { ...questions[0], required: true },
+      questions[1],
+      { ...questions[2], required: true },
+    ]);
+  });
+
+  test("works: replaced on update", async function () {
+    await Job.update(testJobIds[0], { screeningQuestions: questions });
+    await Job.update(testJobIds[0], { screeningQuestions: [questions[1]] });
+    const job = await Job.get(testJobIds[0]);
+    expect(job.screeningQuestions).toEqual([questions[1]]);
+  });
+
+  test("bad request with a duplicate key", async function () {
+    await expect(
+      Job.update(testJobIds[0], {
+        screeningQuestions: [questions[0], questions[0]],
+      })
+    ).rejects.toThrowError("Duplicate screening question: years");
+  });
+
+  test("bad request with choices on the wrong questions", async function () {
+    for (const question of [
+      { ...questions[0], choices: ["1", "2"] },
+      { ...questions[2], choices: undefined },
+    ]) {
+      await expect(
+        Job.update(testJobIds[0], { screeningQuestions: [question] })
+      ).rejects.toThrowError(BadRequestError);
+    }
+  });
+
+  test("checkAnswers works", async function () {
+    await Job.update(testJobIds[0], { screeningQuestions: questions });
+    await Job.checkAnswers(testJobIds[0], { years: 3, start: "now" });
+    await Job.checkAnswers(testJobIds[0], {
+      years: 3,
+      start: "later",
+      visa: false,
+    });
+  });
+
+  test("checkAnswers: bad request with bad answers", async function () {
+    await Job.update(testJobIds[0], { screeningQuestions: questions });
+    for (const answers of [
+      {},
+      { years: 3 },
+      { years: "three", start: "now" },
+      { years: 3, start: "never" },
+      { years: 3, start: "now", other: "x" },
+    ]) {
+      await expect(
+        Job.checkAnswers(testJobIds[0], answers)
+      ).rejects.toThrowError(BadRequestError);
+    }
+  });
+
+  test("checkAnswers: lists what's wrong", async function () {
+    await Job.update(testJobIds[0], { screeningQuestions: questions });
+    try {
+      await Job.checkAnswers(testJobIds[0], { years: 3 });
+      fail();
+    } catch (err) {
+      expect(err.message).toEqual(['answers requires property "start"']);
+    }
+  });
+
+  test("checkAnswers: works with no questions", async function () {
+    await Job.checkAnswers(testJobIds[0]);
+    await expect(
+      Job.checkAnswers(testJobIds[0], { years: 3 })
+    ).rejects.toThrowError(BadRequestError);
+  });
+});
+
+/************************************** update, dates */
+
+describe("update, dates", function () {
+  test("works: publishAt on a draft", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = $1`, [
+      testJobIds[0],
+    ]);
+    await Job.update(testJobIds[0], { publishAt: "2099-01-05T09:00:00Z" });
+    const job = await Job.get(testJobIds[0]);
+    expect(job.publishAt).toEqual(new Date("2099-01-05T09:00:00Z"));
+  });
+
+  test("bad request: publishAt on a published job", async function () {
+    await expect(
+      Job.update(testJobIds[0], { publishAt: "2099-01-05T09:00:00Z" })
+    ).rejects.toThrowError("publishAt is only for drafts");
+  });
+
+  test("bad request: expiresAt on an expired job", async function () {
+    await db.query(`UPDATE jobs SET status = 'expired' WHERE id = $1`, [
+      testJobIds[0],
+    ]);
+    await expect(
+      Job.update(testJobIds[0], { expiresAt: "2099-01-05T09:00:00Z" })
+    ).rejects.toThrowError("The job has expired");
+  });
+});
+
+/************************************** runSchedule */
+
+describe("runSchedule", function () {
+  test("publishes and expires jobs when they're due", async function () {
+    const job = await Job.create({
+      title: "Monday",
+      company_handle: "c1",
+      publishAt: "2099-01-05T09:00:00Z",
+      expiresAt: "2099-02-04T09:00:00Z",
+    });
+
+    expect(await Job.runSchedule(new Date("2099-01-05T08:59:00Z"))).toEqual({
+      published: [],
+      expired: [],
+    });
+
+    expect(await Job.runSchedule(new Date("2099-01-05T09:10:00Z"))).toEqual({
+      published: [job.id],
+      expired: [],
+    });
+    const published = await Job.get(job.id);
+    expect(published.status).toEqual("published");
+    expect(published.publishAt).toBeNull();
+    expect(published.publishedAt).toEqual(new Date("2099-01-05T09:00:00Z"));
+
+    expect(await Job.runSchedule(new Date("2099-02-04T09:00:00Z"))).toEqual({
+      published: [],
+      expired: [job.id],
+    });
+    const result = await db.query(`SELECT status FROM jobs WHERE id = $1`, [
+      job.id,
+    ]);
+    expect(result.rows[0].status).toEqual("expired");
+
+    // nothing more to do
+    expect(await Job.runSchedule(new Date("2099-03-01T00:00:00Z"))).toEqual({
+      published: [],
+      expired: [],
+    });
+  });
+
+  test("works: by default, as of now", async function () {
+    await db.query(
+      `UPDATE jobs SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1`,
+      [testJobIds[0]]
+    );
+    expect(await Job.runSchedule()).toEqual({
+      published: [],
+      expired: [testJobIds[0]],
+    });
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
   test("works", async function () {
-    const targetJob = await Job.get("title1");
+    const targetJob = await Job.get(testJobIds[0]);
     await Job.remove(targetJob.id);
     const res = await db.query(`SELECT id FROM jobs WHERE id=${targetJob.id}`);
     expect(res.rows.length).toEqual(0);
@@ -0,0 +1,146 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { sendMail } = require("../helpers/mailer");
+
+/** Related functions for job alerts.
+ *
+ * An alert is a new job one of a user's saved searches found (see
+ * SavedSearch.matchAll). Alerts wait in the user's inbox until they read
+ * them, and are emailed to the user too: alerts not emailed yet are the
+ * outbox that sendEmails works through.
+ */
+
+// Every column of an alert, as returned by the model
+const ALERT_COLUMNS = `a.id,
+       a.saved_search_id AS "savedSearchId",
+       s.name AS "searchName",
+       a.job_id AS "jobId",
+       j.title,
+       j.company_handle AS "companyHandle",
+       a.created_at AS "createdAt",
+       a.read_at AS "readAt"`;
+
+class JobAlert {
+  /** Given a username, return the alerts in their inbox, newest first; with
+   * unread, only those they haven't read.
+   *
+   * Returns [{ id, savedSearchId, searchName, jobId, title, companyHandle,
+   *   createdAt, readAt }, ...]
+   **/
+
+  static async findForUser(username, { unread = false } = {}) {
+    const result = await db.query(
+      `SELECT ${ALERT_COLUMNS}
+       FROM job_alerts AS a
+         JOIN saved_searches AS s ON s.id = a.saved_search_id
+         JOIN jobs AS j ON j.id = a.job_id
+       WHERE s.username = $1 AND ($2 = FALSE OR a.read_at IS NULL)
+       ORDER BY a.created_at DESC, a.id DESC`,
+      [username, unread]
+    );
+    return result.rows;
+  }
+
+  /** Mark username's alert id as read.
+   *
+   * Returns { id, savedSearchId, searchName, jobId, title, companyHandle,
+   *   createdAt, readAt }
+   *
+   * Throws NotFoundError if they have no such alert.
+   **/
+
+  static async markRead(username, id) {
+    if (!Number.isInteger(Number(id))) {
+      throw new NotFoundError(`No alert: ${id}`);
+    }
+
+    const updateRes = await db.query(
+      `UPDATE job_alerts AS a
+       SET read_at = COALESCE(a.read_at, NOW())
+       FROM saved_searches AS s
+       WHERE s.id = a.saved_search_id AND s.username = $1 AND a.id = $2
+       RETURNING a.id`,
+      [username, id]
+    );
+    if (!updateRes.rows[0]) throw new NotFoundError(`No alert: ${id}`);
+
+    const result = await db.query(
+      `SELECT ${ALERT_COLUMNS}
+       FROM job_alerts AS a
+         JOIN saved_searches AS s ON s.id = a.saved_search_id
+         JOIN jobs AS j ON j.id = a.job_id
+       WHERE a.id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  /** Email each user the alerts they haven't been emailed yet, one message
+   * per user, and mark those alerts emailed.
+   *
+   * Alerts another process is already emailing are skipped, so no alert is
+   * emailed twice.
+   *
+   * Returns [{ username, alertIds }, ...] for the messages sent.
+   **/
+
+  static async sendEmails() {
+    const usersRes = await db.query(
+      `SELECT DISTINCT s.username
+       FROM job_alerts AS a
+         JOIN saved_searches AS s ON s.id = a.saved_search_id
+       WHERE a.emailed_at IS NULL
+       ORDER BY s.username`
+    );
+
+    const sent = [];
+    for (const { username } of usersRes.rows) {
+      // each user's alerts are sent and marked in a transaction of their
+      // own, so a failure only holds back that user's
+      const alertIds = await db.withTransaction(async () => {
+        const alertsRes = await db.query(
+          `SELECT a.id, s.name AS "searchName", j.title,
+                  j.company_handle AS "companyHandle", u.email
+           FROM job_alerts AS a
+             JOIN saved_searches AS s ON s.id = a.saved_search_id
+             JOIN jobs AS j ON j.id = a.job_id
+             JOIN users AS u ON u.username = s.username
+           WHERE s.username = $1 AND a.emailed_at IS NULL
+           ORDER BY a.id
+           FOR UPDATE OF a SKIP LOCKED`,
+          [username]
+        );
+        const alerts = alertsRes.rows;
+        if (alerts.length === 0) return [];
+
+        const lines = alerts.map(
+          (a) => `- ${a.title} at ${a.companyHandle} (${a.searchName})`
+        );
+        await sendMail({
+          to: alerts[0].email,
+          subject:
+            alerts.length === 1
+              ? "1 new job for your saved searches"
+              : `${alerts.length} new jobs for your saved searches`,
+          text:
+            `New jobs matching your saved searches:\n\n` +
+            `${lines.join("\n")}\n`,
+        });
+
+        const ids = alerts.map((a) => a.id);
+        await db.query(
+          `UPDATE job_alerts SET emailed_at = NOW() WHERE id = ANY($1)`,
+          [ids]
+        );
+        return ids;
+      });
+
+      if (alertIds.length > 0) sent.push({ username, alertIds });
+    }
+    return sent;
+  }
+}
+
+module.exports = JobAlert;
@@ -0,0 +1,101 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const { getTransport } = require("../helpers/mailer");
+const JobAlert = require("./jobAlert");
+const SavedSearch = require("./savedSearch");
+const Job = require("./job");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let jobIds;
+
+beforeEach(async function () {
+  await getTransport().clear();
+  await SavedSearch.create("u1", {
+    name: "Engineers",
+    query: { title: "eng" },
+  });
+  await SavedSearch.create("u2", { name: "All", query: {} });
+  jobIds = [
+    (await Job.create({ title: "engineer", company_handle: "c1" })).id,
+    (await Job.create({ title: "designer", company_handle: "c2" })).id,
+  ];
+  await SavedSearch.matchAll();
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works", async function () {
+    expect(await JobAlert.findForUser("u1")).toEqual([
+      {
+        id: expect.any(Number),
+        savedSearchId: expect.any(Number),
+        searchName: "Engineers",
+        jobId: jobIds[0],
+        title: "engineer",
+        companyHandle: "c1",
+        createdAt: expect.any(Date),
+        readAt: null,
+      },
+    ]);
+    const alerts = await JobAlert.findForUser("u2");
+    expect(alerts.map((a) => a.title).sort()).toEqual(["designer", "engineer"]);
+  });
+
+  test("works: unread only", async function () {
+    const [alert] = await JobAlert.findForUser("u1");
+    await JobAlert.markRead("u1", alert.id);
+    expect(await JobAlert.findForUser("u1", { unread: true })).toEqual([]);
+    expect((await JobAlert.findForUser("u1")).length).toEqual(1);
+  });
+});
+
+/************************************** markRead */
+
+describe("markRead", function () {
+  test("works", async function () {
+    const [alert] = await JobAlert.findForUser("u1");
+    const read = await JobAlert.markRead("u1", alert.id);
+    expect(read).toEqual({ ...alert, readAt: expect.any(Date) });
+  });
+
+  test("not found for another user's alert", async function () {
+    const [alert] = await JobAlert.findForUser("u1");
+    await expect(JobAlert.markRead("u2", alert.id)).rejects.toThrowError(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** sendEmails */
+
+describe("sendEmails", function () {
+  test("works: one message per user, once", async function () {
+    const sent = await JobAlert.sendEmails();
+    expect(sent.map((s) => [s.username, s.alertIds.length])).toEqual([
+      ["u1", 1],
+      ["u2", 2],
+    ]);
+
+    const messages = await getTransport().list();
+    expect(messages.map((m) => [m.to, m.subject])).toEqual([
+      ["u1@email.com", "1 new job for your saved searches"],
+      ["u2@email.com", "2 new jobs for your saved searches"],
+    ]);
+    expect(messages[0].text).toContain("- engineer at c1 (Engineers)");
+
+    expect(await JobAlert.sendEmails()).toEqual([]);
+    expect((await getTransport().list()).length).toEqual(2);
+  });
+});
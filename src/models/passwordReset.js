@@ -0,0 +1,83 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { PASSWORD_RESET_TTL_MINUTES } = require("../config");
+const User = require("./user");
+
+/** Related functions for password resets.
+ *
+ * A reset token is emailed to the user and only its hash is stored. Each
+ * token expires, and can be used once.
+ */
+
+class PasswordReset {
+  /** Start a password reset for username.
+   *
+   * Any earlier unused tokens for the user stop working.
+   *
+   * Returns { username, email, token }, or undefined if there's no such user
+   * (callers shouldn't reveal which).
+   **/
+
+  static async request(username) {
+    const userRes = await db.query(
+      `SELECT username, email
+       FROM users
+       WHERE username = $1`,
+      [username]
+    );
+    const user = userRes.rows[0];
+
+    if (!user) return;
+
+    return await db.withTransaction(async () => {
+      await db.query(
+        `UPDATE password_reset_tokens
+         SET used_at = NOW()
+         WHERE username = $1 AND used_at IS NULL`,
+        [username]
+      );
+
+      const token = createOpaqueToken();
+      await db.query(
+        `INSERT INTO password_reset_tokens (token_hash, username, expires_at)
+         VALUES ($1, $2, NOW() + $3 * INTERVAL '1 minute')`,
+        [hashToken(token), username, PASSWORD_RESET_TTL_MINUTES]
+      );
+
+      return { ...user, token };
+    });
+  }
+
+  /** Use a reset token to set a new password.
+   *
+   * Setting the password revokes all of the user's other tokens.
+   *
+   * Returns { username }
+   *
+   * Throws BadRequestError if the token is unknown, expired or already used.
+   **/
+
+  static async confirm(token, password) {
+    return await db.withTransaction(async () => {
+      const result = await db.query(
+        `UPDATE password_reset_tokens
+         SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING username`,
+        [hashToken(token)]
+      );
+      const reset = result.rows[0];
+
+      if (!reset) throw new BadRequestError("Invalid or expired reset token");
+
+      await User.update(reset.username, { password });
+
+      return { username: reset.username };
+    });
+  }
+}
+
+module.exports = PasswordReset;
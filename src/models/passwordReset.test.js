@@ -0,0 +1,100 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const PasswordReset = require("./passwordReset.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** request */
+
+describe("request", function () {
+  test("works", async function () {
+    const reset = await PasswordReset.request("u1");
+    expect(reset).toEqual({
+      username: "u1",
+      email: "u1@email.com",
+      token: expect.any(String),
+    });
+
+    const found = await db.query(
+      `SELECT token_hash, expires_at > NOW() AS live
+       FROM password_reset_tokens WHERE username = 'u1'`
+    );
+    expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].token_hash).not.toEqual(reset.token);
+    expect(found.rows[0].live).toEqual(true);
+  });
+
+  test("returns nothing for unknown user", async function () {
+    const reset = await PasswordReset.request("nope");
+    expect(reset).toBeUndefined();
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    const { token } = await PasswordReset.request("u1");
+    const result = await PasswordReset.confirm(token, "new-password");
+    expect(result).toEqual({ username: "u1" });
+    const user = await User.authenticate("u1", "new-password");
+    expect(user.username).toEqual("u1");
+    expect(user.tokenVersion).toEqual(1);
+  });
+
+  test("bad request when used twice", async function () {
+    const { token } = await PasswordReset.request("u1");
+    await PasswordReset.confirm(token, "new-password");
+    try {
+      await PasswordReset.confirm(token, "other-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request when expired", async function () {
+    const { token } = await PasswordReset.request("u1");
+    await db.query(
+      `UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 minute'`
+    );
+    try {
+      await PasswordReset.confirm(token, "new-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request when superseded by a newer request", async function () {
+    const { token } = await PasswordReset.request("u1");
+    await PasswordReset.request("u1");
+    try {
+      await PasswordReset.confirm(token, "new-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with unknown token", async function () {
+    try {
+      await PasswordReset.confirm("nope", "new-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,323 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const User = require("./user");
+const Job = require("./job");
+
+/** Recommending jobs to users.
+ *
+ * Every live job a user hasn't applied to yet is scored out of 100 against
+ * what's known about them, all from the database:
+ *   skills    40  the skills on their profile against the job's, required
+ *                 skills counting three times as much as nice-to-have ones
+ *   salary    25  the job's pay against their desired salary
+ *   location  25  the job's work mode against their preferred ones (10), and
+ *                 whether it's remote or near enough to home (15)
+ *   history   10  past applications to the same company (5) and to jobs
+ *                 asking for the same skills (5)
+ * Each part of the score comes with a reason, so users can see why a job was
+ * recommended.
+ *
+ * Scoring salary and distance is costly, so only the MAX_CANDIDATES jobs that
+ * look best on what's cheap to tell in SQL (a preferred work mode, then the
+ * user's skills, then the newest) are scored.
+ */
+
+const MAX_POINTS = { skills: 40, salary: 25, location: 25, history: 10 };
+
+// the most jobs scored for one request
+const MAX_CANDIDATES = 200;
+
+// required skills count this many times as much as nice-to-have ones
+const REQUIRED_SKILL_WEIGHT = 3;
+
+/** Round points to one decimal place. */
+
+function round(points) {
+  return Math.round(points * 10) / 10;
+}
+
+/** Score a job's skills against the set of skills the user has. */
+
+function scoreSkills({ requiredSkills, niceSkills }, userSkills) {
+  const maxPoints = MAX_POINTS.skills;
+  if (requiredSkills.length === 0 && niceSkills.length === 0) {
+    return {
+      factor: "skills",
+      points: 0,
+      maxPoints,
+      detail: "The job doesn't list any skills",
+    };
+  }
+
+  const details = [];
+  let weight = 0;
+  let matched = 0;
+  for (const [kind, skills, skillWeight] of [
+    ["required", requiredSkills, REQUIRED_SKILL_WEIGHT],
+    ["nice-to-have", niceSkills, 1],
+  ]) {
+    if (skills.length === 0) continue;
+    const has = skills.filter((s) => userSkills.has(s));
+    const missing = skills.filter((s) => !userSkills.has(s));
+    weight += skills.length * skillWeight;
+    matched += has.length * skillWeight;
+
+    let detail = `Has ${has.length} of ${skills.length} ${kind} skills`;
+    if (missing.length > 0) detail += ` (missing ${missing.join(", ")})`;
+    details.push(detail);
+  }
+
+  return {
+    factor: "skills",
+    points: round((maxPoints * matched) / weight),
+    maxPoints,
+    detail: details.join("; "),
+  };
+}
+
+/** Score a job's pay against the user's desired salary. */
+
+function scoreSalary({ listsSalary, annualSalary }, preferences) {
+  const maxPoints = MAX_POINTS.salary;
+  const { desiredSalary, desiredCurrency } = preferences;
+  const reason = (points, detail) => ({
+    factor: "salary",
+    points: round(points),
+    maxPoints,
+    detail,
+  });
+
+  if (desiredSalary === null) return reason(0, "No desired salary set");
+  if (!listsSalary) return reason(0, "The job lists no salary");
+  if (annualSalary === null) {
+    return reason(0, `The job's pay can't be given in ${desiredCurrency}`);
+  }
+
+  const pays = `Pays up to ${annualSalary} ${desiredCurrency} a year`;
+  if (annualSalary >= desiredSalary) {
+    return reason(maxPoints, `${pays}, at least the ${desiredSalary} wanted`);
+  }
+  return reason(
+    (maxPoints * annualSalary) / desiredSalary,
+    `${pays}, less than the ${desiredSalary} wanted`
+  );
+}
+
+/** Score a job's work mode and place against the user's preferences. */
+
+function scoreLocation({ workMode, distanceKm }, preferences) {
+  const maxPoints = MAX_POINTS.location;
+  const { workModes, homeCity, maxDistanceKm } = preferences;
+  const reason = (points, details) => ({
+    factor: "location",
+    points,
+    maxPoints,
+    detail: details.join("; "),
+  });
+
+  const details = [];
+  let points = 0;
+  if (workModes.length === 0) {
+    details.push("No preferred work modes set");
+  } else if (workModes.includes(workMode)) {
+    points += 10;
+    details.push(`The job is ${workMode}, a preferred work mode`);
+  } else {
+    // wherever it is, it's not a job they want
+    return reason(0, [`The job is ${workMode}, not a preferred work mode`]);
+  }
+
+  if (workMode === "remote") {
+    points += 15;
+    details.push("It can be done from anywhere");
+  } else if (!homeCity) {
+    details.push("No home city set");
+  } else if (distanceKm === null) {
+    details.push("It isn't known how far the job is from home");
+  } else if (distanceKm <= maxDistanceKm) {
+    points += 15;
+    details.push(`It's ${distanceKm} km from home`);
+  } else {
+    details.push(
+      `It's ${distanceKm} km from home, more than the ${maxDistanceKm} wanted`
+    );
+  }
+
+  return reason(points, details);
+}
+
+/** Score a job against the companies and skills of the user's past
+ * applications.
+ */
+
+function scoreHistory(job, appliedSkills) {
+  const maxPoints = MAX_POINTS.history;
+  const details = [];
+  let points = 0;
+
+  if (job.appliedToCompany) {
+    points += 5;
+    details.push(`Applied to other jobs at ${job.companyHandle} before`);
+  }
+  const skills = [...job.requiredSkills, ...job.niceSkills];
+  const seen = skills.filter((s) => appliedSkills.has(s));
+  if (seen.length > 0) {
+    points += (5 * seen.length) / skills.length;
+    details.push(
+      `Asks for skills from jobs applied to before (${seen.join(", ")})`
+    );
+  }
+  if (details.length === 0) details.push("Nothing like past applications");
+
+  return {
+    factor: "history",
+    points: round(points),
+    maxPoints,
+    detail: details.join("; "),
+  };
+}
+
+class Recommendation {
+  /** Recommend jobs to username, best match first, a page at a time.
+   *
+   * page is { limit, offset } (see sqlForPage); recommendations can't be
+   * sorted any other way. Only the best maxCandidates jobs (MAX_CANDIDATES
+   * by default) are scored, and so can be recommended.
+   *
+   * Returns { jobs, total }
+   *   where jobs is [{ id, title, salaryMin, salaryMax, salaryCurrency,
+   *   salaryPeriod, equity, company_handle, workMode, locations, match },
+   *   ...], match is { score, reasons } and reasons is [{ factor, points,
+   *   maxPoints, detail }, ...] for skills, salary, location and history,
+   *   and total is how many jobs there are to recommend, at most
+   *   maxCandidates
+   *
+   * Throws NotFoundError if user not found, BadRequestError if page has a
+   * sort.
+   **/
+
+  static async forUser(
+    username,
+    page = {},
+    { maxCandidates = MAX_CANDIDATES } = {}
+  ) {
+    if (page.sort !== undefined) {
+      throw new BadRequestError(`Invalid sort: ${page.sort}`);
+    }
+
+    const preferences = await User.getPreferences(username);
+
+    const userSkillsRes = await db.query(
+      `SELECT skill_slug AS slug
+       FROM user_skills
+       WHERE username = $1`,
+      [username]
+    );
+    const userSkills = new Set(userSkillsRes.rows.map((r) => r.slug));
+
+    const appliedSkillsRes = await db.query(
+      `SELECT DISTINCT js.skill_slug AS slug
+       FROM applications AS a
+         JOIN job_skills AS js ON js.job_id = a.job_id
+       WHERE a.username = $1`,
+      [username]
+    );
+    const appliedSkills = new Set(appliedSkillsRes.rows.map((r) => r.slug));
+
+    // what's needed to score the live jobs the user hasn't applied to yet
+    // that look best before scoring
+    const jobsRes = await db.query(
+      `WITH candidates AS (
+         SELECT id
+         FROM jobs
+         WHERE job_status(status, expires_at) = 'published'
+           AND NOT EXISTS (SELECT 1
+                           FROM applications AS a
+                           WHERE a.username = $1 AND a.job_id = jobs.id)
+         ORDER BY (cardinality($6::text[]) = 0 OR work_mode = ANY($6)) DESC,
+                  (SELECT COALESCE(sum(CASE WHEN js.required
+                                            THEN ${REQUIRED_SKILL_WEIGHT}
+                                            ELSE 1 END), 0)
+                   FROM job_skills AS js
+                     JOIN user_skills AS us
+                       ON us.skill_slug = js.skill_slug AND us.username = $1
+                   WHERE js.job_id = jobs.id) DESC,
+                  published_at DESC,
+                  id
+         LIMIT $7
+       )
+       SELECT id,
+              company_handle AS "companyHandle",
+              work_mode AS "workMode",
+              ARRAY(SELECT js.skill_slug
+                    FROM job_skills AS js
+                    WHERE js.job_id = jobs.id AND js.required
+                    ORDER BY js.skill_slug) AS "requiredSkills",
+              ARRAY(SELECT js.skill_slug
+                    FROM job_skills AS js
+                    WHERE js.job_id = jobs.id AND NOT js.required
+                    ORDER BY js.skill_slug) AS "niceSkills",
+              salary_annual_max IS NOT NULL AS "listsSalary",
+              round(salary_annual_max
+                    * (SELECT r.per_usd
+                       FROM exchange_rates AS r
+                       WHERE r.currency = $2)
+                    / (SELECT r.per_usd
+                       FROM exchange_rates AS r
+                       WHERE r.currency = jobs.salary_currency))::float8
+                AS "annualSalary",
+              (SELECT round(min(distance_km(
+                                  city_point(l.city, l.region, l.country),
+                                  city_point($3, $4, $5)))::numeric, 1)::float8
+               FROM job_locations AS jl
+                 JOIN locations AS l ON l.id = jl.location_id
+               WHERE jl.job_id = jobs.id) AS "distanceKm",
+              EXISTS (SELECT 1
+                      FROM applications AS a
+                        JOIN jobs AS applied ON applied.id = a.job_id
+                      WHERE a.username = $1
+                        AND applied.company_handle = jobs.company_handle)
+                AS "appliedToCompany"
+       FROM jobs
+       WHERE id IN (SELECT id FROM candidates)`,
+      [
+        username,
+        preferences.desiredCurrency,
+        preferences.homeCity,
+        preferences.homeRegion,
+        preferences.homeCountry,
+        preferences.workModes,
+        maxCandidates,
+      ]
+    );
+
+    const scored = jobsRes.rows.map((job) => {
+      const reasons = [
+        scoreSkills(job, userSkills),
+        scoreSalary(job, preferences),
+        scoreLocation(job, preferences),
+        scoreHistory(job, appliedSkills),
+      ];
+      const score = round(reasons.reduce((sum, r) => sum + r.points, 0));
+      return { id: job.id, match: { score, reasons } };
+    });
+    scored.sort((a, b) => b.match.score - a.match.score || a.id - b.id);
+
+    const offset = page.offset || 0;
+    const pageOfScores = scored.slice(
+      offset,
+      page.limit === undefined ? undefined : offset + page.limit
+    );
+    const matches = new Map(pageOfScores.map((s) => [s.id, s.match]));
+    const jobs = await Job.findByIds([...matches.keys()]);
+
+    return {
+      jobs: jobs.map((job) => ({ ...job, match: matches.get(job.id) })),
+      total: scored.length,
+    };
+  }
+}
+
+module.exports = Recommendation;
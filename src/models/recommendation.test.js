@@ -0,0 +1,213 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Recommendation = require("./recommendation");
+const User = require("./user");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** The score and the points for each factor of each recommended job. */
+
+function scores(jobs) {
+  return jobs.map((j) => [
+    j.title,
+    j.match.score,
+    ...j.match.reasons.map((r) => r.points),
+  ]);
+}
+
+/************************************** forUser */
+
+describe("forUser", function () {
+  test("works: on skills alone without preferences", async function () {
+    const { jobs, total } = await Recommendation.forUser("u1");
+    expect(total).toEqual(3);
+    expect(scores(jobs)).toEqual([
+      ["title1", 30, 30, 0, 0, 0],
+      // remote jobs are never too far away
+      ["title3", 15, 0, 0, 15, 0],
+      ["title2", 0, 0, 0, 0, 0],
+    ]);
+    expect(jobs[0]).toEqual({
+      id: expect.any(Number),
+      title: "title1",
+      salaryMin: 100,
+      salaryMax: 100,
+      salaryCurrency: "USD",
+      salaryPeriod: "year",
+      equity: "0.0",
+      company_handle: "c1",
+      workMode: "onsite",
+      locations: [{ city: "Austin", region: "TX", country: "US" }],
+      status: "published",
+      expiresAt: null,
+      match: {
+        score: 30,
+        reasons: [
+          {
+            factor: "skills",
+            points: 30,
+            maxPoints: 40,
+            detail:
+              "Has 1 of 1 required skills; " +
+              "Has 0 of 1 nice-to-have skills (missing sql)",
+          },
+          {
+            factor: "salary",
+            points: 0,
+            maxPoints: 25,
+            detail: "No desired salary set",
+          },
+          {
+            factor: "location",
+            points: 0,
+            maxPoints: 25,
+            detail: "No preferred work modes set; No home city set",
+          },
+          {
+            factor: "history",
+            points: 0,
+            maxPoints: 10,
+            detail: "Nothing like past applications",
+          },
+        ],
+      },
+    });
+  });
+
+  test("works: with salary and location preferences", async function () {
+    await User.setPreferences("u1", {
+      desiredSalary: 250,
+      workModes: ["remote", "onsite"],
+      homeCity: "Austin",
+      homeRegion: "TX",
+      homeCountry: "US",
+    });
+    const { jobs } = await Recommendation.forUser("u1");
+    expect(scores(jobs)).toEqual([
+      ["title1", 65, 30, 10, 25, 0],
+      ["title3", 50, 0, 25, 25, 0],
+      ["title2", 20, 0, 20, 0, 0],
+    ]);
+    expect(jobs[2].match.reasons[2].detail).toEqual(
+      "The job is hybrid, not a preferred work mode"
+    );
+  });
+
+  test("works: salary in the desired currency", async function () {
+    await User.setPreferences("u1", {
+      desiredSalary: 100,
+      desiredCurrency: "EUR",
+    });
+    const { jobs } = await Recommendation.forUser("u1");
+    jobs.sort((a, b) => a.title.localeCompare(b.title));
+    expect(jobs.map((j) => j.match.reasons[1].detail)).toEqual([
+      "Pays up to 50 EUR a year, less than the 100 wanted",
+      "Pays up to 100 EUR a year, at least the 100 wanted",
+      "Pays up to 150 EUR a year, at least the 100 wanted",
+    ]);
+  });
+
+  test("works: jobs without a salary or a rate for it", async function () {
+    await User.setPreferences("u1", { desiredSalary: 100 });
+    const { jobs: before } = await Recommendation.forUser("u1");
+    const [noSalary, noRate] = before
+      .map((j) => j.id)
+      .sort((a, b) => a - b);
+    await db.query(
+      `UPDATE jobs SET salary_min = NULL, salary_max = NULL WHERE id = $1`,
+      [noSalary]
+    );
+    await db.query(`UPDATE jobs SET salary_currency = 'JPY' WHERE id = $1`, [
+      noRate,
+    ]);
+
+    const { jobs } = await Recommendation.forUser("u1");
+    const detail = (id) =>
+      jobs.find((j) => j.id === id).match.reasons[1].detail;
+    expect(detail(noSalary)).toEqual("The job lists no salary");
+    expect(detail(noRate)).toEqual("The job's pay can't be given in USD");
+  });
+
+  test("works: too far from home", async function () {
+    await User.setPreferences("u1", {
+      workModes: ["onsite"],
+      homeCity: "San Antonio",
+      homeCountry: "US",
+    });
+    const { jobs } = await Recommendation.forUser("u1");
+    expect(jobs[0].match.reasons[2]).toEqual({
+      factor: "location",
+      points: 10,
+      maxPoints: 25,
+      detail:
+        "The job is onsite, a preferred work mode; " +
+        "It's 118.4 km from home, more than the 50 wanted",
+    });
+  });
+
+  test("works: scores only the best candidates", async function () {
+    // title2 is neither a preferred work mode nor asks for u1's skills
+    await User.setPreferences("u1", { workModes: ["remote", "onsite"] });
+    const { jobs, total } = await Recommendation.forUser(
+      "u1",
+      {},
+      { maxCandidates: 2 }
+    );
+    expect(total).toEqual(2);
+    expect(jobs.map((j) => j.title)).toEqual(["title1", "title3"]);
+
+    await User.setPreferences("u1", { workModes: ["hybrid"] });
+    const { jobs: hybrid } = await Recommendation.forUser(
+      "u1",
+      {},
+      { maxCandidates: 1 }
+    );
+    expect(hybrid.map((j) => j.title)).toEqual(["title2"]);
+  });
+
+  test("works: learns from applications, leaving them out", async function () {
+    const { jobs: before } = await Recommendation.forUser("u1");
+    await User.apply("u1", before.find((j) => j.title === "title2").id);
+    const { jobs, total } = await Recommendation.forUser("u1");
+    expect(total).toEqual(2);
+    expect(jobs.map((j) => j.title)).toEqual(["title1", "title3"]);
+    expect(jobs[0].match.reasons[3]).toEqual({
+      factor: "history",
+      points: 2.5,
+      maxPoints: 10,
+      detail: "Asks for skills from jobs applied to before (sql)",
+    });
+  });
+
+  test("works: a page at a time", async function () {
+    const { jobs, total } = await Recommendation.forUser("u1", {
+      limit: 1,
+      offset: 1,
+    });
+    expect(total).toEqual(3);
+    expect(jobs.map((j) => j.title)).toEqual(["title3"]);
+  });
+
+  test("bad request with a sort", async function () {
+    await expect(
+      Recommendation.forUser("u1", { sort: "title" })
+    ).rejects.toThrowError(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Recommendation.forUser("nope")).rejects.toThrowError(
+      NotFoundError
+    );
+  });
+});
@@ -0,0 +1,133 @@
+"use strict";
+
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createOpaqueToken, hashToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL_DAYS } = require("../config");
+
+/** Related functions for refresh tokens.
+ *
+ * Only a hash of each token is stored. Every refresh rotates the token: the
+ * old one is revoked and replaced by a new one in the same family. Presenting
+ * a revoked token means it was stolen or replayed, so the whole family is
+ * revoked.
+ */
+
+class RefreshToken {
+  /** Issue a new refresh token for username.
+   *
+   * familyId links the token to the one it replaces; leave it off to start
+   * a new family (on login).
+   *
+   * Returns { id, token, familyId }
+   **/
+
+  static async issue(username, familyId = createOpaqueToken()) {
+    const token = createOpaqueToken();
+
+    const result = await db.query(
+      `INSERT INTO refresh_tokens
+           (token_hash, family_id, username, expires_at)
+       VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 day')
+       RETURNING id, family_id AS "familyId"`,
+      [hashToken(token), familyId, username, REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    return { ...result.rows[0], token };
+  }
+
+  /** Trade a refresh token for a new one in the same family.
+   *
+   * Returns { user, token }
+   *   where user is { username, isAdmin, tokenVersion }, for a new JWT
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or has already
+   * been used; reuse also revokes every token in its family.
+   **/
+
+  static async rotate(token) {
+    const result = await db.query(
+      `SELECT r.id,
+              r.family_id AS "familyId",
+              r.revoked_at AS "revokedAt",
+              r.expires_at <= NOW() AS "isExpired",
+              u.username,
+              u.is_admin AS "isAdmin",
+              u.token_version AS "tokenVersion"
+       FROM refresh_tokens AS r
+         JOIN users AS u ON u.username = r.username
+       WHERE r.token_hash = $1`,
+      [hashToken(token)]
+    );
+    const current = result.rows[0];
+
+    if (!current) throw new UnauthorizedError("Invalid refresh token");
+
+    if (!current.revokedAt && current.isExpired) {
+      throw new UnauthorizedError("Refresh token expired");
+    }
+
+    // Claim the token atomically so two concurrent refreshes can't both win,
+    // and replace it in the same transaction
+    const next =
+      !current.revokedAt &&
+      (await db.withTransaction(async () => {
+        const claimed = await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE id = $1 AND revoked_at IS NULL
+           RETURNING id`,
+          [current.id]
+        );
+        if (!claimed.rows[0]) return null;
+
+        const issued = await RefreshToken.issue(
+          current.username,
+          current.familyId
+        );
+        await db.query(
+          `UPDATE refresh_tokens SET replaced_by = $1 WHERE id = $2`,
+          [issued.id, current.id]
+        );
+        return issued;
+      }));
+
+    if (!next) {
+      await RefreshToken.revokeFamily(current.familyId);
+      throw new UnauthorizedError("Refresh token reuse detected");
+    }
+
+    const { username, isAdmin, tokenVersion } = current;
+    return { user: { username, isAdmin, tokenVersion }, token: next.token };
+  }
+
+  /** Revoke a refresh token belonging to username, and every token in its
+   * family; returns undefined.
+   *
+   * Unknown tokens, or other users' tokens, are ignored.
+   **/
+
+  static async revoke(token, username) {
+    const result = await db.query(
+      `SELECT family_id AS "familyId"
+       FROM refresh_tokens
+       WHERE token_hash = $1 AND username = $2`,
+      [hashToken(token), username]
+    );
+
+    if (result.rows[0]) await RefreshToken.revokeFamily(result.rows[0].familyId);
+  }
+
+  /** Revoke every live token in a family; returns undefined. */
+
+  static async revokeFamily(familyId) {
+    await db.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = NOW()
+       WHERE family_id = $1 AND revoked_at IS NULL`,
+      [familyId]
+    );
+  }
+}
+
+module.exports = RefreshToken;
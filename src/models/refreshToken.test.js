@@ -0,0 +1,107 @@
+"use strict";
+
+const { UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const RefreshToken = require("./refreshToken.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** issue */
+
+describe("issue", function () {
+  test("works", async function () {
+    const issued = await RefreshToken.issue("u1");
+    expect(issued).toEqual({
+      id: expect.any(Number),
+      familyId: expect.any(String),
+      token: expect.any(String),
+    });
+
+    const found = await db.query(
+      "SELECT token_hash, username FROM refresh_tokens WHERE id = $1",
+      [issued.id]
+    );
+    expect(found.rows[0].username).toEqual("u1");
+    expect(found.rows[0].token_hash).not.toEqual(issued.token);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const issued = await RefreshToken.issue("u1");
+    const rotated = await RefreshToken.rotate(issued.token);
+    expect(rotated).toEqual({
+      user: { username: "u1", isAdmin: false, tokenVersion: 0 },
+      token: expect.any(String),
+    });
+    expect(rotated.token).not.toEqual(issued.token);
+
+    const found = await db.query(
+      `SELECT revoked_at, replaced_by FROM refresh_tokens WHERE id = $1`,
+      [issued.id]
+    );
+    expect(found.rows[0].revoked_at).toEqual(expect.any(Date));
+    expect(found.rows[0].replaced_by).toEqual(expect.any(Number));
+  });
+
+  test("reuse revokes the whole family", async function () {
+    const issued = await RefreshToken.issue("u1");
+    const rotated = await RefreshToken.rotate(issued.token);
+    try {
+      await RefreshToken.rotate(issued.token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    try {
+      await RefreshToken.rotate(rotated.token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("reuse leaves other families alone", async function () {
+    const issued = await RefreshToken.issue("u1");
+    const other = await RefreshToken.issue("u1");
+    await RefreshToken.rotate(issued.token);
+    await expect(RefreshToken.rotate(issued.token)).rejects.toThrow();
+    const rotated = await RefreshToken.rotate(other.token);
+    expect(rotated.user.username).toEqual("u1");
+  });
+
+  test("unauth if expired", async function () {
+    const issued = await RefreshToken.issue("u1");
+    await db.query(
+      `UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 day'
+       WHERE id = $1`,
+      [issued.id]
+    );
+    try {
+      await RefreshToken.rotate(issued.token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if unknown", async function () {
+    try {
+      await RefreshToken.rotate("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
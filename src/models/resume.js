@@ -0,0 +1,154 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const Upload = require("./upload");
+
+/** Related functions for resumes: files users upload to apply with. */
+
+// Every column of a resume, as returned by the model
+const RESUME_COLUMNS = `r.id,
+       r.filename,
+       u.content_type AS "contentType",
+       u.size,
+       u.checksum,
+       r.uploaded_at AS "uploadedAt"`;
+
+class Resume {
+  /** Add a resume read from a request (see helpers/uploads) for username;
+   * adding the same file again gives back the resume already added.
+   *
+   * upload should be { kind, filename, contentType, size, checksum, data }
+   *
+   * Returns { id, filename, contentType, size, checksum, uploadedAt }
+   *
+   * Throws NotFoundError if there's no such user.
+   **/
+
+  static async create(username, upload) {
+    const userRes = await db.query(
+      `SELECT username FROM users WHERE username = $1`,
+      [username]
+    );
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    return await Upload.store(upload, async ({ id: uploadId }) => {
+      await db.query(
+        `INSERT INTO resumes (username, upload_id, filename)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (username, upload_id) DO NOTHING`,
+        [username, uploadId, upload.filename]
+      );
+
+      const result = await db.query(
+        `SELECT ${RESUME_COLUMNS}
+         FROM resumes AS r
+           JOIN uploads AS u ON u.id = r.upload_id
+         WHERE r.username = $1 AND r.upload_id = $2`,
+        [username, uploadId]
+      );
+      return result.rows[0];
+    });
+  }
+
+  /** Given a username, return their resumes, most recent first.
+   *
+   * Returns [{ id, filename, contentType, size, checksum, uploadedAt }, ...]
+   **/
+
+  static async findForUser(username) {
+    const result = await db.query(
+      `SELECT ${RESUME_COLUMNS}
+       FROM resumes AS r
+         JOIN uploads AS u ON u.id = r.upload_id
+       WHERE r.username = $1
+       ORDER BY r.uploaded_at DESC, r.id DESC`,
+      [username]
+    );
+    return result.rows;
+  }
+
+  /** Given a username and resume id, return the resume with its content.
+   *
+   * Returns { id, filename, contentType, size, checksum, uploadedAt, data }
+   *   where data is a Buffer
+   *
+   * Throws NotFoundError if they have no such resume.
+   **/
+
+  static async get(username, id) {
+    if (!Number.isInteger(Number(id))) {
+      throw new NotFoundError(`No resume: ${id}`);
+    }
+
+    const result = await db.query(
+      `SELECT ${RESUME_COLUMNS},
+              u.id AS "uploadId",
+              u.storage_key AS "storageKey"
+       FROM resumes AS r
+         JOIN uploads AS u ON u.id = r.upload_id
+       WHERE r.username = $1 AND r.id = $2`,
+      [username, id]
+    );
+    const row = result.rows[0];
+    if (!row) throw new NotFoundError(`No resume: ${id}`);
+
+    const { uploadId, storageKey, ...resume } = row;
+    const data = await Upload.getData({ id: uploadId, storageKey });
+    return { ...resume, data };
+  }
+
+  /** Given a username and job id, return the resume they applied to the job
+   * with (their application's resumeId), with its content.
+   *
+   * Returns { id, filename, contentType, size, checksum, uploadedAt, data }
+   *   where data is a Buffer
+   *
+   * Throws NotFoundError if there's no such application or it has no resume.
+   **/
+
+  static async getForApplication(username, jobId) {
+    const result = await db.query(
+      `SELECT resume_id AS "resumeId"
+       FROM applications
+       WHERE username = $1 AND job_id = $2`,
+      [username, jobId]
+    );
+    const application = result.rows[0];
+    if (!application) {
+      throw new NotFoundError(`No application: ${username}, ${jobId}`);
+    }
+    if (application.resumeId === null) {
+      throw new NotFoundError(
+        `No resume for application: ${username}, ${jobId}`
+      );
+    }
+
+    return await Resume.get(username, application.resumeId);
+  }
+
+  /** Delete username's resume id; its file goes too, unless another user
+   * uploaded the same one. Returns undefined.
+   *
+   * Throws NotFoundError if they have no such resume.
+   **/
+
+  static async remove(username, id) {
+    if (!Number.isInteger(Number(id))) {
+      throw new NotFoundError(`No resume: ${id}`);
+    }
+
+    const result = await db.query(
+      `DELETE
+       FROM resumes
+       WHERE username = $1 AND id = $2
+       RETURNING upload_id AS "uploadId"`,
+      [username, id]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No resume: ${id}`);
+
+    await Upload.removeIfUnused(result.rows[0].uploadId);
+  }
+}
+
+module.exports = Resume;
@@ -0,0 +1,190 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const { getStorage } = require("../helpers/storage");
+const Resume = require("./resume");
+const User = require("./user");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(async function () {
+  await getStorage().clear();
+  await commonAfterAll();
+});
+
+function testResume(content, filename = "cv.pdf") {
+  const data = Buffer.from(content);
+  return {
+    kind: "resume",
+    filename,
+    contentType: "application/pdf",
+    size: data.length,
+    checksum: crypto.createHash("sha256").update(data).digest("hex"),
+    data,
+  };
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const upload = testResume("%PDF-resume1");
+    const resume = await Resume.create("u1", upload);
+    expect(resume).toEqual({
+      id: expect.any(Number),
+      filename: "cv.pdf",
+      contentType: "application/pdf",
+      size: 12,
+      checksum: upload.checksum,
+      uploadedAt: expect.any(Date),
+    });
+  });
+
+  test("gives back the same resume for the same file", async function () {
+    const resume = await Resume.create("u1", testResume("%PDF-resume1"));
+    const again = await Resume.create(
+      "u1",
+      testResume("%PDF-resume1", "other.pdf")
+    );
+    expect(again).toEqual(resume);
+  });
+
+  test("keeps a file two users upload once", async function () {
+    const r1 = await Resume.create("u1", testResume("%PDF-resume1"));
+    const r2 = await Resume.create("u2", testResume("%PDF-resume1"));
+    expect(r2.id).not.toEqual(r1.id);
+
+    const result = await db.query(`SELECT count(*)::int FROM uploads`);
+    expect(result.rows[0].count).toEqual(1);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(
+      Resume.create("nope", testResume("%PDF-resume1"))
+    ).rejects.toThrowError(NotFoundError);
+  });
+
+  test("keeps nothing if the resume can't be saved", async function () {
+    // resumes.filename can't be null
+    const upload = testResume("%PDF-resume1", null);
+    await expect(Resume.create("u1", upload)).rejects.toThrow();
+
+    const result = await db.query(`SELECT id FROM uploads`);
+    expect(result.rows).toEqual([]);
+    const { checksum } = upload;
+    const storageKey = `resumes/${checksum.slice(0, 2)}/${checksum}`;
+    expect(await getStorage().get(storageKey)).toBeNull();
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works", async function () {
+    const r1 = await Resume.create("u1", testResume("%PDF-resume1"));
+    const r2 = await Resume.create("u1", testResume("%PDF-resume2"));
+    await Resume.create("u2", testResume("%PDF-resume3"));
+    const resumes = await Resume.findForUser("u1");
+    // uploaded in the same transaction, so newest first is by id
+    expect(resumes).toEqual([r2, r1]);
+  });
+
+  test("works: none", async function () {
+    expect(await Resume.findForUser("u1")).toEqual([]);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const resume = await Resume.create("u1", testResume("%PDF-resume1"));
+    expect(await Resume.get("u1", resume.id)).toEqual({
+      ...resume,
+      data: Buffer.from("%PDF-resume1"),
+    });
+  });
+
+  test("not found if not the user's", async function () {
+    const resume = await Resume.create("u1", testResume("%PDF-resume1"));
+    await expect(Resume.get("u2", resume.id)).rejects.toThrowError(
+      NotFoundError
+    );
+    await expect(Resume.get("u1", "x")).rejects.toThrowError(NotFoundError);
+  });
+});
+
+/************************************** getForApplication */
+
+describe("getForApplication", function () {
+  test("works", async function () {
+    const { id } = await Resume.create("u1", testResume("%PDF-resume1"));
+    await User.apply("u1", testJobIds[0], { resumeId: id });
+    const resume = await Resume.getForApplication("u1", testJobIds[0]);
+    expect(resume).toEqual(expect.objectContaining({ id, filename: "cv.pdf" }));
+    expect(resume.data.toString()).toEqual("%PDF-resume1");
+  });
+
+  test("not found if the application has no resume", async function () {
+    await User.apply("u1", testJobIds[0]);
+    await expect(
+      Resume.getForApplication("u1", testJobIds[0])
+    ).rejects.toThrowError(NotFoundError);
+  });
+
+  test("not found if the resume was removed", async function () {
+    const { id } = await Resume.create("u1", testResume("%PDF-resume1"));
+    await User.apply("u1", testJobIds[0], { resumeId: id });
+    await Resume.remove("u1", id);
+    await expect(
+      Resume.getForApplication("u1", testJobIds[0])
+    ).rejects.toThrowError(NotFoundError);
+  });
+
+  test("not found if no such application", async function () {
+    await expect(
+      Resume.getForApplication("u1", testJobIds[0])
+    ).rejects.toThrowError(NotFoundError);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works, removing the file", async function () {
+    const resume = await Resume.create("u1", testResume("%PDF-resume1"));
+    await Resume.remove("u1", resume.id);
+    expect(await Resume.findForUser("u1")).toEqual([]);
+
+    const result = await db.query(`SELECT count(*)::int FROM uploads`);
+    expect(result.rows[0].count).toEqual(0);
+  });
+
+  test("keeps the file if another user has it", async function () {
+    const resume = await Resume.create("u1", testResume("%PDF-resume1"));
+    const other = await Resume.create("u2", testResume("%PDF-resume1"));
+    await Resume.remove("u1", resume.id);
+
+    expect((await Resume.get("u2", other.id)).data).toEqual(
+      Buffer.from("%PDF-resume1")
+    );
+  });
+
+  test("not found if no such resume", async function () {
+    const resume = await Resume.create("u1", testResume("%PDF-resume1"));
+    await expect(Resume.remove("u2", resume.id)).rejects.toThrowError(
+      NotFoundError
+    );
+    await expect(Resume.remove("u1", "x")).rejects.toThrowError(NotFoundError);
+  });
+});
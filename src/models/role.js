@@ -0,0 +1,177 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const User = require("./user");
+
+/** Related functions for roles and permissions.
+ *
+ * The admin role is the existing users.is_admin flag; every other role a user
+ * holds is a row in user_roles. A user's permissions are the union of the
+ * permissions of their roles.
+ *
+ * Some roles only grant permissions within the companies the user is a member
+ * of (company_members): a recruiter can manage their own companies' jobs, but
+ * no one else's.
+ */
+
+const ROLE_PERMISSIONS = {
+  admin: [
+    "companies:write",
+    "jobs:write",
+    "users:read",
+    "users:write",
+    "applications:read",
+    "applications:write",
+    "roles:manage",
+    "exchangeRates:write",
+    "skills:write",
+  ],
+  recruiter: [],
+  candidate: [],
+  auditor: ["users:read", "applications:read"],
+};
+
+const COMPANY_ROLE_PERMISSIONS = {
+  recruiter: [
+    "companies:write",
+    "jobs:write",
+    "applications:read",
+    "applications:write",
+  ],
+};
+
+function collectPermissions(roles, rolePermissions) {
+  const permissions = new Set();
+  for (const role of roles) {
+    for (const permission of rolePermissions[role] || []) {
+      permissions.add(permission);
+    }
+  }
+  return [...permissions].sort();
+}
+
+class Role {
+  /** Return the permissions granted everywhere by a list of roles. */
+
+  static permissionsFor(roles) {
+    return collectPermissions(roles, ROLE_PERMISSIONS);
+  }
+
+  /** Return the permissions granted by a list of roles within a company the
+   * user is a member of.
+   **/
+
+  static companyPermissionsFor(roles) {
+    return collectPermissions(roles, COMPANY_ROLE_PERMISSIONS);
+  }
+
+  /** Given a username, return their roles and permissions.
+   *
+   * Returns { roles, permissions, companyPermissions }
+   *   where companyPermissions is { companyHandle: [permission, ...], ... }
+   *   for each company the user is a member of
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async forUser(username) {
+    const result = await db.query(
+      `SELECT u.is_admin AS "isAdmin",
+              COALESCE(ARRAY_AGG(r.role ORDER BY r.role)
+                         FILTER (WHERE r.role IS NOT NULL), '{}') AS roles
+       FROM users AS u
+         LEFT JOIN user_roles AS r ON r.username = u.username
+       WHERE u.username = $1
+       GROUP BY u.username`,
+      [username]
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    const roles = user.isAdmin ? ["admin", ...user.roles] : user.roles;
+
+    const membershipsRes = await db.query(
+      `SELECT company_handle AS "companyHandle"
+       FROM company_members
+       WHERE username = $1
+       ORDER BY company_handle`,
+      [username]
+    );
+    const companyPermissions = {};
+    for (const { companyHandle } of membershipsRes.rows) {
+      companyPermissions[companyHandle] = Role.companyPermissionsFor(roles);
+    }
+
+    return {
+      roles,
+      permissions: Role.permissionsFor(roles),
+      companyPermissions,
+    };
+  }
+
+  /** Give username a role; returns { roles, permissions, companyPermissions }.
+   *
+   * Throws BadRequestError for an unknown role, NotFoundError if user not
+   * found.
+   **/
+
+  static async assign(username, role) {
+    Role.checkRole(role);
+
+    const current = await Role.forUser(username);
+    if (current.roles.includes(role)) return current;
+
+    if (role === "admin") {
+      // like any admin flag change, this revokes the user's tokens
+      await User.update(username, { isAdmin: true });
+    } else {
+      await db.query(
+        `INSERT INTO user_roles (username, role)
+         VALUES ($1, $2)
+         ON CONFLICT DO NOTHING`,
+        [username, role]
+      );
+    }
+
+    return await Role.forUser(username);
+  }
+
+  /** Take a role away from username.
+   *
+   * Returns { roles, permissions, companyPermissions }
+   *
+   * Throws BadRequestError for an unknown role, NotFoundError if user not
+   * found.
+   **/
+
+  static async unassign(username, role) {
+    Role.checkRole(role);
+
+    const current = await Role.forUser(username);
+    if (!current.roles.includes(role)) return current;
+
+    if (role === "admin") {
+      await User.update(username, { isAdmin: false });
+    } else {
+      await db.query(
+        `DELETE FROM user_roles
+         WHERE username = $1 AND role = $2`,
+        [username, role]
+      );
+    }
+
+    return await Role.forUser(username);
+  }
+
+  /** Throw BadRequestError unless role is a known role. */
+
+  static checkRole(role) {
+    if (!ROLE_PERMISSIONS.hasOwnProperty(role)) {
+      throw new BadRequestError(`Invalid role: ${role}`);
+    }
+  }
+}
+
+module.exports = Role;
@@ -0,0 +1,203 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const Role = require("./role.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** permissionsFor */
+
+describe("permissionsFor", function () {
+  test("works", function () {
+    expect(Role.permissionsFor(["auditor"])).toEqual([
+      "applications:read",
+      "users:read",
+    ]);
+    expect(Role.permissionsFor(["candidate"])).toEqual([]);
+  });
+
+  test("merges roles", function () {
+    expect(Role.permissionsFor(["auditor", "admin"])).toEqual([
+      "applications:read",
+      "applications:write",
+      "companies:write",
+      "exchangeRates:write",
+      "jobs:write",
+      "roles:manage",
+      "skills:write",
+      "users:read",
+      "users:write",
+    ]);
+  });
+
+  test("recruiters have no permissions outside their companies", function () {
+    expect(Role.permissionsFor(["recruiter"])).toEqual([]);
+  });
+});
+
+/************************************** companyPermissionsFor */
+
+describe("companyPermissionsFor", function () {
+  test("works", function () {
+    expect(Role.companyPermissionsFor(["recruiter"])).toEqual([
+      "applications:read",
+      "applications:write",
+      "companies:write",
+      "jobs:write",
+    ]);
+    expect(Role.companyPermissionsFor(["candidate", "auditor"])).toEqual([]);
+  });
+});
+
+/************************************** forUser */
+
+describe("forUser", function () {
+  test("works", async function () {
+    await db.query(
+      `INSERT INTO user_roles (username, role) VALUES ('u1', 'auditor')`
+    );
+    expect(await Role.forUser("u1")).toEqual({
+      roles: ["auditor"],
+      permissions: ["applications:read", "users:read"],
+      companyPermissions: {},
+    });
+  });
+
+  test("works: admin flag is the admin role", async function () {
+    await db.query(`UPDATE users SET is_admin = TRUE WHERE username = 'u1'`);
+    const { roles, permissions } = await Role.forUser("u1");
+    expect(roles).toEqual(["admin"]);
+    expect(permissions).toContain("roles:manage");
+  });
+
+  test("works: registered users are candidates", async function () {
+    await User.register({
+      username: "new",
+      password: "password",
+      firstName: "Test",
+      lastName: "Tester",
+      email: "test@test.com",
+      isAdmin: false,
+    });
+    expect(await Role.forUser("new")).toEqual({
+      roles: ["candidate"],
+      permissions: [],
+      companyPermissions: {},
+    });
+  });
+
+  test("works: company members", async function () {
+    await db.query(
+      `INSERT INTO user_roles (username, role) VALUES ('u1', 'recruiter')`
+    );
+    await db.query(
+      `INSERT INTO company_members (username, company_handle)
+       VALUES ('u1', 'c1'), ('u2', 'c2')`
+    );
+    expect(await Role.forUser("u1")).toEqual({
+      roles: ["recruiter"],
+      permissions: [],
+      companyPermissions: {
+        c1: [
+          "applications:read",
+          "applications:write",
+          "companies:write",
+          "jobs:write",
+        ],
+      },
+    });
+    expect((await Role.forUser("u2")).companyPermissions).toEqual({ c2: [] });
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Role.forUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** assign */
+
+describe("assign", function () {
+  test("works", async function () {
+    const { roles } = await Role.assign("u1", "recruiter");
+    expect(roles).toEqual(["recruiter"]);
+  });
+
+  test("works: twice", async function () {
+    await Role.assign("u1", "recruiter");
+    const { roles } = await Role.assign("u1", "recruiter");
+    expect(roles).toEqual(["recruiter"]);
+  });
+
+  test("works: admin sets the flag and revokes tokens", async function () {
+    await Role.assign("u1", "admin");
+    const found = await db.query(
+      "SELECT is_admin, token_version FROM users WHERE username = 'u1'"
+    );
+    expect(found.rows[0]).toEqual({ is_admin: true, token_version: 1 });
+  });
+
+  test("bad request with unknown role", async function () {
+    try {
+      await Role.assign("u1", "wizard");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Role.assign("nope", "recruiter");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** unassign */
+
+describe("unassign", function () {
+  test("works", async function () {
+    await Role.assign("u1", "recruiter");
+    await Role.assign("u1", "auditor");
+    const { roles } = await Role.unassign("u1", "recruiter");
+    expect(roles).toEqual(["auditor"]);
+  });
+
+  test("works: admin", async function () {
+    await Role.assign("u1", "admin");
+    const { roles } = await Role.unassign("u1", "admin");
+    expect(roles).toEqual([]);
+  });
+
+  test("works: role not held", async function () {
+    const { roles } = await Role.unassign("u1", "auditor");
+    expect(roles).toEqual([]);
+  });
+
+  test("bad request with unknown role", async function () {
+    try {
+      await Role.unassign("u1", "wizard");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
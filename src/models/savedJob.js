@@ -0,0 +1,109 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const Job = require("./job");
+
+/** Related functions for saved jobs: jobs users keep for later, short of
+ * applying to them.
+ */
+
+class SavedJob {
+  /** Save job jobId for username; saving it again changes nothing.
+   *
+   * Returns { username, jobId, savedAt }
+   *
+   * Throws NotFoundError if there's no such user or job.
+   **/
+
+  static async save(username, jobId) {
+    const userRes = await db.query(
+      `SELECT username FROM users WHERE username = $1`,
+      [username]
+    );
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+    // throws NotFoundError if there's no such job
+    await Job.getCompanyHandle(jobId);
+
+    await db.query(
+      `INSERT INTO saved_jobs (username, job_id)
+       VALUES ($1, $2)
+       ON CONFLICT (username, job_id) DO NOTHING`,
+      [username, jobId]
+    );
+    const result = await db.query(
+      `SELECT username, job_id AS "jobId", saved_at AS "savedAt"
+       FROM saved_jobs
+       WHERE username = $1 AND job_id = $2`,
+      [username, jobId]
+    );
+    return result.rows[0];
+  }
+
+  /** Given a username, return the jobs they've saved, most recent first.
+   *
+   * Returns [{ id, title, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+   *   equity, company_handle, workMode, locations, company, savedAt }, ...]
+   *   where company is { handle, name, description, numEmployees, logoUrl }
+   *
+   * Throws NotFoundError if there's no such user.
+   **/
+
+  static async findForUser(username) {
+    const userRes = await db.query(
+      `SELECT username FROM users WHERE username = $1`,
+      [username]
+    );
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const savedRes = await db.query(
+      `SELECT job_id AS "jobId", saved_at AS "savedAt"
+       FROM saved_jobs
+       WHERE username = $1
+       ORDER BY saved_at DESC, job_id DESC`,
+      [username]
+    );
+    const savedAt = new Map(savedRes.rows.map((r) => [r.jobId, r.savedAt]));
+    const jobs = await Job.findByIds([...savedAt.keys()]);
+
+    const companiesRes = await db.query(
+      `SELECT handle,
+              name,
+              description,
+              num_employees AS "numEmployees",
+              logo_url AS "logoUrl"
+       FROM companies
+       WHERE handle = ANY($1)`,
+      [jobs.map((j) => j.company_handle)]
+    );
+    const companies = new Map(companiesRes.rows.map((c) => [c.handle, c]));
+
+    return jobs.map((job) => ({
+      ...job,
+      company: companies.get(job.company_handle),
+      savedAt: savedAt.get(job.id),
+    }));
+  }
+
+  /** Take job jobId off username's saved jobs; returns undefined.
+   *
+   * Throws NotFoundError if they haven't saved it.
+   **/
+
+  static async remove(username, jobId) {
+    if (!Number.isInteger(Number(jobId))) {
+      throw new NotFoundError(`No saved job: ${jobId}`);
+    }
+
+    const result = await db.query(
+      `DELETE
+       FROM saved_jobs
+       WHERE username = $1 AND job_id = $2
+       RETURNING job_id`,
+      [username, jobId]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No saved job: ${jobId}`);
+  }
+}
+
+module.exports = SavedJob;
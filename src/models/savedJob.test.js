@@ -0,0 +1,93 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const SavedJob = require("./savedJob");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** save */
+
+describe("save", function () {
+  test("works, and again", async function () {
+    const saved = await SavedJob.save("u1", testJobIds[0]);
+    expect(saved).toEqual({
+      username: "u1",
+      jobId: testJobIds[0],
+      savedAt: expect.any(Date),
+    });
+    expect(await SavedJob.save("u1", testJobIds[0])).toEqual(saved);
+  });
+
+  test("not found if no such user or job", async function () {
+    await expect(SavedJob.save("nope", testJobIds[0])).rejects.toThrowError(
+      NotFoundError
+    );
+    await expect(SavedJob.save("u1", 0)).rejects.toThrowError(NotFoundError);
+    await expect(SavedJob.save("u1", "x")).rejects.toThrowError(NotFoundError);
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works", async function () {
+    await SavedJob.save("u1", testJobIds[1]);
+    await SavedJob.save("u2", testJobIds[0]);
+    expect(await SavedJob.findForUser("u1")).toEqual([
+      {
+        id: testJobIds[1],
+        title: "title2",
+        salaryMin: 200,
+        salaryMax: 200,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
+        equity: "0.2",
+        company_handle: "c2",
+        workMode: "hybrid",
+        locations: [{ city: "London", region: null, country: "GB" }],
+        status: "published",
+        expiresAt: null,
+        company: {
+          handle: "c2",
+          name: "C2",
+          description: "Desc2",
+          numEmployees: 2,
+          logoUrl: "http://c2.img",
+        },
+        savedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(SavedJob.findForUser("nope")).rejects.toThrowError(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await SavedJob.save("u1", testJobIds[0]);
+    await SavedJob.remove("u1", testJobIds[0]);
+    expect(await SavedJob.findForUser("u1")).toEqual([]);
+  });
+
+  test("not found if not saved", async function () {
+    await expect(SavedJob.remove("u1", testJobIds[0])).rejects.toThrowError(
+      NotFoundError
+    );
+  });
+});
@@ -0,0 +1,170 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Job = require("./job");
+
+/** Related functions for saved job searches.
+ *
+ * A saved search is a set of GET /jobs filters a user keeps under a name.
+ * The alert matcher runs every saved search now and then, and records each
+ * job that's new since the search was saved as an alert (see JobAlert).
+ */
+
+// Only one process runs the alert matcher at a time
+const MATCH_LOCK_ID = 31338;
+
+// Every column of a saved search, as returned by the model
+const SAVED_SEARCH_COLUMNS = `id,
+       name,
+       query,
+       created_at AS "createdAt",
+       last_run_at AS "lastRunAt"`;
+
+class SavedSearch {
+  /** Save a job search for username.
+   *
+   * data should be { name, query }
+   *   where query is the filters, as for Job.filter: { title, minSalary, ... }
+   *
+   * Returns { id, name, query, createdAt, lastRunAt }
+   *
+   * Throws BadRequestError if a filter is invalid (searches only find live
+   * jobs, so status isn't allowed) or the user already has a search by that
+   * name, NotFoundError if there's no such user.
+   **/
+
+  static async create(username, { name, query }) {
+    if ("status" in query) throw new BadRequestError("Invalid filter");
+    // check the filters now rather than every time the search is run
+    await Job.count(query, { username });
+
+    const userRes = await db.query(
+      `SELECT username FROM users WHERE username = $1`,
+      [username]
+    );
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const duplicateCheck = await db.query(
+      `SELECT id
+       FROM saved_searches
+       WHERE username = $1 AND lower(name) = lower($2)`,
+      [username, name]
+    );
+    if (duplicateCheck.rows[0]) {
+      throw new BadRequestError(`Duplicate saved search: ${name}`);
+    }
+
+    const result = await db.query(
+      `INSERT INTO saved_searches (username, name, query)
+       VALUES ($1, $2, $3)
+       RETURNING ${SAVED_SEARCH_COLUMNS}`,
+      [username, name, query]
+    );
+    return result.rows[0];
+  }
+
+  /** Given a username, return their saved searches.
+   *
+   * Returns [{ id, name, query, createdAt, lastRunAt }, ...], by name
+   **/
+
+  static async findForUser(username) {
+    const result = await db.query(
+      `SELECT ${SAVED_SEARCH_COLUMNS}
+       FROM saved_searches
+       WHERE username = $1
+       ORDER BY lower(name), id`,
+      [username]
+    );
+    return result.rows;
+  }
+
+  /** Delete username's saved search id, and its alerts; returns undefined.
+   *
+   * Throws NotFoundError if they have no such saved search.
+   **/
+
+  static async remove(username, id) {
+    if (!Number.isInteger(Number(id))) {
+      throw new NotFoundError(`No saved search: ${id}`);
+    }
+
+    const result = await db.query(
+      `DELETE
+       FROM saved_searches
+       WHERE username = $1 AND id = $2
+       RETURNING id`,
+      [username, id]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No saved search: ${id}`);
+  }
+
+  /** Run every saved search, and record an alert for each matching job
+   * published since the search was saved that it hasn't alerted on yet.
+   *
+   * Each run only looks at the jobs published since the search last ran (or
+   * was saved), so running it again finds nothing more until new jobs are
+   * published. Searches whose filters no longer work (e.g. an exchange rate
+   * was removed) are skipped.
+   *
+   * Returns [{ savedSearchId, username, jobIds }, ...] for the searches that
+   * found new jobs.
+   **/
+
+  static async matchAll() {
+    return await db.withTransaction(async () => {
+      await db.query(`SELECT pg_advisory_xact_lock(${MATCH_LOCK_ID})`);
+
+      const searchesRes = await db.query(
+        `SELECT id,
+                username,
+                query,
+                COALESCE(last_run_at, created_at) AS "lastRunAt"
+         FROM saved_searches
+         ORDER BY id`
+      );
+
+      const found = [];
+      for (const search of searchesRes.rows) {
+        let jobs;
+        try {
+          jobs = await Job.filter(search.query, {}, {
+            username: search.username,
+            publishedSince: search.lastRunAt,
+          });
+        } catch (err) {
+          if (err instanceof BadRequestError) continue;
+          throw err;
+        }
+
+        // a job published just as the search last ran can be found again
+        const alertsRes = await db.query(
+          `INSERT INTO job_alerts (saved_search_id, job_id)
+           SELECT $1, j.id
+           FROM jobs AS j
+           WHERE j.id = ANY($2)
+           ORDER BY j.id
+           ON CONFLICT (saved_search_id, job_id) DO NOTHING
+           RETURNING job_id AS "jobId"`,
+          [search.id, jobs.map((j) => j.id)]
+        );
+        await db.query(
+          `UPDATE saved_searches SET last_run_at = NOW() WHERE id = $1`,
+          [search.id]
+        );
+
+        if (alertsRes.rows.length > 0) {
+          found.push({
+            savedSearchId: search.id,
+            username: search.username,
+            jobIds: alertsRes.rows.map((r) => r.jobId),
+          });
+        }
+      }
+      return found;
+    });
+  }
+}
+
+module.exports = SavedSearch;
@@ -0,0 +1,159 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db");
+const SavedSearch = require("./savedSearch");
+const Job = require("./job");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const savedSearch = await SavedSearch.create("u1", {
+      name: "Well paid",
+      query: { title: "title", minSalary: "150" },
+    });
+    expect(savedSearch).toEqual({
+      id: expect.any(Number),
+      name: "Well paid",
+      query: { title: "title", minSalary: "150" },
+      createdAt: expect.any(Date),
+      lastRunAt: null,
+    });
+  });
+
+  test("bad request with invalid filter", async function () {
+    await expect(
+      SavedSearch.create("u1", { name: "Bad", query: { nope: "1" } })
+    ).rejects.toThrowError(BadRequestError);
+    await expect(
+      SavedSearch.create("u1", { name: "Bad", query: { status: "draft" } })
+    ).rejects.toThrowError(BadRequestError);
+  });
+
+  test("bad request with dupe name", async function () {
+    await SavedSearch.create("u1", {
+      name: "Remote",
+      query: { remote: "true" },
+    });
+    await expect(
+      SavedSearch.create("u1", { name: "remote", query: {} })
+    ).rejects.toThrowError(BadRequestError);
+    // other users can use the name
+    await SavedSearch.create("u2", { name: "Remote", query: {} });
+  });
+
+  test("not found if no such user", async function () {
+    await expect(
+      SavedSearch.create("nope", { name: "All", query: {} })
+    ).rejects.toThrowError(NotFoundError);
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works", async function () {
+    await SavedSearch.create("u1", { name: "b", query: { title: "2" } });
+    await SavedSearch.create("u1", { name: "A", query: {} });
+    await SavedSearch.create("u2", { name: "c", query: {} });
+    const savedSearches = await SavedSearch.findForUser("u1");
+    expect(savedSearches.map((s) => [s.name, s.query])).toEqual([
+      ["A", {}],
+      ["b", { title: "2" }],
+    ]);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const { id } = await SavedSearch.create("u1", { name: "A", query: {} });
+    await SavedSearch.remove("u1", id);
+    expect(await SavedSearch.findForUser("u1")).toEqual([]);
+  });
+
+  test("not found for another user's search", async function () {
+    const { id } = await SavedSearch.create("u1", { name: "A", query: {} });
+    await expect(SavedSearch.remove("u2", id)).rejects.toThrowError(
+      NotFoundError
+    );
+    await expect(SavedSearch.remove("u1", "x")).rejects.toThrowError(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** matchAll */
+
+describe("matchAll", function () {
+  test("works: only new matching jobs, once", async function () {
+    const search = await SavedSearch.create("u1", {
+      name: "Remote",
+      query: { remote: "true" },
+    });
+    const remote = await Job.create({
+      title: "new remote",
+      company_handle: "c1",
+      workMode: "remote",
+    });
+    await Job.create({ title: "new onsite", company_handle: "c1" });
+
+    // title3 is remote too, but was posted before the search was saved
+    expect(await SavedSearch.matchAll()).toEqual([
+      { savedSearchId: search.id, username: "u1", jobIds: [remote.id] },
+    ]);
+    expect(await SavedSearch.matchAll()).toEqual([]);
+
+    const [{ lastRunAt }] = await SavedSearch.findForUser("u1");
+    expect(lastRunAt).toEqual(expect.any(Date));
+  });
+
+  test("works: only jobs published since the last run", async function () {
+    const search = await SavedSearch.create("u1", {
+      name: "New",
+      query: { title: "new" },
+    });
+    const job = await Job.create({
+      title: "new remote",
+      company_handle: "c1",
+      workMode: "remote",
+    });
+    // saved two hours ago, last run a minute ago; the job was published in
+    // between, so that run would have found it
+    await db.query(
+      `UPDATE saved_searches
+       SET created_at = NOW() - INTERVAL '2 hours',
+           last_run_at = NOW() - INTERVAL '1 minute'
+       WHERE id = $1`,
+      [search.id]
+    );
+    await db.query(
+      `UPDATE jobs SET published_at = NOW() - INTERVAL '1 hour' WHERE id = $1`,
+      [job.id]
+    );
+    expect(await SavedSearch.matchAll()).toEqual([]);
+  });
+
+  test("works: skips searches that no longer work", async function () {
+    await SavedSearch.create("u1", {
+      name: "In pounds",
+      query: { minSalary: "1", currency: "GBP" },
+    });
+    await db.query(`DELETE FROM exchange_rates WHERE currency = 'GBP'`);
+    await Job.create({ title: "new", salaryMin: 10, company_handle: "c1" });
+    expect(await SavedSearch.matchAll()).toEqual([]);
+  });
+});
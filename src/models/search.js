@@ -0,0 +1,134 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+
+/** Full-text search over companies and jobs.
+ *
+ * Companies are indexed on name (weighted highest) and description, jobs on
+ * title; see the search_vector columns in the schema.
+ */
+
+const TYPES = ["company", "job"];
+
+// ts_headline options: mark matches with <b>, and keep snippets short
+const HEADLINE_OPTIONS = "StartSel=<b>, StopSel=</b>, MaxWords=20, MinWords=8";
+
+/** SQL for the text sql gives, escaped for HTML: in a headline, only the <b>
+ * tags around matches are markup, whatever companies and jobs are called.
+ */
+
+function sqlForEscapedHtml(sql) {
+  const escapes = [
+    ["&", "&amp;"],
+    ["<", "&lt;"],
+    [">", "&gt;"],
+    ['"', "&quot;"],
+    ["''", "&#39;"],
+  ];
+  return escapes.reduce(
+    (escaped, [from, to]) => `replace(${escaped}, '${from}', '${to}')`,
+    sql
+  );
+}
+
+/** Turn what the user typed into a tsquery string.
+ *
+ * Every word must match, and each matches as a prefix, so "pyth back" finds
+ * "Python backend". Returns null if q has no words in it.
+ */
+
+function toPrefixQuery(q) {
+  const words = String(q).match(/[\p{L}\p{N}]+/gu);
+  if (!words) return null;
+  return words.map((word) => `${word}:*`).join(" & ");
+}
+
+/** Build the query for the matching companies and jobs, or just one type. */
+
+function resultsSql(type) {
+  const companies = `
+      SELECT 'company' AS type,
+             handle,
+             NULL::INTEGER AS id,
+             name AS title,
+             ts_rank(search_vector, query) AS rank,
+             ts_headline('english',
+                         ${sqlForEscapedHtml("name || ': ' || description")},
+                         query, '${HEADLINE_OPTIONS}') AS highlight
+      FROM companies, to_tsquery('english', $1) AS query
+      WHERE search_vector @@ query`;
+  const jobs = `
+      SELECT 'job' AS type,
+             company_handle AS handle,
+             id,
+             title,
+             ts_rank(search_vector, query) AS rank,
+             ts_headline('english', ${sqlForEscapedHtml("title")}, query,
+                         '${HEADLINE_OPTIONS}') AS highlight
+      FROM jobs, to_tsquery('english', $1) AS query
+      WHERE search_vector @@ query
+        AND job_status(status, expires_at) = 'published'`;
+
+  if (type === "company") return companies;
+  if (type === "job") return jobs;
+  return `${companies} UNION ALL ${jobs}`;
+}
+
+class Search {
+  /** Search companies and jobs for q, best matches first, a page at a time.
+   *
+   * type, if given, is "company" or "job". page is { limit, offset }.
+   *
+   * Returns { results, total }
+   *   where results is [result, ...], each either
+   *     { type: "company", handle, name, rank, highlight } or
+   *     { type: "job", id, title, companyHandle, rank, highlight }
+   *   and highlight is the matching text, escaped for HTML, with matches
+   *   wrapped in <b></b>
+   *
+   * Throws BadRequestError if q has no words to search for, or type or sort is
+   * invalid.
+   **/
+
+  static async find(q, { type, page = {} } = {}) {
+    const tsquery = toPrefixQuery(q);
+    if (!tsquery) throw new BadRequestError("Nothing to search for");
+    if (type !== undefined && !TYPES.includes(type)) {
+      throw new BadRequestError(`Invalid type: ${type}`);
+    }
+    if (page.sort !== undefined) {
+      throw new BadRequestError("Search results are sorted by rank");
+    }
+
+    const sql = resultsSql(type);
+    let pageSql = "";
+    // limit and offset are validated integers, so they're safe to inline
+    if (page.limit !== undefined) pageSql += ` LIMIT ${Number(page.limit)}`;
+    if (page.offset !== undefined) pageSql += ` OFFSET ${Number(page.offset)}`;
+
+    const resultsRes = await db.query(
+      `SELECT type, handle, id, title, rank, highlight
+       FROM (${sql}) AS results
+       ORDER BY rank DESC, type, title, handle, id
+       ${pageSql}`,
+      [tsquery]
+    );
+    const totalRes = await db.query(
+      `SELECT COUNT(*)::int AS "total"
+       FROM (${sql}) AS results`,
+      [tsquery]
+    );
+
+    const results = resultsRes.rows.map(
+      ({ type, handle, id, title, rank, highlight }) =>
+        type === "company"
+          ? { type, handle, name: title, rank, highlight }
+          : { type, id, title, companyHandle: handle, rank, highlight }
+    );
+
+    return { results, total: totalRes.rows[0].total };
+  }
+}
+
+module.exports = Search;
@@ -0,0 +1,114 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const Search = require("./search");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(async function () {
+  await commonBeforeEach();
+  await db.query(
+    `INSERT INTO companies (handle, name, num_employees, description)
+     VALUES ('snake', 'Snake Oil', 10, 'We build Python backend services')`
+  );
+  await db.query(
+    `INSERT INTO jobs (title, salary_min, equity, company_handle)
+     VALUES ('Senior Python Backend Engineer', 150000, 0, 'snake'),
+            ('Python Tutor', 40000, 0, 'c1'),
+            ('Frontend Developer', 90000, 0, 'c2')`
+  );
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** find */
+
+describe("find", function () {
+  test("works: matches every word, ranked", async function () {
+    const { results, total } = await Search.find("python backend");
+    expect(total).toEqual(2);
+    expect(results).toEqual(
+      expect.arrayContaining([
+        {
+          type: "company",
+          handle: "snake",
+          name: "Snake Oil",
+          rank: expect.any(Number),
+          highlight: "Snake Oil: We build <b>Python</b> <b>backend</b> services",
+        },
+        {
+          type: "job",
+          id: expect.any(Number),
+          title: "Senior Python Backend Engineer",
+          companyHandle: "snake",
+          rank: expect.any(Number),
+          highlight: "Senior <b>Python</b> <b>Backend</b> Engineer",
+        },
+      ])
+    );
+    expect(results[0].rank).toBeGreaterThanOrEqual(results[1].rank);
+  });
+
+  test("works: escapes HTML in what's searched", async function () {
+    await db.query(
+      `UPDATE companies
+       SET description = '<script>alert("x")</script> Python & Django''s'
+       WHERE handle = 'snake'`
+    );
+    const { results } = await Search.find("django", { type: "company" });
+    const [{ highlight }] = results;
+    expect(highlight).toContain(
+      "alert(&quot;x&quot;)&lt;/script&gt; Python &amp; <b>Django</b>&#39;s"
+    );
+    // the only tags are the ones around matches
+    expect(highlight.match(/<[^>]*>/g)).toEqual(["<b>", "</b>"]);
+  });
+
+  test("works: prefixes", async function () {
+    const { results } = await Search.find("pyth");
+    expect(results.map((r) => r.title || r.name).sort()).toEqual([
+      "Python Tutor",
+      "Senior Python Backend Engineer",
+      "Snake Oil",
+    ]);
+  });
+
+  test("works: by type", async function () {
+    const { results, total } = await Search.find("python", { type: "job" });
+    expect(total).toEqual(2);
+    expect(results.every((r) => r.type === "job")).toBeTruthy();
+  });
+
+  test("works: a page at a time", async function () {
+    const { results, total } = await Search.find("python", {
+      page: { limit: 1, offset: 1 },
+    });
+    expect(total).toEqual(3);
+    expect(results.length).toEqual(1);
+  });
+
+  test("works: no matches", async function () {
+    expect(await Search.find("cobol")).toEqual({ results: [], total: 0 });
+  });
+
+  test("ignores punctuation", async function () {
+    const { total } = await Search.find("python & (backend");
+    expect(total).toEqual(2);
+  });
+
+  test("bad request with nothing to search for", async function () {
+    await expect(Search.find("!!")).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request with invalid type", async function () {
+    await expect(Search.find("python", { type: "user" })).rejects.toThrow(
+      BadRequestError
+    );
+  });
+});
@@ -0,0 +1,444 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPage } = require("../helpers/sql");
+
+/** Related functions for skills.
+ *
+ * The skills catalogue is kept by admins. Each skill has a slug, e.g.
+ * "javascript", and may have aliases, e.g. "js"; wherever a skill is named,
+ * its slug or any of its aliases will do. Jobs list the skills they ask for,
+ * required or nice to have, and users the skills they have, with how good
+ * they are at each.
+ */
+
+const PROFICIENCIES = ["beginner", "intermediate", "advanced", "expert"];
+
+// Every column of a skill, as returned by the model
+const SKILL_COLUMNS = `slug,
+       name,
+       COALESCE(
+         (SELECT json_agg(a.alias ORDER BY a.alias)
+          FROM skill_aliases AS a
+          WHERE a.skill_slug = skills.slug),
+         '[]') AS aliases`;
+
+const PAGE_OPTIONS = {
+  columns: {
+    name: "name",
+    slug: "slug",
+  },
+  defaultSort: "name",
+  tiebreaker: "slug",
+};
+
+/** Return the sql for the slugs of the skills named (by slug or alias) in
+ * the text[] parameter idx.
+ */
+
+function sqlForSkillSlugs(idx) {
+  return `(SELECT s.slug
+           FROM skills AS s
+           WHERE s.slug = ANY($${idx}::text[])
+           UNION
+           SELECT a.skill_slug
+           FROM skill_aliases AS a
+           WHERE a.alias = ANY($${idx}::text[]))`;
+}
+
+/** Given the name of a skill, its slug or one of its aliases, return its
+ * slug.
+ *
+ * Throws NotFoundError if there's no such skill.
+ */
+
+async function resolveSlug(name) {
+  const result = await db.query(
+    `SELECT slug FROM ${sqlForSkillSlugs(1)} AS s`,
+    [[String(name).toLowerCase()]]
+  );
+  const skill = result.rows[0];
+
+  if (!skill) throw new NotFoundError(`No skill: ${name}`);
+
+  return skill.slug;
+}
+
+/** Replace the aliases of the skill with slug.
+ *
+ * Aliases are lower-cased; the slug itself and repeats are skipped.
+ *
+ * Throws BadRequestError if an alias is already another skill's slug or
+ * alias.
+ */
+
+async function setAliases(slug, aliases) {
+  const names = [...new Set(aliases.map((a) => a.toLowerCase()))].filter(
+    (a) => a !== slug
+  );
+
+  await db.query(`DELETE FROM skill_aliases WHERE skill_slug = $1`, [slug]);
+
+  const takenRes = await db.query(
+    `SELECT s.slug
+     FROM ${sqlForSkillSlugs(1)} AS s
+     WHERE s.slug <> $2`,
+    [names, slug]
+  );
+  if (takenRes.rows[0]) {
+    throw new BadRequestError(
+      `An alias is already used by skill: ${takenRes.rows[0].slug}`
+    );
+  }
+
+  for (const alias of names) {
+    await db.query(
+      `INSERT INTO skill_aliases (alias, skill_slug)
+       VALUES ($1, $2)`,
+      [alias, slug]
+    );
+  }
+}
+
+/** Select the skill with slug, or undefined if there's none. */
+
+async function selectSkill(slug) {
+  const result = await db.query(
+    `SELECT ${SKILL_COLUMNS}
+     FROM skills
+     WHERE slug = $1`,
+    [slug]
+  );
+  return result.rows[0];
+}
+
+/** Throw NotFoundError unless there's a job with id. */
+
+async function checkJob(id) {
+  if (!Number.isInteger(Number(id))) throw new NotFoundError(`No job: ${id}`);
+
+  const result = await db.query(`SELECT id FROM jobs WHERE id = $1`, [id]);
+  if (!result.rows[0]) throw new NotFoundError(`No job: ${id}`);
+}
+
+/** Throw NotFoundError unless there's a user with username. */
+
+async function checkUser(username) {
+  const result = await db.query(
+    `SELECT username FROM users WHERE username = $1`,
+    [username]
+  );
+  if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+}
+
+/** Build the WHERE clause for skill filters in query.
+ *
+ * Returns { where, values }; where is empty if there are no filters.
+ * Throws BadRequestError if a filter is invalid.
+ */
+
+function filterClause(query) {
+  const validFilters = ["name"];
+  for (const key of Object.keys(query)) {
+    if (validFilters.includes(key) === false) {
+      throw new BadRequestError(`Invalid filter`);
+    }
+  }
+
+  const filters = [];
+  const filtersValues = [];
+
+  if ("name" in query) {
+    // the name, slug or an alias
+    const idx = `$${filtersValues.length + 1}`;
+    const queryPortion = `(name ILIKE ${idx}
+      OR slug ILIKE ${idx}
+      OR EXISTS (SELECT 1
+                 FROM skill_aliases AS a
+                 WHERE a.skill_slug = skills.slug AND a.alias ILIKE ${idx}))`;
+    filters.push(queryPortion);
+    filtersValues.push("%" + query["name"] + "%");
+  }
+
+  const where = filters.length > 0 ? `WHERE ${filters.join(" AND ")}` : "";
+
+  return { where, values: filtersValues };
+}
+
+class Skill {
+  /** Create a skill (from data), update db, return new skill data.
+   *
+   * data should be { slug, name, aliases }
+   *
+   * Returns { slug, name, aliases }
+   *
+   * Throws BadRequestError if the slug or an alias is already used by a
+   * skill.
+   * */
+
+  static async create({ slug, name, aliases = [] }) {
+    return await db.withTransaction(async () => {
+      const duplicateCheck = await db.query(
+        `SELECT s.slug FROM ${sqlForSkillSlugs(1)} AS s`,
+        [[slug]]
+      );
+      if (duplicateCheck.rows[0]) {
+        throw new BadRequestError(`Duplicate skill: ${slug}`);
+      }
+
+      await db.query(
+        `INSERT INTO skills (slug, name)
+         VALUES ($1, $2)`,
+        [slug, name]
+      );
+      await setAliases(slug, aliases);
+
+      return await selectSkill(slug);
+    });
+  }
+
+  /** Find all skills, a page at a time.
+   *
+   * page is { limit, offset, sort } (see sqlForPage); skills can be sorted by
+   * name (the default) or slug.
+   *
+   * Returns [{ slug, name, aliases }, ...]
+   * Throws BadRequestError if sort is invalid.
+   * */
+
+  static async findAll(page = {}) {
+    const result = await db.query(
+      `SELECT ${SKILL_COLUMNS}
+       FROM skills
+       ${sqlForPage(page, PAGE_OPTIONS)}`
+    );
+    return result.rows;
+  }
+
+  /** Filter skills based on query parameters, a page at a time (see
+   * findAll).
+   *
+   * name matches case-insensitively anywhere in a skill's name, slug or
+   * aliases.
+   *
+   * Returns [{ slug, name, aliases }, ...]
+   * Throws BadRequestError if filter or sort is invalid.
+   * */
+
+  static async filter(query, page = {}) {
+    const { where, values } = filterClause(query);
+    const result = await db.query(
+      `SELECT ${SKILL_COLUMNS}
+       FROM skills
+       ${where}
+       ${sqlForPage(page, PAGE_OPTIONS)}`,
+      values
+    );
+    return result.rows;
+  }
+
+  /** Count the skills matching query parameters (all, if there are none).
+   *
+   * Throws BadRequestError if filter is invalid.
+   * */
+
+  static async count(query = {}) {
+    const { where, values } = filterClause(query);
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS "count"
+       FROM skills
+       ${where}`,
+      values
+    );
+    return result.rows[0].count;
+  }
+
+  /** Given a skill's slug or alias, return data about the skill.
+   *
+   * Returns { slug, name, aliases }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(name) {
+    return await selectSkill(await resolveSlug(name));
+  }
+
+  /** Update skill data with `data`.
+   *
+   * Data can include: { name, aliases }
+   *   where aliases replaces all of the skill's aliases
+   *
+   * Returns { slug, name, aliases }
+   *
+   * Throws NotFoundError if not found, BadRequestError if an alias is already
+   * used by another skill.
+   */
+
+  static async update(name, data) {
+    return await db.withTransaction(async () => {
+      const slug = await resolveSlug(name);
+
+      if (data.name !== undefined) {
+        await db.query(`UPDATE skills SET name = $1 WHERE slug = $2`, [
+          data.name,
+          slug,
+        ]);
+      }
+      if (data.aliases !== undefined) await setAliases(slug, data.aliases);
+
+      return await selectSkill(slug);
+    });
+  }
+
+  /** Delete given skill from database, and from every job and user that
+   * lists it; returns undefined.
+   *
+   * Throws NotFoundError if skill not found.
+   **/
+
+  static async remove(name) {
+    const slug = await resolveSlug(name);
+    await db.query(`DELETE FROM skills WHERE slug = $1`, [slug]);
+  }
+
+  /** Given a job id, return the skills it asks for.
+   *
+   * Returns [{ slug, name, required }, ...], required ones first
+   *
+   * Throws NotFoundError if there's no such job.
+   **/
+
+  static async findForJob(jobId) {
+    await checkJob(jobId);
+
+    const result = await db.query(
+      `SELECT s.slug, s.name, js.required
+       FROM job_skills AS js
+         JOIN skills AS s ON s.slug = js.skill_slug
+       WHERE js.job_id = $1
+       ORDER BY js.required DESC, s.name, s.slug`,
+      [jobId]
+    );
+    return result.rows;
+  }
+
+  /** Add a skill to a job, or change whether it's required (the default).
+   *
+   * Returns { slug, name, required }
+   *
+   * Throws NotFoundError if there's no such job or skill.
+   **/
+
+  static async setForJob(jobId, name, { required = true } = {}) {
+    await checkJob(jobId);
+    const slug = await resolveSlug(name);
+
+    await db.query(
+      `INSERT INTO job_skills (job_id, skill_slug, required)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (job_id, skill_slug)
+         DO UPDATE SET required = EXCLUDED.required`,
+      [jobId, slug, required]
+    );
+
+    const { name: skillName } = await selectSkill(slug);
+    return { slug, name: skillName, required };
+  }
+
+  /** Take a skill off a job; returns undefined.
+   *
+   * Throws NotFoundError if there's no such job or skill, or the job doesn't
+   * ask for it.
+   **/
+
+  static async removeFromJob(jobId, name) {
+    await checkJob(jobId);
+    const slug = await resolveSlug(name);
+
+    const result = await db.query(
+      `DELETE
+       FROM job_skills
+       WHERE job_id = $1 AND skill_slug = $2
+       RETURNING skill_slug`,
+      [jobId, slug]
+    );
+    if (!result.rows[0]) {
+      throw new NotFoundError(`Job ${jobId} doesn't list skill: ${slug}`);
+    }
+  }
+
+  /** Given a username, return the skills on their profile.
+   *
+   * Returns [{ slug, name, proficiency }, ...]
+   *
+   * Throws NotFoundError if there's no such user.
+   **/
+
+  static async findForUser(username) {
+    await checkUser(username);
+
+    const result = await db.query(
+      `SELECT s.slug, s.name, us.proficiency
+       FROM user_skills AS us
+         JOIN skills AS s ON s.slug = us.skill_slug
+       WHERE us.username = $1
+       ORDER BY s.name, s.slug`,
+      [username]
+    );
+    return result.rows;
+  }
+
+  /** Add a skill to a user's profile, or change their proficiency in it:
+   * beginner, intermediate, advanced or expert.
+   *
+   * Returns { slug, name, proficiency }
+   *
+   * Throws NotFoundError if there's no such user or skill, BadRequestError on
+   * an unknown proficiency.
+   **/
+
+  static async setForUser(username, name, { proficiency }) {
+    if (!PROFICIENCIES.includes(proficiency)) {
+      throw new BadRequestError(`Invalid proficiency: ${proficiency}`);
+    }
+    await checkUser(username);
+    const slug = await resolveSlug(name);
+
+    await db.query(
+      `INSERT INTO user_skills (username, skill_slug, proficiency)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (username, skill_slug)
+         DO UPDATE SET proficiency = EXCLUDED.proficiency`,
+      [username, slug, proficiency]
+    );
+
+    const { name: skillName } = await selectSkill(slug);
+    return { slug, name: skillName, proficiency };
+  }
+
+  /** Take a skill off a user's profile; returns undefined.
+   *
+   * Throws NotFoundError if there's no such user or skill, or the user
+   * doesn't list it.
+   **/
+
+  static async removeFromUser(username, name) {
+    await checkUser(username);
+    const slug = await resolveSlug(name);
+
+    const result = await db.query(
+      `DELETE
+       FROM user_skills
+       WHERE username = $1 AND skill_slug = $2
+       RETURNING skill_slug`,
+      [username, slug]
+    );
+    if (!result.rows[0]) {
+      throw new NotFoundError(`User ${username} doesn't list skill: ${slug}`);
+    }
+  }
+}
+
+module.exports = Skill;
@@ -0,0 +1,282 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Skill = require("./skill");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const skill = await Skill.create({
+      slug: "c++",
+      name: "C++",
+      aliases: ["CPP", "cplusplus", "cpp", "c++"],
+    });
+    expect(skill).toEqual({
+      slug: "c++",
+      name: "C++",
+      aliases: ["cplusplus", "cpp"],
+    });
+  });
+
+  test("bad request with dupe slug", async function () {
+    try {
+      await Skill.create({ slug: "sql", name: "SQL again" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with another skill's alias as slug", async function () {
+    try {
+      await Skill.create({ slug: "js", name: "JS" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with an alias that's taken", async function () {
+    try {
+      await Skill.create({ slug: "node", name: "Node", aliases: ["py"] });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll, filter, count */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const skills = await Skill.findAll();
+    expect(skills).toEqual([
+      { slug: "javascript", name: "JavaScript", aliases: ["ecmascript", "js"] },
+      { slug: "python", name: "Python", aliases: ["py"] },
+      { slug: "sql", name: "SQL", aliases: [] },
+    ]);
+  });
+
+  test("works: a page at a time", async function () {
+    const skills = await Skill.findAll({ sort: "-slug", limit: 1 });
+    expect(skills.map((s) => s.slug)).toEqual(["sql"]);
+  });
+});
+
+describe("filter", function () {
+  test("works: by name, slug or alias", async function () {
+    for (const name of ["script", "ECMA", "javas"]) {
+      const skills = await Skill.filter({ name });
+      expect(skills.map((s) => s.slug)).toEqual(["javascript"]);
+    }
+    expect(await Skill.count({ name: "s" })).toEqual(2);
+  });
+
+  test("throws error with invalid filter", async function () {
+    await expect(Skill.filter({ slug: "sql" })).rejects.toThrowError(
+      "Invalid filter"
+    );
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works, by slug or alias", async function () {
+    for (const name of ["python", "PY"]) {
+      expect(await Skill.get(name)).toEqual({
+        slug: "python",
+        name: "Python",
+        aliases: ["py"],
+      });
+    }
+  });
+
+  test("not found if no such skill", async function () {
+    try {
+      await Skill.get("cobol");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works: replaces the aliases", async function () {
+    const skill = await Skill.update("js", {
+      name: "JS",
+      aliases: ["es6", "js"],
+    });
+    expect(skill).toEqual({
+      slug: "javascript",
+      name: "JS",
+      aliases: ["es6", "js"],
+    });
+  });
+
+  test("bad request with another skill's alias", async function () {
+    try {
+      await Skill.update("sql", { aliases: ["python"] });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such skill", async function () {
+    try {
+      await Skill.update("cobol", { name: "COBOL" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works, and takes it off jobs and users", async function () {
+    await Skill.remove("js");
+    await expect(Skill.get("javascript")).rejects.toThrowError(NotFoundError);
+    expect(await Skill.findForJob(testJobIds[0])).toEqual([
+      { slug: "sql", name: "SQL", required: false },
+    ]);
+    expect(await Skill.findForUser("u1")).toEqual([]);
+  });
+
+  test("not found if no such skill", async function () {
+    try {
+      await Skill.remove("cobol");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** job skills */
+
+describe("findForJob", function () {
+  test("works, required first", async function () {
+    expect(await Skill.findForJob(testJobIds[0])).toEqual([
+      { slug: "javascript", name: "JavaScript", required: true },
+      { slug: "sql", name: "SQL", required: false },
+    ]);
+  });
+
+  test("not found if no such job", async function () {
+    await expect(Skill.findForJob(0)).rejects.toThrowError(NotFoundError);
+  });
+});
+
+describe("setForJob", function () {
+  test("works: adds and changes", async function () {
+    expect(await Skill.setForJob(testJobIds[2], "py")).toEqual({
+      slug: "python",
+      name: "Python",
+      required: true,
+    });
+    await Skill.setForJob(testJobIds[2], "python", { required: false });
+    expect(await Skill.findForJob(testJobIds[2])).toEqual([
+      { slug: "python", name: "Python", required: false },
+    ]);
+  });
+
+  test("not found if no such job or skill", async function () {
+    await expect(Skill.setForJob(0, "sql")).rejects.toThrowError(
+      NotFoundError
+    );
+    await expect(Skill.setForJob(testJobIds[2], "cobol")).rejects.toThrowError(
+      NotFoundError
+    );
+  });
+});
+
+describe("removeFromJob", function () {
+  test("works", async function () {
+    await Skill.removeFromJob(testJobIds[1], "sql");
+    expect(await Skill.findForJob(testJobIds[1])).toEqual([
+      { slug: "python", name: "Python", required: true },
+    ]);
+  });
+
+  test("not found if the job doesn't list it", async function () {
+    await expect(
+      Skill.removeFromJob(testJobIds[2], "sql")
+    ).rejects.toThrowError(NotFoundError);
+  });
+});
+
+/************************************** user skills */
+
+describe("findForUser", function () {
+  test("works", async function () {
+    expect(await Skill.findForUser("u1")).toEqual([
+      { slug: "javascript", name: "JavaScript", proficiency: "expert" },
+    ]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Skill.findForUser("nope")).rejects.toThrowError(
+      NotFoundError
+    );
+  });
+});
+
+describe("setForUser", function () {
+  test("works: adds and changes", async function () {
+    await Skill.setForUser("u2", "sql", { proficiency: "beginner" });
+    expect(
+      await Skill.setForUser("u2", "SQL", { proficiency: "advanced" })
+    ).toEqual({ slug: "sql", name: "SQL", proficiency: "advanced" });
+    expect(await Skill.findForUser("u2")).toEqual([
+      { slug: "sql", name: "SQL", proficiency: "advanced" },
+    ]);
+  });
+
+  test("bad request with invalid proficiency", async function () {
+    await expect(
+      Skill.setForUser("u2", "sql", { proficiency: "wizard" })
+    ).rejects.toThrowError(BadRequestError);
+  });
+
+  test("not found if no such user or skill", async function () {
+    await expect(
+      Skill.setForUser("nope", "sql", { proficiency: "beginner" })
+    ).rejects.toThrowError(NotFoundError);
+    await expect(
+      Skill.setForUser("u2", "cobol", { proficiency: "beginner" })
+    ).rejects.toThrowError(NotFoundError);
+  });
+});
+
+describe("removeFromUser", function () {
+  test("works", async function () {
+    await Skill.removeFromUser("u1", "js");
+    expect(await Skill.findForUser("u1")).toEqual([]);
+  });
+
+  test("not found if the user doesn't list it", async function () {
+    await expect(Skill.removeFromUser("u2", "sql")).rejects.toThrowError(
+      NotFoundError
+    );
+  });
+});
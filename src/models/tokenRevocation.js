@@ -0,0 +1,71 @@
+"use strict";
+
+const db = require("../db");
+
+/** Related functions for revoking issued JWTs.
+ *
+ * A single token is revoked by putting its jti on a denylist until it would
+ * have expired anyway. All of a user's tokens are revoked by bumping
+ * users.token_version: tokens carrying an older version stop working.
+ */
+
+class TokenRevocation {
+  /** Given a verified token payload, return whether it has been revoked.
+   *
+   * Tokens for users that no longer exist count as revoked.
+   **/
+
+  static async isRevoked({ username, tokenVersion, jti }) {
+    const result = await db.query(
+      `SELECT token_version AS "tokenVersion",
+              EXISTS (SELECT 1 FROM revoked_tokens WHERE jti = $2)
+                AS "isDenied"
+       FROM users
+       WHERE username = $1`,
+      [username, jti || null]
+    );
+    const user = result.rows[0];
+
+    return !user || user.isDenied || user.tokenVersion !== tokenVersion;
+  }
+
+  /** Revoke a single token, given its payload; returns undefined. */
+
+  static async revoke({ jti, exp }) {
+    // expired entries can't match a token that still verifies; prune them
+    await db.query(`DELETE FROM revoked_tokens WHERE expires_at < NOW()`);
+    await db.query(
+      `INSERT INTO revoked_tokens (jti, expires_at)
+       VALUES ($1, TO_TIMESTAMP($2))
+       ON CONFLICT (jti) DO NOTHING`,
+      [jti, exp]
+    );
+  }
+
+  /** Revoke every token and refresh token issued to username.
+   *
+   * Returns the user's new token version.
+   **/
+
+  static async revokeAll(username) {
+    return await db.withTransaction(async () => {
+      const result = await db.query(
+        `UPDATE users
+         SET token_version = token_version + 1
+         WHERE username = $1
+         RETURNING token_version AS "tokenVersion"`,
+        [username]
+      );
+      await db.query(
+        `UPDATE refresh_tokens
+         SET revoked_at = NOW()
+         WHERE username = $1 AND revoked_at IS NULL`,
+        [username]
+      );
+
+      return result.rows[0] && result.rows[0].tokenVersion;
+    });
+  }
+}
+
+module.exports = TokenRevocation;
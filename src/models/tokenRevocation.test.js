@@ -0,0 +1,147 @@
+"use strict";
+
+const db = require("../db.js");
+const TokenRevocation = require("./tokenRevocation.js");
+const RefreshToken = require("./refreshToken.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const inOneHour = Math.floor(Date.now() / 1000) + 60 * 60;
+
+/************************************** isRevoked */
+
+describe("isRevoked", function () {
+  test("works: live token", async function () {
+    const revoked = await TokenRevocation.isRevoked({
+      username: "u1",
+      tokenVersion: 0,
+      jti: "abc",
+    });
+    expect(revoked).toEqual(false);
+  });
+
+  test("works: unknown user", async function () {
+    const revoked = await TokenRevocation.isRevoked({
+      username: "nope",
+      tokenVersion: 0,
+      jti: "abc",
+    });
+    expect(revoked).toEqual(true);
+  });
+
+  test("works: token without a version", async function () {
+    const revoked = await TokenRevocation.isRevoked({ username: "u1" });
+    expect(revoked).toEqual(true);
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    await TokenRevocation.revoke({ jti: "abc", exp: inOneHour });
+    expect(
+      await TokenRevocation.isRevoked({
+        username: "u1",
+        tokenVersion: 0,
+        jti: "abc",
+      })
+    ).toEqual(true);
+    expect(
+      await TokenRevocation.isRevoked({
+        username: "u1",
+        tokenVersion: 0,
+        jti: "def",
+      })
+    ).toEqual(false);
+  });
+
+  test("works: twice", async function () {
+    await TokenRevocation.revoke({ jti: "abc", exp: inOneHour });
+    await TokenRevocation.revoke({ jti: "abc", exp: inOneHour });
+    const found = await db.query(
+      "SELECT jti FROM revoked_tokens WHERE jti = 'abc'"
+    );
+    expect(found.rows.length).toEqual(1);
+  });
+
+  test("prunes expired entries", async function () {
+    await db.query(
+      `INSERT INTO revoked_tokens (jti, expires_at)
+       VALUES ('old', NOW() - INTERVAL '1 day')`
+    );
+    await TokenRevocation.revoke({ jti: "abc", exp: inOneHour });
+    const found = await db.query(
+      "SELECT jti FROM revoked_tokens WHERE jti = 'old'"
+    );
+    expect(found.rows.length).toEqual(0);
+  });
+});
+
+/************************************** revokeAll */
+
+describe("revokeAll", function () {
+  test("works", async function () {
+    const refresh = await RefreshToken.issue("u1");
+    const tokenVersion = await TokenRevocation.revokeAll("u1");
+    expect(tokenVersion).toEqual(1);
+    expect(
+      await TokenRevocation.isRevoked({
+        username: "u1",
+        tokenVersion: 0,
+        jti: "abc",
+      })
+    ).toEqual(true);
+    await expect(RefreshToken.rotate(refresh.token)).rejects.toThrow();
+  });
+
+  test("happens on password change", async function () {
+    await User.update("u1", { password: "new-password" });
+    const found = await db.query(
+      "SELECT token_version FROM users WHERE username = 'u1'"
+    );
+    expect(found.rows[0].token_version).toEqual(1);
+  });
+
+  test("happens on admin flag change", async function () {
+    await User.update("u1", { isAdmin: true });
+    const found = await db.query(
+      "SELECT token_version FROM users WHERE username = 'u1'"
+    );
+    expect(found.rows[0].token_version).toEqual(1);
+  });
+
+  test("doesn't happen when the password is set to itself", async function () {
+    await User.update("u1", { password: "password1" });
+    const found = await db.query(
+      "SELECT token_version FROM users WHERE username = 'u1'"
+    );
+    expect(found.rows[0].token_version).toEqual(0);
+  });
+
+  test("doesn't happen when the admin flag is unchanged", async function () {
+    await User.update("u1", { isAdmin: false, firstName: "New" });
+    const found = await db.query(
+      "SELECT token_version FROM users WHERE username = 'u1'"
+    );
+    expect(found.rows[0].token_version).toEqual(0);
+  });
+
+  test("doesn't happen on other changes", async function () {
+    await User.update("u1", { firstName: "New" });
+    const found = await db.query(
+      "SELECT token_version FROM users WHERE username = 'u1'"
+    );
+    expect(found.rows[0].token_version).toEqual(0);
+  });
+});
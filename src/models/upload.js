@@ -0,0 +1,172 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { getStorage } = require("../helpers/storage");
+
+/** Related functions for uploaded files.
+ *
+ * Each file is kept once, by its checksum, however many times it's uploaded
+ * (the content types of resumes and logos don't overlap, so the same file is
+ * never both). Its row is here; its content is in file storage (see
+ * helpers/storage). Company logos are public, at their url; resumes are only
+ * got at through their user (see Resume).
+ */
+
+// Every column of an upload, as returned by the model
+const UPLOAD_COLUMNS = `id,
+       checksum,
+       kind,
+       content_type AS "contentType",
+       size,
+       storage_key AS "storageKey",
+       created_at AS "createdAt"`;
+
+// Public uploads are served at this and their checksum
+const URL_PREFIX = "/uploads/";
+
+/** Remove the content stored under storageKey, unless an upload with
+ * checksum was kept after all (e.g. by another request storing the same file
+ * at the same time).
+ */
+
+async function removeIfNotKept(checksum, storageKey) {
+  const result = await db.query(
+    `SELECT id FROM uploads WHERE checksum = $1`,
+    [checksum]
+  );
+  if (!result.rows[0]) await getStorage().remove(storageKey);
+}
+
+class Upload {
+  /** Keep an upload read from a request (see helpers/uploads), unless the
+   * same file is already kept, and pass it to useUpload (if given), all in
+   * one transaction.
+   *
+   * upload should be { kind, contentType, size, checksum, data }
+   * useUpload is an async function(stored) that records what the upload is
+   * for, e.g. a resume; what it returns is returned.
+   *
+   * If anything fails, nothing is kept: the upload's row is rolled back and
+   * its content removed from file storage, unless it was already there.
+   *
+   * Returns { id, checksum, kind, contentType, size, storageKey, createdAt }
+   * without useUpload.
+   **/
+
+  static async store(upload, useUpload = async (stored) => stored) {
+    const { kind, contentType, size, checksum, data } = upload;
+    // named by checksum, so storing the same file twice at once is harmless
+    const storageKey = `${kind}s/${checksum.slice(0, 2)}/${checksum}`;
+
+    let storedContent = false;
+    try {
+      return await db.withTransaction(async () => {
+        const existingRes = await db.query(
+          `SELECT ${UPLOAD_COLUMNS}
+           FROM uploads
+           WHERE checksum = $1`,
+          [checksum]
+        );
+        let stored = existingRes.rows[0];
+
+        if (!stored) {
+          await getStorage().put(storageKey, data);
+          storedContent = true;
+
+          const result = await db.query(
+            `INSERT INTO uploads
+                    (checksum, kind, content_type, size, storage_key)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (checksum) DO UPDATE SET checksum = EXCLUDED.checksum
+             RETURNING ${UPLOAD_COLUMNS}`,
+            [checksum, kind, contentType, size, storageKey]
+          );
+          stored = result.rows[0];
+        }
+
+        return await useUpload(stored);
+      });
+    } catch (err) {
+      if (storedContent) await removeIfNotKept(checksum, storageKey);
+      throw err;
+    }
+  }
+
+  /** Return the url an upload is served at, if it's public. */
+
+  static urlFor(checksum) {
+    return `${URL_PREFIX}${checksum}`;
+  }
+
+  /** Given a url, return the id of the upload served at it (see urlFor), or
+   * null if there's none, e.g. for a logo kept somewhere else.
+   **/
+
+  static async idForUrl(url) {
+    if (!url || !url.startsWith(URL_PREFIX)) return null;
+
+    const result = await db.query(
+      `SELECT id FROM uploads WHERE checksum = $1`,
+      [url.slice(URL_PREFIX.length)]
+    );
+    return result.rows[0] ? result.rows[0].id : null;
+  }
+
+  /** Given a checksum, return the public upload (a company logo) it's of.
+   *
+   * Returns { checksum, contentType, size, data }
+   *
+   * Throws NotFoundError if there's no such public upload.
+   **/
+
+  static async getPublic(checksum) {
+    const result = await db.query(
+      `SELECT ${UPLOAD_COLUMNS}
+       FROM uploads
+       WHERE checksum = $1 AND kind = 'logo'`,
+      [checksum]
+    );
+    const upload = result.rows[0];
+    if (!upload) throw new NotFoundError(`No upload: ${checksum}`);
+
+    return {
+      checksum: upload.checksum,
+      contentType: upload.contentType,
+      size: upload.size,
+      data: await Upload.getData(upload),
+    };
+  }
+
+  /** Return the content of upload, { id, storageKey }, from file storage.
+   *
+   * Throws NotFoundError if it's missing from storage.
+   **/
+
+  static async getData({ id, storageKey }) {
+    const data = await getStorage().get(storageKey);
+    if (!data) throw new NotFoundError(`Upload ${id} is missing from storage`);
+    return data;
+  }
+
+  /** Delete upload id, and its content, if no one has it as a resume and no
+   * company as its logo any more; returns undefined.
+   **/
+
+  static async removeIfUnused(id) {
+    const result = await db.query(
+      `DELETE
+       FROM uploads AS u
+       WHERE id = $1
+         AND NOT EXISTS (SELECT 1 FROM resumes AS r WHERE r.upload_id = u.id)
+         AND NOT EXISTS (SELECT 1
+                         FROM companies AS c
+                         WHERE c.logo_url = $2 || u.checksum)
+       RETURNING storage_key AS "storageKey"`,
+      [id, URL_PREFIX]
+    );
+    if (result.rows[0]) await getStorage().remove(result.rows[0].storageKey);
+  }
+}
+
+module.exports = Upload;
@@ -0,0 +1,195 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const { getStorage } = require("../helpers/storage");
+const Upload = require("./upload");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(async function () {
+  await getStorage().clear();
+  await commonAfterAll();
+});
+
+function testUpload(kind, content) {
+  const data = Buffer.from(content);
+  return {
+    kind,
+    filename: `${kind}.bin`,
+    contentType: kind === "logo" ? "image/png" : "application/pdf",
+    size: data.length,
+    checksum: crypto.createHash("sha256").update(data).digest("hex"),
+    data,
+  };
+}
+
+/************************************** store */
+
+describe("store", function () {
+  test("works", async function () {
+    const upload = testUpload("logo", "logo1");
+    const stored = await Upload.store(upload);
+    expect(stored).toEqual({
+      id: expect.any(Number),
+      checksum: upload.checksum,
+      kind: "logo",
+      contentType: "image/png",
+      size: 5,
+      storageKey: `logos/${upload.checksum.slice(0, 2)}/${upload.checksum}`,
+      createdAt: expect.any(Date),
+    });
+    const data = await getStorage().get(stored.storageKey);
+    expect(data.toString()).toEqual("logo1");
+  });
+
+  test("keeps the same file once", async function () {
+    const first = await Upload.store(testUpload("logo", "logo1"));
+    const again = await Upload.store(testUpload("logo", "logo1"));
+    expect(again).toEqual(first);
+    const other = await Upload.store(testUpload("logo", "logo2"));
+    expect(other.id).not.toEqual(first.id);
+
+    const result = await db.query(`SELECT count(*)::int FROM uploads`);
+    expect(result.rows[0].count).toEqual(2);
+  });
+
+  test("works with useUpload", async function () {
+    const upload = testUpload("logo", "logo1");
+    const used = await Upload.store(upload, async (stored) => stored.id);
+    const result = await db.query(`SELECT id FROM uploads`);
+    expect(result.rows).toEqual([{ id: used }]);
+  });
+
+  test("keeps nothing if useUpload fails", async function () {
+    const upload = testUpload("logo", "logo1");
+    await expect(
+      Upload.store(upload, async () => {
+        throw new Error("Failed");
+      })
+    ).rejects.toThrowError("Failed");
+
+    const result = await db.query(`SELECT id FROM uploads`);
+    expect(result.rows).toEqual([]);
+    const { checksum } = upload;
+    const storageKey = `logos/${checksum.slice(0, 2)}/${checksum}`;
+    expect(await getStorage().get(storageKey)).toBeNull();
+  });
+
+  test("keeps a file already kept if useUpload fails", async function () {
+    const first = await Upload.store(testUpload("logo", "logo1"));
+    await expect(
+      Upload.store(testUpload("logo", "logo1"), async () => {
+        throw new Error("Failed");
+      })
+    ).rejects.toThrowError("Failed");
+
+    const result = await db.query(`SELECT id FROM uploads`);
+    expect(result.rows).toEqual([{ id: first.id }]);
+    const data = await getStorage().get(first.storageKey);
+    expect(data.toString()).toEqual("logo1");
+  });
+});
+
+/************************************** getPublic */
+
+describe("getPublic", function () {
+  test("works for logos", async function () {
+    const { checksum } = await Upload.store(testUpload("logo", "logo1"));
+    const upload = await Upload.getPublic(checksum);
+    expect(upload).toEqual({
+      checksum,
+      contentType: "image/png",
+      size: 5,
+      data: Buffer.from("logo1"),
+    });
+  });
+
+  test("not found for resumes", async function () {
+    const { checksum } = await Upload.store(testUpload("resume", "resume1"));
+    await expect(Upload.getPublic(checksum)).rejects.toThrowError(
+      NotFoundError
+    );
+  });
+
+  test("not found if no such upload", async function () {
+    await expect(Upload.getPublic("nope")).rejects.toThrowError(NotFoundError);
+  });
+
+  test("not found if missing from storage", async function () {
+    const stored = await Upload.store(testUpload("logo", "logo1"));
+    await getStorage().remove(stored.storageKey);
+    await expect(Upload.getPublic(stored.checksum)).rejects.toThrowError(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** removeIfUnused */
+
+describe("removeIfUnused", function () {
+  test("removes a resume no one has", async function () {
+    const stored = await Upload.store(testUpload("resume", "resume1"));
+    await Upload.removeIfUnused(stored.id);
+
+    const result = await db.query(`SELECT id FROM uploads WHERE id = $1`, [
+      stored.id,
+    ]);
+    expect(result.rows).toEqual([]);
+    expect(await getStorage().get(stored.storageKey)).toBe(null);
+  });
+
+  test("keeps a resume someone has", async function () {
+    const stored = await Upload.store(testUpload("resume", "resume1"));
+    await db.query(
+      `INSERT INTO resumes (username, upload_id, filename)
+       VALUES ('u1', $1, 'cv.pdf')`,
+      [stored.id]
+    );
+    await Upload.removeIfUnused(stored.id);
+
+    expect(await getStorage().get(stored.storageKey)).not.toBe(null);
+  });
+
+  test("removes a logo no company has", async function () {
+    const stored = await Upload.store(testUpload("logo", "logo1"));
+    await Upload.removeIfUnused(stored.id);
+
+    expect(await getStorage().get(stored.storageKey)).toBe(null);
+  });
+
+  test("keeps a logo a company has", async function () {
+    const stored = await Upload.store(testUpload("logo", "logo1"));
+    await db.query(`UPDATE companies SET logo_url = $1 WHERE handle = 'c1'`, [
+      Upload.urlFor(stored.checksum),
+    ]);
+    await Upload.removeIfUnused(stored.id);
+
+    expect(await getStorage().get(stored.storageKey)).not.toBe(null);
+  });
+});
+
+/************************************** idForUrl */
+
+describe("idForUrl", function () {
+  test("works", async function () {
+    const stored = await Upload.store(testUpload("logo", "logo1"));
+    expect(await Upload.idForUrl(Upload.urlFor(stored.checksum))).toEqual(
+      stored.id
+    );
+  });
+
+  test("null for urls that aren't uploads", async function () {
+    expect(await Upload.idForUrl("http://c1.img")).toBeNull();
+    expect(await Upload.idForUrl(Upload.urlFor("0".repeat(64)))).toBeNull();
+    expect(await Upload.idForUrl(null)).toBeNull();
+  });
+});
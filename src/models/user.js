@@ -2,21 +2,40 @@
 
 const db = require("../db");
 const bcrypt = require("bcrypt");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlForPage } = require("../helpers/sql");
+const TokenRevocation = require("./tokenRevocation");
+const Job = require("./job");
+const Application = require("./application");
+const Upload = require("./upload");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ConflictError,
 } = require("../expressError");
 
 const { BCRYPT_WORK_FACTOR } = require("../config.js");
 
 /** Related functions for users. */
 
+// how far from home users go for jobs, unless they say otherwise
+const DEFAULT_MAX_DISTANCE_KM = 50;
+
+const PAGE_OPTIONS = {
+  columns: {
+    username: "username",
+    firstName: "first_name",
+    lastName: "last_name",
+    email: "email",
+  },
+  defaultSort: "username",
+  tiebreaker: "username",
+};
+
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, first_name, last_name, email, is_admin, tokenVersion }
    *
    * Throws UnauthorizedError is user not found or wrong password.
    **/
@@ -29,7 +48,8 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  is_admin AS "isAdmin",
+                  token_version AS "tokenVersion"
            FROM users
            WHERE username = $1`,
       [username]
@@ -49,7 +69,7 @@ class User {
     throw new UnauthorizedError("Invalid username/password");
   }
 
-  /** Register user with data.
+  /** Register user with data. Users who aren't admins start as candidates.
    *
    * Returns { username, firstName, lastName, email, isAdmin }
    *
@@ -77,30 +97,45 @@ class User {
 
     const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
-    const result = await db.query(
-      `INSERT INTO users
-           (username,
-            password,
-            first_name,
-            last_name,
-            email,
-            is_admin)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
-      [username, hashedPassword, firstName, lastName, email, isAdmin]
-    );
-
-    const user = result.rows[0];
+    return await db.withTransaction(async () => {
+      const result = await db.query(
+        `INSERT INTO users
+             (username,
+              password,
+              first_name,
+              last_name,
+              email,
+              is_admin)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
+        [username, hashedPassword, firstName, lastName, email, isAdmin]
+      );
+
+      const user = result.rows[0];
+
+      if (!user.isAdmin) {
+        await db.query(
+          `INSERT INTO user_roles (username, role)
+           VALUES ($1, 'candidate')`,
+          [username]
+        );
+      }
 
-    return user;
+      return user;
+    });
   }
 
-  /** Find all users.
+  /** Find all users, a page at a time.
+   *
+   * page is { limit, offset, sort } (see sqlForPage); users can be sorted by
+   * username, firstName, lastName or email, and are sorted by username by
+   * default.
    *
    * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * Throws BadRequestError if sort is invalid.
    **/
 
-  static async findAll() {
+  static async findAll(page = {}) {
     const result = await db.query(
       `SELECT username,
                   first_name AS "firstName",
@@ -108,16 +143,27 @@ class User {
                   email,
                   is_admin AS "isAdmin"
            FROM users
-           ORDER BY username`
+           ${sqlForPage(page, PAGE_OPTIONS)}`
     );
 
     return result.rows;
   }
 
+  /** Count all users. */
+
+  static async count() {
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS "count"
+       FROM users`
+    );
+    return result.rows[0].count;
+  }
+
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
+   * Returns { username, first_name, last_name, is_admin, jobs, skills }
    *   where jobs is { id, title, company_handle, company_name, state }
+   *   and skills is { slug, name, proficiency }
    *
    * Throws NotFoundError if user not found.
    **/
@@ -139,14 +185,32 @@ class User {
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
     const job = await db.query(
-      `SELECT job_id
-        FROM applications
-        WHERE username=$1`,
+      `SELECT a.job_id AS id,
+              j.title,
+              j.company_handle,
+              c.name AS company_name,
+              a.state
+        FROM applications AS a
+          JOIN jobs AS j ON j.id = a.job_id
+          JOIN companies AS c ON c.handle = j.company_handle
+        WHERE a.username=$1
+        ORDER BY a.created_at, a.job_id`,
       [username]
     );
 
     user.jobs = job.rows;
 
+    const skillsRes = await db.query(
+      `SELECT s.slug, s.name, us.proficiency
+       FROM user_skills AS us
+         JOIN skills AS s ON s.slug = us.skill_slug
+       WHERE us.username = $1
+       ORDER BY s.name, s.slug`,
+      [username]
+    );
+
+    user.skills = skillsRes.rows;
+
     return user;
   }
 
@@ -162,12 +226,16 @@ class User {
    *
    * Throws NotFoundError if not found.
    *
+   * Changing the password or admin flag revokes all of the user's tokens;
+   * setting either to what it already is doesn't.
+   *
    * WARNING: this function can set a new password or make a user an admin.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
    */
 
   static async update(username, data) {
+    const newPassword = data.password;
     if (data.password) {
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
@@ -187,18 +255,129 @@ class User {
                                 last_name AS "lastName",
                                 email,
                                 is_admin AS "isAdmin"`;
-    const result = await db.query(querySql, [...values, username]);
-    const user = result.rows[0];
+    return await db.withTransaction(async () => {
+      const currentRes = await db.query(
+        `SELECT password, is_admin AS "isAdmin"
+         FROM users
+         WHERE username = $1
+         FOR UPDATE`,
+        [username]
+      );
+      const current = currentRes.rows[0];
+      if (!current) throw new NotFoundError(`No user: ${username}`);
+
+      const revokesTokens =
+        (data.isAdmin !== undefined && data.isAdmin !== current.isAdmin) ||
+        (newPassword !== undefined &&
+          !(await bcrypt.compare(String(newPassword), current.password)));
+
+      const result = await db.query(querySql, [...values, username]);
+      const user = result.rows[0];
+
+      if (revokesTokens) await TokenRevocation.revokeAll(username);
+
+      delete user.password;
+      return user;
+    });
+  }
 
-    if (!user) throw new NotFoundError(`No user: ${username}`);
+  /** Given a username, return what they're looking for in a job.
+   *
+   * Returns { desiredSalary, desiredCurrency, workModes, homeCity,
+   *   homeRegion, homeCountry, maxDistanceKm }
+   *   where desiredSalary is the least they'd take in a year, in
+   *   desiredCurrency, and maxDistanceKm is how far from home they'd go for
+   *   jobs that aren't remote; users who haven't said get the defaults
+   *
+   * Throws NotFoundError if user not found.
+   **/
 
-    delete user.password;
-    return user;
+  static async getPreferences(username) {
+    const result = await db.query(
+      `SELECT p.desired_salary AS "desiredSalary",
+              COALESCE(p.desired_currency, 'USD') AS "desiredCurrency",
+              COALESCE(p.work_modes, '{}') AS "workModes",
+              p.home_city AS "homeCity",
+              p.home_region AS "homeRegion",
+              p.home_country AS "homeCountry",
+              COALESCE(p.max_distance_km, ${DEFAULT_MAX_DISTANCE_KM})::float8
+                AS "maxDistanceKm"
+       FROM users AS u
+         LEFT JOIN user_preferences AS p ON p.username = u.username
+       WHERE u.username = $1`,
+      [username]
+    );
+    const preferences = result.rows[0];
+
+    if (!preferences) throw new NotFoundError(`No user: ${username}`);
+
+    return preferences;
+  }
+
+  /** Replace what username is looking for in a job (see getPreferences);
+   * anything left out goes back to its default.
+   *
+   * Returns { desiredSalary, desiredCurrency, workModes, homeCity,
+   *   homeRegion, homeCountry, maxDistanceKm }
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async setPreferences(
+    username,
+    {
+      desiredSalary = null,
+      desiredCurrency = "USD",
+      workModes = [],
+      homeCity = null,
+      homeRegion = null,
+      homeCountry = null,
+      maxDistanceKm = DEFAULT_MAX_DISTANCE_KM,
+    }
+  ) {
+    return await db.withTransaction(async () => {
+      // check the user is there, so a missing one is a 404 not a 500
+      await User.getPreferences(username);
+
+      await db.query(
+        `INSERT INTO user_preferences
+             (username, desired_salary, desired_currency, work_modes,
+              home_city, home_region, home_country, max_distance_km)
+         VALUES ($1, $2, upper($3), $4, $5, $6, upper($7), $8)
+         ON CONFLICT (username) DO UPDATE
+           SET desired_salary = EXCLUDED.desired_salary,
+               desired_currency = EXCLUDED.desired_currency,
+               work_modes = EXCLUDED.work_modes,
+               home_city = EXCLUDED.home_city,
+               home_region = EXCLUDED.home_region,
+               home_country = EXCLUDED.home_country,
+               max_distance_km = EXCLUDED.max_distance_km`,
+        [
+          username,
+          desiredSalary,
+          desiredCurrency,
+          [...new Set(workModes)],
+          homeCity,
+          homeRegion,
+          homeCountry,
+          maxDistanceKm,
+        ]
+      );
+
+      return await User.getPreferences(username);
+    });
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Delete given user from database, and the resume files no one else
+   * uploaded; returns undefined.
+   **/
 
   static async remove(username) {
+    const resumesRes = await db.query(
+      `SELECT upload_id AS "uploadId" FROM resumes WHERE username = $1`,
+      [username]
+    );
+
     const result = await db.query(
       `DELETE
            FROM users
@@ -209,18 +388,83 @@ class User {
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    for (const { uploadId } of resumesRes.rows) {
+      await Upload.removeIfUnused(uploadId);
+    }
   }
 
-  /** Create a job application for user; returns {username, job_id}. */
+  /** Create a job application for user.
+   *
+   * data can include { state, coverLetter, resumeId, answers }
+   *   where state is the starting state: "applied" (default) or
+   *   "interested", resumeId is the id of one of their resumes and answers
+   *   is { key: answer } for the job's screening questions
+   * changedBy is the username making the application, the user by default.
+   *
+   * Returns { username, jobId, state, coverLetter, resumeId, resumeRef,
+   *   answers, createdAt, updatedAt, history }
+   *   where history is [{ fromState, toState, changedBy, changedAt }, ...]
+   *
+   * Throws NotFoundError if the user or job isn't found, BadRequestError if
+   * the job isn't open (see Job.checkOpen), resumeId isn't one of the
+   * user's resumes or the answers don't do for its screening questions (see
+   * Job.checkAnswers), ConflictError if the user has already applied.
+   **/
 
-  static async apply(username, jobId) {
-    const application = await db.query(
-      `INSERT INTO applications (username, job_id)
-       VALUES($1, $2)
-       RETURNING username, job_id`,
-      [username, jobId]
+  static async apply(
+    username,
+    jobId,
+    {
+      state = "applied",
+      coverLetter = null,
+      resumeId = null,
+      answers = {},
+    } = {},
+    { changedBy = username } = {}
+  ) {
+    const userRes = await db.query(
+      `SELECT username FROM users WHERE username = $1`,
+      [username]
     );
-    return application.rows[0];
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    if (resumeId !== null) {
+      const resumeRes = await db.query(
+        `SELECT id FROM resumes WHERE id = $1 AND username = $2`,
+        [resumeId, username]
+      );
+      if (!resumeRes.rows[0]) {
+        throw new BadRequestError(`No resume for ${username}: ${resumeId}`);
+      }
+    }
+
+    return await db.withTransaction(async () => {
+      // locks the job, so it stays open with the same questions until saved
+      await Job.checkOpen(jobId);
+      await Job.checkAnswers(jobId, answers);
+
+      const application = await db.query(
+        `INSERT INTO applications
+             (username, job_id, state, cover_letter, resume_id, answers)
+         VALUES($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (username, job_id) DO NOTHING
+         RETURNING username`,
+        [username, jobId, state, coverLetter, resumeId, answers]
+      );
+      if (!application.rows[0]) {
+        throw new ConflictError(
+          `Already applied: ${username}, ${jobId}`
+        );
+      }
+      await db.query(
+        `INSERT INTO application_history
+             (username, job_id, to_state, changed_by)
+         VALUES($1, $2, $3, $4)`,
+        [username, jobId, state, changedBy]
+      );
+      return await Application.get(username, jobId);
+    });
   }
 }
 
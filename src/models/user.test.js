@@ -1,23 +1,43 @@
 "use strict";
 
+const crypto = require("crypto");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ConflictError,
 } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
+const Job = require("./job.js");
+const Resume = require("./resume.js");
+const { getStorage } = require("../helpers/storage");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
-afterAll(commonAfterAll);
+afterAll(async function () {
+  await getStorage().clear();
+  await commonAfterAll();
+});
+
+function testResume(content) {
+  return {
+    kind: "resume",
+    filename: "cv.pdf",
+    contentType: "application/pdf",
+    size: content.length,
+    checksum: crypto.createHash("sha256").update(content).digest("hex"),
+    data: Buffer.from(content),
+  };
+}
 
 /************************************** authenticate */
 
@@ -30,6 +50,7 @@ describe("authenticate", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      tokenVersion: 0,
     });
   });
 
@@ -127,6 +148,19 @@ describe("findAll", function () {
       },
     ]);
   });
+
+  test("works: a page at a time", async function () {
+    const users = await User.findAll({ sort: "-username", limit: 1 });
+    expect(users.map((u) => u.username)).toEqual(["u2"]);
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await User.count()).toEqual(2);
+  });
 });
 
 /************************************** get */
@@ -140,9 +174,27 @@ describe("get", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      jobs: [],
+      skills: [
+        { slug: "javascript", name: "JavaScript", proficiency: "expert" },
+      ],
     });
   });
 
+  test("works: includes applications", async function () {
+    await User.apply("u1", testJobIds[0]);
+    let user = await User.get("u1");
+    expect(user.jobs).toEqual([
+      {
+        id: testJobIds[0],
+        title: "title1",
+        company_handle: "c1",
+        company_name: "C1",
+        state: "applied",
+      },
+    ]);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.get("nope");
@@ -209,6 +261,56 @@ describe("update", function () {
   });
 });
 
+/************************************** preferences */
+
+describe("getPreferences", function () {
+  test("works: defaults for users who haven't said", async function () {
+    expect(await User.getPreferences("u1")).toEqual({
+      desiredSalary: null,
+      desiredCurrency: "USD",
+      workModes: [],
+      homeCity: null,
+      homeRegion: null,
+      homeCountry: null,
+      maxDistanceKm: 50,
+    });
+  });
+
+  test("not found if no such user", async function () {
+    await expect(User.getPreferences("nope")).rejects.toThrowError(
+      NotFoundError
+    );
+  });
+});
+
+describe("setPreferences", function () {
+  test("works, replacing what was there", async function () {
+    await User.setPreferences("u1", { desiredSalary: 1000 });
+    const preferences = await User.setPreferences("u1", {
+      desiredCurrency: "eur",
+      workModes: ["remote", "hybrid", "remote"],
+      homeCity: "London",
+      homeCountry: "gb",
+      maxDistanceKm: 12.5,
+    });
+    expect(preferences).toEqual({
+      desiredSalary: null,
+      desiredCurrency: "EUR",
+      workModes: ["remote", "hybrid"],
+      homeCity: "London",
+      homeRegion: null,
+      homeCountry: "GB",
+      maxDistanceKm: 12.5,
+    });
+  });
+
+  test("not found if no such user", async function () {
+    await expect(User.setPreferences("nope", {})).rejects.toThrowError(
+      NotFoundError
+    );
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
@@ -219,6 +321,19 @@ describe("remove", function () {
     expect(res.rows.length).toEqual(0);
   });
 
+  test("works: removes resume files no one else has", async function () {
+    await Resume.create("u1", testResume("%PDF-mine"));
+    await Resume.create("u1", testResume("%PDF-shared"));
+    await Resume.create("u2", testResume("%PDF-shared"));
+
+    await User.remove("u1");
+    const res = await db.query(
+        "SELECT checksum FROM uploads");
+    expect(res.rows).toEqual([
+      { checksum: testResume("%PDF-shared").checksum },
+    ]);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.remove("nope");
@@ -228,3 +343,122 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** apply */
+
+describe("apply", function () {
+  test("works", async function () {
+    const application = await User.apply("u1", testJobIds[1]);
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobIds[1],
+      state: "applied",
+      coverLetter: null,
+      resumeId: null,
+      resumeRef: null,
+      answers: {},
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+      history: [
+        {
+          fromState: null,
+          toState: "applied",
+          changedBy: "u1",
+          changedAt: expect.any(Date),
+        },
+      ],
+    });
+
+    const history = await db.query(
+      `SELECT from_state, to_state, changed_by
+       FROM application_history
+       WHERE username = 'u1' AND job_id = $1`,
+      [testJobIds[1]]
+    );
+    expect(history.rows).toEqual([
+      { from_state: null, to_state: "applied", changed_by: "u1" },
+    ]);
+  });
+
+  test("works: start as interested", async function () {
+    const application = await User.apply("u1", testJobIds[1], {
+      state: "interested",
+    });
+    expect(application.state).toEqual("interested");
+  });
+
+  test("works: with a cover letter, resume and answers", async function () {
+    await Job.update(testJobIds[1], {
+      screeningQuestions: [
+        { key: "years", question: "Years of experience?", type: "number" },
+      ],
+    });
+    const resume = await Resume.create("u1", testResume("%PDF-u1"));
+    const application = await User.apply("u1", testJobIds[1], {
+      coverLetter: "Dear C2",
+      resumeId: resume.id,
+      answers: { years: 3 },
+    });
+    expect(application).toEqual(
+      expect.objectContaining({
+        coverLetter: "Dear C2",
+        resumeId: resume.id,
+        answers: { years: 3 },
+      })
+    );
+  });
+
+  test("bad request if the resume isn't the user's", async function () {
+    const resume = await Resume.create("u2", testResume("%PDF-u2"));
+    await expect(
+      User.apply("u1", testJobIds[1], { resumeId: resume.id })
+    ).rejects.toThrowError(BadRequestError);
+    await expect(
+      User.apply("u1", testJobIds[1], { resumeId: 100000 })
+    ).rejects.toThrowError(BadRequestError);
+  });
+
+  test("bad request if a required question isn't answered", async function () {
+    await Job.update(testJobIds[1], {
+      screeningQuestions: [
+        { key: "years", question: "Years of experience?", type: "number" },
+      ],
+    });
+    await expect(User.apply("u1", testJobIds[1])).rejects.toThrowError(
+      BadRequestError
+    );
+  });
+
+  test("works: made by someone else", async function () {
+    const application = await User.apply(
+      "u1",
+      testJobIds[1],
+      {},
+      { changedBy: "u2" }
+    );
+    expect(application.history[0].changedBy).toEqual("u2");
+  });
+
+  test("conflict if already applied", async function () {
+    await User.apply("u1", testJobIds[1]);
+    await expect(User.apply("u1", testJobIds[1])).rejects.toThrowError(
+      ConflictError
+    );
+  });
+
+  test("not found if no such user or job", async function () {
+    await expect(User.apply("nope", testJobIds[1])).rejects.toThrowError(
+      "No user: nope"
+    );
+    await expect(User.apply("u1", 0)).rejects.toThrowError("No job: 0");
+  });
+
+  test("bad request if the job is closed", async function () {
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = $1`, [
+      testJobIds[1],
+    ]);
+    await expect(User.apply("u1", testJobIds[1])).rejects.toThrowError(
+      BadRequestError
+    );
+  });
+});
@@ -4,15 +4,26 @@ const db = require("../db.js");
 const User = require("../models/user");
 const Company = require("../models/company");
 const Job = require("../models/job");
+const ExchangeRate = require("../models/exchangeRate");
+const Skill = require("../models/skill");
 const { createToken } = require("../helpers/tokens");
 
+const testJobIds = [];
+
 async function commonBeforeAll() {
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
   // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM uploads");
+  // noinspection SqlWithoutWhere
   await db.query("DELETE FROM companies");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM jobs");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM locations");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM skills");
+  await db.query("DELETE FROM exchange_rates WHERE currency <> 'USD'");
 
   await Company.create({
     handle: "c1",
@@ -20,6 +31,12 @@ async function commonBeforeAll() {
     numEmployees: 1,
     description: "Desc1",
     logoUrl: "http://c1.img",
+    industry: "Software",
+    website: "http://c1.com",
+    hqCity: "Austin",
+    hqCountry: "US",
+    foundedYear: 2001,
+    socialLinks: { linkedin: "http://linkedin.com/company/c1" },
   });
   await Company.create({
     handle: "c2",
@@ -27,6 +44,10 @@ async function commonBeforeAll() {
     numEmployees: 2,
     description: "Desc2",
     logoUrl: "http://c2.img",
+    industry: "Finance",
+    hqCity: "London",
+    hqCountry: "GB",
+    foundedYear: 1990,
   });
   await Company.create({
     handle: "c3",
@@ -60,26 +81,51 @@ async function commonBeforeAll() {
     password: "password3",
     isAdmin: false,
   });
-  await Job.create({
+  // tokens for users that don't exist are rejected, so adminToken needs one
+  await User.register({
+    username: "admin",
+    firstName: "AdminF",
+    lastName: "AdminL",
+    email: "admin@user.com",
+    password: "password-admin",
+    isAdmin: true,
+  });
+  testJobIds[0] = (await Job.create({
     title: "job1",
-    salary: 100,
+    salaryMin: 100,
+    salaryMax: 100,
     equity: 0.1,
     company_handle: "c1",
-  });
-  await Job.create({
+    locations: [{ city: "Austin", region: "TX", country: "US" }],
+  })).id;
+  testJobIds[1] = (await Job.create({
     title: "job2",
-    salary: 200,
+    salaryMin: 200,
+    salaryMax: 200,
     equity: 0.2,
     company_handle: "c2",
+    workMode: "remote",
+  })).id;
+
+  await ExchangeRate.upload({ EUR: 0.5 });
+
+  await Skill.create({
+    slug: "javascript",
+    name: "JavaScript",
+    aliases: ["js"],
   });
+  await Skill.create({ slug: "python", name: "Python" });
+  await Skill.setForJob(testJobIds[0], "javascript");
+  await Skill.setForJob(testJobIds[1], "python", { required: false });
+  await Skill.setForUser("u1", "javascript", { proficiency: "expert" });
 }
 
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  await db.beginTestTransaction();
 }
 
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
+  await db.rollbackTestTransaction();
 }
 
 async function commonAfterAll() {
@@ -87,6 +133,7 @@ async function commonAfterAll() {
 }
 
 const u1Token = createToken({ username: "u1", isAdmin: false });
+const u2Token = createToken({ username: "u2", isAdmin: false });
 const adminToken = createToken({ username: "admin", isAdmin: true });
 
 module.exports = {
@@ -94,6 +141,8 @@ module.exports = {
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
   u1Token,
+  u2Token,
   adminToken,
 };
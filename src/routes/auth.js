@@ -5,16 +5,28 @@
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const TokenRevocation = require("../models/tokenRevocation");
+const PasswordReset = require("../models/passwordReset");
 const express = require("express");
 const router = new express.Router();
 const { createToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
+const tokenRefreshSchema = require("../schemas/tokenRefresh.json");
+const logoutSchema = require("../schemas/logout.json");
+const passwordResetRequestSchema =
+    require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema =
+    require("../schemas/passwordResetConfirm.json");
 const { BadRequestError } = require("../expressError");
+const { ensureLoggedIn } = require("../middleware/auth");
 
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests, and
+ * a refresh token to get a new one when it expires.
  *
  * Authorization required: none
  */
@@ -30,18 +42,20 @@ router.post("/token", async function (req, res, next) {
     const { username, password } = req.body;
     const user = await User.authenticate(username, password);
     const token = createToken(user);
-    return res.json({ token });
+    const refreshToken = (await RefreshToken.issue(user.username)).token;
+    return res.json({ token, refreshToken });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests, and
+ * a refresh token to get a new one when it expires.
  *
  * Authorization required: none
  */
@@ -56,7 +70,141 @@ router.post("/register", async function (req, res, next) {
 
     const newUser = await User.register({ ...req.body, isAdmin: false });
     const token = createToken(newUser);
-    return res.status(201).json({ token });
+    const refreshToken = (await RefreshToken.issue(newUser.username)).token;
+    return res.status(201).json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Trades a refresh token for a new JWT token and a new refresh token; the
+ * old refresh token can't be used again. Reusing one revokes every refresh
+ * token descended from the same login.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, tokenRefreshSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const rotated = await RefreshToken.rotate(req.body.refreshToken);
+    const token = createToken(rotated.user);
+    return res.json({ token, refreshToken: rotated.token });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: username }
+ *
+ * Revokes the JWT token used for this request. If a refresh token is given,
+ * it and every token rotated from it are revoked too.
+ *
+ * Authorization required: login
+ */
+
+router.post("/logout", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, logoutSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await TokenRevocation.revoke(res.locals.user);
+    if (req.body.refreshToken) {
+      await RefreshToken.revoke(req.body.refreshToken, res.locals.user.username);
+    }
+    return res.json({ loggedOut: res.locals.user.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout-all:   {} => { loggedOut: username }
+ *
+ * Revokes every JWT token and refresh token issued to the logged-in user, on
+ * every device.
+ *
+ * Authorization required: login
+ */
+
+router.post("/logout-all", ensureLoggedIn, async function (req, res, next) {
+  try {
+    await TokenRevocation.revokeAll(res.locals.user.username);
+    return res.json({ loggedOut: res.locals.user.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/request:   { username } => { message }
+ *
+ * Emails the user a single-use token for /auth/password-reset/confirm. The
+ * response is the same whether or not the user exists.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetRequestSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const reset = await PasswordReset.request(req.body.username);
+    if (reset) {
+      await sendMail({
+        to: reset.email,
+        subject: "Reset your Jobly password",
+        text: `Hi ${reset.username},\n\n` +
+            `Use this token to choose a new password: ${reset.token}\n\n` +
+            `If you didn't ask to reset your password, you can ignore this.`,
+      });
+    }
+    return res.json({
+      message: "If that user exists, a reset token has been emailed",
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/confirm:   { token, password } => { reset }
+ *
+ * Sets a new password using a token from /auth/password-reset/request, and
+ * logs the user out everywhere.
+ *
+ * Returns { reset: username }
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetConfirmSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } =
+        await PasswordReset.confirm(req.body.token, req.body.password);
+    return res.json({ reset: username });
   } catch (err) {
     return next(err);
   }
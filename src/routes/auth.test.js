@@ -3,12 +3,14 @@
 const request = require("supertest");
 
 const app = require("../app");
+const { getTransport } = require("../helpers/mailer");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -28,6 +30,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -87,6 +90,7 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -112,3 +116,237 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    return resp.body.refreshToken;
+  }
+
+  test("works", async function () {
+    const refreshToken = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+  });
+
+  test("unauth on reuse, which also revokes the rotated token",
+      async function () {
+    const refreshToken = await login();
+    const first = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    const reused = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(reused.statusCode).toEqual(401);
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+
+    const after = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(after.statusCode).toEqual(401);
+  });
+
+  test("works: revokes the refresh token", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken: login.body.refreshToken })
+        .set("authorization", `Bearer ${login.body.token}`);
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("leaves other tokens alone", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    await request(app)
+        .post("/auth/logout")
+        .set("authorization", `Bearer ${login.body.token}`);
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/logout");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/logout-all */
+
+describe("POST /auth/logout-all", function () {
+  test("works", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const resp = await request(app)
+        .post("/auth/logout-all")
+        .set("authorization", `Bearer ${login.body.token}`);
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+
+    const other = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(other.statusCode).toEqual(401);
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+  });
+
+  test("new logins still work afterwards", async function () {
+    await request(app)
+        .post("/auth/logout-all")
+        .set("authorization", `Bearer ${u1Token}`);
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${login.body.token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/logout-all");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/password-reset/* */
+
+describe("POST /auth/password-reset/request", function () {
+  beforeEach(async function () {
+    await getTransport().clear();
+  });
+
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u1" });
+    expect(resp.body).toEqual({ message: expect.any(String) });
+
+    const messages = await getTransport().list();
+    expect(messages.length).toEqual(1);
+    expect(messages[0].to).toEqual("user1@user.com");
+  });
+
+  test("same response, and no mail, for unknown user", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "nope" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ message: expect.any(String) });
+    expect(await getTransport().list()).toEqual([]);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("POST /auth/password-reset/confirm", function () {
+  async function requestToken() {
+    await getTransport().clear();
+    await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u1" });
+    const [message] = await getTransport().list();
+    return message.text.match(/token to choose a new password: (\w+)/)[1];
+  }
+
+  test("works", async function () {
+    const token = await requestToken();
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    expect(resp.body).toEqual({ reset: "u1" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "new-password" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("revokes existing tokens", async function () {
+    const token = await requestToken();
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request when token reused", async function () {
+    const token = await requestToken();
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "other-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid password", async function () {
+    const token = await requestToken();
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "x" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -6,8 +6,13 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const {
+  ensurePermission,
+  ensureCompanyPermission,
+} = require("../middleware/auth");
 const Company = require("../models/company");
+const { parsePageQuery, pageInfo } = require("../helpers/pagination");
+const { readUpload } = require("../helpers/uploads");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
@@ -16,50 +21,71 @@ const router = new express.Router();
 
 /** POST / { company } =>  { company }
  *
- * company should be { handle, name, description, numEmployees, logoUrl }
+ * company should be { handle, name, description, numEmployees, logoUrl,
+ *                     industry, website, hqCity, hqCountry, foundedYear,
+ *                     socialLinks }
+ *   where logoUrl is a URL or an uploaded logo's /uploads/[checksum],
+ *   hqCountry is an ISO country code like "US"
+ *   and socialLinks is { linkedin, twitter, facebook, github, ... } URLs
  *
- * Returns { handle, name, description, numEmployees, logoUrl }
+ * Returns { handle, name, description, numEmployees, logoUrl, industry,
+ *           website, hqCity, hqCountry, foundedYear, socialLinks }
  *
- * Authorization required: login
+ * Authorization required: companies:write permission
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
-  try {
-    const validator = jsonschema.validate(req.body, companyNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
-    }
+router.post(
+  "/",
+  ensurePermission("companies:write"),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, companyNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
 
-    const company = await Company.create(req.body);
-    return res.status(201).json({ company });
-  } catch (err) {
-    return next(err);
+      const company = await Company.create(req.body);
+      return res.status(201).json({ company });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl,
+ *                    industry, website, hqCity, hqCountry, foundedYear,
+ *                    socialLinks }, ...],
+ *     pagination: { page, limit, total, next, prev } }
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
- * - nameLike (will find case-insensitive, partial matches)
+ * - name (will find case-insensitive, partial matches)
+ * - industry (case-insensitive)
+ * - country (ISO country code of the headquarters, like "US")
+ * - near (lat,lng) and radiusKm (default 25): only companies headquartered
+ *   that close, nearest first, each with its distanceKm
+ *
+ * Returns one page of companies: page (default 1), limit (default 20, at most
+ * 100) and sort (name, handle, numEmployees, foundedYear, or distance with
+ * near; "-" first for descending)
  *
  * Authorization required: none
  */
 
 router.get("/", async function (req, res, next) {
   try {
-    const query = req.query;
+    const { filters, page } = parsePageQuery(req.query);
 
-    // if there is no query filter, return all companies (limited to 100 companies)
-    if (Object.keys(query).length === 0) {
-      const companies = await Company.findAll();
-      return res.json({ companies });
-    }
-    const companies = await Company.filter(query);
-    return res.json({ companies });
+    // if there is no query filter, page through all companies
+    const companies =
+      Object.keys(filters).length === 0
+        ? await Company.findAll(page)
+        : await Company.filter(filters, page);
+    const total = await Company.count(filters);
+    return res.json({ companies, pagination: pageInfo(req, page, total) });
   } catch (err) {
     return next(err);
   }
@@ -67,8 +93,11 @@ router.get("/", async function (req, res, next) {
 
 /** GET /[handle]  =>  { company }
  *
- *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
- *   where jobs is [{ id, title, salary, equity }, ...]
+ *  Company is { handle, name, description, num_employees, logo_url,
+ *              industry, website, hqCity, hqCountry, foundedYear,
+ *              socialLinks, jobs }
+ *   where jobs is its live jobs: [{ id, title, salaryMin, salaryMax,
+ *                    salaryCurrency, salaryPeriod, equity }, ...]
  *
  * Authorization required: none
  */
@@ -86,40 +115,143 @@ router.get("/:handle", async function (req, res, next) {
  *
  * Patches company data.
  *
- * fields can be: { name, description, numEmployees, logo_url }
+ * fields can be: { name, description, numEmployees, logoUrl, industry,
+ *                  website, hqCity, hqCountry, foundedYear, socialLinks }
  *
- * Returns { handle, name, description, numEmployees, logo_url }
+ * Returns { handle, name, description, numEmployees, logoUrl, industry,
+ *           website, hqCity, hqCountry, foundedYear, socialLinks }
  *
- * Authorization required: login
+ * Authorization required: companies:write permission, everywhere or for
+ * :handle
  */
 
-router.patch("/:handle", ensureAdmin, async function (req, res, next) {
-  try {
-    const validator = jsonschema.validate(req.body, companyUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
+router.patch(
+  "/:handle",
+  ensureCompanyPermission("companies:write", (req) => req.params.handle),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, companyUpdateSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const company = await Company.update(req.params.handle, req.body);
+      return res.json({ company });
+    } catch (err) {
+      return next(err);
     }
+  }
+);
 
-    const company = await Company.update(req.params.handle, req.body);
-    return res.json({ company });
-  } catch (err) {
-    return next(err);
+/** PUT /[handle]/logo (multipart/form-data) => { company }
+ *
+ * Uploads the company's logo as the form's "logo" file: a PNG, JPEG or GIF
+ * image of at most LOGO_MAX_BYTES. logoUrl becomes the url it's served at,
+ * /uploads/[checksum].
+ *
+ * Returns { handle, name, description, numEmployees, logoUrl, industry,
+ *           website, hqCity, hqCountry, foundedYear, socialLinks }
+ *
+ * Authorization required: companies:write permission, everywhere or for
+ * :handle
+ */
+
+router.put(
+  "/:handle/logo",
+  ensureCompanyPermission("companies:write", (req) => req.params.handle),
+  async function (req, res, next) {
+    try {
+      const upload = await readUpload(req, "logo");
+      const company = await Company.setLogo(req.params.handle, upload);
+      return res.json({ company });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization: login
+ * Authorization: companies:write permission
  */
 
-router.delete("/:handle", ensureAdmin, async function (req, res, next) {
-  try {
-    await Company.remove(req.params.handle);
-    return res.json({ deleted: req.params.handle });
-  } catch (err) {
-    return next(err);
+router.delete(
+  "/:handle",
+  ensurePermission("companies:write"),
+  async function (req, res, next) {
+    try {
+      await Company.remove(req.params.handle);
+      return res.json({ deleted: req.params.handle });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
+
+/** GET /[handle]/members  =>  { members }
+ *
+ * Returns [{ username, firstName, lastName, email }, ...]
+ *
+ * Authorization required: companies:write permission, everywhere or for
+ * :handle
+ */
+
+router.get(
+  "/:handle/members",
+  ensureCompanyPermission("companies:write", (req) => req.params.handle),
+  async function (req, res, next) {
+    try {
+      const members = await Company.getMembers(req.params.handle);
+      return res.json({ members });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[handle]/members/[username]  =>  { member }
+ *
+ * Makes the user a member of the company. Members who are recruiters can
+ * manage the company and its jobs.
+ *
+ * Returns { username, companyHandle }
+ *
+ * Authorization required: roles:manage permission
+ */
+
+router.post(
+  "/:handle/members/:username",
+  ensurePermission("roles:manage"),
+  async function (req, res, next) {
+    try {
+      const member = await Company.addMember(
+        req.params.handle,
+        req.params.username
+      );
+      return res.status(201).json({ member });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * Authorization required: roles:manage permission
+ */
+
+router.delete(
+  "/:handle/members/:username",
+  ensurePermission("roles:manage"),
+  async function (req, res, next) {
+    try {
+      await Company.removeMember(req.params.handle, req.params.username);
+      return res.json({ removed: req.params.username });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
 module.exports = router;
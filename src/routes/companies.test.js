@@ -4,6 +4,9 @@ const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const Role = require("../models/role");
+const Company = require("../models/company");
+const { getStorage } = require("../helpers/storage");
 
 const {
   commonBeforeAll,
@@ -11,13 +14,17 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  u2Token,
   adminToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
-afterAll(commonAfterAll);
+afterAll(async function () {
+  await getStorage().clear();
+  await commonAfterAll();
+});
 
 /************************************** POST /companies */
 
@@ -28,6 +35,12 @@ describe("POST /companies", function () {
     logoUrl: "http://new.img",
     description: "DescNew",
     numEmployees: 10,
+    industry: "Retail",
+    website: "http://new.com",
+    hqCity: "Lagos",
+    hqCountry: "NG",
+    foundedYear: 2015,
+    socialLinks: { twitter: "http://twitter.com/new" },
   };
   test("fails for non-admin users", async function () {
     const resp = await request(app)
@@ -69,6 +82,21 @@ describe("POST /companies", function () {
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("bad request with invalid profile data", async function () {
+    for (const invalid of [
+      { hqCountry: "USA" },
+      { foundedYear: "1999" },
+      { website: "not-a-url" },
+      { socialLinks: { myspace: "http://myspace.com/new" } },
+    ]) {
+      const resp = await request(app)
+        .post("/companies")
+        .send({ ...newCompany, ...invalid })
+        .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
 });
 
 /************************************** GET /companies */
@@ -84,6 +112,12 @@ describe("GET /companies", function () {
           description: "Desc1",
           numEmployees: 1,
           logoUrl: "http://c1.img",
+          industry: "Software",
+          website: "http://c1.com",
+          hqCity: "Austin",
+          hqCountry: "US",
+          foundedYear: 2001,
+          socialLinks: { linkedin: "http://linkedin.com/company/c1" },
         },
         {
           handle: "c2",
@@ -91,6 +125,12 @@ describe("GET /companies", function () {
           description: "Desc2",
           numEmployees: 2,
           logoUrl: "http://c2.img",
+          industry: "Finance",
+          website: null,
+          hqCity: "London",
+          hqCountry: "GB",
+          foundedYear: 1990,
+          socialLinks: {},
         },
         {
           handle: "c3",
@@ -98,11 +138,90 @@ describe("GET /companies", function () {
           description: "Desc3",
           numEmployees: 3,
           logoUrl: "http://c3.img",
+          industry: null,
+          website: null,
+          hqCity: null,
+          hqCountry: null,
+          foundedYear: null,
+          socialLinks: {},
         },
       ],
+      pagination: {
+        page: 1,
+        limit: 20,
+        total: 3,
+        next: null,
+        prev: null,
+      },
+    });
+  });
+
+  test("works: paging", async function () {
+    const resp = await request(app).get("/companies?limit=1&page=2");
+    expect(resp.body.companies.map((c) => c.handle)).toEqual(["c2"]);
+    expect(resp.body.pagination).toEqual({
+      page: 2,
+      limit: 1,
+      total: 3,
+      next: "/companies?limit=1&page=3",
+      prev: "/companies?limit=1&page=1",
+    });
+  });
+
+  test("works: filtering by industry and country", async function () {
+    const resp = await request(app).get(
+      "/companies?industry=software&country=us"
+    );
+    expect(resp.body.companies.map((c) => c.handle)).toEqual(["c1"]);
+    expect(resp.body.pagination.total).toEqual(1);
+  });
+
+  test("works: near a point, nearest first", async function () {
+    const resp = await request(app).get(
+      "/companies?near=51.5,-0.1&radiusKm=10000"
+    );
+    expect(resp.body.companies.map((c) => [c.handle, c.distanceKm])).toEqual([
+      ["c2", 2.1],
+      ["c1", 7912.5],
+    ]);
+    expect(resp.body.pagination.total).toEqual(2);
+  });
+
+  test("bad request with invalid near", async function () {
+    for (const query of ["near=london", "near=0,0&radiusKm=-1", "radiusKm=5"]) {
+      const resp = await request(app).get(`/companies?${query}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("works: paging keeps filters and sort", async function () {
+    const resp = await request(app).get(
+      "/companies?minEmployees=2&sort=-numEmployees&limit=1"
+    );
+    expect(resp.body.companies.map((c) => c.handle)).toEqual(["c3"]);
+    expect(resp.body.pagination).toEqual({
+      page: 1,
+      limit: 1,
+      total: 2,
+      next: "/companies?minEmployees=2&sort=-numEmployees&limit=1&page=2",
+      prev: null,
     });
   });
 
+  test("works: past the last page", async function () {
+    const resp = await request(app).get("/companies?limit=2&page=5");
+    expect(resp.body.companies).toEqual([]);
+    expect(resp.body.pagination.next).toEqual(null);
+    expect(resp.body.pagination.prev).toEqual("/companies?limit=2&page=2");
+  });
+
+  test("bad request with invalid paging", async function () {
+    for (const query of ["page=0", "limit=abc", "limit=101", "sort=nope"]) {
+      const resp = await request(app).get(`/companies?${query}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -127,12 +246,21 @@ describe("GET /companies/:handle", function () {
         description: "Desc1",
         num_employees: 1,
         logo_url: "http://c1.img",
+        industry: "Software",
+        website: "http://c1.com",
+        hqCity: "Austin",
+        hqCountry: "US",
+        foundedYear: 2001,
+        socialLinks: { linkedin: "http://linkedin.com/company/c1" },
         jobs: [
           {
             company_handle: "c1",
             equity: "0.1",
             id: expect.any(Number),
-            salary: 100,
+            salaryMin: 100,
+            salaryMax: 100,
+            salaryCurrency: "USD",
+            salaryPeriod: "year",
             title: "job1",
           },
         ],
@@ -149,12 +277,21 @@ describe("GET /companies/:handle", function () {
         description: "Desc2",
         num_employees: 2,
         logo_url: "http://c2.img",
+        industry: "Finance",
+        website: null,
+        hqCity: "London",
+        hqCountry: "GB",
+        foundedYear: 1990,
+        socialLinks: {},
         jobs: [
           {
             company_handle: "c2",
             equity: "0.2",
             id: expect.any(Number),
-            salary: 200,
+            salaryMin: 200,
+            salaryMax: 200,
+            salaryCurrency: "USD",
+            salaryPeriod: "year",
             title: "job2",
           },
         ],
@@ -185,10 +322,41 @@ describe("PATCH /companies/:handle", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        industry: "Software",
+        website: "http://c1.com",
+        hqCity: "Austin",
+        hqCountry: "US",
+        foundedYear: 2001,
+        socialLinks: { linkedin: "http://linkedin.com/company/c1" },
       },
     });
   });
 
+  test("works for recruiters of the company", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c1", "u2");
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({
+        name: "C1-new",
+      })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.company.name).toEqual("C1-new");
+  });
+
+  test("unauth for recruiters of other companies", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c2", "u2");
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({
+        name: "C1-new",
+      })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for non-admin user", async function () {
     const resp = await request(app)
       .patch(`/companies/c1`)
@@ -228,6 +396,110 @@ describe("PATCH /companies/:handle", function () {
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("works: profile fields", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c2`)
+      .send({
+        industry: "Insurance",
+        hqCountry: "ie",
+        hqCity: "Dublin",
+      })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.company).toEqual(
+      expect.objectContaining({
+        handle: "c2",
+        industry: "Insurance",
+        hqCity: "Dublin",
+        hqCountry: "IE",
+        foundedYear: 1990,
+      })
+    );
+  });
+
+  test("bad request if founded in the future", async function () {
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ foundedYear: 3000 })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: an uploaded logo's url", async function () {
+    const logoUrl = `/uploads/${"a".repeat(64)}`;
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ logoUrl })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.company.logoUrl).toEqual(logoUrl);
+  });
+});
+
+/************************************** PUT /companies/:handle/logo */
+
+describe("PUT /companies/:handle/logo", function () {
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    Buffer.from("logo"),
+  ]);
+
+  function uploadLogo(handle, token, data = png) {
+    return request(app)
+      .put(`/companies/${handle}/logo`)
+      .attach("logo", data, { filename: "logo.png", contentType: "image/png" })
+      .set("authorization", `Bearer ${token}`);
+  }
+
+  test("works for admin, pointing logoUrl at the logo", async function () {
+    const resp = await uploadLogo("c1", adminToken);
+    expect(resp.statusCode).toEqual(200);
+    const { logoUrl } = resp.body.company;
+    expect(logoUrl).toMatch(/^\/uploads\/[0-9a-f]{64}$/);
+
+    const logoResp = await request(app).get(logoUrl);
+    expect(logoResp.statusCode).toEqual(200);
+    expect(logoResp.headers["content-type"]).toEqual("image/png");
+    expect(logoResp.body).toEqual(png);
+  });
+
+  test("works for recruiters of the company", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c1", "u2");
+    const resp = await uploadLogo("c1", u2Token);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("shares one logo between companies", async function () {
+    const c1Resp = await uploadLogo("c1", adminToken);
+    const c2Resp = await uploadLogo("c2", adminToken);
+    expect(c2Resp.body.company.logoUrl).toEqual(c1Resp.body.company.logoUrl);
+    const result = await db.query(`SELECT count(*)::int FROM uploads`);
+    expect(result.rows[0].count).toEqual(1);
+  });
+
+  test("unauth for recruiters of other companies", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c2", "u2");
+    const resp = await uploadLogo("c1", u2Token);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+      .put(`/companies/c1/logo`)
+      .attach("logo", png, { filename: "logo.png", contentType: "image/png" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request for a file that isn't an image", async function () {
+    const resp = await uploadLogo("c1", adminToken, Buffer.from("%PDF-1.4"));
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such company", async function () {
+    const resp = await uploadLogo("nope", adminToken);
+    expect(resp.statusCode).toEqual(404);
+  });
 });
 
 /************************************** DELETE /companies/:handle */
@@ -240,6 +512,15 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.body).toEqual({ deleted: "c1" });
   });
 
+  test("unauth for recruiters of the company", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c1", "u2");
+    const resp = await request(app)
+      .delete(`/companies/c1`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for non-admin users", async function () {
     const resp = await request(app)
       .delete(`/companies/c1`)
@@ -254,3 +535,92 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** /companies/:handle/members */
+
+describe("GET /companies/:handle/members", function () {
+  test("works for admin users", async function () {
+    await Company.addMember("c1", "u2");
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      members: [
+        {
+          username: "u2",
+          firstName: "U2F",
+          lastName: "U2L",
+          email: "user2@user.com",
+        },
+      ],
+    });
+  });
+
+  test("works for recruiters of the company", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c1", "u2");
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-members", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /companies/:handle/members/:username", function () {
+  test("works for admin users", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members/u2`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      member: { username: "u2", companyHandle: "c1" },
+    });
+  });
+
+  test("unauth for recruiters", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c1", "u2");
+    const resp = await request(app)
+      .post(`/companies/c1/members/u1`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members/nope`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+      .post(`/companies/nope/members/u1`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /companies/:handle/members/:username", function () {
+  test("works for admin users", async function () {
+    await Company.addMember("c1", "u2");
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u2`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ removed: "u2" });
+  });
+
+  test("not found if not a member", async function () {
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u2`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
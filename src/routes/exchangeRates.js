@@ -0,0 +1,80 @@
+"use strict";
+
+/** Routes for exchange rates. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { ensurePermission } = require("../middleware/auth");
+const ExchangeRate = require("../models/exchangeRate");
+
+const ratesUploadSchema = require("../schemas/exchangeRatesUpload.json");
+
+const router = new express.Router();
+
+/** GET /  =>  { exchangeRates: [ { currency, perUsd, updatedAt }, ...] }
+ *
+ * perUsd is how much of the currency one US dollar buys.
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  try {
+    const exchangeRates = await ExchangeRate.findAll();
+    return res.json({ exchangeRates });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PUT / { rates: { currency: perUsd, ... } }
+ *   =>  { exchangeRates: [ { currency, perUsd, updatedAt }, ...] }
+ *
+ * Uploads new rates, adding currencies not seen before; the rates of
+ * currencies left out are kept. USD is always 1.
+ *
+ * Returns every exchange rate.
+ *
+ * Authorization required: exchangeRates:write permission
+ */
+
+router.put(
+  "/",
+  ensurePermission("exchangeRates:write"),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, ratesUploadSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const exchangeRates = await ExchangeRate.upload(req.body.rates);
+      return res.json({ exchangeRates });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[currency]  =>  { deleted: currency }
+ *
+ * Authorization required: exchangeRates:write permission
+ */
+
+router.delete(
+  "/:currency",
+  ensurePermission("exchangeRates:write"),
+  async function (req, res, next) {
+    try {
+      await ExchangeRate.remove(req.params.currency);
+      return res.json({ deleted: req.params.currency });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+module.exports = router;
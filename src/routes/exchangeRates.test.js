@@ -0,0 +1,106 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /exchange-rates */
+
+describe("GET /exchange-rates", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/exchange-rates");
+    expect(resp.body).toEqual({
+      exchangeRates: [
+        { currency: "EUR", perUsd: 0.5, updatedAt: expect.any(String) },
+        { currency: "USD", perUsd: 1, updatedAt: expect.any(String) },
+      ],
+    });
+  });
+});
+
+/************************************** PUT /exchange-rates */
+
+describe("PUT /exchange-rates", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .put("/exchange-rates")
+      .send({ rates: { EUR: 0.9, gbp: 0.8 } })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.exchangeRates.map((r) => [r.currency, r.perUsd])).toEqual([
+      ["EUR", 0.9],
+      ["GBP", 0.8],
+      ["USD", 1],
+    ]);
+  });
+
+  test("unauth for non-admin users", async function () {
+    const resp = await request(app)
+      .put("/exchange-rates")
+      .send({ rates: { EUR: 0.9 } })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+      .put("/exchange-rates")
+      .send({ rates: { EUR: 0.9 } });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid rates", async function () {
+    for (const rates of [
+      {},
+      { EURO: 1 },
+      { EUR: 0 },
+      { EUR: "1" },
+      { USD: 2 },
+    ]) {
+      const resp = await request(app)
+        .put("/exchange-rates")
+        .send({ rates })
+        .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+});
+
+/************************************** DELETE /exchange-rates/:currency */
+
+describe("DELETE /exchange-rates/:currency", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .delete("/exchange-rates/EUR")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: "EUR" });
+  });
+
+  test("unauth for non-admin users", async function () {
+    const resp = await request(app)
+      .delete("/exchange-rates/EUR")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such rate", async function () {
+    const resp = await request(app)
+      .delete("/exchange-rates/JPY")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
@@ -1,124 +1,439 @@
 "use strict";
 
-/** Routes for companies. */
+/** Routes for jobs. */
 
 const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const {
+  ensureCompanyPermission,
+  hasPermission,
+} = require("../middleware/auth");
 const Job = require("../models/job");
+const Application = require("../models/application");
+const Resume = require("../models/resume");
+const Skill = require("../models/skill");
+const { parsePageQuery, pageInfo } = require("../helpers/pagination");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
+const jobSkillSchema = require("../schemas/jobSkill.json");
+const jobPublishSchema = require("../schemas/jobPublish.json");
+const jobSearchSchema = require("../schemas/jobSearch.json");
 
 const router = new express.Router();
 
+/** Find the company a job route is about, for company-scoped permissions. */
+
+function findJobCompany(req) {
+  return Job.getCompanyHandle(req.params.id);
+}
+
 /** POST / { job } =>  { job }
  *
- * job should be { title, salary, equity, company_handle }
+ * job should be { title, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+ *                 equity, company_handle, workMode, locations, status,
+ *                 publishAt, expiresAt, screeningQuestions }
+ *   where salaryCurrency is an ISO currency code (default USD), salaryPeriod
+ *   is hour, day, month or year (the default), workMode is remote, hybrid or
+ *   onsite (the default), locations is [{ city, region, country }, ...],
+ *   status is draft or published (the default, unless there's a publishAt),
+ *   publishAt is when a draft is to be published by the worker, expiresAt
+ *   is when the job stops taking applications, if it does, and
+ *   screeningQuestions is what applicants are asked: [{ key, question, type,
+ *   choices, required }, ...], where type is text, number, boolean or choice
+ *   (with choices to pick from), and questions are required unless required
+ *   is false
  *
- * Returns { id, title, salary, equity, company_handle }
+ * Returns { id, title, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+ *           equity, company_handle, workMode, locations, status, expiresAt }
  *
- * Authorization required: admin
+ * Authorization required: jobs:write permission, everywhere or for
+ * company_handle
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
-  try {
-    const validator = jsonschema.validate(req.body, jobNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
-    }
+router.post(
+  "/",
+  ensureCompanyPermission("jobs:write", (req) => req.body.company_handle),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, jobNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
 
-    const job = await Job.create(req.body);
-    return res.status(201).json({ job });
-  } catch (err) {
-    return next(err);
+      const job = await Job.create(req.body);
+      return res.status(201).json({ job });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
 /** GET /  =>
- *   { jobs: [ { id, title, salary, equity, company_handle }, ...] }
+ *   { jobs: [ { id, title, salaryMin, salaryMax, salaryCurrency,
+ *               salaryPeriod, equity, company_handle, workMode,
+ *               locations, status, expiresAt }, ...],
+ *     pagination: { page, limit, total, next, prev } }
  *
  * Can filter on provided search filters:
  * - title
- * - minSalary
+ * - companyHandle
+ * - minSalary (a non-negative number, compared with the most a job pays in
+ *   a year, in currency)
+ * - currency (default USD): salaries in other currencies are converted with
+ *   the exchange rates; given a currency, each job has its convertedSalary
  * - hasEquity
+ * - location (a city, region or country code)
+ * - remote (true or false)
+ * - workMode (remote, hybrid or onsite; several separated by commas)
+ * - skills (slugs or aliases, separated by commas) and skillsMatch (any, the
+ *   default, or all): jobs listing any, or all, of the skills
+ * - saved (true or false): only the jobs the logged in user has saved, or
+ *   only the rest
+ * - near (lat,lng) and radiusKm (default 25): only jobs with a location that
+ *   close, nearest first, each with its distanceKm
+ * - status (draft, published, closed or expired; several separated by
+ *   commas): without it, only live jobs, published and not expired
  *
- * Authorization required: none
+ * Returns one page of jobs: page (default 1), limit (default 20, at most 100)
+ * and sort (title, salary, equity, companyHandle, or distance with near; "-"
+ * first for descending)
+ *
+ * Authorization required: none; logged in to filter on saved, and jobs:write
+ * permission to filter on status, everywhere or for the companyHandle
+ * filtered on
  */
 
 router.get("/", async function (req, res, next) {
   try {
-    const query = req.query;
-
-    // if there is no query filter, return all jobs
-    if (Object.keys(query).length === 0) {
-      const jobs = await Job.findAll();
-      return res.json({ jobs });
+    const { filters, page } = parsePageQuery(req.query);
+    const validator = jsonschema.validate(filters, jobSearchSchema, {
+      propertyName: "query",
+    });
+    if (!validator.valid) {
+      const errs = validator.errors.map((e) => e.stack);
+      throw new BadRequestError(errs);
+    }
+    const user = res.locals.user;
+    if ("saved" in filters && !user) {
+      throw new UnauthorizedError("Not logged in");
     }
-    const jobs = await Job.filter(query);
-    return res.json({ jobs });
+    if (
+      "status" in filters &&
+      !hasPermission(user, "jobs:write", filters.companyHandle)
+    ) {
+      throw new UnauthorizedError("Missing permission: jobs:write");
+    }
+    const forUser = { username: user && user.username };
+
+    // if there is no query filter, page through all jobs
+    const jobs =
+      Object.keys(filters).length === 0
+        ? await Job.findAll(page)
+        : await Job.filter(filters, page, forUser);
+    const total = await Job.count(filters, forUser);
+    return res.json({ jobs, pagination: pageInfo(req, page, total) });
   } catch (err) {
     return next(err);
   }
 });
 
-/** GET /[job]  =>  { job }
+/** GET /[id]  =>  { job }
+ * GET /[id]?currency=EUR  =>  { job }, with the job's convertedSalary
  *
- *  Job is { id, title, salary, equity, company_handle }
+ *  Job is { id, title, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+ *           equity, company_handle, workMode, locations, status, expiresAt,
+ *           publishAt, publishedAt, closedAt, screeningQuestions, company,
+ *           skills }
+ *   where company is { handle, name, description, numEmployees, logoUrl },
+ *   skills is [{ slug, name, required }, ...]
+ *   and convertedSalary is { salaryMin, salaryMax, salaryCurrency,
+ *   salaryPeriod }, or null if there's no exchange rate for the job's currency
  *
- * Authorization required: none
+ * To look jobs up by title, use the title filter on GET /.
+ *
+ * Authorization required: none; drafts are only found with jobs:write
+ * permission, everywhere or for the job's company
  */
 
-router.get("/:title", async function (req, res, next) {
+router.get("/:id", async function (req, res, next) {
   try {
-    const job = await Job.get(req.params.title);
+    const job = await Job.get(req.params.id, { currency: req.query.currency });
+    if (
+      job.status === "draft" &&
+      !hasPermission(res.locals.user, "jobs:write", job.company_handle)
+    ) {
+      throw new NotFoundError(`No job: ${req.params.id}`);
+    }
     return res.json({ job });
   } catch (err) {
     return next(err);
   }
 });
 
-/** PATCH /[handle] { fld1, fld2, ... } => { company }
+/** POST /[id]/publish { expiresAt }  =>  { job }
+ *
+ * Publishes a draft job, so job seekers can see and apply to it. With
+ * expiresAt, the job expires then; null means it never does.
  *
- * Patches company data.
+ * Returns the job, as for GET /[id]
  *
- * fields can be: { name, description, numEmployees, logo_url }
+ * Authorization required: jobs:write permission, everywhere or for the job's
+ * company
+ */
+
+router.post(
+  "/:id/publish",
+  ensureCompanyPermission("jobs:write", findJobCompany),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, jobPublishSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const job = await Job.publish(req.params.id, req.body);
+      return res.json({ job });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[id]/close  =>  { job }
  *
- * Returns { handle, name, description, numEmployees, logo_url }
+ * Closes a published or expired job to applications.
  *
- * Authorization required: admin
+ * Returns the job, as for GET /[id]
+ *
+ * Authorization required: jobs:write permission, everywhere or for the job's
+ * company
  */
 
-router.patch("/:id", ensureAdmin, async function (req, res, next) {
-  try {
-    const validator = jsonschema.validate(req.body, jobUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
+router.post(
+  "/:id/close",
+  ensureCompanyPermission("jobs:write", findJobCompany),
+  async function (req, res, next) {
+    try {
+      const job = await Job.close(req.params.id);
+      return res.json({ job });
+    } catch (err) {
+      return next(err);
     }
+  }
+);
 
-    const job = await Job.update(req.params.id, req.body);
-    return res.json({ job });
-  } catch (err) {
-    return next(err);
+/** POST /[id]/reopen { expiresAt }  =>  { job }
+ *
+ * Publishes a closed or expired job again. With expiresAt, the job expires
+ * then; an expired job needs a new one (or null, so it never does).
+ *
+ * Returns the job, as for GET /[id]
+ *
+ * Authorization required: jobs:write permission, everywhere or for the job's
+ * company
+ */
+
+router.post(
+  "/:id/reopen",
+  ensureCompanyPermission("jobs:write", findJobCompany),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, jobPublishSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const job = await Job.reopen(req.params.id, req.body);
+      return res.json({ job });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
-/** DELETE /[id]  =>  { deleted: id }
+/** GET /[id]/applications  =>  { applications }
  *
- * Authorization: admin
+ * Returns [{ username, jobId, state, coverLetter, resumeId, resumeRef,
+ *            answers, createdAt, updatedAt }, ...]
+ *
+ * Authorization required: applications:read permission, everywhere or for the
+ * job's company
+ */
+
+router.get(
+  "/:id/applications",
+  ensureCompanyPermission("applications:read", findJobCompany),
+  async function (req, res, next) {
+    try {
+      const applications = await Application.findForJob(req.params.id);
+      return res.json({ applications });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[id]/applications/[username]/resume  =>  the resume file, as an
+ * attachment
+ *
+ * The resume the user applied to the job with, if they gave one.
+ *
+ * Authorization required: applications:read permission, everywhere or for the
+ * job's company
+ */
+
+router.get(
+  "/:id/applications/:username/resume",
+  ensureCompanyPermission("applications:read", findJobCompany),
+  async function (req, res, next) {
+    try {
+      const resume = await Resume.getForApplication(
+        req.params.username,
+        req.params.id
+      );
+      return res
+        .attachment(resume.filename)
+        .type(resume.contentType)
+        .set("X-Content-Type-Options", "nosniff")
+        .send(resume.data);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[id]/skills  =>  { skills }
+ *
+ * Returns [{ slug, name, required }, ...], required ones first
+ *
+ * Authorization required: none
  */
 
-router.delete("/:id", ensureAdmin, async function (req, res, next) {
+router.get("/:id/skills", async function (req, res, next) {
   try {
-    await Job.remove(req.params.id);
-    return res.json({ deleted: req.params.id });
+    const skills = await Skill.findForJob(req.params.id);
+    return res.json({ skills });
   } catch (err) {
     return next(err);
   }
 });
 
+/** PUT /[id]/skills/[skill] { required }  =>  { skill }
+ *
+ * Adds a skill (by slug or alias) to the job, or changes whether it's
+ * required; skills are required unless required is false, when they're nice
+ * to have.
+ *
+ * Returns { slug, name, required }
+ *
+ * Authorization required: jobs:write permission, everywhere or for the job's
+ * company
+ */
+
+router.put(
+  "/:id/skills/:skill",
+  ensureCompanyPermission("jobs:write", findJobCompany),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, jobSkillSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const skill = await Skill.setForJob(
+        req.params.id,
+        req.params.skill,
+        req.body
+      );
+      return res.json({ skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[id]/skills/[skill]  =>  { deleted: skill }
+ *
+ * Authorization required: jobs:write permission, everywhere or for the job's
+ * company
+ */
+
+router.delete(
+  "/:id/skills/:skill",
+  ensureCompanyPermission("jobs:write", findJobCompany),
+  async function (req, res, next) {
+    try {
+      await Skill.removeFromJob(req.params.id, req.params.skill);
+      return res.json({ deleted: req.params.skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** PATCH /[id] { fld1, fld2, ... } => { job }
+ *
+ * Patches job data; see Job.update.
+ *
+ * fields can be: { title, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+ *                  equity, workMode, locations, publishAt, expiresAt,
+ *                  screeningQuestions }
+ *   where locations and screeningQuestions replace the job's current ones;
+ *   use POST /[id]/publish, /close and /reopen to change its status
+ *
+ * Returns { id, title, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+ *           equity, company_handle, workMode, locations, status, expiresAt }
+ *
+ * Authorization required: jobs:write permission, everywhere or for the job's
+ * company
+ */
+
+router.patch(
+  "/:id",
+  ensureCompanyPermission("jobs:write", findJobCompany),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, jobUpdateSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const job = await Job.update(req.params.id, req.body);
+      return res.json({ job });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[id]  =>  { deleted: id }
+ *
+ * Authorization: jobs:write permission, everywhere or for the job's company
+ */
+
+router.delete(
+  "/:id",
+  ensureCompanyPermission("jobs:write", findJobCompany),
+  async function (req, res, next) {
+    try {
+      await Job.remove(req.params.id);
+      return res.json({ deleted: req.params.id });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 module.exports = router;
@@ -1,30 +1,45 @@
 "use strict";
 
+const crypto = require("crypto");
 const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const Role = require("../models/role");
+const Company = require("../models/company");
+const User = require("../models/user");
+const SavedJob = require("../models/savedJob");
+const Resume = require("../models/resume");
+const { getStorage } = require("../helpers/storage");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
   u1Token,
+  u2Token,
   adminToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
-afterAll(commonAfterAll);
+afterAll(async function () {
+  await getStorage().clear();
+  await commonAfterAll();
+});
 
 /************************************** POST /jobs */
 
 describe("POST /jobs", function () {
   const newJob = {
     title: "newJob",
-    salary: 10000,
+    salaryMin: 10000,
+    salaryMax: 10000,
+    salaryCurrency: "USD",
+    salaryPeriod: "year",
     equity: 0.4,
     company_handle: "c1",
   };
@@ -46,19 +61,72 @@ describe("POST /jobs", function () {
     expect(resp.body).toEqual({
       job: {
         title: "newJob",
-        salary: 10000,
+        salaryMin: 10000,
+        salaryMax: 10000,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
         equity: "0.4",
         company_handle: "c1",
         id: expect.any(Number),
+        workMode: "onsite",
+        locations: [],
+        status: "published",
+        expiresAt: null,
       },
     });
   });
 
+  test("ok for admin users: scheduled to be published", async function () {
+    const resp = await request(app)
+      .post("/jobs")
+      .send({ ...newJob, publishAt: "2099-01-05T09:00:00Z" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.job.status).toEqual("draft");
+
+    const jobResp = await request(app)
+      .get(`/jobs/${resp.body.job.id}`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(jobResp.body.job.publishAt).toEqual("2099-01-05T09:00:00.000Z");
+  });
+
+  test("ok for recruiters of the company", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c1", "u2");
+    const resp = await request(app)
+      .post("/jobs")
+      .send(newJob)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("unauth for recruiters of other companies", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c2", "u2");
+    const resp = await request(app)
+      .post("/jobs")
+      .send(newJob)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for members who aren't recruiters", async function () {
+    await Company.addMember("c1", "u2");
+    const resp = await request(app)
+      .post("/jobs")
+      .send(newJob)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app)
       .post("/jobs")
       .send({
-        salary: 100,
+        salaryMin: 100,
+        salaryMax: 100,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
       })
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
@@ -68,16 +136,50 @@ describe("POST /jobs", function () {
     const resp = await request(app)
       .post("/jobs")
       .send({
-        salary: "ten",
+        salaryMin: "ten",
       })
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("bad request with invalid salary", async function () {
+    for (const data of [
+      { salary: 100 },
+      { salaryCurrency: "dollars" },
+      { salaryPeriod: "week" },
+      { salaryMin: 200, salaryMax: 100 },
+    ]) {
+      const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, ...data })
+        .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("bad request with invalid work mode or location", async function () {
+    for (const data of [
+      { workMode: "moon" },
+      { locations: [{ city: "Austin" }] },
+      { locations: [{ city: "Austin", country: "USA" }] },
+    ]) {
+      const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, ...data })
+        .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
 });
 
 /************************************** GET /jobs */
 
 describe("GET /jobs", function () {
+  test("works: filtering by title", async function () {
+    const resp = await request(app).get("/jobs?title=JOB");
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["job1", "job2"]);
+  });
+
   test("ok for anon", async function () {
     const resp = await request(app).get("/jobs");
     expect(resp.body).toEqual({
@@ -86,74 +188,406 @@ describe("GET /jobs", function () {
           company_handle: "c1",
           equity: "0.1",
           id: expect.any(Number),
-          salary: 100,
+          salaryMin: 100,
+          salaryMax: 100,
+          salaryCurrency: "USD",
+          salaryPeriod: "year",
           title: "job1",
+          workMode: "onsite",
+          locations: [{ city: "Austin", region: "TX", country: "US" }],
+          status: "published",
+          expiresAt: null,
         },
         {
           company_handle: "c2",
           equity: "0.2",
           id: expect.any(Number),
-          salary: 200,
+          salaryMin: 200,
+          salaryMax: 200,
+          salaryCurrency: "USD",
+          salaryPeriod: "year",
           title: "job2",
+          workMode: "remote",
+          locations: [],
+          status: "published",
+          expiresAt: null,
         },
       ],
+      pagination: {
+        page: 1,
+        limit: 20,
+        total: 2,
+        next: null,
+        prev: null,
+      },
+    });
+  });
+
+  test("works: paging and sorting", async function () {
+    const resp = await request(app).get("/jobs?sort=-salary&limit=1");
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["job2"]);
+    expect(resp.body.pagination).toEqual({
+      page: 1,
+      limit: 1,
+      total: 2,
+      next: "/jobs?sort=-salary&limit=1&page=2",
+      prev: null,
     });
   });
+
+  test("bad request with invalid sort", async function () {
+    const resp = await request(app).get("/jobs?sort=company_handle");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid filter", async function () {
+    const resp = await request(app).get("/jobs?nope=1");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: filtering by location, remote and workMode", async function () {
+    let resp = await request(app).get("/jobs?location=austin");
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["job1"]);
+    resp = await request(app).get("/jobs?remote=true");
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["job2"]);
+    resp = await request(app).get("/jobs?workMode=hybrid,onsite");
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["job1"]);
+    expect(resp.body.pagination.total).toEqual(1);
+  });
+
+  test("works: filtering by skills", async function () {
+    let resp = await request(app).get("/jobs?skills=js,python");
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["job1", "job2"]);
+    resp = await request(app).get("/jobs?skills=js,python&skillsMatch=all");
+    expect(resp.body.jobs).toEqual([]);
+    expect(resp.body.pagination.total).toEqual(0);
+  });
+
+  test("bad request with invalid skillsMatch", async function () {
+    const resp = await request(app).get("/jobs?skills=js&skillsMatch=most");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: filtering by saved, for the logged in user", async function () {
+    await SavedJob.save("u1", testJobIds[1]);
+    const resp = await request(app)
+      .get("/jobs?saved=true")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["job2"]);
+    expect(resp.body.pagination.total).toEqual(1);
+  });
+
+  test("unauth filtering by saved for anon", async function () {
+    const resp = await request(app).get("/jobs?saved=true");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("works: only live jobs, unless filtering by status", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = $1`, [
+      testJobIds[0],
+    ]);
+    const resp = await request(app).get("/jobs");
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["job2"]);
+
+    const draftsResp = await request(app)
+      .get("/jobs?status=draft")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(draftsResp.body.jobs.map((j) => j.title)).toEqual(["job1"]);
+  });
+
+  test("unauth filtering by status without jobs:write", async function () {
+    const resp = await request(app)
+      .get("/jobs?status=draft")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("works: by status within a recruiter's company", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c1", "u2");
+    await db.query(`UPDATE jobs SET status = 'draft'`);
+
+    const resp = await request(app)
+      .get("/jobs?status=draft&companyHandle=c1")
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.jobs.map((j) => j.title)).toEqual(["job1"]);
+
+    for (const query of ["status=draft", "status=draft&companyHandle=c2"]) {
+      const unauthResp = await request(app)
+        .get(`/jobs?${query}`)
+        .set("authorization", `Bearer ${u2Token}`);
+      expect(unauthResp.statusCode).toEqual(401);
+    }
+  });
+
+  test("works: near a point, nearest first", async function () {
+    const resp = await request(app).get("/jobs?near=30.27,-97.74&radiusKm=5");
+    expect(resp.body.jobs.map((j) => [j.title, j.distanceKm])).toEqual([
+      ["job1", 0.4],
+    ]);
+    expect(resp.body.pagination.total).toEqual(1);
+  });
+
+  test("bad request with invalid near", async function () {
+    for (const query of ["near=austin", "near=0,0&radiusKm=0", "radiusKm=5"]) {
+      const resp = await request(app).get(`/jobs?${query}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("works: minSalary in another currency", async function () {
+    // job2 pays 200 dollars, which is 100 euros
+    const resp = await request(app).get("/jobs?minSalary=75&currency=EUR");
+    expect(resp.body.jobs.map((j) => [j.title, j.convertedSalary])).toEqual([
+      [
+        "job2",
+        {
+          salaryMin: 100,
+          salaryMax: 100,
+          salaryCurrency: "EUR",
+          salaryPeriod: "year",
+        },
+      ],
+    ]);
+    expect(resp.body.pagination.total).toEqual(1);
+  });
+
+  test("bad request with invalid minSalary", async function () {
+    for (const minSalary of ["abc", "-5", "", "1e3"]) {
+      const resp = await request(app).get(`/jobs?minSalary=${minSalary}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("bad request with a currency without a rate", async function () {
+    const resp = await request(app).get("/jobs?minSalary=1&currency=JPY");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid workMode", async function () {
+    const resp = await request(app).get("/jobs?workMode=moon");
+    expect(resp.statusCode).toEqual(400);
+  });
 });
 
 /************************************** GET /jobs/:id */
 
-describe("GET /jobs/:title", function () {
+describe("GET /jobs/:id", function () {
   test("works for anon", async function () {
-    const resp = await request(app).get(`/jobs/job1`);
+    const resp = await request(app).get(`/jobs/${testJobIds[0]}`);
     expect(resp.body).toEqual({
       job: {
-        company_handle: {
+        company_handle: "c1",
+        company: {
           description: "Desc1",
           handle: "c1",
-          logo_url: "http://c1.img",
+          logoUrl: "http://c1.img",
           name: "C1",
-          num_employees: 1,
+          numEmployees: 1,
         },
         equity: "0.1",
-        id: expect.any(Number),
-        salary: 100,
+        id: testJobIds[0],
+        salaryMin: 100,
+        salaryMax: 100,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
         title: "job1",
+        workMode: "onsite",
+        locations: [{ city: "Austin", region: "TX", country: "US" }],
+        status: "published",
+        expiresAt: null,
+        publishAt: null,
+        publishedAt: expect.any(String),
+        closedAt: null,
+        screeningQuestions: [],
+        skills: [{ slug: "javascript", name: "JavaScript", required: true }],
       },
     });
   });
 
-  test("works for anon: company w/o jobs", async function () {
-    const resp = await request(app).get(`/jobs/job1`);
-    expect(resp.body).toEqual({
-      job: {
-        company_handle: {
-          description: "Desc1",
-          handle: "c1",
-          logo_url: "http://c1.img",
-          name: "C1",
-          num_employees: 1,
-        },
-        equity: "0.1",
-        id: expect.any(Number),
-        salary: 100,
-        title: "job1",
-      },
+  test("works with the salary converted", async function () {
+    const resp = await request(app).get(`/jobs/${testJobIds[0]}?currency=eur`);
+    expect(resp.body.job.convertedSalary).toEqual({
+      salaryMin: 50,
+      salaryMax: 50,
+      salaryCurrency: "EUR",
+      salaryPeriod: "year",
     });
   });
 
-  test("not found for no such company", async function () {
-    const resp = await request(app).get(`/jobs/nope`);
+  test("works for repeated titles", async function () {
+    await db.query(
+      `INSERT INTO jobs (title, salary_min, equity, company_handle)
+       VALUES ('job1', 500, 0, 'c2')`
+    );
+    const resp = await request(app).get(`/jobs/${testJobIds[0]}`);
+    expect(resp.body.job.company_handle).toEqual("c1");
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app).get(`/jobs/0`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for a title", async function () {
+    const resp = await request(app).get(`/jobs/job1`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("drafts: not found for anon, found for admin", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = $1`, [
+      testJobIds[0],
+    ]);
+    const anonResp = await request(app).get(`/jobs/${testJobIds[0]}`);
+    expect(anonResp.statusCode).toEqual(404);
+
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.job.status).toEqual("draft");
+  });
+});
+
+/************************************** POST /jobs/:id/publish */
+
+describe("POST /jobs/:id/publish", function () {
+  test("works for admin users", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = $1`, [
+      testJobIds[0],
+    ]);
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds[0]}/publish`)
+      .send({ expiresAt: "2099-01-01T00:00:00Z" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.job.status).toEqual("published");
+    expect(resp.body.job.expiresAt).toEqual("2099-01-01T00:00:00.000Z");
+  });
+
+  test("unauth for users", async function () {
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds[0]}/publish`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if already published", async function () {
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds[0]}/publish`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid expiresAt", async function () {
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds[0]}/publish`)
+      .send({ expiresAt: "next week" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /jobs/:id/close */
+
+describe("POST /jobs/:id/close", function () {
+  test("works for admin users, and hides the job", async function () {
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds[0]}/close`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.job.status).toEqual("closed");
+
+    const jobsResp = await request(app).get("/jobs");
+    expect(jobsResp.body.jobs.map((j) => j.title)).toEqual(["job2"]);
+  });
+
+  test("works for recruiters of the job's company", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c1", "u2");
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds[0]}/close`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.job.status).toEqual("closed");
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post(`/jobs/${testJobIds[0]}/close`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+      .post(`/jobs/0/close`)
+      .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
 });
 
+/************************************** POST /jobs/:id/reopen */
+
+describe("POST /jobs/:id/reopen", function () {
+  test("works for admin users", async function () {
+    await db.query(`UPDATE jobs SET expires_at = NOW() WHERE id = $1`, [
+      testJobIds[0],
+    ]);
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds[0]}/reopen`)
+      .send({ expiresAt: null })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.job.status).toEqual("published");
+    expect(resp.body.job.expiresAt).toBeNull();
+  });
+
+  test("unauth for users", async function () {
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds[0]}/reopen`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if published", async function () {
+    const resp = await request(app)
+      .post(`/jobs/${testJobIds[0]}/reopen`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
 /************************************** PATCH /jobs/:id */
 
 describe("PATCH /jobs/:id", function () {
+  test("works: setting screening questions", async function () {
+    const screeningQuestions = [
+      {
+        key: "start",
+        question: "When could you start?",
+        type: "choice",
+        choices: ["now", "later"],
+        required: true,
+      },
+    ];
+    await request(app)
+      .patch(`/jobs/${testJobIds[0]}`)
+      .send({ screeningQuestions })
+      .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app).get(`/jobs/${testJobIds[0]}`);
+    expect(resp.body.job.screeningQuestions).toEqual(screeningQuestions);
+  });
+
+  test("bad request with invalid screening questions", async function () {
+    for (const screeningQuestions of [
+      [{ key: "start", question: "When?", type: "date" }],
+      [{ key: "start", type: "text" }],
+      [{ key: "has space", question: "When?", type: "text" }],
+    ]) {
+      const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ screeningQuestions })
+        .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
   test("works for admin users", async function () {
-    const job = await request(app).get(`/jobs/job1`);
-    const jobId = job.body.job.id;
+    const jobId = testJobIds[0];
 
     const resp = await request(app)
       .patch(`/jobs/${jobId}`)
@@ -166,15 +600,46 @@ describe("PATCH /jobs/:id", function () {
         company_handle: "c1",
         equity: "0.1",
         id: expect.any(Number),
-        salary: 100,
+        salaryMin: 100,
+        salaryMax: 100,
+        salaryCurrency: "USD",
+        salaryPeriod: "year",
         title: "newJobTitle",
+        workMode: "onsite",
+        locations: [{ city: "Austin", region: "TX", country: "US" }],
+        status: "published",
+        expiresAt: null,
       },
     });
   });
 
+  test("works for recruiters of the job's company", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c1", "u2");
+    const resp = await request(app)
+      .patch(`/jobs/${testJobIds[0]}`)
+      .send({
+        title: "newJobTitle",
+      })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job.title).toEqual("newJobTitle");
+  });
+
+  test("unauth for recruiters of other companies", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c2", "u2");
+    const resp = await request(app)
+      .patch(`/jobs/${testJobIds[0]}`)
+      .send({
+        title: "newJobTitle",
+      })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for non-admin user", async function () {
-    const job = await request(app).get(`/jobs/job1`);
-    const jobId = job.body.job.id;
+    const jobId = testJobIds[0];
 
     const resp = await request(app)
       .patch(`/jobs/${jobId}`)
@@ -196,25 +661,37 @@ describe("PATCH /jobs/:id", function () {
   });
 
   test("bad request on invalid data", async function () {
-    const job = await request(app).get(`/jobs/job1`);
-    const jobId = job.body.job.id;
+    const jobId = testJobIds[0];
 
     const resp = await request(app)
       .patch(`/jobs/${jobId}`)
       .send({
-        salary: "not-an-integer",
+        salaryMin: "not-an-integer",
       })
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("works: replacing work mode and locations", async function () {
+    const resp = await request(app)
+      .patch(`/jobs/${testJobIds[0]}`)
+      .send({
+        workMode: "hybrid",
+        locations: [{ city: "Berlin", country: "DE" }],
+      })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.job.workMode).toEqual("hybrid");
+    expect(resp.body.job.locations).toEqual([
+      { city: "Berlin", region: null, country: "DE" },
+    ]);
+  });
 });
 
 /************************************** DELETE /jobs/:id */
 
 describe("DELETE /jobs/:id", function () {
   test("works for admin users", async function () {
-    const job = await request(app).get(`/jobs/job1`);
-    const jobId = job.body.job.id;
+    const jobId = testJobIds[0];
 
     const resp = await request(app)
       .delete(`/jobs/${jobId}`)
@@ -222,9 +699,26 @@ describe("DELETE /jobs/:id", function () {
     expect(resp.body).toEqual({ deleted: expect.any(String) });
   });
 
+  test("works for recruiters of the job's company", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c1", "u2");
+    const resp = await request(app)
+      .delete(`/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ deleted: `${testJobIds[0]}` });
+  });
+
+  test("unauth for recruiters of other companies", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c2", "u2");
+    const resp = await request(app)
+      .delete(`/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for non-admin users", async function () {
-    const job = await request(app).get(`/jobs/job1`);
-    const jobId = job.body.job.id;
+    const jobId = testJobIds[0];
 
     const resp = await request(app)
       .delete(`/jobs/${jobId}`)
@@ -239,3 +733,223 @@ describe("DELETE /jobs/:id", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** GET /jobs/:id/applications */
+
+describe("GET /jobs/:id/applications", function () {
+  test("works for recruiters of the job's company", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c1", "u2");
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}/applications`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          username: "u1",
+          jobId: testJobIds[0],
+          state: "applied",
+          coverLetter: null,
+          resumeId: null,
+          resumeRef: null,
+          answers: {},
+          createdAt: expect.any(String),
+          updatedAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}/applications`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ applications: [] });
+  });
+
+  test("unauth for recruiters of other companies", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c2", "u2");
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}/applications`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}/applications`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such job", async function () {
+    await Role.assign("u2", "recruiter");
+    const resp = await request(app)
+      .get(`/jobs/100000/applications`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/**************************** GET /jobs/:id/applications/:username/resume */
+
+describe("GET /jobs/:id/applications/:username/resume", function () {
+  const data = Buffer.from("%PDF-1.4\nresume\n%%EOF\n");
+
+  async function applyWithResume() {
+    const { id } = await Resume.create("u1", {
+      kind: "resume",
+      filename: "cv.pdf",
+      contentType: "application/pdf",
+      size: data.length,
+      checksum: crypto.createHash("sha256").update(data).digest("hex"),
+      data,
+    });
+    await User.apply("u1", testJobIds[0], { resumeId: id });
+  }
+
+  test("works for recruiters of the job's company", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c1", "u2");
+    await applyWithResume();
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}/applications/u1/resume`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toEqual("application/pdf");
+    expect(resp.headers["content-disposition"]).toEqual(
+      'attachment; filename="cv.pdf"'
+    );
+    expect(resp.body).toEqual(data);
+  });
+
+  test("works for admin", async function () {
+    await applyWithResume();
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}/applications/u1/resume`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for recruiters of other companies", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c2", "u2");
+    await applyWithResume();
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}/applications/u1/resume`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for the applicant", async function () {
+    await applyWithResume();
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}/applications/u1/resume`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if the application has no resume", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}/applications/u1/resume`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for no such application", async function () {
+    const resp = await request(app)
+      .get(`/jobs/${testJobIds[0]}/applications/u1/resume`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /jobs/:id/skills */
+
+describe("GET /jobs/:id/skills", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get(`/jobs/${testJobIds[1]}/skills`);
+    expect(resp.body).toEqual({
+      skills: [{ slug: "python", name: "Python", required: false }],
+    });
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app).get(`/jobs/0/skills`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("PUT /jobs/:id/skills/:skill", function () {
+  test("works for recruiters of the job's company", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c2", "u2");
+    const resp = await request(app)
+      .put(`/jobs/${testJobIds[1]}/skills/js`)
+      .send({ required: false })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({
+      skill: { slug: "javascript", name: "JavaScript", required: false },
+    });
+  });
+
+  test("works for admin: changes whether it's required", async function () {
+    const resp = await request(app)
+      .put(`/jobs/${testJobIds[1]}/skills/python`)
+      .send({})
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.skill.required).toEqual(true);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+      .put(`/jobs/${testJobIds[1]}/skills/python`)
+      .send({})
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app)
+      .put(`/jobs/${testJobIds[1]}/skills/cobol`)
+      .send({})
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+      .put(`/jobs/${testJobIds[1]}/skills/python`)
+      .send({ required: "yes" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("DELETE /jobs/:id/skills/:skill", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .delete(`/jobs/${testJobIds[0]}/skills/js`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: "js" });
+
+    const skills = await request(app).get(`/jobs/${testJobIds[0]}/skills`);
+    expect(skills.body).toEqual({ skills: [] });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).delete(
+      `/jobs/${testJobIds[0]}/skills/javascript`
+    );
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if the job doesn't list it", async function () {
+    const resp = await request(app)
+      .delete(`/jobs/${testJobIds[0]}/skills/python`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
@@ -0,0 +1,52 @@
+"use strict";
+
+/** Routes for search. */
+
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const Search = require("../models/search");
+const { parsePageQuery, pageInfo } = require("../helpers/pagination");
+
+const router = new express.Router();
+
+/** GET /?q=  =>
+ *   { results: [ result, ... ],
+ *     pagination: { page, limit, total, next, prev } }
+ *
+ * Full-text search over company names and descriptions and job titles. Each
+ * word in q must match, as a prefix ("pyth back" finds "Python Backend").
+ * Results are best matches first; each is either
+ *   { type: "company", handle, name, rank, highlight } or
+ *   { type: "job", id, title, companyHandle, rank, highlight }
+ * where highlight is the matching text, escaped for HTML, with matches
+ * wrapped in <b></b>.
+ *
+ * Can filter on type: company or job.
+ *
+ * Returns one page of results: page (default 1), limit (default 20, at most
+ * 100)
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  try {
+    const { filters, page } = parsePageQuery(req.query);
+    const { q, type, ...rest } = filters;
+
+    if (Object.keys(rest).length > 0) {
+      throw new BadRequestError("Invalid filter");
+    }
+    if (typeof q !== "string" || q.trim() === "") {
+      throw new BadRequestError("q is required");
+    }
+
+    const { results, total } = await Search.find(q, { type, page });
+    return res.json({ results, pagination: pageInfo(req, page, total) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/search?q=job1");
+    expect(resp.body).toEqual({
+      results: [
+        {
+          type: "job",
+          id: expect.any(Number),
+          title: "job1",
+          companyHandle: "c1",
+          rank: expect.any(Number),
+          highlight: "<b>job1</b>",
+        },
+      ],
+      pagination: {
+        page: 1,
+        limit: 20,
+        total: 1,
+        next: null,
+        prev: null,
+      },
+    });
+  });
+
+  test("works: filtering by type and paging", async function () {
+    const resp = await request(app).get("/search?q=desc&type=company&limit=2");
+    expect(resp.body.results.map((r) => r.type)).toEqual([
+      "company",
+      "company",
+    ]);
+    expect(resp.body.pagination.total).toEqual(3);
+    expect(resp.body.pagination.next).toEqual(
+      "/search?q=desc&type=company&limit=2&page=2"
+    );
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid type", async function () {
+    const resp = await request(app).get("/search?q=c1&type=user");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid filter", async function () {
+    const resp = await request(app).get("/search?q=c1&minSalary=1");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
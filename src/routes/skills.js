@@ -0,0 +1,142 @@
+"use strict";
+
+/** Routes for the skills catalogue. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { ensurePermission } = require("../middleware/auth");
+const Skill = require("../models/skill");
+const { parsePageQuery, pageInfo } = require("../helpers/pagination");
+
+const skillNewSchema = require("../schemas/skillNew.json");
+const skillUpdateSchema = require("../schemas/skillUpdate.json");
+
+const router = new express.Router();
+
+/** POST / { skill } =>  { skill }
+ *
+ * skill should be { slug, name, aliases }
+ *   where slug is lower-case letters, digits and + # . -, e.g. "c++", and
+ *   aliases are other names for it, e.g. ["cpp"]
+ *
+ * Returns { slug, name, aliases }
+ *
+ * Authorization required: skills:write permission
+ */
+
+router.post(
+  "/",
+  ensurePermission("skills:write"),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, skillNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const skill = await Skill.create(req.body);
+      return res.status(201).json({ skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /  =>
+ *   { skills: [ { slug, name, aliases }, ...],
+ *     pagination: { page, limit, total, next, prev } }
+ *
+ * Can filter on provided search filters:
+ * - name (matches the name, slug or an alias)
+ *
+ * Returns one page of skills: page (default 1), limit (default 20, at most
+ * 100) and sort (name or slug; "-" first for descending)
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  try {
+    const { filters, page } = parsePageQuery(req.query);
+
+    const skills =
+      Object.keys(filters).length === 0
+        ? await Skill.findAll(page)
+        : await Skill.filter(filters, page);
+    const total = await Skill.count(filters);
+    return res.json({ skills, pagination: pageInfo(req, page, total) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[skill]  =>  { skill }
+ *
+ * skill is a slug or an alias.
+ *
+ * Returns { slug, name, aliases }
+ *
+ * Authorization required: none
+ */
+
+router.get("/:skill", async function (req, res, next) {
+  try {
+    const skill = await Skill.get(req.params.skill);
+    return res.json({ skill });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[skill] { name, aliases } => { skill }
+ *
+ * aliases replaces all of the skill's aliases.
+ *
+ * Returns { slug, name, aliases }
+ *
+ * Authorization required: skills:write permission
+ */
+
+router.patch(
+  "/:skill",
+  ensurePermission("skills:write"),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, skillUpdateSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const skill = await Skill.update(req.params.skill, req.body);
+      return res.json({ skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[skill]  =>  { deleted: skill }
+ *
+ * The skill is taken off every job and user that lists it.
+ *
+ * Authorization required: skills:write permission
+ */
+
+router.delete(
+  "/:skill",
+  ensurePermission("skills:write"),
+  async function (req, res, next) {
+    try {
+      await Skill.remove(req.params.skill);
+      return res.json({ deleted: req.params.skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,161 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /skills */
+
+describe("POST /skills", function () {
+  const newSkill = { slug: "c#", name: "C#", aliases: ["csharp"] };
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .post("/skills")
+      .send(newSkill)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ skill: newSkill });
+  });
+
+  test("unauth for non-admin users", async function () {
+    const resp = await request(app)
+      .post("/skills")
+      .send(newSkill)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid slug", async function () {
+    const resp = await request(app)
+      .post("/skills")
+      .send({ ...newSkill, slug: "C Sharp" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with dupe", async function () {
+    const resp = await request(app)
+      .post("/skills")
+      .send({ slug: "js", name: "JS" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /skills */
+
+describe("GET /skills", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/skills");
+    expect(resp.body).toEqual({
+      skills: [
+        { slug: "javascript", name: "JavaScript", aliases: ["js"] },
+        { slug: "python", name: "Python", aliases: [] },
+      ],
+      pagination: expect.objectContaining({ total: 2 }),
+    });
+  });
+
+  test("works: filtering by name", async function () {
+    const resp = await request(app).get("/skills?name=JS");
+    expect(resp.body.skills.map((s) => s.slug)).toEqual(["javascript"]);
+    expect(resp.body.pagination.total).toEqual(1);
+  });
+
+  test("bad request with invalid filter", async function () {
+    const resp = await request(app).get("/skills?nope=1");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /skills/:skill */
+
+describe("GET /skills/:skill", function () {
+  test("works for anon, by alias", async function () {
+    const resp = await request(app).get("/skills/js");
+    expect(resp.body).toEqual({
+      skill: { slug: "javascript", name: "JavaScript", aliases: ["js"] },
+    });
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app).get("/skills/cobol");
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /skills/:skill */
+
+describe("PATCH /skills/:skill", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .patch("/skills/python")
+      .send({ aliases: ["py", "python3"] })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      skill: { slug: "python", name: "Python", aliases: ["py", "python3"] },
+    });
+  });
+
+  test("unauth for non-admin users", async function () {
+    const resp = await request(app)
+      .patch("/skills/python")
+      .send({ name: "Py" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with nothing to change", async function () {
+    const resp = await request(app)
+      .patch("/skills/python")
+      .send({})
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app)
+      .patch("/skills/cobol")
+      .send({ name: "COBOL" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /skills/:skill */
+
+describe("DELETE /skills/:skill", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .delete("/skills/python")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: "python" });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).delete("/skills/python");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app)
+      .delete("/skills/cobol")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
@@ -0,0 +1,31 @@
+"use strict";
+
+/** Routes for public uploaded files (company logos). */
+
+const express = require("express");
+
+const Upload = require("../models/upload");
+
+const router = new express.Router();
+
+/** GET /[checksum] => the file
+ *
+ * Uploads are named by their content, so they can be cached for good.
+ *
+ * Authorization required: none
+ */
+
+router.get("/:checksum", async function (req, res, next) {
+  try {
+    const upload = await Upload.getPublic(req.params.checksum);
+    return res
+      .type(upload.contentType)
+      .set("Cache-Control", "public, max-age=31536000, immutable")
+      .set("X-Content-Type-Options", "nosniff")
+      .send(upload.data);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
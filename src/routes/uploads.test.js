@@ -0,0 +1,64 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const Company = require("../models/company");
+const Resume = require("../models/resume");
+const { getStorage } = require("../helpers/storage");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(async function () {
+  await getStorage().clear();
+  await commonAfterAll();
+});
+
+/************************************** GET /uploads/:checksum */
+
+describe("GET /uploads/:checksum", function () {
+  const gif = Buffer.from("GIF89a logo");
+
+  test("works for anon, for logos", async function () {
+    const company = await Company.setLogo("c1", {
+      kind: "logo",
+      contentType: "image/gif",
+      size: gif.length,
+      checksum: "b".repeat(64),
+      data: gif,
+    });
+    const resp = await request(app).get(company.logoUrl);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toEqual("image/gif");
+    expect(resp.headers["cache-control"]).toEqual(
+      "public, max-age=31536000, immutable"
+    );
+    expect(resp.body).toEqual(gif);
+  });
+
+  test("not found for resumes", async function () {
+    await Resume.create("u1", {
+      kind: "resume",
+      filename: "cv.pdf",
+      contentType: "application/pdf",
+      size: 8,
+      checksum: "c".repeat(64),
+      data: Buffer.from("%PDF-1.4"),
+    });
+    const resp = await request(app).get(`/uploads/${"c".repeat(64)}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found if no such upload", async function () {
+    const resp = await request(app).get(`/uploads/${"d".repeat(64)}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
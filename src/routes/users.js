@@ -6,18 +6,43 @@ const jsonschema = require("jsonschema");
 
 const express = require("express");
 const {
-  ensureLoggedIn,
-  ensureAdmin,
-  ensureValidUserOrAdmin,
+  hasPermission,
+  ensurePermission,
+  ensureSelfOrPermission,
+  ensureSelfOrCompanyPermission,
 } = require("../middleware/auth");
 const { BadRequestError } = require("../expressError");
 const User = require("../models/user");
+const Application = require("../models/application");
+const Role = require("../models/role");
+const Job = require("../models/job");
+const Skill = require("../models/skill");
+const Recommendation = require("../models/recommendation");
+const SavedSearch = require("../models/savedSearch");
+const JobAlert = require("../models/jobAlert");
+const SavedJob = require("../models/savedJob");
+const Resume = require("../models/resume");
 const { createToken } = require("../helpers/tokens");
+const { parsePageQuery, pageInfo } = require("../helpers/pagination");
+const { readUpload } = require("../helpers/uploads");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const userSkillSchema = require("../schemas/userSkill.json");
+const userPreferencesSchema = require("../schemas/userPreferences.json");
+const savedSearchNewSchema = require("../schemas/savedSearchNew.json");
 
 const router = express.Router();
 
+/** Find the company an application route is about, for company-scoped
+ * permissions.
+ */
+
+function findJobCompany(req) {
+  return Job.getCompanyHandle(req.params.id);
+}
+
 /** POST / { user }  => { user, token }
  *
  * Adds a new user. This is not the registration endpoint --- instead, this is
@@ -27,51 +52,63 @@ const router = express.Router();
  * This returns the newly created user and an authentication token for them:
  *  {user: { username, firstName, lastName, email, isAdmin }, token }
  *
- * Authorization required: login
+ * Authorization required: users:write permission
  **/
 
-router.post("/", ensureAdmin, async function (req, res, next) {
-  try {
-    const validator = jsonschema.validate(req.body, userNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
-    }
+router.post(
+  "/",
+  ensurePermission("users:write"),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, userNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
 
-    const user = await User.register(req.body);
-    const token = createToken(user);
-    return res.status(201).json({ user, token });
-  } catch (err) {
-    return next(err);
+      const user = await User.register(req.body);
+      const token = createToken(user);
+      return res.status(201).json({ user, token });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ],
+ *             pagination: { page, limit, total, next, prev } }
  *
- * Returns list of all users.
+ * Returns one page of users: page (default 1), limit (default 20, at most 100)
+ * and sort (username, firstName, lastName or email; "-" first for descending)
  *
- * Authorization required: login
+ * Authorization required: users:read permission
  **/
 
-router.get("/", ensureAdmin, async function (req, res, next) {
-  try {
-    const users = await User.findAll();
-    return res.json({ users });
-  } catch (err) {
-    return next(err);
+router.get(
+  "/",
+  ensurePermission("users:read"),
+  async function (req, res, next) {
+    try {
+      const { page } = parsePageQuery(req.query);
+      const users = await User.findAll(page);
+      const total = await User.count();
+      return res.json({ users, pagination: pageInfo(req, page, total) });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
 /** GET /[username] => { user }
  *
  * Returns { username, firstName, lastName, isAdmin }
  *
- * Authorization required: login
+ * Authorization required: same user-as-:username or users:read permission
  **/
 
 router.get(
   "/:username",
-  ensureValidUserOrAdmin,
+  ensureSelfOrPermission("users:read"),
   async function (req, res, next) {
     try {
       const user = await User.get(req.params.username);
@@ -89,12 +126,12 @@ router.get(
  *
  * Returns { username, firstName, lastName, email, isAdmin }
  *
- * Authorization required: login
+ * Authorization required: same user-as-:username or users:write permission
  **/
 
 router.patch(
   "/:username",
-  ensureValidUserOrAdmin,
+  ensureSelfOrPermission("users:write"),
   async function (req, res, next) {
     try {
       const validator = jsonschema.validate(req.body, userUpdateSchema);
@@ -113,12 +150,12 @@ router.patch(
 
 /** DELETE /[username]  =>  { deleted: username }
  *
- * Authorization required: login
+ * Authorization required: same user-as-:username or users:write permission
  **/
 
 router.delete(
   "/:username",
-  ensureValidUserOrAdmin,
+  ensureSelfOrPermission("users:write"),
   async function (req, res, next) {
     try {
       await User.remove(req.params.username);
@@ -129,19 +166,639 @@ router.delete(
   }
 );
 
-/** POST / => { applied: jobId }
+/** POST /[username]/jobs/[id]
+ *     { state, coverLetter, resumeId, answers } => { application }
+ *
+ * Adds a new job application for the user, if the job is open.
+ *
+ * All optional: state is "applied" (default) or "interested", resumeId is
+ * the id of one of the user's resumes (see POST /[username]/resumes) and
+ * answers is { key: answer } for the job's screening questions; every
+ * required question must be answered
+ *
+ * Returns { username, jobId, state, coverLetter, resumeId, resumeRef,
+ *           answers, createdAt, updatedAt, history }
+ *   where history is [{ fromState, toState, changedBy, changedAt }, ...]
+ *
+ * Errors: 404 if there's no such user or job, 409 if the user has already
+ * applied to the job
+ *
+ * Authorization required: same user-as-:username or applications:write
+ * permission
+ **/
+
+router.post(
+  "/:username/jobs/:id",
+  ensureSelfOrPermission("applications:write"),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, applicationNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const application = await User.apply(
+        req.params.username,
+        req.params.id,
+        req.body,
+        { changedBy: res.locals.user.username }
+      );
+      return res.status(201).json({ application });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/jobs/[id] => { application }
+ *
+ * Returns { username, jobId, state, coverLetter, resumeId, resumeRef,
+ *           answers, createdAt, updatedAt, history }
+ *   where history is [{ fromState, toState, changedBy, changedAt }, ...]
+ *
+ * Authorization required: same user-as-:username or applications:read
+ * permission, everywhere or for the job's company
+ **/
+
+router.get(
+  "/:username/jobs/:id",
+  ensureSelfOrCompanyPermission("applications:read", findJobCompany),
+  async function (req, res, next) {
+    try {
+      const application = await Application.get(
+        req.params.username,
+        req.params.id
+      );
+      return res.json({ application });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** PATCH /[username]/jobs/[id] { state } => { application }
+ *
+ * Moves the application to a new state. Candidates can only apply, accept an
+ * offer or withdraw; interviewing, offered and rejected need the
+ * applications:write permission.
+ *
+ * Returns { username, jobId, state, coverLetter, resumeId, resumeRef,
+ *           answers, createdAt, updatedAt, history }
+ *
+ * Authorization required: same user-as-:username or applications:write
+ * permission, everywhere or for the job's company
+ **/
+
+router.patch(
+  "/:username/jobs/:id",
+  ensureSelfOrCompanyPermission("applications:write", findJobCompany),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, applicationUpdateSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const application = await Application.transition(
+        req.params.username,
+        req.params.id,
+        req.body.state,
+        {
+          changedBy: res.locals.user.username,
+          canManage: hasPermission(
+            res.locals.user,
+            "applications:write",
+            await findJobCompany(req)
+          ),
+        }
+      );
+      return res.json({ application });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/jobs/[id] => { application }
+ *
+ * Withdraws the user's application; it's kept, with its history, as
+ * withdrawn.
+ *
+ * Returns { username, jobId, state, coverLetter, resumeId, resumeRef,
+ *           answers, createdAt, updatedAt, history }
+ *
+ * Errors: 404 if there's no such application, 400 if it can't be withdrawn
+ * (it's already been accepted, rejected or withdrawn)
+ *
+ * Authorization required: same user-as-:username or applications:write
+ * permission
+ **/
+
+router.delete(
+  "/:username/jobs/:id",
+  ensureSelfOrPermission("applications:write"),
+  async function (req, res, next) {
+    try {
+      const application = await Application.transition(
+        req.params.username,
+        req.params.id,
+        "withdrawn",
+        { changedBy: res.locals.user.username, canManage: false }
+      );
+      return res.json({ application });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/saved-jobs => { savedJobs }
+ *
+ * Returns the jobs the user has saved for later, most recent first:
+ *   [{ id, title, salaryMin, salaryMax, salaryCurrency, salaryPeriod, equity,
+ *      company_handle, workMode, locations, company, savedAt }, ...]
+ *   where company is { handle, name, description, numEmployees, logoUrl }
+ *
+ * Authorization required: same user-as-:username or users:read permission
+ **/
+
+router.get(
+  "/:username/saved-jobs",
+  ensureSelfOrPermission("users:read"),
+  async function (req, res, next) {
+    try {
+      const savedJobs = await SavedJob.findForUser(req.params.username);
+      return res.json({ savedJobs });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/saved-jobs/[id] => { saved: jobId }
+ *
+ * Saves a job for later; saving it again changes nothing.
+ *
+ * Authorization required: same user-as-:username or users:write permission
+ **/
+
+router.post(
+  "/:username/saved-jobs/:id",
+  ensureSelfOrPermission("users:write"),
+  async function (req, res, next) {
+    try {
+      await SavedJob.save(req.params.username, req.params.id);
+      return res.status(201).json({ saved: req.params.id });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/saved-jobs/[id] => { deleted: jobId }
+ *
+ * Authorization required: same user-as-:username or users:write permission
+ **/
+
+router.delete(
+  "/:username/saved-jobs/:id",
+  ensureSelfOrPermission("users:write"),
+  async function (req, res, next) {
+    try {
+      await SavedJob.remove(req.params.username, req.params.id);
+      return res.json({ deleted: req.params.id });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/resumes => { resumes }
+ *
+ * Returns the resumes the user has uploaded, most recent first:
+ *   [{ id, filename, contentType, size, checksum, uploadedAt }, ...]
+ *
+ * Authorization required: same user-as-:username or users:read permission
+ **/
+
+router.get(
+  "/:username/resumes",
+  ensureSelfOrPermission("users:read"),
+  async function (req, res, next) {
+    try {
+      const resumes = await Resume.findForUser(req.params.username);
+      return res.json({ resumes });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/resumes (multipart/form-data) => { resume }
+ *
+ * Uploads a resume as the form's "resume" file: a PDF or Word document of at
+ * most RESUME_MAX_BYTES. Uploading the same file again gives back the resume
+ * already uploaded.
+ *
+ * Returns { id, filename, contentType, size, checksum, uploadedAt }
+ *
+ * Authorization required: same user-as-:username or users:write permission
+ **/
+
+router.post(
+  "/:username/resumes",
+  ensureSelfOrPermission("users:write"),
+  async function (req, res, next) {
+    try {
+      const upload = await readUpload(req, "resume");
+      const resume = await Resume.create(req.params.username, upload);
+      return res.status(201).json({ resume });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/resumes/[id] => the resume file, as an attachment
+ *
+ * Authorization required: same user-as-:username or users:read permission
+ **/
+
+router.get(
+  "/:username/resumes/:id",
+  ensureSelfOrPermission("users:read"),
+  async function (req, res, next) {
+    try {
+      const resume = await Resume.get(req.params.username, req.params.id);
+      return res
+        .attachment(resume.filename)
+        .type(resume.contentType)
+        .set("X-Content-Type-Options", "nosniff")
+        .send(resume.data);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/resumes/[id] => { deleted: id }
+ *
+ * Authorization required: same user-as-:username or users:write permission
+ **/
+
+router.delete(
+  "/:username/resumes/:id",
+  ensureSelfOrPermission("users:write"),
+  async function (req, res, next) {
+    try {
+      await Resume.remove(req.params.username, req.params.id);
+      return res.json({ deleted: req.params.id });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/skills => { skills }
+ *
+ * Returns [{ slug, name, proficiency }, ...]
+ *
+ * Authorization required: same user-as-:username or users:read permission
+ **/
+
+router.get(
+  "/:username/skills",
+  ensureSelfOrPermission("users:read"),
+  async function (req, res, next) {
+    try {
+      const skills = await Skill.findForUser(req.params.username);
+      return res.json({ skills });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** PUT /[username]/skills/[skill] { proficiency } => { skill }
+ *
+ * Adds a skill (by slug or alias) to the user's profile, or changes their
+ * proficiency in it: beginner, intermediate, advanced or expert.
+ *
+ * Returns { slug, name, proficiency }
+ *
+ * Authorization required: same user-as-:username or users:write permission
+ **/
+
+router.put(
+  "/:username/skills/:skill",
+  ensureSelfOrPermission("users:write"),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, userSkillSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const skill = await Skill.setForUser(
+        req.params.username,
+        req.params.skill,
+        req.body
+      );
+      return res.json({ skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/skills/[skill] => { deleted: skill }
  *
- * Adds a new job application for the user
+ * Authorization required: same user-as-:username or users:write permission
+ **/
+
+router.delete(
+  "/:username/skills/:skill",
+  ensureSelfOrPermission("users:write"),
+  async function (req, res, next) {
+    try {
+      await Skill.removeFromUser(req.params.username, req.params.skill);
+      return res.json({ deleted: req.params.skill });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/preferences => { preferences }
  *
+ * Returns { desiredSalary, desiredCurrency, workModes, homeCity, homeRegion,
+ *           homeCountry, maxDistanceKm }
+ *
+ * Authorization required: same user-as-:username or users:read permission
  **/
 
-router.post("/:username/jobs/:id", async function (req, res, next) {
-  try {
-    await User.apply(req.params.username, req.params.id);
-    return res.json({ applied: req.params.id });
-  } catch (err) {
-    return next(err);
+router.get(
+  "/:username/preferences",
+  ensureSelfOrPermission("users:read"),
+  async function (req, res, next) {
+    try {
+      const preferences = await User.getPreferences(req.params.username);
+      return res.json({ preferences });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
+
+/** PUT /[username]/preferences { preferences } => { preferences }
+ *
+ * Replaces what the user is looking for in a job, which their
+ * recommendations are based on; anything left out goes back to its default:
+ *   { desiredSalary, desiredCurrency, workModes, homeCity, homeRegion,
+ *     homeCountry, maxDistanceKm }
+ *   where desiredSalary is the least they'd take in a year, in
+ *   desiredCurrency (default USD), workModes are the work modes they'd take,
+ *   and maxDistanceKm (default 50) is how far from home they'd go for jobs
+ *   that aren't remote
+ *
+ * Authorization required: same user-as-:username or users:write permission
+ **/
+
+router.put(
+  "/:username/preferences",
+  ensureSelfOrPermission("users:write"),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, userPreferencesSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const preferences = await User.setPreferences(
+        req.params.username,
+        req.body
+      );
+      return res.json({ preferences });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/recommendations =>
+ *   { jobs: [ { id, title, salaryMin, salaryMax, salaryCurrency,
+ *               salaryPeriod, equity, company_handle, workMode, locations,
+ *               match }, ...],
+ *     pagination: { page, limit, total, next, prev } }
+ *
+ * Recommends jobs the user hasn't applied to yet, best match first, scored
+ * out of 100 against their skills, preferences and past applications. match
+ * is { score, reasons }, where reasons explains the score:
+ *   [{ factor, points, maxPoints, detail }, ...]
+ *
+ * Only the 200 jobs that look best on work mode and skills are scored, so
+ * there are at most that many to page through.
+ *
+ * Returns one page of jobs: page (default 1) and limit (default 20, at most
+ * 100).
+ *
+ * Authorization required: same user-as-:username or users:read permission
+ **/
+
+router.get(
+  "/:username/recommendations",
+  ensureSelfOrPermission("users:read"),
+  async function (req, res, next) {
+    try {
+      const { filters, page } = parsePageQuery(req.query);
+      if (Object.keys(filters).length > 0) {
+        throw new BadRequestError("Invalid filter");
+      }
+
+      const { jobs, total } = await Recommendation.forUser(
+        req.params.username,
+        page
+      );
+      return res.json({ jobs, pagination: pageInfo(req, page, total) });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/saved-searches { name, query } => { savedSearch }
+ *
+ * Saves a job search under a name; query is its filters, as for GET /jobs,
+ * e.g. { title: "engineer", minSalary: "100000" }. New jobs it finds are
+ * put in the user's alerts and emailed to them.
+ *
+ * Returns { id, name, query, createdAt, lastRunAt }
+ *
+ * Authorization required: same user-as-:username or users:write permission
+ **/
+
+router.post(
+  "/:username/saved-searches",
+  ensureSelfOrPermission("users:write"),
+  async function (req, res, next) {
+    try {
+      const validator = jsonschema.validate(req.body, savedSearchNewSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+
+      const savedSearch = await SavedSearch.create(
+        req.params.username,
+        req.body
+      );
+      return res.status(201).json({ savedSearch });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/saved-searches => { savedSearches }
+ *
+ * Returns [{ id, name, query, createdAt, lastRunAt }, ...]
+ *
+ * Authorization required: same user-as-:username or users:read permission
+ **/
+
+router.get(
+  "/:username/saved-searches",
+  ensureSelfOrPermission("users:read"),
+  async function (req, res, next) {
+    try {
+      const savedSearches = await SavedSearch.findForUser(req.params.username);
+      return res.json({ savedSearches });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/saved-searches/[id] => { deleted: id }
+ *
+ * Authorization required: same user-as-:username or users:write permission
+ **/
+
+router.delete(
+  "/:username/saved-searches/:id",
+  ensureSelfOrPermission("users:write"),
+  async function (req, res, next) {
+    try {
+      await SavedSearch.remove(req.params.username, req.params.id);
+      return res.json({ deleted: req.params.id });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/alerts => { alerts }
+ * GET /[username]/alerts?unread=true => { alerts }, only those not read
+ *
+ * Returns [{ id, savedSearchId, searchName, jobId, title, companyHandle,
+ *            createdAt, readAt }, ...], newest first
+ *
+ * Authorization required: same user-as-:username or users:read permission
+ **/
+
+router.get(
+  "/:username/alerts",
+  ensureSelfOrPermission("users:read"),
+  async function (req, res, next) {
+    try {
+      const alerts = await JobAlert.findForUser(req.params.username, {
+        unread: req.query.unread === "true",
+      });
+      return res.json({ alerts });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/alerts/[id]/read => { alert }
+ *
+ * Marks an alert as read.
+ *
+ * Authorization required: same user-as-:username or users:write permission
+ **/
+
+router.post(
+  "/:username/alerts/:id/read",
+  ensureSelfOrPermission("users:write"),
+  async function (req, res, next) {
+    try {
+      const alert = await JobAlert.markRead(req.params.username, req.params.id);
+      return res.json({ alert });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/roles => { roles, permissions, companyPermissions }
+ *
+ * Authorization required: same user-as-:username or roles:manage permission
+ **/
+
+router.get(
+  "/:username/roles",
+  ensureSelfOrPermission("roles:manage"),
+  async function (req, res, next) {
+    try {
+      const roles = await Role.forUser(req.params.username);
+      return res.json(roles);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/roles/[role] => { roles, permissions, companyPermissions }
+ *
+ * Gives the user a role: admin, recruiter, candidate or auditor.
+ *
+ * Authorization required: roles:manage permission
+ **/
+
+router.post(
+  "/:username/roles/:role",
+  ensurePermission("roles:manage"),
+  async function (req, res, next) {
+    try {
+      const roles = await Role.assign(req.params.username, req.params.role);
+      return res.status(201).json(roles);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/roles/[role] => { roles, permissions, companyPermissions }
+ *
+ * Authorization required: roles:manage permission
+ **/
+
+router.delete(
+  "/:username/roles/:role",
+  ensurePermission("roles:manage"),
+  async function (req, res, next) {
+    try {
+      const roles = await Role.unassign(req.params.username, req.params.role);
+      return res.json(roles);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
 module.exports = router;
@@ -5,20 +5,32 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const Application = require("../models/application");
+const Role = require("../models/role");
+const Company = require("../models/company");
+const Job = require("../models/job");
+const SavedSearch = require("../models/savedSearch");
+const SavedJob = require("../models/savedJob");
+const { getStorage } = require("../helpers/storage");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
   u1Token,
+  u2Token,
   adminToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
-afterAll(commonAfterAll);
+afterAll(async function () {
+  await getStorage().clear();
+  await commonAfterAll();
+});
 
 /************************************** POST /users */
 
@@ -117,13 +129,356 @@ describe("POST /users", function () {
 /************************************** POST /users/:username/jobs/:id */
 
 describe("POST /users/:username/jobs/:id", function () {
-  test("works for users", async function () {
-    const job = await request(app).get(`/jobs/job1`);
-    const jobId = job.body.job.id;
+  test("works for same user", async function () {
+    const jobId = testJobIds[0];
+
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${jobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId,
+        state: "applied",
+        coverLetter: null,
+        resumeId: null,
+        resumeRef: null,
+        answers: {},
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+        history: [
+          {
+            fromState: null,
+            toState: "applied",
+            changedBy: "u1",
+            changedAt: expect.any(String),
+          },
+        ],
+      },
+    });
+  });
+
+  test("works for admin, on behalf of the user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.application.history[0].changedBy).toEqual("admin");
+  });
+
+  test("works: start as interested", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ state: "interested" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    const application = await Application.get("u1", testJobIds[0]);
+    expect(application.state).toEqual("interested");
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post(`/users/u1/jobs/${testJobIds[0]}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("conflict if already applied", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(409);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/0`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+      .post(`/users/nope/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("works: with a cover letter and answers", async function () {
+    await Job.update(testJobIds[0], {
+      screeningQuestions: [
+        { key: "remote", question: "Happy to be remote?", type: "boolean" },
+      ],
+    });
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ coverLetter: "Hello", answers: { remote: true } })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.application.coverLetter).toEqual("Hello");
+    expect(resp.body.application.answers).toEqual({ remote: true });
+  });
+
+  test("bad request without required answers", async function () {
+    await Job.update(testJobIds[0], {
+      screeningQuestions: [
+        { key: "remote", question: "Happy to be remote?", type: "boolean" },
+      ],
+    });
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ coverLetter: "Hello" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual([
+      'answers requires property "remote"',
+    ]);
+  });
+
+  test("works: with one of the user's resumes", async function () {
+    const uploaded = await uploadResume("u1", u1Token);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ resumeId: uploaded.body.resume.id })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.application.resumeId).toEqual(uploaded.body.resume.id);
+  });
+
+  test("bad request with another user's resume", async function () {
+    const uploaded = await uploadResume("u2", u2Token);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ resumeId: uploaded.body.resume.id })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a resumeId that isn't an id", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ resumeId: "https://example.com/u1.pdf" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid starting state", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ state: "offered" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if the job is closed", async function () {
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = $1`, [
+      testJobIds[0],
+    ]);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /users/:username/jobs/:id */
+
+describe("DELETE /users/:username/jobs/:id", function () {
+  test("works for same user", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.application.state).toEqual("withdrawn");
+    expect(resp.body.application.history[1]).toEqual(
+      expect.objectContaining({ fromState: "applied", toState: "withdrawn" })
+    );
+  });
+
+  test("works for admin", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.application.state).toEqual("withdrawn");
+  });
+
+  test("unauth for other users", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if already withdrawn", async function () {
+    await User.apply("u1", testJobIds[0]);
+    await request(app)
+      .delete(`/users/u1/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such application", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/jobs/:id */
+
+describe("GET /users/:username/jobs/:id", function () {
+  test("works for same user", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: testJobIds[0],
+        state: "applied",
+        coverLetter: null,
+        resumeId: null,
+        resumeRef: null,
+        answers: {},
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+        history: [
+          {
+            fromState: null,
+            toState: "applied",
+            changedBy: "u1",
+            changedAt: expect.any(String),
+          },
+        ],
+      },
+    });
+  });
+
+  test("works for recruiters of the job's company", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c1", "u2");
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for other users", async function () {
+    await User.apply("u2", testJobIds[0]);
+    const resp = await request(app)
+      .get(`/users/u2/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such application", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+  test("works for admin", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ state: "interviewing" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.application.state).toEqual("interviewing");
+    expect(resp.body.application.history[1]).toEqual({
+      fromState: "applied",
+      toState: "interviewing",
+      changedBy: "admin",
+      changedAt: expect.any(String),
+    });
+  });
+
+  test("works for same user: withdraw", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ state: "withdrawn" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.application.state).toEqual("withdrawn");
+  });
 
-    const resp = await request(app).post(`/users/u1/jobs/${jobId}`);
+  test("works for recruiters of the job's company", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c1", "u2");
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ state: "interviewing" })
+      .set("authorization", `Bearer ${u2Token}`);
     expect(resp.statusCode).toEqual(200);
-    expect(resp.body).toEqual({ applied: `${jobId}` });
+    expect(resp.body.application.state).toEqual("interviewing");
+  });
+
+  test("unauth for recruiters of other companies", async function () {
+    await Role.assign("u2", "recruiter");
+    await Company.addMember("c2", "u2");
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ state: "interviewing" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for same user moving to admin-only state", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ state: "interviewing" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ state: "withdrawn" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request on illegal transition", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ state: "accepted" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid state", async function () {
+    await User.apply("u1", testJobIds[0]);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobIds[0]}`)
+      .send({ state: "hired" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
   });
 });
 
@@ -136,6 +491,13 @@ describe("GET /users", function () {
       .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({
       users: [
+        {
+          username: "admin",
+          firstName: "AdminF",
+          lastName: "AdminL",
+          email: "admin@user.com",
+          isAdmin: true,
+        },
         {
           username: "u1",
           firstName: "U1F",
@@ -158,9 +520,39 @@ describe("GET /users", function () {
           isAdmin: false,
         },
       ],
+      pagination: {
+        page: 1,
+        limit: 20,
+        total: 4,
+        next: null,
+        prev: null,
+      },
+    });
+  });
+
+  test("works: paging and sorting", async function () {
+    const resp = await request(app)
+      .get("/users?sort=-lastName&limit=2")
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.users.map((u) => u.username)).toEqual(["u3", "u2"]);
+    expect(resp.body.pagination).toEqual({
+      page: 1,
+      limit: 2,
+      total: 4,
+      next: "/users?sort=-lastName&limit=2&page=2",
+      prev: null,
     });
   });
 
+  test("works for auditors", async function () {
+    await Role.assign("u2", "auditor");
+    const resp = await request(app)
+      .get("/users")
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.users.length).toEqual(4);
+  });
+
   test("unauth for non-admin users", async function () {
     const resp = await request(app)
       .get("/users")
@@ -171,8 +563,9 @@ describe("GET /users", function () {
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
-    // should cause an error, all right :)
-    await db.query("DROP TABLE users CASCADE");
+    // should cause an error, all right :) (the users table itself is needed
+    // to authenticate the request)
+    await db.query("ALTER TABLE users DROP COLUMN first_name");
     const resp = await request(app)
       .get("/users")
       .set("authorization", `Bearer ${adminToken}`);
@@ -195,6 +588,9 @@ describe("GET /users/:username", function () {
         email: "user1@user.com",
         isAdmin: false,
         jobs: [],
+        skills: [
+          { slug: "javascript", name: "JavaScript", proficiency: "expert" },
+        ],
       },
     });
   });
@@ -211,6 +607,9 @@ describe("GET /users/:username", function () {
         email: "user1@user.com",
         isAdmin: false,
         jobs: [],
+        skills: [
+          { slug: "javascript", name: "JavaScript", proficiency: "expert" },
+        ],
       },
     });
   });
@@ -325,6 +724,19 @@ describe("PATCH /users/:username", () => {
     const isSuccessful = await User.authenticate("u1", "new-password");
     expect(isSuccessful).toBeTruthy();
   });
+
+  test("setting a new password revokes existing tokens", async function () {
+    await request(app)
+      .patch(`/users/u1`)
+      .send({
+        password: "new-password",
+      })
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
 });
 
 /************************************** DELETE /users/:username */
@@ -344,6 +756,16 @@ describe("DELETE /users/:username", function () {
     expect(resp.body).toEqual({ deleted: "u1" });
   });
 
+  test("tokens stop working once the user is deleted", async function () {
+    await request(app)
+      .delete(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app).delete(`/users/u1`);
     expect(resp.statusCode).toEqual(401);
@@ -356,3 +778,691 @@ describe("DELETE /users/:username", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** /users/:username/roles */
+
+describe("GET /users/:username/roles", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/roles`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      roles: ["candidate"],
+      permissions: [],
+      companyPermissions: {},
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/roles`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      roles: ["candidate"],
+      permissions: [],
+      companyPermissions: {},
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/roles`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /users/:username/roles/:role", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/roles/auditor`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      roles: ["auditor", "candidate"],
+      permissions: ["applications:read", "users:read"],
+      companyPermissions: {},
+    });
+
+    const list = await request(app)
+      .get("/users")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(list.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/roles/auditor`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with unknown role", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/roles/wizard`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .post(`/users/nope/roles/auditor`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /users/:username/roles/:role", function () {
+  test("works for admin", async function () {
+    await Role.assign("u1", "auditor");
+    const resp = await request(app)
+      .delete(`/users/u1/roles/auditor`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      roles: ["candidate"],
+      permissions: [],
+      companyPermissions: {},
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/roles/candidate`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/skills */
+
+describe("GET /users/:username/skills", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/skills`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      skills: [
+        { slug: "javascript", name: "JavaScript", proficiency: "expert" },
+      ],
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/skills`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .get(`/users/nope/skills`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("PUT /users/:username/skills/:skill", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .put(`/users/u2/skills/python`)
+      .send({ proficiency: "beginner" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({
+      skill: { slug: "python", name: "Python", proficiency: "beginner" },
+    });
+  });
+
+  test("works for admin: changes the proficiency", async function () {
+    const resp = await request(app)
+      .put(`/users/u1/skills/js`)
+      .send({ proficiency: "advanced" })
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.skill).toEqual({
+      slug: "javascript",
+      name: "JavaScript",
+      proficiency: "advanced",
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .put(`/users/u1/skills/python`)
+      .send({ proficiency: "beginner" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid proficiency", async function () {
+    const resp = await request(app)
+      .put(`/users/u1/skills/python`)
+      .send({ proficiency: "wizard" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app)
+      .put(`/users/u1/skills/cobol`)
+      .send({ proficiency: "beginner" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /users/:username/skills/:skill", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/skills/javascript`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: "javascript" });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/skills/javascript`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if the user doesn't list it", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/skills/python`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/preferences */
+
+describe("GET /users/:username/preferences", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/preferences`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      preferences: {
+        desiredSalary: null,
+        desiredCurrency: "USD",
+        workModes: [],
+        homeCity: null,
+        homeRegion: null,
+        homeCountry: null,
+        maxDistanceKm: 50,
+      },
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/preferences`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("PUT /users/:username/preferences", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .put(`/users/u1/preferences`)
+      .send({ desiredSalary: 150, workModes: ["remote"] })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.preferences).toEqual(
+      expect.objectContaining({ desiredSalary: 150, workModes: ["remote"] })
+    );
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .put(`/users/u1/preferences`)
+      .send({ desiredSalary: 150 })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+      .put(`/users/u1/preferences`)
+      .send({ workModes: ["moon"] })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .put(`/users/nope/preferences`)
+      .send({})
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/recommendations */
+
+describe("GET /users/:username/recommendations", function () {
+  test("works for same user, best match first", async function () {
+    await request(app)
+      .put(`/users/u1/preferences`)
+      .send({ desiredSalary: 150, workModes: ["remote"] })
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .get(`/users/u1/recommendations`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.jobs.map((j) => [j.title, j.match.score])).toEqual([
+      ["job1", 56.7],
+      ["job2", 50],
+    ]);
+    expect(resp.body.jobs[0].match.reasons.map((r) => r.factor)).toEqual([
+      "skills",
+      "salary",
+      "location",
+      "history",
+    ]);
+    expect(resp.body.pagination.total).toEqual(2);
+  });
+
+  test("works: a page at a time", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/recommendations?limit=1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.jobs.length).toEqual(1);
+    expect(resp.body.pagination.next).toEqual(
+      "/users/u1/recommendations?limit=1&page=2"
+    );
+  });
+
+  test("bad request with a filter", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/recommendations?title=job`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/recommendations`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .get(`/users/nope/recommendations`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/saved-searches */
+
+describe("POST /users/:username/saved-searches", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/saved-searches`)
+      .send({ name: "Jobs", query: { title: "job", minSalary: "150" } })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      savedSearch: {
+        id: expect.any(Number),
+        name: "Jobs",
+        query: { title: "job", minSalary: "150" },
+        createdAt: expect.any(String),
+        lastRunAt: null,
+      },
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/saved-searches`)
+      .send({ name: "Jobs", query: {} })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid filter", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/saved-searches`)
+      .send({ name: "Jobs", query: { sort: "title" } })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/saved-searches`)
+      .send({ name: "Jobs", query: { minSalary: 150 } })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("GET /users/:username/saved-searches", function () {
+  test("works for same user", async function () {
+    await SavedSearch.create("u1", { name: "Jobs", query: { title: "job" } });
+    const resp = await request(app)
+      .get(`/users/u1/saved-searches`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.savedSearches.map((s) => s.name)).toEqual(["Jobs"]);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/saved-searches`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /users/:username/saved-searches/:id", function () {
+  test("works for same user", async function () {
+    const { id } = await SavedSearch.create("u1", { name: "Jobs", query: {} });
+    const resp = await request(app)
+      .delete(`/users/u1/saved-searches/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: String(id) });
+  });
+
+  test("not found for another user's search", async function () {
+    const { id } = await SavedSearch.create("u2", { name: "Jobs", query: {} });
+    const resp = await request(app)
+      .delete(`/users/u1/saved-searches/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/alerts */
+
+describe("GET /users/:username/alerts", function () {
+  test("works for same user", async function () {
+    await SavedSearch.create("u1", { name: "Jobs", query: { title: "job" } });
+    const job = await Job.create({ title: "new job", company_handle: "c3" });
+    await SavedSearch.matchAll();
+
+    const resp = await request(app)
+      .get(`/users/u1/alerts?unread=true`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      alerts: [
+        {
+          id: expect.any(Number),
+          savedSearchId: expect.any(Number),
+          searchName: "Jobs",
+          jobId: job.id,
+          title: "new job",
+          companyHandle: "c3",
+          createdAt: expect.any(String),
+          readAt: null,
+        },
+      ],
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/alerts`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /users/:username/alerts/:id/read", function () {
+  test("works for same user", async function () {
+    await SavedSearch.create("u1", { name: "Jobs", query: {} });
+    await Job.create({ title: "new job", company_handle: "c3" });
+    await SavedSearch.matchAll();
+    const list = await request(app)
+      .get(`/users/u1/alerts`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+      .post(`/users/u1/alerts/${list.body.alerts[0].id}/read`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.alert.readAt).toEqual(expect.any(String));
+
+    const unread = await request(app)
+      .get(`/users/u1/alerts?unread=true`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(unread.body.alerts).toEqual([]);
+  });
+
+  test("not found for no such alert", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/alerts/0/read`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/saved-jobs */
+
+describe("POST /users/:username/saved-jobs/:id", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/saved-jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ saved: String(testJobIds[0]) });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/saved-jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/saved-jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post(
+      `/users/u1/saved-jobs/${testJobIds[0]}`
+    );
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/saved-jobs/0`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("GET /users/:username/saved-jobs", function () {
+  test("works for same user, with the company", async function () {
+    await SavedJob.save("u1", testJobIds[0]);
+    const resp = await request(app)
+      .get(`/users/u1/saved-jobs`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.savedJobs).toEqual([
+      expect.objectContaining({
+        id: testJobIds[0],
+        title: "job1",
+        company: expect.objectContaining({ handle: "c1", name: "C1" }),
+        savedAt: expect.any(String),
+      }),
+    ]);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/saved-jobs`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /users/:username/saved-jobs/:id", function () {
+  test("works for same user", async function () {
+    await SavedJob.save("u1", testJobIds[0]);
+    const resp = await request(app)
+      .delete(`/users/u1/saved-jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: String(testJobIds[0]) });
+  });
+
+  test("unauth for other users", async function () {
+    await SavedJob.save("u1", testJobIds[0]);
+    const resp = await request(app)
+      .delete(`/users/u1/saved-jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not saved", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/saved-jobs/${testJobIds[0]}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/resumes */
+
+const resumePdf = Buffer.from("%PDF-1.4\nresume\n%%EOF\n");
+
+function uploadResume(username, token, data = resumePdf) {
+  return request(app)
+    .post(`/users/${username}/resumes`)
+    .attach("resume", data, {
+      filename: "cv.pdf",
+      contentType: "application/pdf",
+    })
+    .set("authorization", `Bearer ${token}`);
+}
+
+describe("POST /users/:username/resumes", function () {
+  test("works for same user", async function () {
+    const resp = await uploadResume("u1", u1Token);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      resume: {
+        id: expect.any(Number),
+        filename: "cv.pdf",
+        contentType: "application/pdf",
+        size: resumePdf.length,
+        checksum: expect.stringMatching(/^[0-9a-f]{64}$/),
+        uploadedAt: expect.any(String),
+      },
+    });
+  });
+
+  test("gives back the same resume for the same file", async function () {
+    const first = await uploadResume("u1", u1Token);
+    const again = await uploadResume("u1", u1Token);
+    expect(again.body).toEqual(first.body);
+  });
+
+  test("works for admin", async function () {
+    const resp = await uploadResume("u1", adminToken);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await uploadResume("u1", u2Token);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request for a file that isn't a resume", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/resumes`)
+      .attach("resume", Buffer.from("hello"), {
+        filename: "cv.txt",
+        contentType: "text/plain",
+      })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await uploadResume("nope", adminToken);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("GET /users/:username/resumes", function () {
+  test("works for same user", async function () {
+    const uploaded = await uploadResume("u1", u1Token);
+    const resp = await request(app)
+      .get(`/users/u1/resumes`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ resumes: [uploaded.body.resume] });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/resumes`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("GET /users/:username/resumes/:id", function () {
+  test("works for same user", async function () {
+    const uploaded = await uploadResume("u1", u1Token);
+    const resp = await request(app)
+      .get(`/users/u1/resumes/${uploaded.body.resume.id}`)
+      .buffer(true)
+      .parse((res, done) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => done(null, Buffer.concat(chunks)));
+      })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toEqual("application/pdf");
+    expect(resp.headers["content-disposition"]).toEqual(
+      'attachment; filename="cv.pdf"'
+    );
+    expect(resp.body).toEqual(resumePdf);
+  });
+
+  test("unauth for other users", async function () {
+    const uploaded = await uploadResume("u1", u1Token);
+    const resp = await request(app)
+      .get(`/users/u1/resumes/${uploaded.body.resume.id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such resume", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/resumes/0`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /users/:username/resumes/:id", function () {
+  test("works for same user", async function () {
+    const uploaded = await uploadResume("u1", u1Token);
+    const id = uploaded.body.resume.id;
+    const resp = await request(app)
+      .delete(`/users/u1/resumes/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: String(id) });
+  });
+
+  test("unauth for other users", async function () {
+    const uploaded = await uploadResume("u1", u1Token);
+    const resp = await request(app)
+      .delete(`/users/u1/resumes/${uploaded.body.resume.id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such resume", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/resumes/0`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
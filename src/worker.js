@@ -0,0 +1,104 @@
+"use strict";
+
+/** Background jobs for jobly.
+ *
+ * From the command line:
+ *   node src/worker.js        run the jobs on a schedule until stopped
+ *   node src/worker.js once   run each job once, then exit (e.g. from cron)
+ *
+ * Each job is safe to run from several workers at once, and to run again
+ * after it fails part way.
+ */
+
+const db = require("./db");
+const Job = require("./models/job");
+const SavedSearch = require("./models/savedSearch");
+const JobAlert = require("./models/jobAlert");
+const {
+  ALERTS_INTERVAL_MINUTES,
+  JOB_SCHEDULE_INTERVAL_MINUTES,
+} = require("./config");
+
+/** Publish the jobs scheduled for now or earlier, and expire the ones past
+ * their expiry date; now is the current time unless given.
+ *
+ * Returns { published, expired }, the ids of the jobs changed
+ */
+
+async function runJobSchedule(now = new Date()) {
+  return await Job.runSchedule(now);
+}
+
+/** Find new jobs for saved searches, then email the alerts.
+ *
+ * Returns { matched, emailed }
+ *   where matched is [{ savedSearchId, username, jobIds }, ...] for the
+ *   searches that found new jobs, and emailed is [{ username, alertIds },
+ *   ...] for the messages sent
+ */
+
+async function runAlerts() {
+  const matched = await SavedSearch.matchAll();
+  const emailed = await JobAlert.sendEmails();
+  return { matched, emailed };
+}
+
+// What the worker runs: [{ name, run, intervalMinutes }, ...]; jobs are
+// published before alerts are looked for, so they're alerted on straight away
+const TASKS = [
+  {
+    name: "jobSchedule",
+    run: runJobSchedule,
+    intervalMinutes: JOB_SCHEDULE_INTERVAL_MINUTES,
+  },
+  { name: "alerts", run: runAlerts, intervalMinutes: ALERTS_INTERVAL_MINUTES },
+];
+
+/** Run task, logging what happened rather than throwing. */
+
+async function runTask({ name, run }) {
+  try {
+    const result = await run();
+    console.log(`${new Date().toISOString()} ${name}:`, JSON.stringify(result));
+  } catch (err) {
+    console.error(`${new Date().toISOString()} ${name} failed:`, err.message);
+  }
+}
+
+/** Run each task now, then again every intervalMinutes after it finishes. */
+
+function schedule(tasks) {
+  for (const task of tasks) {
+    const loop = async () => {
+      await runTask(task);
+      setTimeout(loop, task.intervalMinutes * 60 * 1000);
+    };
+    loop();
+  }
+}
+
+/** Run the worker from the command line. */
+
+async function main([command]) {
+  if (command === "once") {
+    for (const task of TASKS) await runTask(task);
+    await db.end();
+  } else if (command === undefined) {
+    schedule(TASKS);
+  } else {
+    throw new Error("Usage: worker.js [once]");
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(async (err) => {
+    console.error(err.message);
+    await db.end();
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  runJobSchedule,
+  runAlerts,
+};
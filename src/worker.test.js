@@ -0,0 +1,61 @@
+"use strict";
+
+const { getTransport } = require("./helpers/mailer");
+const { runJobSchedule, runAlerts } = require("./worker");
+const SavedSearch = require("./models/savedSearch");
+const Job = require("./models/job");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+describe("runJobSchedule", function () {
+  test("publishes scheduled jobs, then alerts on them", async function () {
+    await SavedSearch.create("u1", { name: "Everything", query: {} });
+    const job = await Job.create({
+      title: "scheduled",
+      company_handle: "c1",
+      publishAt: "2099-01-05T09:00:00Z",
+    });
+    expect((await runAlerts()).matched).toEqual([]);
+
+    expect(await runJobSchedule(new Date("2099-01-05T09:00:00Z"))).toEqual({
+      published: [job.id],
+      expired: [],
+    });
+    expect((await runAlerts()).matched).toEqual([
+      expect.objectContaining({ jobIds: [job.id] }),
+    ]);
+  });
+});
+
+describe("runAlerts", function () {
+  test("finds new jobs and emails them", async function () {
+    await getTransport().clear();
+    const search = await SavedSearch.create("u1", {
+      name: "Everything",
+      query: {},
+    });
+    const job = await Job.create({ title: "new", company_handle: "c1" });
+
+    const { matched, emailed } = await runAlerts();
+    expect(matched).toEqual([
+      { savedSearchId: search.id, username: "u1", jobIds: [job.id] },
+    ]);
+    expect(emailed).toEqual([
+      { username: "u1", alertIds: [expect.any(Number)] },
+    ]);
+    expect((await getTransport().list()).map((m) => m.to)).toEqual([
+      "u1@email.com",
+    ]);
+
+    expect(await runAlerts()).toEqual({ matched: [], emailed: [] });
+  });
+});